@@ -0,0 +1,435 @@
+/**
+ * @file mock-ogc-server.mjs
+ * @description 本地模拟OGC服务，用于调试WMS/WMTS图层与GetFeatureInfo：
+ * WMS 1.3.0（GetCapabilities/GetMap/GetFeatureInfo）与WMTS 1.0.0（GetCapabilities/GetTile，KVP与RESTful）。
+ * 瓦片为按图层着色的网格PNG，要素信息由点击位置计算得到
+ * 用法：npm run mock:ogc [-- 端口]，默认 http://localhost:8090/wms 与 /wmts
+ */
+
+import http from "node:http";
+import zlib from "node:zlib";
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8090);
+const HOST = `http://localhost:${PORT}`;
+const TILE_SIZE = 256;
+const MERCATOR_EXTENT = 20037508.342789244;
+const MERCATOR_SCALE_0 = 559082264.0287178;
+const MAX_ZOOM = 18;
+
+/** 模拟图层：名称、标题、网格大小（米）与样式颜色（RGBA） */
+const LAYERS = [
+  {
+    name: "demo:cadastral",
+    title: "地籍宗地",
+    cell: 500,
+    styles: {
+      outline: { title: "宗地界线", stroke: [220, 38, 38, 255], fill: [0, 0, 0, 0] },
+      filled: { title: "宗地填充", stroke: [220, 38, 38, 255], fill: [248, 113, 113, 70] },
+    },
+  },
+  {
+    name: "demo:zoning",
+    title: "规划分区",
+    cell: 5000,
+    styles: {
+      landuse: { title: "用地性质", stroke: [37, 99, 235, 255], fill: [96, 165, 250, 80] },
+    },
+  },
+];
+
+const LAND_USES = ["居住用地", "商业用地", "工业用地", "绿地", "公共服务用地"];
+
+// ---------------------------------------------------------------- PNG
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * 编码RGBA像素为PNG
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {Buffer} pixels - RGBA像素
+ * @returns {Buffer} PNG数据
+ */
+const encodePNG = (width, height, pixels) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // 位深
+  header[9] = 6; // RGBA
+  const raw = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    pixels.copy(raw, y * (width * 4 + 1) + 1, y * width * 4, (y + 1) * width * 4);
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+};
+
+// ---------------------------------------------------------------- 坐标
+
+const lngLatToMercator = (lng, lat) => [
+  (lng * MERCATOR_EXTENT) / 180,
+  Math.log(Math.tan(((90 + lat) * Math.PI) / 360)) * (MERCATOR_EXTENT / Math.PI),
+];
+
+const mercatorToLngLat = (x, y) => [
+  (x / MERCATOR_EXTENT) * 180,
+  (Math.atan(Math.exp((y / MERCATOR_EXTENT) * Math.PI)) * 360) / Math.PI - 90,
+];
+
+/**
+ * 将请求范围统一为Web墨卡托 [minX, minY, maxX, maxY]
+ * @param {Array<number>} bbox - 请求范围
+ * @param {string} crs - 坐标系
+ * @param {string} version - WMS版本，1.3.0的EPSG:4326为纬度在前
+ * @returns {Array<number>} Web墨卡托范围
+ */
+const toMercatorBBox = (bbox, crs, version) => {
+  if (/3857|900913/.test(crs)) return bbox;
+  let [minX, minY, maxX, maxY] = bbox;
+  if (/4326/.test(crs) && version === "1.3.0") [minX, minY, maxX, maxY] = [minY, minX, maxY, maxX];
+  return [...lngLatToMercator(minX, minY), ...lngLatToMercator(maxX, maxY)];
+};
+
+/**
+ * 按网格渲染图层图片
+ * @description 网格线使用图层描边色，网格内使用填充色，相邻网格交替深浅
+ * @param {Object} layer - 模拟图层
+ * @param {string} styleName - 样式名称
+ * @param {Array<number>} bbox - Web墨卡托范围
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {Buffer} PNG数据
+ */
+const renderGrid = (layer, styleName, bbox, width, height) => {
+  const style = layer.styles[styleName] || Object.values(layer.styles)[0];
+  const [minX, minY, maxX, maxY] = bbox;
+  const resX = (maxX - minX) / width;
+  const resY = (maxY - minY) / height;
+  // 网格线宽按像素计算，缩小到看不清时不画网格
+  const lineX = resX * 1.5;
+  const lineY = resY * 1.5;
+  const showGrid = layer.cell / resX >= 4;
+  const pixels = Buffer.alloc(width * height * 4);
+  for (let py = 0; py < height; py++) {
+    const y = maxY - (py + 0.5) * resY;
+    const row = Math.floor(y / layer.cell);
+    const onRow = showGrid && y - row * layer.cell < lineY;
+    for (let px = 0; px < width; px++) {
+      const x = minX + (px + 0.5) * resX;
+      const col = Math.floor(x / layer.cell);
+      const onLine = onRow || (showGrid && x - col * layer.cell < lineX);
+      const color = onLine ? style.stroke : style.fill;
+      const alpha = onLine || (row + col) % 2 === 0 ? color[3] : color[3] / 2;
+      pixels.set([color[0], color[1], color[2], alpha], (py * width + px) * 4);
+    }
+  }
+  return encodePNG(width, height, pixels);
+};
+
+/**
+ * 计算某点所在网格的要素
+ * @param {Object} layer - 模拟图层
+ * @param {number} x - Web墨卡托X
+ * @param {number} y - Web墨卡托Y
+ * @returns {Object} GeoJSON Feature
+ */
+const featureAt = (layer, x, y) => {
+  const col = Math.floor(x / layer.cell);
+  const row = Math.floor(y / layer.cell);
+  const corners = [
+    [col, row],
+    [col + 1, row],
+    [col + 1, row + 1],
+    [col, row + 1],
+    [col, row],
+  ].map(([c, r]) => mercatorToLngLat(c * layer.cell, r * layer.cell));
+  const [lng, lat] = mercatorToLngLat((col + 0.5) * layer.cell, (row + 0.5) * layer.cell);
+  const seed = Math.abs(col * 73856093 ^ row * 19349663);
+  const area = Math.round(layer.cell * layer.cell * Math.cos((lat * Math.PI) / 180) ** 2);
+  const properties =
+    layer.name === "demo:cadastral"
+      ? {
+          parcelId: `P-${col}-${row}`,
+          owner: `权利人${(seed % 900) + 100}`,
+          landUse: LAND_USES[seed % LAND_USES.length],
+          area,
+        }
+      : {
+          zoneId: `Z-${col}-${row}`,
+          zoneName: `${LAND_USES[seed % LAND_USES.length]}区`,
+          plotRatio: ((seed % 40) / 10 + 0.5).toFixed(1),
+          area,
+        };
+  return {
+    type: "Feature",
+    id: `${layer.name}.${col}.${row}`,
+    geometry: { type: "Polygon", coordinates: [corners] },
+    properties: { ...properties, centerLng: +lng.toFixed(6), centerLat: +lat.toFixed(6) },
+  };
+};
+
+// ---------------------------------------------------------------- 能力文档
+
+const escapeXML = (value) =>
+  String(value).replace(/[<>&"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" })[c]);
+
+const wmsCapabilities = () => `<?xml version="1.0" encoding="UTF-8"?>
+<WMS_Capabilities version="1.3.0" xmlns="http://www.opengis.net/wms" xmlns:xlink="http://www.w3.org/1999/xlink">
+  <Service>
+    <Name>WMS</Name>
+    <Title>模拟WMS服务</Title>
+  </Service>
+  <Capability>
+    <Request>
+      <GetCapabilities>
+        <Format>text/xml</Format>
+        <DCPType><HTTP><Get><OnlineResource xlink:href="${HOST}/wms?"/></Get></HTTP></DCPType>
+      </GetCapabilities>
+      <GetMap>
+        <Format>image/png</Format>
+        <DCPType><HTTP><Get><OnlineResource xlink:href="${HOST}/wms?"/></Get></HTTP></DCPType>
+      </GetMap>
+      <GetFeatureInfo>
+        <Format>application/json</Format>
+        <Format>text/plain</Format>
+        <DCPType><HTTP><Get><OnlineResource xlink:href="${HOST}/wms?"/></Get></HTTP></DCPType>
+      </GetFeatureInfo>
+    </Request>
+    <Exception><Format>XML</Format></Exception>
+    <Layer>
+      <Title>模拟图层</Title>
+      <CRS>EPSG:3857</CRS>
+      <CRS>EPSG:4326</CRS>
+      <EX_GeographicBoundingBox>
+        <westBoundLongitude>-180</westBoundLongitude>
+        <eastBoundLongitude>180</eastBoundLongitude>
+        <southBoundLatitude>-85</southBoundLatitude>
+        <northBoundLatitude>85</northBoundLatitude>
+      </EX_GeographicBoundingBox>
+${LAYERS.map(
+  (layer) => `      <Layer queryable="1">
+        <Name>${escapeXML(layer.name)}</Name>
+        <Title>${escapeXML(layer.title)}</Title>
+${Object.entries(layer.styles)
+  .map(([name, style]) => `        <Style><Name>${name}</Name><Title>${escapeXML(style.title)}</Title></Style>`)
+  .join("\n")}
+      </Layer>`
+).join("\n")}
+    </Layer>
+  </Capability>
+</WMS_Capabilities>`;
+
+const tileMatrixSet = (identifier, crs, scale0, topLeft, width0) => `    <TileMatrixSet>
+      <ows:Identifier>${identifier}</ows:Identifier>
+      <ows:SupportedCRS>${crs}</ows:SupportedCRS>
+${Array.from({ length: MAX_ZOOM + 1 }, (_, z) => `      <TileMatrix>
+        <ows:Identifier>${identifier}:${z}</ows:Identifier>
+        <ScaleDenominator>${scale0 / 2 ** z}</ScaleDenominator>
+        <TopLeftCorner>${topLeft}</TopLeftCorner>
+        <TileWidth>${TILE_SIZE}</TileWidth>
+        <TileHeight>${TILE_SIZE}</TileHeight>
+        <MatrixWidth>${width0 * 2 ** z}</MatrixWidth>
+        <MatrixHeight>${2 ** z}</MatrixHeight>
+      </TileMatrix>`).join("\n")}
+    </TileMatrixSet>`;
+
+const wmtsCapabilities = () => `<?xml version="1.0" encoding="UTF-8"?>
+<Capabilities version="1.0.0" xmlns="http://www.opengis.net/wmts/1.0" xmlns:ows="http://www.opengis.net/ows/1.1" xmlns:xlink="http://www.w3.org/1999/xlink">
+  <ows:ServiceIdentification>
+    <ows:Title>模拟WMTS服务</ows:Title>
+    <ows:ServiceType>OGC WMTS</ows:ServiceType>
+    <ows:ServiceTypeVersion>1.0.0</ows:ServiceTypeVersion>
+  </ows:ServiceIdentification>
+  <ows:OperationsMetadata>
+    <ows:Operation name="GetTile">
+      <ows:DCP><ows:HTTP>
+        <ows:Get xlink:href="${HOST}/wmts?">
+          <ows:Constraint name="GetEncoding"><ows:AllowedValues><ows:Value>KVP</ows:Value></ows:AllowedValues></ows:Constraint>
+        </ows:Get>
+      </ows:HTTP></ows:DCP>
+    </ows:Operation>
+  </ows:OperationsMetadata>
+  <Contents>
+${LAYERS.map(
+  (layer) => `    <Layer>
+      <ows:Title>${escapeXML(layer.title)}</ows:Title>
+      <ows:WGS84BoundingBox>
+        <ows:LowerCorner>-180 -85</ows:LowerCorner>
+        <ows:UpperCorner>180 85</ows:UpperCorner>
+      </ows:WGS84BoundingBox>
+      <ows:Identifier>${escapeXML(layer.name)}</ows:Identifier>
+${Object.entries(layer.styles)
+  .map(
+    ([name, style], index) => `      <Style isDefault="${index === 0}">
+        <ows:Title>${escapeXML(style.title)}</ows:Title>
+        <ows:Identifier>${name}</ows:Identifier>
+      </Style>`
+  )
+  .join("\n")}
+      <Format>image/png</Format>
+      <TileMatrixSetLink><TileMatrixSet>EPSG:900913</TileMatrixSet></TileMatrixSetLink>
+      <TileMatrixSetLink><TileMatrixSet>EPSG:4326</TileMatrixSet></TileMatrixSetLink>
+      <ResourceURL format="image/png" resourceType="tile" template="${HOST}/wmts/rest/${escapeXML(layer.name)}/{Style}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.png"/>
+    </Layer>`
+).join("\n")}
+${tileMatrixSet("EPSG:900913", "urn:ogc:def:crs:EPSG::900913", MERCATOR_SCALE_0, `${-MERCATOR_EXTENT} ${MERCATOR_EXTENT}`, 1)}
+${tileMatrixSet("EPSG:4326", "urn:ogc:def:crs:EPSG::4326", MERCATOR_SCALE_0 / 2, "90 -180", 2)}
+  </Contents>
+</Capabilities>`;
+
+// ---------------------------------------------------------------- 请求处理
+
+const send = (res, status, type, body) => {
+  res.writeHead(status, {
+    "Content-Type": type,
+    "Access-Control-Allow-Origin": "*",
+    "Cache-Control": "no-cache",
+  });
+  res.end(body);
+};
+
+const serviceException = (res, message) =>
+  send(
+    res,
+    400,
+    "text/xml; charset=utf-8",
+    `<?xml version="1.0" encoding="UTF-8"?>
+<ServiceExceptionReport version="1.3.0" xmlns="http://www.opengis.net/ogc">
+  <ServiceException>${escapeXML(message)}</ServiceException>
+</ServiceExceptionReport>`
+  );
+
+const findLayer = (name) => LAYERS.find((layer) => layer.name === name);
+
+/**
+ * 计算WMTS瓦片的Web墨卡托范围
+ * @param {string} matrixSet - 矩阵集标识
+ * @param {string} matrix - 矩阵标识，形如 EPSG:900913:12
+ * @param {number} row - 行号
+ * @param {number} col - 列号
+ * @returns {Array<number>|null} Web墨卡托范围
+ */
+const tileBBox = (matrixSet, matrix, row, col) => {
+  const z = Number(String(matrix).split(":").pop());
+  if (!Number.isInteger(z) || z < 0 || z > MAX_ZOOM) return null;
+  if (matrixSet === "EPSG:4326") {
+    const size = 180 / 2 ** z;
+    const west = -180 + col * size;
+    const north = 90 - row * size;
+    return toMercatorBBox([west, Math.max(north - size, -85), west + size, Math.min(north, 85)], "EPSG:4326");
+  }
+  const size = (MERCATOR_EXTENT * 2) / 2 ** z;
+  return [
+    -MERCATOR_EXTENT + col * size,
+    MERCATOR_EXTENT - (row + 1) * size,
+    -MERCATOR_EXTENT + (col + 1) * size,
+    MERCATOR_EXTENT - row * size,
+  ];
+};
+
+const handleWMS = (params, res) => {
+  const request = (params.get("REQUEST") || "").toLowerCase();
+  if (request === "getcapabilities") return send(res, 200, "text/xml; charset=utf-8", wmsCapabilities());
+
+  const version = params.get("VERSION") || "1.3.0";
+  const crs = params.get("CRS") || params.get("SRS") || "EPSG:3857";
+  const bbox = (params.get("BBOX") || "").split(",").map(Number);
+  const width = Number(params.get("WIDTH"));
+  const height = Number(params.get("HEIGHT"));
+  if (bbox.length !== 4 || !bbox.every(Number.isFinite) || !(width > 0 && height > 0)) {
+    return serviceException(res, "缺少或无效的 BBOX/WIDTH/HEIGHT 参数");
+  }
+  const mercator = toMercatorBBox(bbox, crs, version);
+
+  if (request === "getmap") {
+    const layer = findLayer((params.get("LAYERS") || "").split(",")[0]);
+    if (!layer) return serviceException(res, `图层不存在: ${params.get("LAYERS")}`);
+    const style = (params.get("STYLES") || "").split(",")[0];
+    return send(res, 200, "image/png", renderGrid(layer, style, mercator, Math.min(width, 2048), Math.min(height, 2048)));
+  }
+
+  if (request === "getfeatureinfo") {
+    const names = (params.get("QUERY_LAYERS") || params.get("LAYERS") || "").split(",");
+    const i = Number(params.get("I") ?? params.get("X"));
+    const j = Number(params.get("J") ?? params.get("Y"));
+    const x = mercator[0] + ((i + 0.5) / width) * (mercator[2] - mercator[0]);
+    const y = mercator[3] - ((j + 0.5) / height) * (mercator[3] - mercator[1]);
+    const features = names.map(findLayer).filter(Boolean).map((layer) => featureAt(layer, x, y));
+    if ((params.get("INFO_FORMAT") || "").includes("json")) {
+      return send(res, 200, "application/json; charset=utf-8", JSON.stringify({ type: "FeatureCollection", features }));
+    }
+    const text = features
+      .map((f) => [`Feature ${f.id}:`, ...Object.entries(f.properties).map(([k, v]) => `  ${k} = ${v}`)].join("\n"))
+      .join("\n\n");
+    return send(res, 200, "text/plain; charset=utf-8", text || "no features were found");
+  }
+
+  return serviceException(res, `不支持的请求: ${params.get("REQUEST")}`);
+};
+
+const handleWMTSTile = (res, { layer: name, style, matrixSet, matrix, row, col }) => {
+  const layer = findLayer(name);
+  if (!layer) return serviceException(res, `图层不存在: ${name}`);
+  const bbox = tileBBox(matrixSet, matrix, Number(row), Number(col));
+  if (!bbox) return serviceException(res, `无效的瓦片矩阵: ${matrix}`);
+  return send(res, 200, "image/png", renderGrid(layer, style, bbox, TILE_SIZE, TILE_SIZE));
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, HOST);
+  // 参数名大小写不敏感
+  const params = new URLSearchParams();
+  url.searchParams.forEach((value, key) => params.set(key.toUpperCase(), value));
+  console.log(`${req.method} ${url.pathname}${url.search}`);
+
+  if (req.method === "OPTIONS") return send(res, 204, "text/plain", "");
+  if (url.pathname === "/wms") return handleWMS(params, res);
+  if (url.pathname === "/wmts") {
+    const request = (params.get("REQUEST") || "").toLowerCase();
+    if (request === "getcapabilities") return send(res, 200, "text/xml; charset=utf-8", wmtsCapabilities());
+    if (request === "gettile") {
+      return handleWMTSTile(res, {
+        layer: params.get("LAYER"),
+        style: params.get("STYLE"),
+        matrixSet: params.get("TILEMATRIXSET"),
+        matrix: params.get("TILEMATRIX"),
+        row: params.get("TILEROW"),
+        col: params.get("TILECOL"),
+      });
+    }
+    return serviceException(res, `不支持的请求: ${params.get("REQUEST")}`);
+  }
+  const rest = url.pathname.match(/^\/wmts\/rest\/([^/]+)\/([^/]+)\/([^/]+)\/([^/]+)\/(\d+)\/(\d+)\.png$/);
+  if (rest) {
+    const [, layer, style, matrixSet, matrix, row, col] = rest.map(decodeURIComponent);
+    return handleWMTSTile(res, { layer, style, matrixSet, matrix, row, col });
+  }
+  send(res, 404, "text/plain; charset=utf-8", "Not Found");
+});
+
+server.listen(PORT, () => {
+  console.log(`模拟OGC服务已启动: ${HOST}/wms  ${HOST}/wmts`);
+});
@@ -0,0 +1,285 @@
+/**
+ * @file AttributePanel.jsx
+ * @description 要素属性面板：按图层字段定义显示文本、数值、日期、枚举与照片字段的表单，
+ * 校验后写回要素属性；可切换为编辑图层的字段定义
+ * @module components/AttributePanel
+ */
+
+import { defineComponent, reactive, ref, shallowRef, computed, watch, onUnmounted } from "vue";
+import featureStore from "@utils/featureStore";
+import {
+  getLayerSchema,
+  normalizeValue,
+  validateAttributes,
+  readPhoto,
+} from "@utils/attributeSchema";
+import SchemaEditor from "./SchemaEditor";
+
+/**
+ * 属性值转换为表单输入值
+ * @param {*} value - 属性值
+ * @returns {string} 输入值，照片为数据URL
+ */
+const toInputValue = (value) => (value === null || value === undefined ? "" : String(value));
+
+export default defineComponent({
+  name: "AttributePanel",
+  props: {
+    /**
+     * 要素ID
+     * @type {string}
+     */
+    featureId: {
+      type: String,
+      required: true,
+    },
+    /**
+     * 保存回调
+     * @description 参数为 (featureId, properties)，properties只含表单字段，空值为null
+     * @type {Function}
+     */
+    onSave: {
+      type: Function,
+      required: true,
+    },
+    /**
+     * 关闭回调
+     * @type {Function}
+     */
+    onClose: {
+      type: Function,
+      required: true,
+    },
+  },
+  setup(props) {
+    const feature = shallowRef(featureStore.getFeature(props.featureId));
+    const layer = computed(() => feature.value && featureStore.getLayer(feature.value.layerId));
+    const schema = computed(() =>
+      getLayerSchema(layer.value, layer.value ? featureStore.getFeatures(layer.value.id) : [])
+    );
+
+    const values = reactive({});
+    const errors = ref({});
+    const dirty = ref(false);
+    const saved = ref(false);
+    const editingSchema = ref(false);
+
+    /** 按要素当前属性重置表单 */
+    const resetForm = () => {
+      Object.keys(values).forEach((key) => delete values[key]);
+      schema.value.forEach((field) => {
+        values[field.name] = toInputValue(feature.value?.properties[field.name]);
+      });
+      errors.value = {};
+      dirty.value = false;
+    };
+    resetForm();
+
+    /** 不在字段定义中的其他属性，只读显示 */
+    const otherProperties = computed(() =>
+      Object.entries(feature.value?.properties || {}).filter(
+        ([key]) => !schema.value.some((field) => field.name === key)
+      )
+    );
+
+    watch(
+      () => props.featureId,
+      (featureId) => {
+        feature.value = featureStore.getFeature(featureId);
+        editingSchema.value = false;
+        saved.value = false;
+        resetForm();
+      }
+    );
+    // 字段定义变化后按新字段重建表单
+    watch(schema, resetForm);
+
+    // 要素被移除时关闭面板；被其他操作（如撤销）修改且表单未改动时同步显示
+    const unsubscribe = featureStore.subscribe(({ type, features = [] }) => {
+      if (!features.some((item) => item.id === props.featureId)) return;
+      if (type === "feature:remove" || type === "layer:remove") {
+        props.onClose();
+      } else if (type === "feature:update") {
+        feature.value = featureStore.getFeature(props.featureId);
+        if (!dirty.value) resetForm();
+      }
+    });
+    onUnmounted(unsubscribe);
+
+    /**
+     * 修改字段值
+     * @param {string} name - 字段名
+     * @param {*} value - 输入值
+     * @returns {void}
+     */
+    const setValue = (name, value) => {
+      values[name] = value;
+      dirty.value = true;
+      saved.value = false;
+      if (errors.value[name]) {
+        const { [name]: _, ...rest } = errors.value;
+        errors.value = rest;
+      }
+    };
+
+    /**
+     * 选择照片
+     * @param {Object} field - 字段
+     * @param {Event} e - 文件选择事件
+     * @returns {Promise<void>}
+     */
+    const handlePhoto = async (field, e) => {
+      const file = e.target.files?.[0];
+      e.target.value = "";
+      if (!file) return;
+      try {
+        setValue(field.name, await readPhoto(file));
+      } catch (error) {
+        errors.value = { ...errors.value, [field.name]: error.message };
+      }
+    };
+
+    const handleSave = () => {
+      const properties = Object.fromEntries(
+        schema.value.map((field) => [field.name, normalizeValue(field, values[field.name])])
+      );
+      errors.value = validateAttributes(schema.value, properties);
+      if (Object.keys(errors.value).length) return;
+      props.onSave(props.featureId, properties);
+      dirty.value = false;
+      saved.value = true;
+    };
+
+    /**
+     * 渲染字段输入控件
+     * @param {Object} field - 字段
+     * @returns {JSX.Element}
+     */
+    const renderInput = (field) => {
+      const value = values[field.name];
+      const inputClass = "border rounded px-2 py-1 w-full";
+      const onInput = (e) => setValue(field.name, e.target.value);
+      switch (field.type) {
+        case "number":
+          return (
+            <input
+              type="number"
+              class={inputClass}
+              value={value}
+              min={field.min}
+              max={field.max}
+              step={field.integer ? 1 : "any"}
+              onInput={onInput}
+            />
+          );
+        case "date":
+          return <input type="date" class={inputClass} value={value} onInput={onInput} />;
+        case "enum":
+          return (
+            <select class={inputClass} value={value} onChange={onInput}>
+              <option value="">（未选择）</option>
+              {(field.options || []).map((option) => (
+                <option key={option} value={option}>
+                  {option}
+                </option>
+              ))}
+              {value && !(field.options || []).includes(value) && <option value={value}>{value}</option>}
+            </select>
+          );
+        case "photo":
+          return (
+            <div class="flex items-center space-x-2">
+              {value && <img src={value} class="h-16 max-w-[120px] object-cover rounded border" />}
+              <label class="text-blue-600 hover:underline cursor-pointer">
+                {value ? "更换" : "选择照片"}
+                <input type="file" accept="image/*" class="hidden" onChange={(e) => handlePhoto(field, e)} />
+              </label>
+              {value && (
+                <button class="text-red-500" onClick={() => setValue(field.name, "")}>
+                  移除
+                </button>
+              )}
+            </div>
+          );
+        default:
+          return field.multiline ? (
+            <textarea class={inputClass} rows="3" value={value} maxlength={field.maxLength} onInput={onInput} />
+          ) : (
+            <input type="text" class={inputClass} value={value} maxlength={field.maxLength} onInput={onInput} />
+          );
+      }
+    };
+
+    const renderForm = () => (
+      <div class="space-y-2">
+        <div class="max-h-96 overflow-auto space-y-2">
+          {schema.value.map((field) => (
+            <div key={field.name}>
+              <div class="text-gray-600">
+                {field.label || field.name}
+                {field.required && <span class="text-red-500"> *</span>}
+              </div>
+              {renderInput(field)}
+              {errors.value[field.name] && <div class="text-red-500 text-xs">{errors.value[field.name]}</div>}
+            </div>
+          ))}
+          {schema.value.length === 0 && <div class="text-gray-500">图层尚未定义字段</div>}
+          {otherProperties.value.length > 0 && (
+            <table class="text-xs text-gray-500">
+              {otherProperties.value.map(([key, value]) => (
+                <tr key={key}>
+                  <th class="pr-2 text-left">{key}</th>
+                  <td class="break-all">{typeof value === "object" ? JSON.stringify(value) : String(value)}</td>
+                </tr>
+              ))}
+            </table>
+          )}
+        </div>
+        <div class="flex items-center justify-between">
+          <button class="text-blue-600 hover:underline" onClick={() => (editingSchema.value = true)}>
+            编辑字段
+          </button>
+          <div class="flex items-center space-x-2">
+            {saved.value && <span class="text-green-600">已保存</span>}
+            <button
+              class="bg-gray-200 hover:bg-gray-300 px-3 py-1 rounded disabled:opacity-50"
+              disabled={!dirty.value}
+              onClick={resetForm}
+            >
+              还原
+            </button>
+            <button
+              class="bg-blue-500 hover:bg-blue-700 text-white px-3 py-1 rounded disabled:opacity-50"
+              disabled={!dirty.value}
+              onClick={handleSave}
+            >
+              保存
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+
+    return () => (
+      <div class="w-64 bg-white p-2 rounded shadow text-sm space-y-2">
+        <div class="flex items-center justify-between">
+          <span class="font-bold truncate">
+            {editingSchema.value ? "字段定义" : "属性"} - {layer.value?.name}
+          </span>
+          <button class="text-gray-500" onClick={props.onClose}>
+            关闭
+          </button>
+        </div>
+        {editingSchema.value ? (
+          <SchemaEditor
+            layerId={layer.value.id}
+            schema={schema.value}
+            onClose={() => (editingSchema.value = false)}
+          />
+        ) : (
+          renderForm()
+        )}
+      </div>
+    );
+  },
+});
@@ -2,6 +2,21 @@ import { defineComponent, onMounted, onUnmounted, ref, watch } from "vue";
 import * as Cesium from "cesium";
 import "cesium/Build/CesiumUnminified/Widgets/widgets.css";
 // 使用CesiumUnminified版本而非Cesium.min.js，便于调试和错误追踪
+import featureStore from "@utils/featureStore";
+import { flattenGeometry, hasZ } from "@utils/geojson";
+import defaultGeocoder, { formatLatLng, isAbortError } from "@utils/geocoder";
+import SearchBox from "./SearchBox";
+import viewportLoader, { getZoomForBounds } from "@utils/viewportLoader";
+import tileCatalog, { isVectorSource } from "@utils/tileCatalog";
+import { isGeographic } from "@utils/ogc";
+import tileStore from "@utils/tileStore";
+import { getMBTilesImage } from "@utils/mbtiles";
+import { getHeatmapPoints } from "@utils/thematic";
+import { renderHeatmapImage } from "@utils/heatmap";
+import ThematicLegend from "./ThematicLegend";
+
+/** 打印时等待瓦片加载的最长时间（毫秒） */
+const PRINT_LOAD_TIMEOUT = 15000;
 
 /**
  * Cesium3D 组件
@@ -56,6 +71,36 @@ export default defineComponent({
       type: Boolean,
       default: true,
     },
+    /**
+     * 地理编码器
+     * @description 搜索框与右键逆地理编码使用的地理编码器，见 utils/geocoder 的 createGeocoder
+     * @type {Object}
+     * @default 全局共享的地理编码器
+     */
+    geocoder: {
+      type: Object,
+      default: () => defaultGeocoder,
+    },
+    /**
+     * 视野数据源
+     * @description 随相机移动按视野范围加载的数据源适配器，见 utils/dataSources；
+     * 二维与三维地图共用同一个视野加载器，传入相同的数据源即可
+     * @type {Array<Object>}
+     * @default []
+     */
+    dataSources: {
+      type: Array,
+      default: () => [],
+    },
+    /**
+     * 视图变化回调
+     * @description 相机停止移动时调用，参数为 { longitude, latitude, height, heading, pitch }，角度单位为度
+     * @type {Function}
+     */
+    onViewChange: {
+      type: Function,
+      default: null,
+    },
   },
   setup(props, { expose }) {
     // 状态管理
@@ -203,7 +248,7 @@ export default defineComponent({
               })
             : undefined, // 根据配置决定是否启用地形
           baseLayerPicker: true, // 显示图层选择器
-          geocoder: true, // 显示地理编码器，默认使用Bing Maps地理编码服务，允许用户通过地名、地址或坐标进行位置搜索
+          geocoder: false, // 不使用默认的Bing Maps地理编码器，由自定义搜索框替代
           homeButton: true, // 显示主页按钮
           sceneModePicker: true, // 显示场景模式选择器
           navigationHelpButton: true, // 显示帮助按钮
@@ -494,6 +539,819 @@ export default defineComponent({
       });
     };
 
+    /** @type {Map<string, Cesium.CustomDataSource>} 仓库图层ID -> 数据源 */
+    const dataSources = new Map();
+    /** @type {Map<string, Array<Cesium.Entity>>} 要素ID -> 实体数组 */
+    const featureEntities = new Map();
+    /** 取消仓库订阅的函数 */
+    let unsubscribeStore = null;
+
+    /**
+     * 请求重新渲染
+     * @description viewer启用了requestRenderMode，数据变化后需要主动请求渲染
+     * @returns {void}
+     */
+    const requestRender = () => {
+      viewer.value?.scene.requestRender();
+    };
+
+    /**
+     * CSS颜色转换为Cesium颜色
+     * @param {string} color - CSS颜色字符串
+     * @param {number} [alpha=1] - 透明度
+     * @returns {Cesium.Color} Cesium颜色
+     */
+    const toCesiumColor = (color, alpha = 1) =>
+      Cesium.Color.fromCssColorString(color || "#3388ff").withAlpha(alpha);
+
+    /**
+     * 坐标数组转换为笛卡尔坐标
+     * @param {Array<Array<number>>} coordinates - [经度, 纬度, 高程?]数组
+     * @param {boolean} withHeight - 是否使用高程
+     * @returns {Array<Cesium.Cartesian3>} 笛卡尔坐标数组
+     */
+    const toPositions = (coordinates, withHeight) =>
+      withHeight
+        ? Cesium.Cartesian3.fromDegreesArrayHeights(
+            coordinates.flatMap((c) => [c[0], c[1], c[2] || 0])
+          )
+        : Cesium.Cartesian3.fromDegreesArray(coordinates.flatMap((c) => [c[0], c[1]]));
+
+    /**
+     * 计算面要素的拉伸高度
+     * @description 样式中extrudeField指定属性字段，extrudedHeight指定固定高度（米）
+     * @param {Object} feature - 仓库要素
+     * @param {Object} style - 要素样式
+     * @returns {number|undefined} 拉伸高度
+     */
+    const getExtrudedHeight = (feature, style) => {
+      if (style.extrudeField) {
+        const value = parseFloat(feature.properties?.[style.extrudeField]);
+        return Number.isFinite(value) ? value : undefined;
+      }
+      return style.extrudedHeight ?? undefined;
+    };
+
+    /**
+     * 将仓库要素转换为实体配置
+     * @param {Object} feature - 仓库要素
+     * @returns {Array<Object>} 实体构造参数数组
+     */
+    const featureToEntityOptions = (feature) => {
+      const style = featureStore.getFeatureStyle(feature);
+      const lineColor = toCesiumColor(style.color, style.opacity);
+      const fillColor = toCesiumColor(style.fillColor, style.fillOpacity);
+      const { shape, radius } = feature.meta || {};
+      // 带Z值的几何按真实高程显示，否则贴地
+      const withHeight = hasZ(feature.geometry);
+      const extrudedHeight = getExtrudedHeight(feature, style);
+
+      return flattenGeometry(feature.geometry).map((geometry) => {
+        const { type, coordinates } = geometry;
+
+        if (type === "Point" && shape === "circle") {
+          return {
+            position: Cesium.Cartesian3.fromDegrees(coordinates[0], coordinates[1]),
+            ellipse: {
+              semiMajorAxis: radius,
+              semiMinorAxis: radius,
+              material: fillColor,
+              extrudedHeight,
+              heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+            },
+          };
+        }
+
+        if (type === "Point" && style.iconUrl) {
+          return {
+            position: toPositions([coordinates], withHeight)[0],
+            billboard: {
+              image: style.iconUrl,
+              scale: style.iconScale ?? 1,
+              width: 32,
+              height: 32,
+              heightReference: withHeight
+                ? Cesium.HeightReference.NONE
+                : Cesium.HeightReference.CLAMP_TO_GROUND,
+              disableDepthTestDistance: Number.POSITIVE_INFINITY,
+            },
+          };
+        }
+
+        if (type === "Point") {
+          return {
+            position: toPositions([coordinates], withHeight)[0],
+            point: {
+              pixelSize: style.radius * 2,
+              color: toCesiumColor(style.fillColor, 1),
+              outlineColor: lineColor,
+              outlineWidth: 2,
+              heightReference: withHeight
+                ? Cesium.HeightReference.NONE
+                : Cesium.HeightReference.CLAMP_TO_GROUND,
+              disableDepthTestDistance: Number.POSITIVE_INFINITY,
+            },
+          };
+        }
+
+        if (type === "LineString") {
+          return {
+            polyline: {
+              positions: toPositions(coordinates, withHeight),
+              width: style.weight,
+              material: lineColor,
+              clampToGround: !withHeight,
+            },
+          };
+        }
+
+        // Polygon：第一个环为外环，其余为洞
+        const [outer, ...holes] = coordinates.map((ring) =>
+          toPositions(ring, withHeight)
+        );
+        return {
+          polygon: {
+            hierarchy: new Cesium.PolygonHierarchy(
+              outer,
+              holes.map((hole) => new Cesium.PolygonHierarchy(hole))
+            ),
+            material: fillColor,
+            perPositionHeight: withHeight,
+            extrudedHeight,
+          },
+          // 拉伸体由多边形自身的侧面表现轮廓，不再叠加贴地边线
+          polyline:
+            extrudedHeight === undefined
+              ? {
+                  positions: outer,
+                  width: style.weight,
+                  material: lineColor,
+                  clampToGround: !withHeight,
+                }
+              : undefined,
+        };
+      });
+    };
+
+    /**
+     * 获取仓库图层对应的数据源
+     * @param {string} layerId - 仓库图层ID
+     * @returns {Cesium.CustomDataSource|null} 数据源
+     */
+    const getDataSource = (layerId) => {
+      if (dataSources.has(layerId)) return dataSources.get(layerId);
+
+      const storeLayer = featureStore.getLayer(layerId);
+      if (!storeLayer || !viewer.value) return null;
+
+      const dataSource = new Cesium.CustomDataSource(storeLayer.name);
+      dataSource.show = storeLayer.visible && !isHeatmapLayer(storeLayer);
+      dataSources.set(layerId, dataSource);
+      viewer.value.dataSources.add(dataSource);
+      return dataSource;
+    };
+
+    /**
+     * 渲染仓库要素为实体
+     * @param {Array<Object>} features - 仓库要素
+     * @returns {void}
+     */
+    const renderFeatures = (features) => {
+      features.forEach((feature) => {
+        const dataSource = getDataSource(feature.layerId);
+        if (!dataSource) return;
+
+        const entities = featureToEntityOptions(feature).map((options, index) =>
+          dataSource.entities.add({
+            ...options,
+            id: index === 0 ? feature.id : `${feature.id}#${index}`,
+            name: feature.properties?.name ?? feature.id,
+            properties: feature.properties,
+          })
+        );
+        featureEntities.set(feature.id, entities);
+      });
+      requestRender();
+    };
+
+    /**
+     * 移除仓库要素对应的实体
+     * @param {Array<Object>} features - 仓库要素
+     * @returns {void}
+     */
+    const removeFeatureEntities = (features) => {
+      features.forEach((feature) => {
+        const dataSource = dataSources.get(feature.layerId);
+        featureEntities.get(feature.id)?.forEach((entity) => {
+          dataSource?.entities.remove(entity);
+        });
+        featureEntities.delete(feature.id);
+      });
+      requestRender();
+    };
+
+    /**
+     * 处理要素仓库变更
+     * @param {Object} event - 仓库事件
+     * @returns {void}
+     */
+    const handleStoreChange = (event) => {
+      if (!viewer.value) return;
+
+      switch (event.type) {
+        case "layer:add":
+          getDataSource(event.layer.id);
+          break;
+        case "layer:update": {
+          const dataSource = getDataSource(event.layer.id);
+          if (!dataSource) break;
+          dataSource.name = event.layer.name;
+          dataSource.show = event.layer.visible && !isHeatmapLayer(event.layer);
+          syncHeatmap(event.layer);
+          // 样式变化时重建该图层的实体
+          const features = featureStore.getFeatures(event.layer.id);
+          removeFeatureEntities(features);
+          renderFeatures(features);
+          break;
+        }
+        case "layer:remove": {
+          removeFeatureEntities(event.features);
+          removeHeatmap(event.layer.id);
+          const dataSource = dataSources.get(event.layer.id);
+          dataSources.delete(event.layer.id);
+          if (dataSource) viewer.value.dataSources.remove(dataSource, true);
+          requestRender();
+          break;
+        }
+        case "feature:add":
+          renderFeatures(event.features);
+          break;
+        case "feature:update":
+          removeFeatureEntities(event.features);
+          renderFeatures(event.features);
+          break;
+        case "feature:remove":
+          removeFeatureEntities(event.features);
+          break;
+      }
+      // 热力图按图层全部要素重绘
+      if (event.type.startsWith("feature:") && heatmapEntities.has(event.layerId)) {
+        syncHeatmap(featureStore.getLayer(event.layerId));
+      }
+    };
+
+    /** @type {Map<string, Cesium.Entity>} 仓库图层ID -> 热力图贴地矩形 */
+    const heatmapEntities = new Map();
+
+    /**
+     * 判断仓库图层是否以热力图显示
+     * @param {Object} storeLayer - 仓库图层
+     * @returns {boolean} 是否为热力图
+     */
+    const isHeatmapLayer = (storeLayer) => storeLayer?.thematic?.definition.type === "heatmap";
+
+    /**
+     * 移除仓库图层的热力图
+     * @param {string} layerId - 仓库图层ID
+     * @returns {void}
+     */
+    const removeHeatmap = (layerId) => {
+      const entity = heatmapEntities.get(layerId);
+      if (!entity) return;
+      viewer.value.entities.remove(entity);
+      heatmapEntities.delete(layerId);
+      requestRender();
+    };
+
+    /**
+     * 按仓库图层的专题图绘制热力图
+     * @description 热力图按要素范围绘制成图片，以贴地矩形显示，代替该图层的实体
+     * @param {Object} storeLayer - 仓库图层
+     * @returns {void}
+     */
+    const syncHeatmap = (storeLayer) => {
+      removeHeatmap(storeLayer.id);
+      if (!isHeatmapLayer(storeLayer) || !storeLayer.visible) return;
+
+      const { field, radius, blur } = storeLayer.thematic.definition;
+      const image = renderHeatmapImage(
+        getHeatmapPoints(featureStore.getFeatures(storeLayer.id), field),
+        { radius, blur }
+      );
+      if (!image) return;
+      heatmapEntities.set(
+        storeLayer.id,
+        viewer.value.entities.add({
+          rectangle: {
+            coordinates: Cesium.Rectangle.fromDegrees(...image.bounds),
+            material: new Cesium.ImageMaterialProperty({
+              image: image.canvas,
+              transparent: true,
+            }),
+          },
+        })
+      );
+      requestRender();
+    };
+
+    /**
+     * 与要素仓库同步
+     * @description Cesium组件懒加载，挂载时先渲染仓库中已有数据，再订阅后续变更
+     * @returns {void}
+     */
+    const syncWithStore = () => {
+      if (!viewer.value) return;
+      featureStore.state.layers.forEach((storeLayer) => {
+        getDataSource(storeLayer.id);
+        renderFeatures(featureStore.getFeatures(storeLayer.id));
+        syncHeatmap(storeLayer);
+      });
+      unsubscribeStore = featureStore.subscribe(handleStoreChange);
+    };
+
+    /** 定位高亮数据源，定位与搜索结果共用 */
+    let highlightSource = null;
+
+    /**
+     * 获取清空后的高亮数据源
+     * @returns {Cesium.CustomDataSource} 高亮数据源
+     */
+    const resetHighlight = () => {
+      if (!highlightSource) {
+        highlightSource = new Cesium.CustomDataSource("highlight");
+        viewer.value.dataSources.add(highlightSource);
+      }
+      highlightSource.entities.removeAll();
+      return highlightSource;
+    };
+
+    /**
+     * 定位并高亮几何
+     * @description 用于定位未导入的记录（如导入报告中的跳过记录），高亮在下次定位时替换
+     * @param {Object} geometry - WGS84坐标的GeoJSON几何
+     * @param {string} [color="#ff0000"] - 高亮颜色
+     * @returns {void}
+     */
+    const locateGeometry = (geometry, color = "#ff0000") => {
+      if (!viewer.value || !geometry) return;
+      const source = resetHighlight();
+      featureToEntityOptions({
+        geometry,
+        properties: {},
+        style: { color, fillColor: color, fillOpacity: 0.2, weight: 3 },
+      }).forEach((options) => source.entities.add(options));
+      viewer.value.flyTo(source, { duration: 1 });
+    };
+
+    /**
+     * 显示搜索结果
+     * @description 要素结果高亮其几何，地点结果放置带名称的标注；有范围时飞到范围
+     * @param {Object} result - 地理编码结果
+     * @returns {void}
+     */
+    const showSearchResult = (result) => {
+      if (!viewer.value) return;
+      if (result.geometry && result.geometry.type !== "Point") {
+        locateGeometry(result.geometry, "#ff7800");
+        return;
+      }
+
+      const source = resetHighlight();
+      const entity = source.entities.add({
+        position: Cesium.Cartesian3.fromDegrees(result.lng, result.lat),
+        point: {
+          pixelSize: 12,
+          color: Cesium.Color.fromCssColorString("#ff7800"),
+          outlineColor: Cesium.Color.WHITE,
+          outlineWidth: 2,
+          heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+          disableDepthTestDistance: Number.POSITIVE_INFINITY,
+        },
+        label: {
+          text: result.name,
+          font: "14px sans-serif",
+          style: Cesium.LabelStyle.FILL_AND_OUTLINE,
+          fillColor: Cesium.Color.WHITE,
+          outlineColor: Cesium.Color.BLACK,
+          outlineWidth: 2,
+          pixelOffset: new Cesium.Cartesian2(0, -20),
+          heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+          disableDepthTestDistance: Number.POSITIVE_INFINITY,
+        },
+      });
+
+      const [west, south, east, north] = result.bbox || [];
+      if (result.bbox && (west !== east || south !== north)) {
+        viewer.value.camera.flyTo({
+          destination: Cesium.Rectangle.fromDegrees(west, south, east, north),
+          duration: 1,
+        });
+      } else {
+        viewer.value.flyTo(entity, {
+          duration: 1,
+          offset: new Cesium.HeadingPitchRange(0, Cesium.Math.toRadians(-45), 1500),
+        });
+      }
+      requestRender();
+    };
+
+    /**
+     * 清除搜索结果标注
+     * @returns {void}
+     */
+    const clearSearchResult = () => {
+      highlightSource?.entities.removeAll();
+      requestRender();
+    };
+
+    /**
+     * 逆地理编码弹窗状态
+     * @type {import('vue').Ref<{x: number, y: number, lat: number, lng: number, loading: boolean, results: Array<Object>, error: boolean}|null>}
+     */
+    const reverseInfo = ref(null);
+    /** 进行中的逆地理编码请求 */
+    let reverseController = null;
+
+    /**
+     * 右键逆地理编码
+     * @description 右键单击（非拖动）时拾取地面位置并查询地址，结果显示在点击处
+     * @param {Cesium.Cartesian2} position - 屏幕坐标
+     * @returns {Promise<void>}
+     */
+    const reverseGeocode = async (position) => {
+      const scene = viewer.value.scene;
+      const ray = viewer.value.camera.getPickRay(position);
+      const cartesian =
+        (ray && scene.globe.pick(ray, scene)) ||
+        viewer.value.camera.pickEllipsoid(position, scene.globe.ellipsoid);
+      if (!cartesian) return;
+
+      const cartographic = Cesium.Cartographic.fromCartesian(cartesian);
+      const lng = Cesium.Math.toDegrees(cartographic.longitude);
+      const lat = Cesium.Math.toDegrees(cartographic.latitude);
+
+      reverseController?.abort();
+      reverseController = new AbortController();
+      const { signal } = reverseController;
+      reverseInfo.value = {
+        x: position.x,
+        y: position.y,
+        lat,
+        lng,
+        loading: true,
+        results: [],
+        error: false,
+      };
+      try {
+        const results = await props.geocoder.reverse({ lng, lat }, { signal });
+        reverseInfo.value = {
+          ...reverseInfo.value,
+          loading: false,
+          results: results.filter((result) => result.provider !== "coordinate"),
+        };
+      } catch (error) {
+        if (!isAbortError(error)) {
+          reverseInfo.value = { ...reverseInfo.value, loading: false, error: true };
+        }
+      }
+    };
+
+    /**
+     * 关闭逆地理编码弹窗
+     * @returns {void}
+     */
+    const closeReverseInfo = () => {
+      reverseController?.abort();
+      reverseController = null;
+      reverseInfo.value = null;
+    };
+
+    /**
+     * 加载视野范围内的数据
+     * @description 相机停止移动后计算可视范围，按范围宽度估算与二维一致的级别；
+     * 视线朝向天空等无法计算范围时不加载
+     * @returns {void}
+     */
+    const loadDataInView = () => {
+      if (!viewer.value) return;
+      const rectangle = viewer.value.camera.computeViewRectangle(
+        viewer.value.scene.globe.ellipsoid
+      );
+      if (!rectangle) return;
+      const bbox = [rectangle.west, rectangle.south, rectangle.east, rectangle.north].map(
+        Cesium.Math.toDegrees
+      );
+      viewportLoader.update(
+        {
+          bbox,
+          zoom: getZoomForBounds(bbox, viewer.value.canvas.clientWidth),
+        },
+        "3d"
+      );
+    };
+
+    // 注册视野数据源，移除不再传入的数据源
+    watch(
+      () => props.dataSources,
+      (sources, previous = []) => {
+        previous
+          .filter((source) => !sources.includes(source))
+          .forEach((source) => viewportLoader.removeSource(source.id));
+        sources.forEach(viewportLoader.addSource);
+      },
+      { immediate: true }
+    );
+
+    /** @type {Map<string, Cesium.ImageryLayer>} 瓦片图层源ID -> 叠加影像图层 */
+    const overlayImageryLayers = new Map();
+    /** 显示在图层选择器底图之上的目录底图（本地MBTiles或离线时） */
+    let baseImageryLayer = null;
+
+    /**
+     * 将Blob图片加载为影像
+     * @description 经由Cesium自身的图片加载流程，保证与网络瓦片的翻转、色彩处理一致
+     * @param {Cesium.ImageryProvider} provider - 影像提供者
+     * @param {Blob} blob - 瓦片图片
+     * @returns {Promise<HTMLImageElement|ImageBitmap>} 影像
+     */
+    const loadBlobImage = async (provider, blob) => {
+      const url = URL.createObjectURL(blob);
+      try {
+        return await Cesium.ImageryProvider.loadImage(provider, url);
+      } finally {
+        URL.revokeObjectURL(url);
+      }
+    };
+
+    /**
+     * 为影像提供者增加离线回退
+     * @description 离线或网络请求失败时读取离线缓存中预先下载的瓦片（见 utils/tileStore）；
+     * 缓存按Web墨卡托XYZ瓦片保存，只适用于墨卡托切片方案
+     * @param {Cesium.ImageryProvider} provider - 影像提供者
+     * @param {string} sourceId - 瓦片图层源ID
+     * @returns {Cesium.ImageryProvider} 同一影像提供者
+     */
+    const withOfflineFallback = (provider, sourceId) => {
+      const requestImage = provider.requestImage.bind(provider);
+      const loadCached = async (x, y, level) => {
+        const blob = await tileStore.getTile(sourceId, { z: level, x, y });
+        if (!blob) throw new Error("离线缓存中没有该瓦片");
+        return loadBlobImage(provider, blob);
+      };
+      provider.requestImage = (x, y, level, request) => {
+        if (!tileStore.state.online) return loadCached(x, y, level);
+        // 请求被节流时返回undefined，由Cesium稍后重试
+        return requestImage(x, y, level, request)?.catch((error) =>
+          loadCached(x, y, level).catch(() => Promise.reject(error))
+        );
+      };
+      return provider;
+    };
+
+    /**
+     * 创建MBTiles影像提供者
+     * @description 瓦片从本地文件读取（见 utils/mbtiles），文件中没有的瓦片显示为透明
+     * @param {Object} source - MBTiles图层源
+     * @returns {Cesium.ImageryProvider} 影像提供者
+     */
+    const createMBTilesProvider = (source) => {
+      const provider = new Cesium.UrlTemplateImageryProvider({
+        url: `${source.url}/{z}/{x}/{y}`,
+        minimumLevel: source.minZoom ?? 0,
+        maximumLevel: source.maxZoom ?? 18,
+        credit: source.attribution,
+        rectangle: source.bounds ? Cesium.Rectangle.fromDegrees(...source.bounds) : undefined,
+      });
+      const emptyTile = document.createElement("canvas");
+      emptyTile.width = emptyTile.height = 1;
+      provider.requestImage = async (x, y, level) => {
+        const blob = await getMBTilesImage(source.id, { z: level, x, y });
+        return blob ? loadBlobImage(provider, blob) : emptyTile;
+      };
+      return provider;
+    };
+
+    /**
+     * 将瓦片地址模板转换为Cesium格式
+     * @description TMS与Leaflet的 {-y} 写法均对应Cesium的 {reverseY}
+     * @param {Object} source - 瓦片图层源，见 utils/tileCatalog
+     * @param {string} url - 已替换密钥的地址模板
+     * @returns {string} Cesium地址模板
+     */
+    const toCesiumTemplate = (source, url) =>
+      source.type === "tms"
+        ? url.replace("{y}", "{reverseY}")
+        : url.replace("{-y}", "{reverseY}");
+
+    /**
+     * 根据瓦片图层源创建影像提供者
+     * @description WMS按Web墨卡托请求并支持拾取要素（GetFeatureInfo）；
+     * WMTS按瓦片矩阵集坐标系选择墨卡托或经纬度切片方案；墨卡托切片的图层可离线回退到缓存
+     * @param {Object} source - 瓦片图层源
+     * @param {string} url - 已替换密钥的地址
+     * @returns {Cesium.ImageryProvider} 影像提供者
+     */
+    const createImageryProvider = (source, url) => {
+      if (source.type === "mbtiles") return createMBTilesProvider(source);
+      const common = {
+        minimumLevel: source.minZoom ?? 0,
+        maximumLevel: source.maxZoom ?? 18,
+        credit: source.attribution,
+        ...(source.subdomains ? { subdomains: source.subdomains } : {}),
+      };
+      if (source.type === "wms") {
+        const version = source.version || "1.3.0";
+        const provider = new Cesium.WebMapServiceImageryProvider({
+          ...common,
+          url,
+          layers: source.layers,
+          parameters: {
+            format: source.format || "image/png",
+            transparent: source.transparent ?? true,
+            styles: source.styles || "",
+            version,
+          },
+          tilingScheme: new Cesium.WebMercatorTilingScheme(),
+          [version.startsWith("1.3") ? "crs" : "srs"]: "EPSG:3857",
+          enablePickFeatures: source.queryable !== false,
+          getFeatureInfoFormats: [new Cesium.GetFeatureInfoFormat("json", "application/json")],
+        });
+        return withOfflineFallback(provider, source.id);
+      }
+      if (source.type === "wmts") {
+        const geographic = isGeographic(source.crs);
+        const provider = new Cesium.WebMapTileServiceImageryProvider({
+          ...common,
+          url,
+          layer: source.layer,
+          style: source.style || "default",
+          format: source.format || "image/png",
+          tileMatrixSetID: source.tileMatrixSet,
+          tileMatrixLabels: source.matrixIds?.length ? [...source.matrixIds] : undefined,
+          tilingScheme: geographic
+            ? new Cesium.GeographicTilingScheme()
+            : new Cesium.WebMercatorTilingScheme(),
+        });
+        return geographic ? provider : withOfflineFallback(provider, source.id);
+      }
+      const provider = new Cesium.UrlTemplateImageryProvider({
+        ...common,
+        url: toCesiumTemplate(source, url),
+        subdomains: source.subdomains || "abc",
+      });
+      return withOfflineFallback(provider, source.id);
+    };
+
+    /**
+     * 同步目录底图
+     * @description 三维底图平时由Cesium自带的图层选择器管理；目录底图为本地MBTiles，
+     * 或离线时（图层选择器的在线影像无法加载），改为在其上方显示目录底图；矢量瓦片底图仅二维显示
+     * @returns {void}
+     */
+    const syncBaseImagery = () => {
+      const { imageryLayers } = viewer.value;
+      const baseMap = tileCatalog.getBaseMap();
+      const show =
+        baseMap &&
+        !isVectorSource(baseMap) &&
+        (baseMap.type === "mbtiles" || !tileStore.state.online);
+      const url = show ? tileCatalog.resolveUrl(baseMap) : null;
+      if (baseImageryLayer && baseImageryLayer.sourceUrl !== url) {
+        imageryLayers.remove(baseImageryLayer, true);
+        baseImageryLayer = null;
+      }
+      if (url && !baseImageryLayer) {
+        baseImageryLayer = new Cesium.ImageryLayer(createImageryProvider(baseMap, url));
+        baseImageryLayer.sourceUrl = url;
+        baseImageryLayer.sourceName = baseMap.name;
+        // 紧贴图层选择器的底图（序号0）之上
+        imageryLayers.add(baseImageryLayer, Math.min(1, imageryLayers.length));
+      }
+      if (baseImageryLayer) baseImageryLayer.alpha = baseMap.opacity ?? 1;
+    };
+
+    /**
+     * 按瓦片图层目录同步影像图层
+     * @description 底图见 syncBaseImagery；叠加图层按目录顺序叠放在底图之上，矢量瓦片图层仅二维显示
+     * @returns {void}
+     */
+    const syncOverlayImagery = () => {
+      if (!viewer.value) return;
+      syncBaseImagery();
+      const { imageryLayers } = viewer.value;
+      const overlays = tileCatalog.getOverlays();
+      const active = new Set();
+
+      // 目录中靠前的在上层，从下往上依次置顶
+      [...overlays].reverse().forEach((source) => {
+        const url = source.visible && !isVectorSource(source) ? tileCatalog.resolveUrl(source) : null;
+        let layer = overlayImageryLayers.get(source.id);
+        if (layer && layer.sourceUrl !== url) {
+          imageryLayers.remove(layer, true);
+          layer = null;
+        }
+        if (!url) {
+          overlayImageryLayers.delete(source.id);
+          return;
+        }
+        if (!layer) {
+          layer = imageryLayers.addImageryProvider(createImageryProvider(source, url));
+          layer.sourceUrl = url;
+          layer.sourceName = source.name;
+          overlayImageryLayers.set(source.id, layer);
+        }
+        layer.alpha = source.opacity ?? 1;
+        imageryLayers.raiseToTop(layer);
+        active.add(source.id);
+      });
+      overlayImageryLayers.forEach((layer, id) => {
+        if (active.has(id)) return;
+        imageryLayers.remove(layer, true);
+        overlayImageryLayers.delete(id);
+      });
+      requestRender();
+    };
+
+    // 瓦片图层目录变化或网络状态变化后同步影像图层
+    watch(() => tileCatalog.state, syncOverlayImagery, { deep: true });
+    watch(() => tileStore.state.online, syncOverlayImagery);
+
+    /**
+     * WMS要素信息弹窗状态
+     * @type {import('vue').Ref<{x: number, y: number, loading: boolean, items: Array<Object>, error: boolean}|null>}
+     */
+    const featureInfo = ref(null);
+    /** 要素信息查询序号，忽略过时的结果 */
+    let featureInfoSeq = 0;
+
+    /**
+     * 单击查询WMS要素信息
+     * @description 点击位置没有实体时，对可拾取的影像图层（WMS）发起GetFeatureInfo
+     * @param {Cesium.Cartesian2} position - 屏幕坐标
+     * @returns {Promise<void>}
+     */
+    const queryFeatureInfo = async (position) => {
+      const seq = ++featureInfoSeq;
+      featureInfo.value = null;
+      const scene = viewer.value.scene;
+      if (Cesium.defined(scene.pick(position))) return;
+      const ray = viewer.value.camera.getPickRay(position);
+      const picking = ray && viewer.value.imageryLayers.pickImageryLayerFeatures(ray, scene);
+      if (!picking) return;
+
+      featureInfo.value = { x: position.x, y: position.y, loading: true, items: [], error: false };
+      try {
+        const infos = await picking;
+        if (seq !== featureInfoSeq) return;
+        featureInfo.value = {
+          ...featureInfo.value,
+          loading: false,
+          items: infos.map((info) => ({
+            layerName: info.imageryLayer?.sourceName || "",
+            id: info.data?.id != null ? String(info.data.id) : info.name || "",
+            properties: info.properties || {},
+          })),
+        };
+      } catch (error) {
+        if (seq === featureInfoSeq) {
+          featureInfo.value = { ...featureInfo.value, loading: false, error: true };
+        }
+      }
+    };
+
+    /**
+     * 关闭要素信息弹窗
+     * @returns {void}
+     */
+    const closeFeatureInfo = () => {
+      featureInfoSeq++;
+      featureInfo.value = null;
+    };
+
+    /**
+     * 注册右键逆地理编码与单击要素信息查询
+     * @returns {void}
+     */
+    const setupReverseGeocode = () => {
+      if (!viewer.value) return;
+      const handler = new Cesium.ScreenSpaceEventHandler(viewer.value.canvas);
+      handler.setInputAction(
+        ({ position }) => reverseGeocode(position),
+        Cesium.ScreenSpaceEventType.RIGHT_CLICK
+      );
+      // 左键单击或相机移动后弹窗位置已失效，直接关闭
+      handler.setInputAction(({ position }) => {
+        closeReverseInfo();
+        queryFeatureInfo(position);
+      }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+      viewer.value.camera.moveStart.addEventListener(closeReverseInfo);
+      viewer.value.camera.moveStart.addEventListener(closeFeatureInfo);
+
+      onUnmounted(() => {
+        if (!handler.isDestroyed()) handler.destroy();
+      });
+    };
+
     /**
      * 切换地图模式
      * @description 在2D、3D和2.5D模式之间切换
@@ -550,32 +1408,214 @@ export default defineComponent({
       });
     };
 
+    /** 查看器初始化完成前设置的视图，初始化后应用 */
+    let pendingView = null;
+    /** 初始视角是否已设置 */
+    let cameraReady = false;
+
+    /**
+     * 获取当前相机视图
+     * @returns {Object|null} { longitude, latitude, height, heading, pitch }，角度单位为度
+     */
+    const getView = () => {
+      if (!viewer.value) return null;
+      const { camera } = viewer.value;
+      const { longitude, latitude, height } = camera.positionCartographic;
+      return {
+        longitude: Cesium.Math.toDegrees(longitude),
+        latitude: Cesium.Math.toDegrees(latitude),
+        height,
+        heading: Cesium.Math.toDegrees(camera.heading),
+        pitch: Cesium.Math.toDegrees(camera.pitch),
+      };
+    };
+
+    /**
+     * 设置相机视图
+     * @description 查看器尚未初始化时保存，初始化后代替默认视角
+     * @param {Object} view - { longitude, latitude, height, heading, pitch }，角度单位为度
+     * @returns {void}
+     */
+    const setView = (view) => {
+      if (!cameraReady) {
+        pendingView = view;
+        return;
+      }
+      const { longitude, latitude, height, heading = 0, pitch = -45 } = view;
+      // setView不会取消进行中的飞行，飞行的补间会覆盖设置的视角
+      viewer.value.camera.cancelFlight();
+      viewer.value.camera.setView({
+        destination: Cesium.Cartesian3.fromDegrees(longitude, latitude, height),
+        orientation: {
+          heading: Cesium.Math.toRadians(heading),
+          pitch: Cesium.Math.toRadians(pitch),
+          roll: 0.0,
+        },
+      });
+    };
+
+    /**
+     * 截取打印用的三维画面
+     * @description 临时把容器调整为地图框大小并按输出分辨率渲染，等待地形与影像瓦片加载后
+     * 立即复制画布（WebGL画布不保留绘图缓冲），完成后恢复原大小与分辨率
+     * @param {Object} options - 选项
+     * @param {number} options.width - 画面宽度（CSS像素）
+     * @param {number} options.height - 画面高度（CSS像素）
+     * @param {number} [options.pixelRatio=1] - 输出像素与CSS像素之比
+     * @returns {Promise<Object>} { canvas, metersPerPixel, heading, grid, attributions }，
+     * 三维透视视图不绘制经纬网，grid为null；画面中心没有拾取到地球时metersPerPixel为null
+     */
+    const capturePrintImage = async ({ width, height, pixelRatio = 1 }) => {
+      const { container, scene, camera } = viewer.value;
+      const { width: savedWidth, height: savedHeight } = container.style;
+      const savedScale = viewer.value.resolutionScale;
+      try {
+        container.style.width = `${width}px`;
+        container.style.height = `${height}px`;
+        viewer.value.resolutionScale = pixelRatio;
+        viewer.value.resize();
+        const start = Date.now();
+        viewer.value.render();
+        while (!scene.globe.tilesLoaded && Date.now() - start < PRINT_LOAD_TIMEOUT) {
+          await new Promise((resolve) => requestAnimationFrame(resolve));
+          viewer.value.render();
+        }
+        viewer.value.render();
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.round(width * pixelRatio);
+        canvas.height = Math.round(height * pixelRatio);
+        canvas.getContext("2d").drawImage(scene.canvas, 0, 0, canvas.width, canvas.height);
+
+        const left = camera.pickEllipsoid(new Cesium.Cartesian2(width / 2 - 50, height / 2));
+        const right = camera.pickEllipsoid(new Cesium.Cartesian2(width / 2 + 50, height / 2));
+        const attributions = [];
+        for (let i = 0; i < viewer.value.imageryLayers.length; i += 1) {
+          const layer = viewer.value.imageryLayers.get(i);
+          if (layer.show) attributions.push(layer.imageryProvider?.credit?.html);
+        }
+        return {
+          canvas,
+          metersPerPixel: left && right ? Cesium.Cartesian3.distance(left, right) / 100 : null,
+          heading: Cesium.Math.toDegrees(camera.heading),
+          grid: null,
+          attributions,
+        };
+      } finally {
+        container.style.width = savedWidth;
+        container.style.height = savedHeight;
+        viewer.value.resolutionScale = savedScale;
+        viewer.value.resize();
+        viewer.value.scene.requestRender();
+      }
+    };
+
     // 生命周期钩子
     onMounted(async () => {
       await initViewer(); // 初始化地图查看器
       configureSceneEffects(); // 配置场景效果
-      setCameraView(props.centerPoint, props.height); // 设置初始视角
+      if (viewer.value) cameraReady = true;
+      // 有保存或链接中的视角时直接恢复，不再飞到默认视角
+      if (pendingView) setView(pendingView);
+      else setCameraView(props.centerPoint, props.height); // 设置初始视角
       configureCameraController(); // 配置相机控制
       setupMouseInteraction(); // 设置鼠标交互
+      setupReverseGeocode(); // 注册右键逆地理编码
+      viewer.value?.camera.moveEnd.addEventListener(loadDataInView); // 相机停止后加载视野数据
+      viewer.value?.camera.moveEnd.addEventListener(() => props.onViewChange?.(getView())); // 通知视图变化
       optimizeCameraMovement(); // 添加相机移动优化
+      syncWithStore(); // 同步共享要素仓库
+      syncOverlayImagery(); // 显示叠加瓦片图层
       await load3DTilesets(); // 加载3D模型
     });
 
     onUnmounted(() => {
+      unsubscribeStore?.(); // 取消要素仓库订阅
+      viewportLoader.removeView("3d"); // 不再加载三维视野的数据
+      reverseController?.abort(); // 取消进行中的逆地理编码
       cleanup(); // 组件卸载时清理资源
     });
 
     // 暴露方法给父组件
     expose({
+      locateGeometry, // 定位并高亮几何
       addPipelines, // 添加管线数据
       switchMapMode, // 切换地图模式
       changeSkyBox, // 切换天空盒
       getViewer: () => viewer.value, // 获取viewer实例
+      getView, // 获取相机视图
+      setView, // 设置相机视图
+      capturePrintImage, // 截取打印画面
     });
 
     return () => (
       <div class="relative w-full h-[80vh]">
         <div id="cesiumContainer" class="w-full h-full"></div>
+        <div class="absolute top-2 left-2 z-20">
+          <SearchBox
+            geocoder={props.geocoder}
+            onSelect={showSearchResult}
+            onClear={clearSearchResult}
+          />
+        </div>
+        {reverseInfo.value && (
+          <div
+            class="absolute z-20 bg-white rounded shadow-lg p-2 text-sm max-w-xs"
+            style={{ left: `${reverseInfo.value.x}px`, top: `${reverseInfo.value.y}px` }}
+          >
+            <div class="flex items-center justify-between space-x-2">
+              <span class="text-xs text-gray-500">
+                {formatLatLng(reverseInfo.value.lat, reverseInfo.value.lng)}
+              </span>
+              <button class="text-gray-400 hover:text-gray-600" onClick={closeReverseInfo}>
+                ×
+              </button>
+            </div>
+            {reverseInfo.value.loading && <div>正在查询…</div>}
+            {reverseInfo.value.error && <div>查询失败</div>}
+            {!reverseInfo.value.loading &&
+              !reverseInfo.value.error &&
+              !reverseInfo.value.results.length && <div>未找到地址</div>}
+            {reverseInfo.value.results.map((result) => (
+              <div key={`${result.provider}:${result.id}`} class="mt-1">
+                <span class="font-bold">{result.name}</span>
+                <span class="text-xs text-gray-400 ml-1">{result.providerName}</span>
+                {result.description && <div class="text-xs">{result.description}</div>}
+              </div>
+            ))}
+          </div>
+        )}
+        {featureInfo.value && (
+          <div
+            class="absolute z-20 bg-white rounded shadow-lg p-2 text-sm max-w-sm max-h-80 overflow-auto"
+            style={{ left: `${featureInfo.value.x}px`, top: `${featureInfo.value.y}px` }}
+          >
+            <div class="flex justify-between items-start space-x-2">
+              <span class="font-bold">要素信息</span>
+              <button class="text-gray-400 hover:text-gray-600" onClick={closeFeatureInfo}>
+                ×
+              </button>
+            </div>
+            {featureInfo.value.loading && <div>正在查询…</div>}
+            {featureInfo.value.error && <div>查询失败</div>}
+            {!featureInfo.value.loading &&
+              !featureInfo.value.error &&
+              !featureInfo.value.items.length && <div>未查询到要素</div>}
+            {featureInfo.value.items.map((item, index) => (
+              <div key={index} class="mt-1">
+                <div class="font-bold">{item.layerName}</div>
+                <div class="text-xs text-gray-500">{item.id}</div>
+                <table class="text-xs">
+                  {Object.entries(item.properties).map(([key, value]) => (
+                    <tr key={key}>
+                      <th class="pr-2 text-left">{key}</th>
+                      <td>{typeof value === "object" ? JSON.stringify(value) : String(value ?? "")}</td>
+                    </tr>
+                  ))}
+                </table>
+              </div>
+            ))}
+          </div>
+        )}
         <select
           class="absolute top-34 right-4 px-4 py-2 bg-white rounded-lg shadow-md border border-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500"
           onChange={(e) => changeSkyBox(e.target.value)}
@@ -587,6 +1627,9 @@ export default defineComponent({
             </option>
           ))}
         </select>
+        <div class="absolute bottom-10 left-2 z-20">
+          <ThematicLegend />
+        </div>
         {isLoading.value && (
           <div class="absolute inset-0 flex items-center justify-center bg-black bg-opacity-30 z-10">
             <div class="bg-white p-4 rounded-lg shadow-lg text-center">
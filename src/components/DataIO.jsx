@@ -1,101 +1,357 @@
-import { defineComponent, ref } from 'vue';
+import { defineComponent, ref, shallowRef } from 'vue';
 import * as XLSX from 'xlsx';
 import { saveAs } from 'file-saver';
+import { parseKML, parseKMZ, toKML } from '@utils/kml';
+import { parseShapefileZip } from '@utils/shapefile';
+import { toExportFeatures, toGeoJSONText, toWorkbook, toCSV } from '@utils/exporters';
+import { createImportReport, addToReport } from '@utils/importReport';
+import { prepareFeatures } from '@utils/importPipeline';
+import { createImportSession, ImportCancelledError } from '@utils/importTask';
+import ImportMapping from './ImportMapping';
+import ImportReport from './ImportReport';
+import ImportProgress from './ImportProgress';
+import featureStore from '@utils/featureStore';
+import selection from '@utils/selection';
+import { CRS_OPTIONS, WGS84 } from '@utils/projection';
+import { isOffsetCrs } from '@utils/coordTransform';
+
+/**
+ * 读取文件内容
+ * @param {File} file - 文件对象
+ * @param {'text'|'arrayBuffer'} type - 读取方式
+ * @returns {Promise<string|ArrayBuffer>} 文件内容
+ */
+const readFile = (file, type) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    if (type === 'text') reader.readAsText(file);
+    else reader.readAsArrayBuffer(file);
+  });
+
+/**
+ * 去掉文件扩展名，作为导入图层名称
+ * @param {string} fileName - 文件名
+ * @returns {string} 图层名称
+ */
+const getBaseName = (fileName) => fileName.replace(/\.[^.]+$/, '');
 
 export default defineComponent({
   name: 'DataIO',
   props: {
+    /**
+     * 数据导入回调
+     * @description 参数为WGS84坐标的GeoJSON Feature数组和导入信息 { name, crs, style }，
+     * crs为数据的源坐标系，style为导入时指定的图层样式（可选）；
+     * 多图层文件（如KML、多工作表的工作簿）按图层多次调用
+     * @type {Function}
+     */
     onDataImported: {
       type: Function,
       required: true
+    },
+    /**
+     * 定位几何回调
+     * @description 导入报告中点击"定位"时调用，参数为WGS84坐标的GeoJSON几何
+     * @type {Function}
+     */
+    onLocate: {
+      type: Function,
+      default: null
     }
   },
   setup(props) {
     const fileInput = ref(null);
+    // 表格导入的列映射会话 { fileName, sheets, session }
+    const mappingSession = shallowRef(null);
+    // 后台导入任务的进度 { fileName, phase, processed, total, startedAt, session }
+    const importTask = shallowRef(null);
+    // 导入数据的源坐标系，导入时统一转换到WGS84
+    const importCrs = ref(WGS84);
+    // 导出文件的目标坐标系
+    const exportCrs = ref(WGS84);
+    // 最近一次导出的提示 { type: 'error' | 'warning', text }
+    const exportMessage = ref(null);
+
+    // 最近一次导入的校验报告
+    const importReport = shallowRef(null);
+
+    /**
+     * 校验图层要素并交给地图，结果计入导入报告
+     * @description 用于在主线程解析的KML与Shapefile（KML依赖DOMParser，Worker中不可用）。
+     * 要素先从源坐标系转换到WGS84，再做经纬度范围、重复ID与编码校验
+     * @param {Object} report - 导入报告
+     * @param {Object} layer - 图层
+     * @param {string} layer.name - 图层名称
+     * @param {Array<Object>} layer.features - 要素
+     * @param {string} [layer.crs] - 要素的源坐标系，缺省为用户选择的数据坐标系
+     * @param {Set<string>} seenIds - 同一文件中已出现的要素ID
+     */
+    const importLayer = (report, { name, features, crs = importCrs.value }, seenIds) => {
+      const result = prepareFeatures(features, { layer: name, crs, seenIds });
+      addToReport(report, {
+        layer: name,
+        imported: result.features.length,
+        skipped: result.skipped
+      });
+      if (result.features.length) {
+        props.onDataImported(result.features, { name, crs });
+      }
+    };
+
+    /**
+     * 在导入Worker中执行任务并显示进度
+     * @description 任务完成前要素只在内存中累积，取消时整体丢弃，不会留下部分图层
+     * @param {Object} session - 导入Worker会话
+     * @param {string} fileName - 文件名
+     * @param {Object} message - 任务消息
+     * @param {Array<Transferable>} [transfer] - 转移所有权的对象
+     * @returns {Promise<Object>} 任务结果
+     */
+    const runTask = async (session, fileName, message, transfer) => {
+      importTask.value = { fileName, phase: 'parse', processed: 0, total: 0, startedAt: 0, session };
+      try {
+        return await session.run(message, {
+          transfer,
+          onProgress: ({ phase, processed, total }) => {
+            const task = importTask.value;
+            importTask.value = {
+              ...task,
+              phase,
+              processed,
+              total,
+              // 剩余时间从转换阶段开始估算
+              startedAt: phase === 'convert' && !task.startedAt ? Date.now() : task.startedAt
+            };
+          }
+        });
+      } finally {
+        importTask.value = null;
+      }
+    };
+
+    // 导出的图层ID，为空时导出全部图层，为SELECTION_EXPORT时导出空间选择的要素
+    const exportLayerId = ref('');
+    const SELECTION_EXPORT = ':selection';
+
+    /**
+     * 收集待导出的要素
+     * @description 导出全部图层或所选要素且tagLayer为true时在属性中写入所属图层名称；
+     * Excel按图层分表，不需要该属性
+     * @param {Object} [options] - 选项
+     * @param {boolean} [options.tagLayer=true] - 是否写入图层名称属性
+     * @param {string} [options.crs] - 导出坐标系，默认为所选的导出坐标系
+     * @returns {{name: string, layers: Array<Object>, features: Array<Object>}}
+     * 文件名、按图层分组的要素和全部要素（均为导出坐标系下的GeoJSON Feature）
+     */
+    const collectExport = ({ tagLayer = true, crs = exportCrs.value } = {}) => {
+      const selected = exportLayerId.value === SELECTION_EXPORT;
+      const all = !exportLayerId.value || selected;
+      const selectedFeatures = selected ? selection.getFeatures() : [];
+      const targets = all
+        ? featureStore.state.layers
+        : featureStore.state.layers.filter(layer => layer.id === exportLayerId.value);
+      const layers = targets
+        .map(layer => ({
+          name: layer.name,
+          style: layer.style,
+          features: toExportFeatures(
+            selected
+              ? selectedFeatures.filter(feature => feature.layerId === layer.id)
+              : featureStore.getFeatures(layer.id),
+            {
+              crs,
+              layerName: all && tagLayer ? layer.name : undefined
+            }
+          )
+        }))
+        // 导出所选要素时省略没有选中要素的图层
+        .filter(layer => !selected || layer.features.length);
+      return {
+        name: selected ? 'selection' : all ? 'map' : targets[0]?.name || 'map',
+        layers,
+        features: layers.flatMap(layer => layer.features)
+      };
+    };
 
     const handleFileUpload = async (event) => {
       const file = event.target.files[0];
       if (!file) return;
+      // 清空选择，允许重复导入同一文件
+      event.target.value = '';
 
+      const report = createImportReport(file.name);
+      // 表格导入需要先经过列映射，报告在确认映射后生成
+      let deferred = false;
       try {
-        if (file.name.endsWith('.xlsx') || file.name.endsWith('.xls')) {
+        const name = file.name.toLowerCase();
+        if (/\.(xlsx|xls|csv|txt)$/.test(name)) {
           await handleExcelFile(file);
-        } else if (file.name.endsWith('.geojson')) {
-          await handleGeoJSONFile(file);
+          deferred = true;
+        } else if (name.endsWith('.geojson') || name.endsWith('.json')) {
+          await handleGeoJSONFile(file, report);
+        } else if (name.endsWith('.kml') || name.endsWith('.kmz')) {
+          await handleKMLFile(file, report);
+        } else if (name.endsWith('.zip')) {
+          await handleShapefile(file, report);
         } else {
-          alert('不支持的文件格式');
+          report.error = '不支持的文件格式';
         }
       } catch (error) {
+        if (error instanceof ImportCancelledError) return;
         console.error('文件处理错误:', error);
-        alert('文件处理失败');
+        report.error = `文件处理失败: ${error.message}`;
+        deferred = false;
       }
+      if (!deferred) importReport.value = report;
     };
 
     const handleExcelFile = async (file) => {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: 'array' });
-        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-        const jsonData = XLSX.utils.sheet_to_json(worksheet);
-
-        // 假设Excel文件包含lat和lng列
-        const points = jsonData.map(row => ({
-          lat: parseFloat(row.lat),
-          lng: parseFloat(row.lng),
-          properties: { ...row }
-        })).filter(point => !isNaN(point.lat) && !isNaN(point.lng));
-
-        props.onDataImported(points);
-      };
-      reader.readAsArrayBuffer(file);
+      // 在Worker中读取工作簿，只取回表头与样本行用于列映射；工作簿留在Worker中等待转换
+      const session = createImportSession();
+      const buffer = await readFile(file, 'arrayBuffer');
+      try {
+        const { sheets } = await runTask(session, file.name, {
+          type: 'workbook:open',
+          buffer,
+          fileName: file.name
+        }, [buffer]);
+        mappingSession.value = { fileName: file.name, sheets, session };
+      } catch (error) {
+        session.cancel();
+        throw error;
+      }
     };
 
-    const handleGeoJSONFile = async (file) => {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        try {
-          const geojson = JSON.parse(e.target.result);
-          if (geojson.type === 'FeatureCollection') {
-            const points = geojson.features
-              .filter(feature => feature.geometry.type === 'Point')
-              .map(feature => ({
-                lat: feature.geometry.coordinates[1],
-                lng: feature.geometry.coordinates[0],
-                properties: feature.properties || {}
-              }));
-            props.onDataImported(points);
-          }
-        } catch (error) {
-          console.error('GeoJSON解析错误:', error);
-          alert('无效的GeoJSON文件');
+    const handleMappingCancel = () => {
+      mappingSession.value.session.cancel();
+      mappingSession.value = null;
+    };
+
+    const handleMappingConfirm = async ({ sheets: selected }) => {
+      const { fileName, sheets, session } = mappingSession.value;
+      mappingSession.value = null;
+
+      const report = createImportReport(fileName);
+      // 多工作表的工作簿中每个工作表作为独立图层，以工作表名称命名
+      const baseName = getBaseName(fileName);
+      const layers = [];
+      try {
+        for (const { sheetName, mapping, style } of selected) {
+          const name = sheets.length > 1 ? sheetName : baseName;
+          const taskName = selected.length > 1 ? `${fileName} - ${sheetName}` : fileName;
+          const { features, skipped } = await runTask(session, taskName, {
+            type: 'workbook:convert',
+            sheetName,
+            name,
+            mapping
+          });
+          addToReport(report, { layer: name, imported: features.length, skipped });
+          layers.push({ name, features, mapping, style });
         }
-      };
-      reader.readAsText(file);
+        // 全部工作表转换完成后再添加图层，中途取消不会留下部分图层；
+        // 列映射中已按所选坐标系转换到WGS84，crs仅记录源坐标系
+        layers.forEach(({ name, features, mapping, style }) => {
+          if (features.length) props.onDataImported(features, { name, crs: mapping.crs, style });
+        });
+      } catch (error) {
+        if (error instanceof ImportCancelledError) return;
+        console.error('文件处理错误:', error);
+        report.error = `文件处理失败: ${error.message}`;
+      } finally {
+        session.cancel();
+      }
+      importReport.value = report;
     };
 
-    const exportToExcel = (data) => {
-      const worksheet = XLSX.utils.json_to_sheet(data);
-      const workbook = XLSX.utils.book_new();
-      XLSX.utils.book_append_sheet(workbook, worksheet, 'Points');
-      const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
-      saveAs(new Blob([excelBuffer], { type: 'application/octet-stream' }), 'points.xlsx');
+    const handleGeoJSONFile = async (file, report) => {
+      // 解析、坐标转换与校验均在Worker中完成
+      const session = createImportSession();
+      const name = getBaseName(file.name);
+      const buffer = await readFile(file, 'arrayBuffer');
+      try {
+        const { features, skipped, crs } = await runTask(session, file.name, {
+          type: 'geojson',
+          buffer,
+          name,
+          crs: importCrs.value
+        }, [buffer]);
+        addToReport(report, { layer: name, imported: features.length, skipped });
+        if (features.length) props.onDataImported(features, { name, crs });
+      } finally {
+        session.cancel();
+      }
     };
 
-    const exportToGeoJSON = (data) => {
-      const geojson = {
-        type: 'FeatureCollection',
-        features: data.map(point => ({
-          type: 'Feature',
-          geometry: {
-            type: 'Point',
-            coordinates: [point.lng, point.lat]
-          },
-          properties: point.properties || {}
-        }))
-      };
-      const blob = new Blob([JSON.stringify(geojson)], { type: 'application/json' });
-      saveAs(blob, 'points.geojson');
+    const handleKMLFile = async (file, report) => {
+      const options = { name: getBaseName(file.name) };
+      const { layers, skipped } = file.name.toLowerCase().endsWith('.kmz')
+        ? await parseKMZ(await readFile(file, 'arrayBuffer'), options)
+        : parseKML(await readFile(file, 'text'), options);
+
+      addToReport(report, { layer: options.name, imported: 0, skipped });
+      // 每个Folder作为独立图层导入
+      const seenIds = new Set();
+      layers.forEach((layer) => {
+        importLayer(report, layer, seenIds);
+      });
+    };
+
+    const handleShapefile = async (file, report) => {
+      // 压缩包内每个.shp作为一个图层，坐标已按.prj转换为WGS84
+      const { layers, skipped, warnings } = await parseShapefileZip(
+        await readFile(file, 'arrayBuffer')
+      );
+
+      report.warnings.push(...warnings);
+      addToReport(report, { imported: 0, skipped });
+      // 已按.prj转换为经纬度；高德/百度导出的数据常以WGS84声明实际却是偏移坐标，需再做纠偏
+      layers.forEach((layer) => {
+        importLayer(report, {
+          name: layer.name,
+          features: layer.features,
+          crs: isOffsetCrs(importCrs.value) ? importCrs.value : WGS84
+        }, new Set());
+      });
+    };
+
+    const exportToExcel = () => {
+      exportMessage.value = null;
+      try {
+        // 每个图层一个工作表，重新导入时按工作表还原为图层
+        const { name, layers } = collectExport({ tagLayer: false });
+        const { workbook, omitted } = toWorkbook(layers, exportCrs.value);
+        const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+        saveAs(new Blob([excelBuffer], { type: 'application/octet-stream' }), `${name}.xlsx`);
+        if (omitted.length) {
+          exportMessage.value = {
+            type: 'warning',
+            text: `${omitted.length} 个要素的WKT超过Excel单元格长度上限，未写入几何，请改用GeoJSON或KML导出`
+          };
+        }
+      } catch (error) {
+        exportMessage.value = { type: 'error', text: `导出Excel失败: ${error.message}` };
+      }
+    };
+
+    const exportToCSV = () => {
+      const { name, features } = collectExport();
+      const blob = new Blob([toCSV(features, exportCrs.value)], { type: 'text/csv;charset=utf-8' });
+      saveAs(blob, `${name}.csv`);
+    };
+
+    const exportToGeoJSON = () => {
+      const { name, features } = collectExport();
+      const blob = new Blob([toGeoJSONText(features, exportCrs.value)], { type: 'application/json' });
+      saveAs(blob, `${name}.geojson`);
+    };
+
+    const exportToKML = () => {
+      // 每个图层对应一个Folder；KML规定坐标为WGS84经纬度，不使用所选的导出坐标系
+      const { name, layers } = collectExport({ crs: WGS84 });
+      const blob = new Blob([toKML(layers, { name })], { type: 'application/vnd.google-earth.kml+xml' });
+      saveAs(blob, `${name}.kml`);
     };
 
     return () => (
@@ -103,7 +359,7 @@ export default defineComponent({
         <input
           type="file"
           ref={fileInput}
-          accept=".xlsx,.xls,.geojson"
+          accept=".xlsx,.xls,.csv,.txt,.geojson,.json,.kml,.kmz,.zip"
           onChange={handleFileUpload}
           class="hidden"
         />
@@ -114,18 +370,109 @@ export default defineComponent({
           导入数据
         </button>
         <button
-          onClick={() => exportToExcel(props.data)}
+          onClick={exportToExcel}
           class="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded"
         >
           导出Excel
         </button>
         <button
-          onClick={() => exportToGeoJSON(props.data)}
+          onClick={exportToGeoJSON}
           class="bg-yellow-500 hover:bg-yellow-700 text-white font-bold py-2 px-4 rounded"
         >
           导出GeoJSON
         </button>
+        <button
+          onClick={exportToCSV}
+          class="bg-teal-500 hover:bg-teal-700 text-white font-bold py-2 px-4 rounded"
+        >
+          导出CSV
+        </button>
+        <button
+          onClick={exportToKML}
+          class="bg-purple-500 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded"
+        >
+          导出KML
+        </button>
+        <label class="flex items-center space-x-1 text-sm">
+          <span class="text-gray-600">数据坐标系</span>
+          <select
+            class="border rounded px-2 py-1"
+            value={importCrs.value}
+            onChange={(e) => (importCrs.value = e.target.value)}
+          >
+            {CRS_OPTIONS.map(option => (
+              <option key={option.code} value={option.code}>{option.name}</option>
+            ))}
+          </select>
+        </label>
+        <label class="flex items-center space-x-1 text-sm">
+          <span class="text-gray-600">导出图层</span>
+          <select
+            class="border rounded px-2 py-1"
+            value={exportLayerId.value}
+            onChange={(e) => (exportLayerId.value = e.target.value)}
+          >
+            <option value="">全部图层</option>
+            <option value={SELECTION_EXPORT} disabled={!selection.state.count}>
+              所选要素（{selection.state.count}）
+            </option>
+            {featureStore.state.layers.map(layer => (
+              <option key={layer.id} value={layer.id}>{layer.name}</option>
+            ))}
+          </select>
+        </label>
+        <label class="flex items-center space-x-1 text-sm">
+          <span class="text-gray-600">导出坐标系</span>
+          <select
+            class="border rounded px-2 py-1"
+            title="KML固定导出为WGS84经纬度"
+            value={exportCrs.value}
+            onChange={(e) => (exportCrs.value = e.target.value)}
+          >
+            {CRS_OPTIONS.map(option => (
+              <option key={option.code} value={option.code}>{option.name}</option>
+            ))}
+          </select>
+        </label>
+        {exportMessage.value && (
+          <div
+            class={`flex items-center space-x-1 text-sm ${
+              exportMessage.value.type === 'error' ? 'text-red-500' : 'text-orange-600'
+            }`}
+          >
+            <span>{exportMessage.value.text}</span>
+            <button class="text-gray-400 hover:text-gray-600" title="关闭" onClick={() => (exportMessage.value = null)}>
+              ×
+            </button>
+          </div>
+        )}
+        {mappingSession.value && (
+          <ImportMapping
+            fileName={mappingSession.value.fileName}
+            sheets={mappingSession.value.sheets}
+            defaultCrs={importCrs.value}
+            onConfirm={handleMappingConfirm}
+            onCancel={handleMappingCancel}
+          />
+        )}
+        {importTask.value && (
+          <ImportProgress
+            fileName={importTask.value.fileName}
+            phase={importTask.value.phase}
+            processed={importTask.value.processed}
+            total={importTask.value.total}
+            startedAt={importTask.value.startedAt}
+            onCancel={() => importTask.value.session.cancel()}
+          />
+        )}
+        {importReport.value && (
+          <ImportReport
+            report={importReport.value}
+            onLocate={props.onLocate}
+            onClose={() => (importReport.value = null)}
+          />
+        )}
       </div>
     );
   }
-});
\ No newline at end of file
+});
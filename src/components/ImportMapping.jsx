@@ -0,0 +1,476 @@
+/**
+ * @file ImportMapping.jsx
+ * @description 表格导入列映射向导：预览数据、识别坐标列；多工作表时每个工作表单独设置映射与颜色，分别导入为独立图层
+ * @module components/ImportMapping
+ */
+
+import { defineComponent, ref, reactive, computed } from "vue";
+import { detectMapping, rowsToFeatures } from "@utils/tabular";
+import { CRS_OPTIONS, WGS84, isKnownCrs } from "@utils/projection";
+import {
+  loadTemplates,
+  saveTemplate,
+  removeTemplate,
+  findTemplate,
+} from "@utils/importTemplates";
+
+/** 预览行数 */
+const PREVIEW_ROWS = 10;
+
+/** 多工作表导入时依次分配的图层颜色 */
+const LAYER_COLORS = [
+  "#3388ff",
+  "#e6550d",
+  "#31a354",
+  "#756bb1",
+  "#d6616b",
+  "#17becf",
+  "#bcbd22",
+  "#8c564b",
+];
+
+/** 列映射字段，模板中只保存这些字段 */
+const MAPPING_KEYS = ["mode", "xField", "yField", "wktField", "crs"];
+
+/**
+ * 提取列映射字段
+ * @param {Object} source - 包含映射字段的对象
+ * @returns {Object} { mode, xField, yField, wktField, crs }
+ */
+const pickMapping = (source) =>
+  Object.fromEntries(MAPPING_KEYS.map((key) => [key, source[key]]));
+
+export default defineComponent({
+  name: "ImportMapping",
+  props: {
+    /**
+     * 文件名
+     * @type {string}
+     */
+    fileName: {
+      type: String,
+      required: true,
+    },
+    /**
+     * 工作表摘要
+     * @description 由导入Worker读取，rows为前若干行样本，rowCount为总行数
+     * @type {Array<{name: string, headers: Array<string>, rows: Array<Object>, rowCount: number}>}
+     */
+    sheets: {
+      type: Array,
+      required: true,
+    },
+    /**
+     * 默认坐标系
+     * @description 自动识别为经纬度时使用该坐标系（如用户已声明数据为GCJ-02）
+     * @type {string}
+     */
+    defaultCrs: {
+      type: String,
+      default: "EPSG:4326",
+    },
+    /**
+     * 确认导入回调
+     * @description 参数为 { sheets: [{ sheetName, mapping, style }] }，仅包含勾选导入的工作表，
+     * 每个工作表对应一个图层；整表转换由导入Worker完成
+     * @type {Function}
+     */
+    onConfirm: {
+      type: Function,
+      required: true,
+    },
+    /**
+     * 取消回调
+     * @type {Function}
+     */
+    onCancel: {
+      type: Function,
+      required: true,
+    },
+  },
+  setup(props) {
+    const sheetName = ref(props.sheets[0].name);
+    const templates = ref(loadTemplates());
+    const templateName = ref("");
+
+    /**
+     * 根据模板或自动识别结果生成工作表映射
+     * @param {Object} sheet - 工作表摘要
+     * @returns {Object} { mode, xField, yField, wktField, crs, template }
+     */
+    const detectSheet = (sheet) => {
+      const template = findTemplate(sheet.headers);
+      if (template) return { ...pickMapping(template), template: template.name };
+      const detected = detectMapping(sheet.headers, sheet.rows);
+      if (detected.crs === WGS84) detected.crs = props.defaultCrs;
+      return { ...pickMapping(detected), template: "" };
+    };
+
+    /**
+     * 判断映射是否引用了坐标列
+     * @param {Object} mapping - 列映射
+     * @returns {boolean} 是否已映射
+     */
+    const hasFields = (mapping) =>
+      mapping.mode === "wkt" ? Boolean(mapping.wktField) : Boolean(mapping.xField && mapping.yField);
+
+    // 工作表名称 -> { enabled, color, ...映射 }；识别不到坐标列的工作表（如说明页）默认不导入
+    const mappings = reactive(
+      Object.fromEntries(
+        props.sheets.map((sheet, index) => {
+          const mapping = detectSheet(sheet);
+          return [
+            sheet.name,
+            {
+              ...mapping,
+              enabled: sheet.rowCount > 0 && hasFields(mapping),
+              color: LAYER_COLORS[index % LAYER_COLORS.length],
+            },
+          ];
+        })
+      )
+    );
+
+    const sheetData = computed(() => props.sheets.find((sheet) => sheet.name === sheetName.value));
+    const mapping = computed(() => mappings[sheetName.value]);
+
+    /**
+     * 判断工作表映射是否完整有效
+     * @param {Object} sheet - 工作表摘要
+     * @returns {boolean} 是否有效
+     */
+    const isSheetValid = (sheet) => {
+      const m = mappings[sheet.name];
+      return isKnownCrs(m.crs) && hasFields(m) && sheet.rowCount > 0;
+    };
+
+    const crsValid = computed(() => isKnownCrs(mapping.value.crs));
+
+    /** 预览行的解析结果，用于实时提示映射是否正确 */
+    const preview = computed(() => {
+      const rows = sheetData.value.rows.slice(0, PREVIEW_ROWS);
+      if (!crsValid.value) return { features: [], skipped: [] };
+      return rowsToFeatures(rows, pickMapping(mapping.value));
+    });
+
+    /**
+     * 对当前工作表应用已保存的模板
+     * @param {string} name - 模板名称，为空时恢复自动识别
+     * @returns {void}
+     */
+    const applyTemplate = (name) => {
+      const template = templates.value.find((t) => t.name === name);
+      if (template) {
+        Object.assign(mapping.value, pickMapping(template), { template: name });
+      } else {
+        const { template: _, ...detected } = detectSheet(sheetData.value);
+        Object.assign(mapping.value, detected, { template: "" });
+      }
+    };
+
+    /**
+     * 将当前工作表的映射保存为模板
+     * @returns {void}
+     */
+    const handleSaveTemplate = () => {
+      const name = templateName.value.trim();
+      if (!name) return;
+      templates.value = saveTemplate({ name, ...pickMapping(mapping.value) });
+      mapping.value.template = name;
+      templateName.value = "";
+    };
+
+    /**
+     * 删除当前应用的模板
+     * @returns {void}
+     */
+    const handleRemoveTemplate = () => {
+      const name = mapping.value.template;
+      if (!name) return;
+      templates.value = removeTemplate(name);
+      Object.values(mappings).forEach((m) => {
+        if (m.template === name) m.template = "";
+      });
+    };
+
+    const enabledSheets = computed(() =>
+      props.sheets.filter((sheet) => mappings[sheet.name].enabled)
+    );
+
+    /**
+     * 确认导入
+     * @returns {void}
+     */
+    const handleConfirm = () => {
+      props.onConfirm({
+        sheets: enabledSheets.value.map((sheet) => {
+          const { color } = mappings[sheet.name];
+          return {
+            sheetName: sheet.name,
+            mapping: pickMapping(mappings[sheet.name]),
+            style: { color, fillColor: color },
+          };
+        }),
+      });
+    };
+
+    /**
+     * 渲染列选择下拉框
+     * @param {string} key - mapping中的字段名
+     * @param {string} label - 标签
+     * @returns {JSX.Element}
+     */
+    const renderFieldSelect = (key, label) => (
+      <label class="flex items-center space-x-2">
+        <span class="text-gray-600 w-16">{label}</span>
+        <select
+          class="border rounded px-2 py-1 flex-1"
+          value={mapping.value[key]}
+          onChange={(e) => (mapping.value[key] = e.target.value)}
+        >
+          <option value="">请选择</option>
+          {sheetData.value.headers.map((header) => (
+            <option key={header} value={header}>
+              {header}
+            </option>
+          ))}
+        </select>
+      </label>
+    );
+
+    /**
+     * 渲染工作表列表，每个勾选的工作表导入为一个图层
+     * @returns {JSX.Element}
+     */
+    const renderSheetList = () => (
+      <div class="w-56 flex-none border-r overflow-auto py-2">
+        {props.sheets.map((sheet) => {
+          const m = mappings[sheet.name];
+          return (
+            <div
+              key={sheet.name}
+              class={[
+                "flex items-center space-x-2 px-3 py-1 cursor-pointer",
+                sheet.name === sheetName.value ? "bg-blue-50" : "hover:bg-gray-50",
+              ]}
+              onClick={() => (sheetName.value = sheet.name)}
+            >
+              <input
+                type="checkbox"
+                checked={m.enabled}
+                onClick={(e) => e.stopPropagation()}
+                onChange={(e) => (m.enabled = e.target.checked)}
+              />
+              <span class="w-3 h-3 rounded-sm flex-none" style={{ backgroundColor: m.color }} />
+              <span class="flex-1 truncate" title={sheet.name}>
+                {sheet.name}
+              </span>
+              {m.enabled && !isSheetValid(sheet) && (
+                <span class="text-red-500" title="列映射不完整">
+                  !
+                </span>
+              )}
+              <span class="text-gray-400">{sheet.rowCount}</span>
+            </div>
+          );
+        })}
+      </div>
+    );
+
+    const mappedFields = computed(() =>
+      mapping.value.mode === "wkt"
+        ? [mapping.value.wktField]
+        : [mapping.value.xField, mapping.value.yField]
+    );
+
+    const canConfirm = computed(
+      () => enabledSheets.value.length > 0 && enabledSheets.value.every(isSheetValid)
+    );
+
+    return () => (
+      <div class="fixed inset-0 z-[2000] flex items-center justify-center bg-black bg-opacity-40">
+        <div class="bg-white rounded-lg shadow-xl w-[1000px] max-w-[95vw] max-h-[90vh] flex flex-col text-sm">
+          <div class="px-4 py-3 border-b font-bold">导入设置 - {props.fileName}</div>
+
+          <div class="flex min-h-0 flex-1">
+            {props.sheets.length > 1 && renderSheetList()}
+            <div class="p-4 space-y-4 overflow-auto flex-1 min-w-0">
+              {/* 工作表与模板 */}
+              <div class="flex flex-wrap items-center gap-4">
+                <span class="font-bold">{sheetName.value}</span>
+                <label class="flex items-center space-x-2">
+                  <span class="text-gray-600">模板</span>
+                  <select
+                    class="border rounded px-2 py-1"
+                    value={mapping.value.template}
+                    onChange={(e) => applyTemplate(e.target.value)}
+                  >
+                    <option value="">自动识别</option>
+                    {templates.value.map((t) => (
+                      <option key={t.name} value={t.name}>
+                        {t.name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {mapping.value.template && (
+                  <button class="text-red-500 hover:underline" onClick={handleRemoveTemplate}>
+                    删除模板
+                  </button>
+                )}
+                <label class="flex items-center space-x-2">
+                  <span class="text-gray-600">图层颜色</span>
+                  <input
+                    type="color"
+                    value={mapping.value.color}
+                    onInput={(e) => (mapping.value.color = e.target.value)}
+                  />
+                </label>
+                <span class="text-gray-500">共 {sheetData.value.rowCount} 行</span>
+              </div>
+
+              {/* 坐标映射 */}
+              <div class="grid grid-cols-2 gap-4">
+                <div class="space-y-2">
+                  <div class="flex space-x-4">
+                    <label class="flex items-center space-x-1">
+                      <input
+                        type="radio"
+                        checked={mapping.value.mode === "xy"}
+                        onChange={() => (mapping.value.mode = "xy")}
+                      />
+                      <span>坐标列</span>
+                    </label>
+                    <label class="flex items-center space-x-1">
+                      <input
+                        type="radio"
+                        checked={mapping.value.mode === "wkt"}
+                        onChange={() => (mapping.value.mode = "wkt")}
+                      />
+                      <span>WKT列</span>
+                    </label>
+                  </div>
+                  {mapping.value.mode === "xy" ? (
+                    <>
+                      {renderFieldSelect("xField", "经度/X")}
+                      {renderFieldSelect("yField", "纬度/Y")}
+                    </>
+                  ) : (
+                    renderFieldSelect("wktField", "WKT")
+                  )}
+                </div>
+
+                <div class="space-y-2">
+                  <label class="flex items-center space-x-2">
+                    <span class="text-gray-600 w-16">坐标系</span>
+                    <select
+                      class="border rounded px-2 py-1 flex-1"
+                      value={CRS_OPTIONS.some((o) => o.code === mapping.value.crs) ? mapping.value.crs : ""}
+                      onChange={(e) => e.target.value && (mapping.value.crs = e.target.value)}
+                    >
+                      {CRS_OPTIONS.map((option) => (
+                        <option key={option.code} value={option.code}>
+                          {option.name}
+                        </option>
+                      ))}
+                      <option value="">其他（手动输入）</option>
+                    </select>
+                  </label>
+                  <input
+                    class={[
+                      "border rounded px-2 py-1 w-full",
+                      crsValid.value ? "" : "border-red-500",
+                    ]}
+                    placeholder="EPSG代码或proj4定义，如 EPSG:4547"
+                    value={mapping.value.crs}
+                    onInput={(e) => (mapping.value.crs = e.target.value.trim())}
+                  />
+                  {!crsValid.value && <div class="text-red-500">无法识别的坐标系</div>}
+                </div>
+              </div>
+
+              {/* 数据预览 */}
+              <div class="overflow-auto border rounded">
+                <table class="min-w-full text-xs">
+                  <thead class="bg-gray-100">
+                    <tr>
+                      {sheetData.value.headers.map((header) => (
+                        <th
+                          key={header}
+                          class={[
+                            "px-2 py-1 text-left whitespace-nowrap",
+                            mappedFields.value.includes(header) ? "bg-blue-100 text-blue-700" : "",
+                          ]}
+                        >
+                          {header}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {sheetData.value.rows.slice(0, PREVIEW_ROWS).map((row, index) => (
+                      <tr key={index} class="border-t">
+                        {sheetData.value.headers.map((header) => (
+                          <td key={header} class="px-2 py-1 whitespace-nowrap max-w-[200px] truncate">
+                            {String(row[header])}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div class="text-gray-600">
+                预览前{Math.min(PREVIEW_ROWS, sheetData.value.rows.length)}行：可导入{" "}
+                {preview.value.features.length} 行
+                {preview.value.skipped.length > 0 && (
+                  <span class="text-red-500">
+                    ，无效 {preview.value.skipped.length} 行（
+                    {preview.value.skipped
+                      .slice(0, 3)
+                      .map((s) => `第${s.line}行 ${s.reason}`)
+                      .join("；")}
+                    ）
+                  </span>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div class="px-4 py-3 border-t flex items-center justify-between">
+            <div class="flex items-center space-x-2">
+              <input
+                class="border rounded px-2 py-1"
+                placeholder="模板名称"
+                value={templateName.value}
+                onInput={(e) => (templateName.value = e.target.value)}
+              />
+              <button
+                class="bg-gray-200 hover:bg-gray-300 px-3 py-1 rounded disabled:opacity-50"
+                disabled={!templateName.value.trim()}
+                onClick={handleSaveTemplate}
+              >
+                保存为模板
+              </button>
+            </div>
+            <div class="flex items-center space-x-2">
+              {props.sheets.length > 1 && (
+                <span class="text-gray-500">导入 {enabledSheets.value.length} 个工作表</span>
+              )}
+              <button class="bg-gray-200 hover:bg-gray-300 px-4 py-1 rounded" onClick={props.onCancel}>
+                取消
+              </button>
+              <button
+                class="bg-blue-500 hover:bg-blue-700 text-white px-4 py-1 rounded disabled:opacity-50"
+                disabled={!canConfirm.value}
+                onClick={handleConfirm}
+              >
+                导入
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  },
+});
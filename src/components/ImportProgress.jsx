@@ -0,0 +1,116 @@
+/**
+ * @file ImportProgress.jsx
+ * @description 导入进度条：显示已处理记录数、预计剩余时间，支持取消
+ * @module components/ImportProgress
+ */
+
+import { defineComponent, computed } from "vue";
+
+/**
+ * 格式化剩余时间
+ * @param {number} seconds - 秒数
+ * @returns {string} 如 "1分05秒"
+ */
+const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds));
+  const minutes = Math.floor(total / 60);
+  const rest = total % 60;
+  return minutes ? `${minutes}分${String(rest).padStart(2, "0")}秒` : `${rest}秒`;
+};
+
+export default defineComponent({
+  name: "ImportProgress",
+  props: {
+    /**
+     * 文件名
+     * @type {string}
+     */
+    fileName: {
+      type: String,
+      required: true,
+    },
+    /**
+     * 阶段：parse为读取文件（无法估计进度），convert为逐条转换记录
+     * @type {'parse'|'convert'}
+     */
+    phase: {
+      type: String,
+      default: "parse",
+    },
+    /**
+     * 已处理记录数
+     * @type {number}
+     */
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    /**
+     * 记录总数
+     * @type {number}
+     */
+    total: {
+      type: Number,
+      default: 0,
+    },
+    /**
+     * 转换阶段开始时间（毫秒时间戳），用于估算剩余时间
+     * @type {number}
+     */
+    startedAt: {
+      type: Number,
+      default: 0,
+    },
+    /**
+     * 取消回调
+     * @type {Function}
+     */
+    onCancel: {
+      type: Function,
+      required: true,
+    },
+  },
+  setup(props) {
+    const percent = computed(() =>
+      props.total ? Math.round((props.processed / props.total) * 100) : 0
+    );
+
+    const eta = computed(() => {
+      if (!props.processed || !props.startedAt) return "估算中";
+      const elapsed = (Date.now() - props.startedAt) / 1000;
+      return formatDuration((elapsed / props.processed) * (props.total - props.processed));
+    });
+
+    return () => (
+      <div class="fixed inset-0 z-[2000] flex items-center justify-center bg-black bg-opacity-40">
+        <div class="bg-white rounded-lg shadow-xl w-[420px] max-w-[95vw] p-4 space-y-3 text-sm">
+          <div class="font-bold">正在导入 {props.fileName}</div>
+          <div class="h-2 bg-gray-200 rounded overflow-hidden">
+            {props.phase === "parse" ? (
+              <div class="h-full w-1/3 bg-blue-500 animate-pulse" />
+            ) : (
+              <div class="h-full bg-blue-500 transition-all" style={{ width: `${percent.value}%` }} />
+            )}
+          </div>
+          <div class="flex justify-between text-gray-600">
+            {props.phase === "parse" ? (
+              <span>正在读取文件…</span>
+            ) : (
+              <>
+                <span>
+                  {props.processed} / {props.total} 条（{percent.value}%）
+                </span>
+                <span>剩余 {eta.value}</span>
+              </>
+            )}
+          </div>
+          <div class="flex justify-end">
+            <button class="bg-gray-200 hover:bg-gray-300 px-4 py-1 rounded" onClick={props.onCancel}>
+              取消
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  },
+});
@@ -0,0 +1,232 @@
+/**
+ * @file ImportReport.jsx
+ * @description 导入校验报告：统计总数、导入数与跳过记录，支持按原因筛选、查看原始记录、定位与导出CSV
+ * @module components/ImportReport
+ */
+
+import { defineComponent, ref, computed } from "vue";
+import { saveAs } from "file-saver";
+import { SKIP_CODE_LABELS, reportToCSV } from "@utils/importReport";
+
+/** 列表最多显示的跳过记录数，完整内容可导出CSV查看 */
+const MAX_ROWS = 500;
+
+export default defineComponent({
+  name: "ImportReport",
+  props: {
+    /**
+     * 导入报告
+     * @description 结构见 utils/importReport 的 createImportReport
+     * @type {Object}
+     */
+    report: {
+      type: Object,
+      required: true,
+    },
+    /**
+     * 定位回调
+     * @description 参数为跳过记录的GeoJSON几何；未提供时不显示定位按钮
+     * @type {Function}
+     */
+    onLocate: {
+      type: Function,
+      default: null,
+    },
+    /**
+     * 关闭回调
+     * @type {Function}
+     */
+    onClose: {
+      type: Function,
+      required: true,
+    },
+  },
+  setup(props) {
+    const filterCode = ref("");
+    const expanded = ref(null);
+
+    /** 按原因代码统计的跳过数量 */
+    const codeCounts = computed(() => {
+      const counts = {};
+      props.report.skipped.forEach((entry) => {
+        counts[entry.code] = (counts[entry.code] || 0) + 1;
+      });
+      return counts;
+    });
+
+    const filtered = computed(() =>
+      filterCode.value
+        ? props.report.skipped.filter((entry) => entry.code === filterCode.value)
+        : props.report.skipped
+    );
+
+    /**
+     * 导出报告CSV
+     * @returns {void}
+     */
+    const handleExport = () => {
+      const blob = new Blob([reportToCSV(props.report)], {
+        type: "text/csv;charset=utf-8",
+      });
+      saveAs(blob, `${props.report.fileName}-导入报告.csv`);
+    };
+
+    /**
+     * 定位到跳过记录
+     * @param {Object} entry - 跳过记录
+     * @returns {void}
+     */
+    const handleLocate = (entry) => {
+      props.onLocate(entry.geometry);
+      props.onClose();
+    };
+
+    /**
+     * 渲染原始记录属性
+     * @param {Object} properties - 属性
+     * @returns {JSX.Element}
+     */
+    const renderProperties = (properties) => (
+      <div class="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 bg-gray-50 p-2">
+        {Object.entries(properties || {}).map(([key, value]) => (
+          <>
+            <span class="text-gray-500">{key}</span>
+            <span class="break-all">
+              {typeof value === "object" ? JSON.stringify(value) : String(value ?? "")}
+            </span>
+          </>
+        ))}
+      </div>
+    );
+
+    return () => {
+      const { report } = props;
+      return (
+        <div class="fixed inset-0 z-[2000] flex items-center justify-center bg-black bg-opacity-40">
+          <div class="bg-white rounded-lg shadow-xl w-[800px] max-w-[95vw] max-h-[90vh] flex flex-col text-sm">
+            <div class="px-4 py-3 border-b font-bold">导入报告 - {report.fileName}</div>
+
+            <div class="p-4 space-y-4 overflow-auto">
+              {report.error && (
+                <div class="bg-red-50 text-red-600 border border-red-200 rounded px-3 py-2">
+                  {report.error}
+                </div>
+              )}
+
+              {/* 统计 */}
+              <div class="flex space-x-6">
+                <div>
+                  总记录 <span class="font-bold">{report.total}</span>
+                </div>
+                <div>
+                  已导入 <span class="font-bold text-green-600">{report.imported}</span>
+                </div>
+                <div>
+                  已跳过 <span class="font-bold text-red-500">{report.skipped.length}</span>
+                </div>
+              </div>
+
+              {report.warnings.length > 0 && (
+                <ul class="list-disc pl-5 text-yellow-700">
+                  {report.warnings.map((warning, index) => (
+                    <li key={index}>{warning}</li>
+                  ))}
+                </ul>
+              )}
+
+              {report.skipped.length > 0 && (
+                <>
+                  <label class="flex items-center space-x-2">
+                    <span class="text-gray-600">原因</span>
+                    <select
+                      class="border rounded px-2 py-1"
+                      value={filterCode.value}
+                      onChange={(e) => (filterCode.value = e.target.value)}
+                    >
+                      <option value="">全部（{report.skipped.length}）</option>
+                      {Object.entries(codeCounts.value).map(([code, count]) => (
+                        <option key={code} value={code}>
+                          {SKIP_CODE_LABELS[code] || code}（{count}）
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+
+                  <table class="min-w-full text-xs border">
+                    <thead class="bg-gray-100">
+                      <tr>
+                        <th class="px-2 py-1 text-left">图层</th>
+                        <th class="px-2 py-1 text-left">记录</th>
+                        <th class="px-2 py-1 text-left">行号</th>
+                        <th class="px-2 py-1 text-left">原因</th>
+                        <th class="px-2 py-1"></th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {filtered.value.slice(0, MAX_ROWS).map((entry, index) => (
+                        <>
+                          <tr key={index} class="border-t">
+                            <td class="px-2 py-1">{entry.layer}</td>
+                            <td class="px-2 py-1">{entry.record ?? "-"}</td>
+                            <td class="px-2 py-1">{entry.line ?? "-"}</td>
+                            <td class="px-2 py-1 text-red-600">{entry.reason}</td>
+                            <td class="px-2 py-1 whitespace-nowrap text-right space-x-2">
+                              {entry.properties && (
+                                <button
+                                  class="text-blue-500 hover:underline"
+                                  onClick={() =>
+                                    (expanded.value = expanded.value === entry ? null : entry)
+                                  }
+                                >
+                                  {expanded.value === entry ? "收起" : "查看"}
+                                </button>
+                              )}
+                              {entry.geometry && props.onLocate && (
+                                <button
+                                  class="text-blue-500 hover:underline"
+                                  onClick={() => handleLocate(entry)}
+                                >
+                                  定位
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                          {expanded.value === entry && (
+                            <tr>
+                              <td colspan={5}>{renderProperties(entry.properties)}</td>
+                            </tr>
+                          )}
+                        </>
+                      ))}
+                    </tbody>
+                  </table>
+                  {filtered.value.length > MAX_ROWS && (
+                    <div class="text-gray-500">
+                      仅显示前{MAX_ROWS}条，完整列表请导出CSV
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+
+            <div class="px-4 py-3 border-t flex justify-end space-x-2">
+              <button
+                class="bg-gray-200 hover:bg-gray-300 px-4 py-1 rounded disabled:opacity-50"
+                disabled={!report.skipped.length}
+                onClick={handleExport}
+              >
+                导出CSV
+              </button>
+              <button
+                class="bg-blue-500 hover:bg-blue-700 text-white px-4 py-1 rounded"
+                onClick={props.onClose}
+              >
+                关闭
+              </button>
+            </div>
+          </div>
+        </div>
+      );
+    };
+  },
+});
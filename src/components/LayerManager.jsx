@@ -0,0 +1,415 @@
+/**
+ * @file LayerManager.jsx
+ * @description 图层管理面板：底图切换、叠加瓦片图层（拖动排序、透明度、显隐）、
+ * 要素仓库中的数据图层，以及服务密钥、自定义瓦片源、配置导入导出、
+ * 离线瓦片缓存与本地MBTiles/PMTiles文件；数据图层可设置专题图
+ * @module components/LayerManager
+ */
+
+import { defineComponent, ref, computed, watch } from "vue";
+import { saveAs } from "file-saver";
+import featureStore, { DRAWN_LAYER_ID } from "@utils/featureStore";
+import tileCatalog, { isLocalSource, isVectorSource } from "@utils/tileCatalog";
+import tileStore, { formatBytes } from "@utils/tileStore";
+import { loadMBTilesFile, removeMBTiles } from "@utils/mbtiles";
+import { loadPMTilesFile, removePMTiles } from "@utils/vectorTiles";
+import TileSourceForm from "./TileSourceForm";
+import OfflineDownload from "./OfflineDownload";
+import ThematicPanel from "./ThematicPanel";
+
+export default defineComponent({
+  name: "LayerManager",
+  setup() {
+    const open = ref(false);
+    const showForm = ref(false);
+    const showDownload = ref(false);
+    // 正在设置专题图的数据图层ID
+    const thematicLayerId = ref(null);
+    const configInput = ref(null);
+    const tileFileInput = ref(null);
+    // 正在拖动的叠加图层ID
+    const draggingId = ref(null);
+    // 拖动经过的目标位置
+    const dropIndex = ref(-1);
+    const message = ref("");
+
+    // 打开面板时统计离线缓存用量
+    watch(open, (value) => {
+      if (value) tileStore.refreshUsage().catch((error) => console.warn("读取离线缓存失败:", error));
+    });
+
+    /** 图层源使用到的密钥名称 */
+    const keyNames = computed(() => [
+      ...new Set(tileCatalog.state.sources.map(tileCatalog.getKeyName).filter(Boolean)),
+    ]);
+
+    /**
+     * 修改图层颜色（线与填充同色）
+     * @param {Object} layer - 仓库图层
+     * @param {string} color - CSS颜色
+     * @returns {void}
+     */
+    const handleColorChange = (layer, color) => {
+      featureStore.updateLayer(layer.id, { style: { color, fillColor: color } });
+    };
+
+    /**
+     * 添加瓦片图层源
+     * @description 校验失败时抛出错误，由表单显示
+     * @param {Object} payload - { source, key }
+     * @returns {void}
+     */
+    const handleAddSource = ({ source, key }) => {
+      const added = tileCatalog.addSource(source);
+      if (key) tileCatalog.setKey(tileCatalog.getKeyName(added), key);
+      if (added.kind === "base") tileCatalog.setBaseMap(added.id);
+      showForm.value = false;
+    };
+
+    /**
+     * 放下拖动的叠加图层
+     * @param {number} index - 目标位置
+     * @returns {void}
+     */
+    const handleDrop = (index) => {
+      if (draggingId.value) tileCatalog.moveOverlay(draggingId.value, index);
+      draggingId.value = null;
+      dropIndex.value = -1;
+    };
+
+    /**
+     * 导出瓦片图层配置（不含密钥）
+     * @returns {void}
+     */
+    const handleExportConfig = () => {
+      const text = JSON.stringify(tileCatalog.exportConfig(), null, 2);
+      saveAs(new Blob([text], { type: "application/json;charset=utf-8" }), "tile-catalog.json");
+    };
+
+    /**
+     * 导入瓦片图层配置
+     * @param {Event} e - 文件选择事件
+     * @returns {Promise<void>}
+     */
+    const handleImportConfig = async (e) => {
+      const file = e.target.files[0];
+      e.target.value = "";
+      if (!file) return;
+      try {
+        tileCatalog.importConfig(JSON.parse(await file.text()));
+        message.value = "";
+      } catch (error) {
+        message.value = `配置文件无效: ${error.message}`;
+      }
+    };
+
+    /**
+     * 加载本地MBTiles或PMTiles文件作为图层源
+     * @description MBTiles元数据标记为overlay时作为叠加图层，否则作为底图并切换过去；
+     * PMTiles矢量瓦片作为叠加图层
+     * @param {Event} e - 文件选择事件
+     * @returns {Promise<void>}
+     */
+    const handleLoadTileFile = async (e) => {
+      const file = e.target.files[0];
+      e.target.value = "";
+      if (!file) return;
+      const isPMTiles = /\.pmtiles$/i.test(file.name);
+      try {
+        const added = tileCatalog.addSource(
+          await (isPMTiles ? loadPMTilesFile(file) : loadMBTilesFile(file))
+        );
+        if (added.kind === "base") tileCatalog.setBaseMap(added.id);
+        message.value = "";
+      } catch (error) {
+        message.value = `加载${isPMTiles ? "PMTiles" : "MBTiles"}失败: ${error.message}`;
+      }
+    };
+
+    /**
+     * 移除用户添加的图层源，同时删除其离线缓存与本地文件
+     * @param {Object} source - 瓦片图层源
+     * @returns {Promise<void>}
+     */
+    const handleRemoveSource = async (source) => {
+      if (!tileCatalog.removeSource(source.id)) return;
+      try {
+        if (source.type === "mbtiles") await removeMBTiles(source.id);
+        if (source.type === "pmtiles" && isLocalSource(source)) await removePMTiles(source.id);
+        if (tileStore.state.usage[source.id]) await tileStore.clearSource(source.id);
+      } catch (error) {
+        console.warn("删除离线数据失败:", error);
+      }
+    };
+
+    /**
+     * 渲染透明度滑块
+     * @param {Object} source - 瓦片图层源
+     * @returns {JSX.Element}
+     */
+    const renderOpacity = (source) => (
+      <input
+        type="range"
+        class="w-16"
+        min="0"
+        max="100"
+        title={`透明度 ${Math.round((source.opacity ?? 1) * 100)}%`}
+        value={Math.round((source.opacity ?? 1) * 100)}
+        onInput={(e) => tileCatalog.updateSource(source.id, { opacity: e.target.value / 100 })}
+      />
+    );
+
+    /**
+     * 渲染图层源名称，缺少密钥时提示
+     * @param {Object} source - 瓦片图层源
+     * @returns {JSX.Element}
+     */
+    const renderSourceName = (source) => (
+      <span class="flex-1 truncate" title={source.url}>
+        {source.name}
+        {!tileCatalog.resolveUrl(source) && <span class="ml-1 text-xs text-orange-500">需密钥</span>}
+        {isLocalSource(source) && <span class="ml-1 text-xs text-gray-400">本地</span>}
+        {isVectorSource(source) && <span class="ml-1 text-xs text-gray-400">矢量</span>}
+      </span>
+    );
+
+    /**
+     * 渲染移除按钮（仅用户添加的图层源）
+     * @param {Object} source - 瓦片图层源
+     * @returns {JSX.Element|null}
+     */
+    const renderRemove = (source) =>
+      source.origin === "custom" && (
+        <button class="text-red-500 hover:underline" onClick={() => handleRemoveSource(source)}>
+          移除
+        </button>
+      );
+
+    /**
+     * 渲染底图列表
+     * @returns {JSX.Element|Array<JSX.Element>}
+     */
+    const renderBaseMaps = () => {
+      const current = tileCatalog.getBaseMap();
+      return tileCatalog.getBaseMaps().map((source) => (
+        <label key={source.id} class="flex items-center space-x-2 px-3 py-1 hover:bg-gray-50">
+          <input
+            type="radio"
+            name="baseMap"
+            checked={current?.id === source.id}
+            onChange={() => tileCatalog.setBaseMap(source.id)}
+          />
+          {renderSourceName(source)}
+          {current?.id === source.id && renderOpacity(source)}
+          {renderRemove(source)}
+        </label>
+      ));
+    };
+
+    /**
+     * 渲染叠加图层列表（可拖动排序，靠前的在上层）
+     * @returns {JSX.Element|Array<JSX.Element>}
+     */
+    const renderOverlays = () => {
+      const overlays = tileCatalog.getOverlays();
+      if (!overlays.length) return <div class="px-3 py-1 text-gray-500">暂无叠加图层</div>;
+      return overlays.map((source, index) => (
+        <div
+          key={source.id}
+          draggable
+          class={[
+            "flex items-center space-x-2 px-3 py-1 hover:bg-gray-50 border-t-2",
+            dropIndex.value === index && draggingId.value !== source.id
+              ? "border-blue-500"
+              : "border-transparent",
+            draggingId.value === source.id ? "opacity-50" : "",
+          ]}
+          onDragstart={(e) => {
+            draggingId.value = source.id;
+            e.dataTransfer.effectAllowed = "move";
+            // Firefox需要设置数据才会开始拖动
+            e.dataTransfer.setData("text/plain", source.id);
+          }}
+          onDragover={(e) => {
+            e.preventDefault();
+            dropIndex.value = index;
+          }}
+          onDrop={(e) => {
+            e.preventDefault();
+            handleDrop(index);
+          }}
+          onDragend={() => {
+            draggingId.value = null;
+            dropIndex.value = -1;
+          }}
+        >
+          <span class="cursor-move text-gray-400" title="拖动调整叠加顺序">⋮⋮</span>
+          <input
+            type="checkbox"
+            checked={source.visible}
+            onChange={(e) => tileCatalog.updateSource(source.id, { visible: e.target.checked })}
+          />
+          {renderSourceName(source)}
+          {renderOpacity(source)}
+          {renderRemove(source)}
+        </div>
+      ));
+    };
+
+    /**
+     * 渲染要素仓库中的数据图层
+     * @returns {JSX.Element|Array<JSX.Element>}
+     */
+    const renderDataLayers = () => {
+      if (featureStore.state.layers.length === 0) {
+        return <div class="px-3 py-1 text-gray-500">暂无图层</div>;
+      }
+      return featureStore.state.layers.map((layer) => (
+        <div key={layer.id} class="flex items-center space-x-2 px-3 py-1 hover:bg-gray-50">
+          <input
+            type="checkbox"
+            checked={layer.visible}
+            onChange={(e) => featureStore.updateLayer(layer.id, { visible: e.target.checked })}
+          />
+          {/* change在关闭取色器时触发，避免拖动时反复重建三维实体 */}
+          <input
+            type="color"
+            class="w-5 h-5 p-0 border-0"
+            value={layer.style.color}
+            onChange={(e) => handleColorChange(layer, e.target.value)}
+          />
+          <span class="flex-1 truncate" title={layer.name}>
+            {layer.name}
+          </span>
+          <span class="text-gray-400">{layer.featureCount}</span>
+          {layer.id !== DRAWN_LAYER_ID && (
+            <button
+              class={layer.thematic ? "text-blue-600 font-bold hover:underline" : "text-blue-600 hover:underline"}
+              onClick={() => (thematicLayerId.value = layer.id)}
+            >
+              专题
+            </button>
+          )}
+          {layer.id !== DRAWN_LAYER_ID && (
+            <button class="text-red-500 hover:underline" onClick={() => featureStore.removeLayer(layer.id)}>
+              移除
+            </button>
+          )}
+        </div>
+      ));
+    };
+
+    /**
+     * 渲染离线缓存用量
+     * @returns {JSX.Element|Array<JSX.Element>}
+     */
+    const renderOfflineCache = () => {
+      const entries = Object.entries(tileStore.state.usage);
+      if (!entries.length) return <div class="px-3 py-1 text-gray-500">暂无离线瓦片</div>;
+      return entries.map(([sourceId, { count, bytes }]) => (
+        <div key={sourceId} class="flex items-center space-x-2 px-3 py-1 hover:bg-gray-50">
+          <span class="flex-1 truncate">{tileCatalog.getSource(sourceId)?.name || sourceId}</span>
+          <span class="text-gray-400">
+            {count} 个 / {formatBytes(bytes)}
+          </span>
+          <button class="text-red-500 hover:underline" onClick={() => tileStore.clearSource(sourceId)}>
+            清除
+          </button>
+        </div>
+      ));
+    };
+
+    /**
+     * 渲染服务密钥输入框
+     * @returns {JSX.Element|Array<JSX.Element>}
+     */
+    const renderKeys = () =>
+      keyNames.value.map((keyName) => (
+        <label key={keyName} class="flex items-center space-x-2 px-3 py-1">
+          <span class="w-24 truncate text-gray-600" title={keyName}>
+            {keyName}
+          </span>
+          {/* change在输入完成后触发，避免每次按键都重建瓦片图层 */}
+          <input
+            class="border rounded px-2 py-0.5 flex-1 min-w-0"
+            placeholder="未设置"
+            value={tileCatalog.state.keys[keyName] || ""}
+            onChange={(e) => tileCatalog.setKey(keyName, e.target.value.trim())}
+          />
+        </label>
+      ));
+
+    /**
+     * 渲染分组标题
+     * @param {string} title - 标题
+     * @returns {JSX.Element}
+     */
+    const renderTitle = (title) => (
+      <div class="px-3 pt-2 pb-1 text-xs font-bold text-gray-500 border-t first:border-t-0">{title}</div>
+    );
+
+    return () => (
+      <div class="relative">
+        <button
+          class="bg-gray-200 hover:bg-gray-300 text-gray-700 font-bold py-2 px-4 rounded"
+          onClick={() => (open.value = !open.value)}
+        >
+          图层（{featureStore.state.layers.length}）
+        </button>
+        {open.value && (
+          <div class="absolute right-0 mt-2 z-[1500] w-80 max-h-[70vh] overflow-auto bg-white rounded shadow-lg border text-sm pb-1">
+            {renderTitle("底图")}
+            {renderBaseMaps()}
+            {renderTitle("叠加图层")}
+            {renderOverlays()}
+            {renderTitle("数据图层")}
+            {renderDataLayers()}
+            {renderTitle(tileStore.state.online ? "离线缓存" : "离线缓存（当前离线，使用缓存瓦片）")}
+            {renderOfflineCache()}
+            {keyNames.value.length > 0 && renderTitle("服务密钥")}
+            {renderKeys()}
+            {message.value && <div class="px-3 py-1 text-red-500">{message.value}</div>}
+            <div class="flex flex-wrap items-center gap-x-3 gap-y-1 px-3 pt-2 border-t mt-1">
+              <button class="text-blue-600 hover:underline" onClick={() => (showForm.value = true)}>
+                添加瓦片图层
+              </button>
+              <button class="text-blue-600 hover:underline" onClick={() => configInput.value.click()}>
+                导入配置
+              </button>
+              <button class="text-blue-600 hover:underline" onClick={handleExportConfig}>
+                导出配置
+              </button>
+              <button class="text-blue-600 hover:underline" onClick={() => (showDownload.value = true)}>
+                下载离线瓦片
+              </button>
+              <button class="text-blue-600 hover:underline" onClick={() => tileFileInput.value.click()}>
+                加载MBTiles/PMTiles
+              </button>
+              <input
+                ref={tileFileInput}
+                type="file"
+                accept=".mbtiles,.pmtiles"
+                class="hidden"
+                onChange={handleLoadTileFile}
+              />
+              <input
+                ref={configInput}
+                type="file"
+                accept=".json"
+                class="hidden"
+                onChange={handleImportConfig}
+              />
+            </div>
+          </div>
+        )}
+        {showForm.value && (
+          <TileSourceForm onConfirm={handleAddSource} onCancel={() => (showForm.value = false)} />
+        )}
+        {showDownload.value && <OfflineDownload onClose={() => (showDownload.value = false)} />}
+        {thematicLayerId.value && (
+          <ThematicPanel layerId={thematicLayerId.value} onClose={() => (thematicLayerId.value = null)} />
+        )}
+      </div>
+    );
+  },
+});
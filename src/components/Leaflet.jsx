@@ -5,7 +5,7 @@
  */
 
 // Vue相关依赖
-import { defineComponent, onMounted, ref } from "vue";
+import { defineComponent, onMounted, onUnmounted, reactive, ref, watch } from "vue";
 
 // Leaflet核心库及工具
 import L from "leaflet";
@@ -25,6 +25,527 @@ import "leaflet.markercluster"; // 聚合功能
 import "leaflet-draw"; // 绘制工具
 import "leaflet-fullscreen"; // 全屏控件
 
+// 共享要素仓库
+import featureStore, { createId, DRAWN_LAYER_ID } from "@utils/featureStore";
+// 地理编码与搜索框
+import defaultGeocoder, { formatLatLng, isAbortError } from "@utils/geocoder";
+import SearchBox from "./SearchBox";
+import SelectionPanel from "./SelectionPanel";
+import SnapPanel from "./SnapPanel";
+import AttributePanel from "./AttributePanel";
+import selection, { getFeatureGeometry } from "@utils/selection";
+import defaultHistory from "@utils/history";
+import { findSnapTarget, findOverlaps, isSelfIntersecting } from "@utils/topology";
+import { DEFAULT_DRAWN_SCHEMA } from "@utils/attributeSchema";
+import { circleToPolygon } from "@utils/geojson";
+import { getHeatmapPoints } from "@utils/thematic";
+import { drawHeatmap } from "@utils/heatmap";
+import ThematicLegend from "./ThematicLegend";
+// 视野数据加载
+import viewportLoader from "@utils/viewportLoader";
+// 底图与叠加瓦片图层目录
+import tileCatalog from "@utils/tileCatalog";
+import { getWMTSTemplate, fetchFeatureInfo, isWebMercator } from "@utils/ogc";
+import tileStore from "@utils/tileStore";
+import { getMBTilesImage } from "@utils/mbtiles";
+import { loadVectorTile, drawVectorTile, pickVectorFeatures } from "@utils/vectorTiles";
+import {
+  measurePath,
+  circleArea,
+  circlePerimeter,
+  formatLength,
+  formatArea,
+  formatAzimuth,
+  LENGTH_UNITS,
+  AREA_UNITS,
+} from "@utils/measure";
+import {
+  WGS84,
+  GCJ02,
+  BD09,
+  createTransformer,
+  isProjectedCrs,
+  getGaussKrugerCrs,
+  isLngLat,
+} from "@utils/projection";
+
+/**
+ * 鼠标位置读数可选的坐标系
+ * @description GK为CGCS2000高斯-克吕格3度带，按鼠标所在经度自动选带
+ * @type {Array<{code: string, name: string}>}
+ */
+const READOUT_CRS_OPTIONS = [
+  { code: WGS84, name: "WGS84" },
+  { code: GCJ02, name: "GCJ-02" },
+  { code: BD09, name: "BD-09" },
+  { code: "EPSG:4490", name: "CGCS2000" },
+  { code: "GK", name: "CGCS2000 3度带" },
+];
+
+/**
+ * 创建从Blob加载图片的瓦片
+ * @description 替代L.TileLayer.createTile，图片来源由loadBlob决定；加载完成后释放对象URL
+ * @param {Function} loadBlob - 读取瓦片图片的函数，返回Promise<Blob|null>
+ * @param {Function} done - Leaflet瓦片完成回调
+ * @returns {{tile: HTMLImageElement, fromBlob: Function}} 瓦片元素与开始加载的函数
+ */
+const createBlobTile = (loadBlob, done) => {
+  const tile = document.createElement("img");
+  tile.alt = "";
+  tile.setAttribute("role", "presentation");
+  let objectUrl = null;
+  tile.onload = () => {
+    if (objectUrl) URL.revokeObjectURL(objectUrl);
+    done(null, tile);
+  };
+  const fromBlob = (onMissing) =>
+    loadBlob().then(
+      (blob) => {
+        if (!blob) return onMissing();
+        objectUrl = URL.createObjectURL(blob);
+        tile.src = objectUrl;
+      },
+      (error) => done(error, tile)
+    );
+  return { tile, fromBlob };
+};
+
+/**
+ * 支持离线回退的瓦片加载
+ * @description 在线时请求网络，请求失败或离线时读取离线缓存中预先下载的瓦片（见 utils/tileStore）；
+ * options.sourceId为瓦片图层源ID
+ */
+const OfflineTileMixin = {
+  createTile(coords, done) {
+    const { tile, fromBlob } = createBlobTile(
+      () => tileStore.getTile(this.options.sourceId, coords),
+      done
+    );
+    const fallback = () => {
+      tile.onerror = (e) => done(e, tile);
+      fromBlob(() => done(new Error("离线缓存中没有该瓦片"), tile));
+    };
+    if (this.options.crossOrigin || this.options.crossOrigin === "") {
+      tile.crossOrigin = this.options.crossOrigin === true ? "" : this.options.crossOrigin;
+    }
+    if (tileStore.state.online) {
+      tile.onerror = fallback;
+      tile.src = this.getTileUrl(coords);
+    } else {
+      fallback();
+    }
+    return tile;
+  },
+};
+
+const OfflineTileLayer = L.TileLayer.extend(OfflineTileMixin);
+const OfflineWMSLayer = L.TileLayer.WMS.extend(OfflineTileMixin);
+
+/**
+ * MBTiles瓦片图层
+ * @description 从本地MBTiles文件读取瓦片（见 utils/mbtiles），options.sourceId为图层源ID
+ */
+const MBTilesLayer = L.TileLayer.extend({
+  createTile(coords, done) {
+    const { tile, fromBlob } = createBlobTile(
+      () => getMBTilesImage(this.options.sourceId, coords),
+      done
+    );
+    tile.onerror = (e) => done(e, tile);
+    // 文件中没有的瓦片留空
+    fromBlob(() => done(null, tile));
+    return tile;
+  },
+});
+
+/** 矢量瓦片的绘制与拾取尺寸（像素） */
+const VECTOR_TILE_SIZE = 256;
+
+/**
+ * 矢量瓦片图层
+ * @description 读取MVT或PMTiles矢量瓦片（见 utils/vectorTiles），按options.vectorStyle绘制到Canvas，
+ * 并保留已绘制的要素用于单击拾取
+ */
+const VectorTileLayer = L.GridLayer.extend({
+  initialize(source, url, options) {
+    this._source = source;
+    this._url = url;
+    /** @type {Map<string, Array<Object>>} 瓦片键 -> 已绘制的要素 */
+    this._drawn = new Map();
+    L.setOptions(this, options);
+    this.on("tileunload", ({ tile, coords }) => {
+      tile.abort?.();
+      this._drawn.delete(this._tileCoordsToKey(coords));
+    });
+  },
+
+  createTile(coords, done) {
+    const tile = L.DomUtil.create("canvas", "leaflet-tile");
+    const size = this.getTileSize();
+    const ratio = window.devicePixelRatio || 1;
+    tile.width = size.x * ratio;
+    tile.height = size.y * ratio;
+    const key = this._tileCoordsToKey(coords);
+    const controller = new AbortController();
+    tile.abort = () => controller.abort();
+
+    loadVectorTile(this._source, this._url, coords, { signal: controller.signal }).then(
+      (features) => {
+        const context = tile.getContext("2d");
+        context.scale(tile.width / VECTOR_TILE_SIZE, tile.height / VECTOR_TILE_SIZE);
+        this._drawn.set(
+          key,
+          drawVectorTile(context, features, this.options.vectorStyle, {
+            zoom: coords.z,
+            tileSize: VECTOR_TILE_SIZE,
+          })
+        );
+        done(null, tile);
+      },
+      (error) => {
+        if (!isAbortError(error)) done(error, tile);
+      }
+    );
+    return tile;
+  },
+
+  /**
+   * 拾取指定位置的矢量要素
+   * @param {L.LatLng} latlng - 位置
+   * @returns {Array<Object>} 命中的要素 { layer, type, properties, ... }，上层在前
+   */
+  getFeaturesAt(latlng) {
+    const zoom = this._tileZoom;
+    if (!this._map || zoom === undefined) return [];
+    const point = this._map.project(latlng, zoom);
+    const coords = point.divideBy(VECTOR_TILE_SIZE).floor();
+    coords.z = zoom;
+    const drawn = this._drawn.get(this._tileCoordsToKey(coords));
+    if (!drawn) return [];
+    // 超出原生级别放大显示时，按屏幕像素换算拾取容差
+    const scale = this.getTileSize().x / VECTOR_TILE_SIZE;
+    return pickVectorFeatures(drawn, point.subtract(coords.multiplyBy(VECTOR_TILE_SIZE)), {
+      tileSize: VECTOR_TILE_SIZE,
+      tolerance: 4 / scale,
+    });
+  },
+});
+
+/**
+ * 撤销/重做工具栏
+ * @description 与绘制工具栏同样式的按钮组，options.onUndo、options.onRedo为点击回调
+ */
+const HistoryControl = L.Control.extend({
+  options: { position: "topleft" },
+
+  onAdd() {
+    const container = L.DomUtil.create("div", "leaflet-bar");
+    this._undoButton = this._createButton(container, "↶", this.options.onUndo);
+    this._redoButton = this._createButton(container, "↷", this.options.onRedo);
+    L.DomEvent.disableClickPropagation(container);
+    return container;
+  },
+
+  _createButton(container, text, handler) {
+    const button = L.DomUtil.create("a", "leaflet-disabled", container);
+    button.href = "#";
+    button.setAttribute("role", "button");
+    button.style.fontSize = "18px";
+    button.textContent = text;
+    L.DomEvent.on(button, "click", (e) => {
+      L.DomEvent.preventDefault(e);
+      if (!L.DomUtil.hasClass(button, "leaflet-disabled")) handler();
+    });
+    return button;
+  },
+
+  /**
+   * 更新按钮可用状态与提示
+   * @param {{undo: string|null, redo: string|null}} titles - 按钮提示，为null时禁用
+   * @returns {void}
+   */
+  update({ undo, redo }) {
+    [
+      [this._undoButton, undo, "撤销 (Ctrl+Z)"],
+      [this._redoButton, redo, "重做 (Ctrl+Shift+Z)"],
+    ].forEach(([button, title, fallback]) => {
+      if (!button) return;
+      L.DomUtil[title === null ? "addClass" : "removeClass"](button, "leaflet-disabled");
+      button.title = title || fallback;
+    });
+  },
+});
+
+/**
+ * 热力图图层
+ * @description 在覆盖地图视野的Canvas上绘制（见 utils/heatmap），移动结束后按新视野重绘；
+ * points为 [经度, 纬度, 权重(0~1)]，options为 drawHeatmap 的选项
+ */
+const HeatmapLayer = L.Layer.extend({
+  initialize(points, options) {
+    this._points = points;
+    L.setOptions(this, options);
+  },
+
+  setPoints(points) {
+    this._points = points;
+    this._redraw();
+    return this;
+  },
+
+  onAdd(map) {
+    const animated = map.options.zoomAnimation && L.Browser.any3d;
+    this._canvas = L.DomUtil.create(
+      "canvas",
+      `leaflet-layer leaflet-zoom-${animated ? "animated" : "hide"}`
+    );
+    this._canvas.style.pointerEvents = "none";
+    this.getPane().appendChild(this._canvas);
+    map.on("moveend", this._reset, this);
+    if (animated) map.on("zoomanim", this._animateZoom, this);
+    this._reset();
+  },
+
+  onRemove(map) {
+    L.DomUtil.remove(this._canvas);
+    map.off("moveend", this._reset, this);
+    map.off("zoomanim", this._animateZoom, this);
+  },
+
+  _reset() {
+    const size = this._map.getSize();
+    L.DomUtil.setPosition(this._canvas, this._map.containerPointToLayerPoint([0, 0]));
+    this._canvas.width = size.x;
+    this._canvas.height = size.y;
+    this._redraw();
+  },
+
+  _redraw() {
+    if (!this._map) return;
+    const points = this._points.map(([lng, lat, weight]) => {
+      const { x, y } = this._map.latLngToContainerPoint([lat, lng]);
+      return [x, y, weight];
+    });
+    drawHeatmap(this._canvas, points, this.options);
+  },
+
+  _animateZoom(event) {
+    const scale = this._map.getZoomScale(event.zoom);
+    const offset = this._map
+      ._latLngBoundsToNewLayerBounds(this._map.getBounds(), event.zoom, event.center)
+      .min;
+    L.DomUtil.setTransform(this._canvas, offset, scale);
+  },
+});
+
+/** 打印时不输出的窗格：弹出框、提示、捕捉指示与选择高亮 */
+const PRINT_EXCLUDED_PANES =
+  ".leaflet-popup-pane, .leaflet-tooltip-pane, .leaflet-snap-pane, .leaflet-selection-pane";
+
+/** 打印时等待瓦片加载的最长时间（毫秒） */
+const PRINT_LOAD_TIMEOUT = 15000;
+
+/** 瓦片加载完成后等待淡入动画结束的时间（毫秒） */
+const PRINT_FADE_DELAY = 300;
+
+/**
+ * 等待地图上的瓦片图层加载完成
+ * @param {L.Map} map - 地图
+ * @returns {Promise<void>} 全部加载完成或超时后resolve
+ */
+const waitForTiles = (map) => {
+  const pending = [];
+  map.eachLayer((layer) => {
+    if (layer instanceof L.GridLayer && layer.isLoading()) {
+      pending.push(new Promise((resolve) => layer.once("load", resolve)));
+    }
+  });
+  return Promise.race([
+    Promise.all(pending),
+    new Promise((resolve) => setTimeout(resolve, PRINT_LOAD_TIMEOUT)),
+  ]).then(() => new Promise((resolve) => setTimeout(resolve, PRINT_FADE_DELAY)));
+};
+
+/**
+ * 加载可绘制到Canvas的图片
+ * @description 同源、本地（blob/data）或已声明crossOrigin的图片直接使用；
+ * 其他跨域图片按CORS方式重新请求，服务不支持CORS时返回null
+ * @param {HTMLImageElement} img - 页面中的图片
+ * @returns {Promise<HTMLImageElement|null>} 图片
+ */
+const loadPrintableImage = (img) => {
+  const url = new URL(img.currentSrc || img.src, window.location.href);
+  if (
+    img.crossOrigin !== null ||
+    url.origin === window.location.origin ||
+    url.protocol === "blob:" ||
+    url.protocol === "data:"
+  ) {
+    return Promise.resolve(img);
+  }
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.crossOrigin = "anonymous";
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = url.href;
+  });
+};
+
+/**
+ * SVG元素转换为图片
+ * @param {SVGElement} svg - SVG元素
+ * @returns {Promise<HTMLImageElement|null>} 图片
+ */
+const loadSvgImage = (svg) =>
+  new Promise((resolve) => {
+    const source = new XMLSerializer().serializeToString(svg);
+    const url = URL.createObjectURL(new Blob([source], { type: "image/svg+xml" }));
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      resolve(null);
+    };
+    image.src = url;
+  });
+
+/**
+ * 计算元素在容器内的叠放次序
+ * @param {Element} element - 元素
+ * @param {Element} root - 地图窗格
+ * @returns {Array<number>} 自窗格向下各级祖先的z-index
+ */
+const getStackOrder = (element, root) => {
+  const order = [];
+  for (let node = element; node && node !== root; node = node.parentElement) {
+    order.unshift(parseInt(getComputedStyle(node).zIndex, 10) || 0);
+  }
+  return order;
+};
+
+/**
+ * 比较叠放次序
+ * @param {Array<number>} a - 次序
+ * @param {Array<number>} b - 次序
+ * @returns {number}
+ */
+const compareStackOrder = (a, b) => {
+  for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+};
+
+/**
+ * 计算元素及其祖先的累计不透明度
+ * @param {Element} element - 元素
+ * @param {Element} root - 地图容器
+ * @returns {number} 0~1，元素隐藏时为0
+ */
+const getEffectiveOpacity = (element, root) => {
+  let opacity = 1;
+  for (let node = element; node && node !== root; node = node.parentElement) {
+    const style = getComputedStyle(node);
+    if (style.display === "none" || style.visibility === "hidden") return 0;
+    opacity *= parseFloat(style.opacity);
+  }
+  return opacity;
+};
+
+/**
+ * 绘制div图标
+ * @description 聚合图标等由div组成的图标：按层级绘制背景色（含圆角）与叶子节点的文字
+ * @param {CanvasRenderingContext2D} context - 绘图上下文
+ * @param {Element} element - 图标元素
+ * @param {DOMRect} origin - 地图容器的位置
+ * @returns {void}
+ */
+const drawDivIcon = (context, element, origin) => {
+  const style = getComputedStyle(element);
+  if (style.display === "none" || style.visibility === "hidden") return;
+  const rect = element.getBoundingClientRect();
+  const x = rect.left - origin.left;
+  const y = rect.top - origin.top;
+  const background = style.backgroundColor;
+  if (background && background !== "transparent" && background !== "rgba(0, 0, 0, 0)") {
+    const radius = Math.min(parseFloat(style.borderTopLeftRadius) || 0, rect.width / 2, rect.height / 2);
+    context.fillStyle = background;
+    context.beginPath();
+    context.roundRect(x, y, rect.width, rect.height, radius);
+    context.fill();
+  }
+  const children = [...element.children].filter((child) => child.tagName !== "IMG");
+  children.forEach((child) => drawDivIcon(context, child, origin));
+  const text = element.textContent.trim();
+  if (!children.length && text) {
+    context.fillStyle = style.color;
+    context.font = `${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.fillText(text, x + rect.width / 2, y + rect.height / 2);
+  }
+};
+
+/**
+ * 将地图画面合成到Canvas
+ * @description 按窗格与图层的叠放次序绘制瓦片、Canvas（矢量瓦片、热力图）、SVG矢量与标注图标，
+ * 不输出弹出框、提示等交互元素；不支持CORS的跨域图片无法绘制，计入skipped
+ * @param {L.Map} map - 地图
+ * @param {number} pixelRatio - 输出像素与CSS像素之比
+ * @returns {Promise<{canvas: HTMLCanvasElement, skipped: number}>} 画面与未能绘制的图片数
+ */
+const rasterizeMap = async (map, pixelRatio) => {
+  const container = map.getContainer();
+  const origin = container.getBoundingClientRect();
+  const size = map.getSize();
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(size.x * pixelRatio);
+  canvas.height = Math.round(size.y * pixelRatio);
+  const context = canvas.getContext("2d");
+  context.scale(pixelRatio, pixelRatio);
+  context.fillStyle = getComputedStyle(container).backgroundColor;
+  context.fillRect(0, 0, size.x, size.y);
+
+  const mapPane = map.getPane("mapPane");
+  const elements = [...mapPane.querySelectorAll("img, canvas, svg, div.leaflet-marker-icon")]
+    .filter((element) => !element.closest(PRINT_EXCLUDED_PANES))
+    .map((element) => ({ element, order: getStackOrder(element, mapPane) }))
+    .sort((a, b) => compareStackOrder(a.order, b.order));
+
+  // 先并行加载全部图片，再按次序同步绘制
+  const images = await Promise.all(
+    elements.map(({ element }) => {
+      if (element.tagName === "IMG") {
+        return element.complete && element.naturalWidth ? loadPrintableImage(element) : null;
+      }
+      if (element.tagName.toLowerCase() === "svg") return loadSvgImage(element);
+      return element;
+    })
+  );
+
+  let skipped = 0;
+  elements.forEach(({ element }, i) => {
+    const opacity = getEffectiveOpacity(element, container);
+    const rect = element.getBoundingClientRect();
+    if (!opacity || !rect.width || !rect.height) return;
+    context.save();
+    context.globalAlpha = opacity;
+    if (element.tagName === "DIV") {
+      drawDivIcon(context, element, origin);
+    } else if (images[i]) {
+      context.drawImage(images[i], rect.left - origin.left, rect.top - origin.top, rect.width, rect.height);
+    } else if (element.tagName === "IMG" && element.naturalWidth) {
+      skipped += 1;
+    }
+    context.restore();
+  });
+  return { canvas, skipped };
+};
+
 export default defineComponent({
   name: "LeafletMap",
   props: {
@@ -68,13 +589,13 @@ export default defineComponent({
     },
     /**
      * 是否启用点位聚合
-     * @description 当地图上有大量标记点时，是否将它们聚合显示
+     * @description 点图层（addPointLayer）未单独配置enableClustering时是否聚合显示
      * @type {boolean}
      * @default true
      */
     /**
      * 是否启用点位聚合
-     * @description 当地图上有大量标记点时，是否将它们聚合显示
+     * @description 点图层（addPointLayer）未单独配置enableClustering时是否聚合显示
      * @type {boolean}
      * @default true
      */
@@ -84,13 +605,13 @@ export default defineComponent({
     },
     /**
      * 聚合半径
-     * @description 点位聚合的范围半径（像素），值越大聚合范围越大
+     * @description 点图层未单独配置clusterRadius时的聚合半径（像素），值越大聚合范围越大
      * @type {number}
      * @default 80
      */
     /**
      * 聚合半径
-     * @description 点位聚合的范围半径（像素），值越大聚合范围越大
+     * @description 点图层未单独配置clusterRadius时的聚合半径（像素），值越大聚合范围越大
      * @type {number}
      * @default 80
      */
@@ -116,19 +637,21 @@ export default defineComponent({
     },
     /**
      * 底图类型
-     * @description 选择地图底图样式，可选值：standard（标准）、satellite（卫星）、terrain（地形）、traffic（交通）
+     * @description 瓦片图层目录中的底图ID，内置standard（标准）、satellite（卫星）、terrain（地形）、traffic（交通）；
+     * 为空时使用图层管理中保存的底图
      * @type {string}
-     * @default "standard"
+     * @default ""
      */
     /**
      * 底图类型
-     * @description 选择地图底图样式，可选值：standard（标准）、satellite（卫星）、terrain（地形）、traffic（交通）
+     * @description 瓦片图层目录中的底图ID，内置standard（标准）、satellite（卫星）、terrain（地形）、traffic（交通）；
+     * 为空时使用图层管理中保存的底图
      * @type {string}
-     * @default "standard"
+     * @default ""
      */
     baseMapType: {
       type: String,
-      default: "standard",
+      default: "",
     },
     /**
      * 是否启用绘制工具
@@ -162,6 +685,96 @@ export default defineComponent({
       type: Boolean,
       default: true,
     },
+    /**
+     * 是否启用空间选择
+     * @description 是否显示空间选择面板，按框选、圈选、多边形、套索或已绘制的图形选择要素
+     * @type {boolean}
+     * @default true
+     */
+    enableSelection: {
+      type: Boolean,
+      default: true,
+    },
+    /**
+     * 地理编码器
+     * @description 搜索框与右键逆地理编码使用的地理编码器，见 utils/geocoder 的 createGeocoder
+     * @type {Object}
+     * @default 全局共享的地理编码器
+     */
+    geocoder: {
+      type: Object,
+      default: () => defaultGeocoder,
+    },
+    /**
+     * 视野数据源
+     * @description 随地图移动按视野范围加载的数据源适配器，见 utils/dataSources；
+     * 二维与三维地图共用同一个视野加载器，传入相同的数据源即可
+     * @type {Array<Object>}
+     * @default []
+     */
+    dataSources: {
+      type: Array,
+      default: () => [],
+    },
+    /**
+     * 编辑历史
+     * @description 绘制、编辑、删除与属性修改记录到的历史，见 utils/history 的 createHistory
+     * @type {Object}
+     * @default 全局共享的编辑历史
+     */
+    history: {
+      type: Object,
+      default: () => defaultHistory,
+    },
+    /**
+     * 是否启用捕捉
+     * @description 绘制与编辑节点时吸附到可见图层中其他要素的节点与边，可在捕捉面板中切换
+     * @type {boolean}
+     * @default true
+     */
+    enableSnapping: {
+      type: Boolean,
+      default: true,
+    },
+    /**
+     * 捕捉容差
+     * @description 鼠标与节点或边的屏幕距离在此范围内时捕捉（像素）
+     * @type {number}
+     * @default 10
+     */
+    snapTolerance: {
+      type: Number,
+      default: 10,
+    },
+    /**
+     * 初始拓扑规则
+     * @description 见 utils/topology 的 TOPOLOGY_RULES，如 { noOverlap: true, sharedEdges: true }
+     * @type {Object}
+     * @default { noSelfIntersection: true }
+     */
+    topologyRules: {
+      type: Object,
+      default: () => ({ noSelfIntersection: true }),
+    },
+    /**
+     * 是否启用属性编辑
+     * @description 单击绘制或导入的要素时打开属性面板，按图层字段定义编辑属性
+     * @type {boolean}
+     * @default true
+     */
+    enableAttributes: {
+      type: Boolean,
+      default: true,
+    },
+    /**
+     * 视图变化回调
+     * @description 地图移动或缩放结束时调用，参数为 { center: [纬度, 经度], zoom }
+     * @type {Function}
+     */
+    onViewChange: {
+      type: Function,
+      default: null,
+    },
   },
   /**
    * 组件逻辑设置
@@ -172,47 +785,31 @@ export default defineComponent({
   setup(props, { expose, emit }) {
     // 响应式状态管理
     const map = ref(null); // Leaflet地图实例
-    const mousePosition = ref(null); // 鼠标位置坐标
+    const mousePosition = ref(null); // 鼠标位置坐标（WGS84）
+    const readoutCrs = ref(WGS84); // 鼠标位置读数的坐标系
     const drawnItems = ref(null); // 绘制的图形图层组
     const drawControl = ref(null); // 绘制控件实例
-
-    /**
-     * 底图配置对象
-     * @description 定义不同类型底图的URL和配置选项
-     * @type {Object}
-     */
-    const baseMaps = {
-      standard: {
-        url: "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
-        options: {
-          attribution:
-            '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>',
-          maxZoom: 19,
-        },
-      },
-      satellite: {
-        url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
-        options: {
-          attribution: '&copy; <a href="https://www.esri.com">Esri</a>',
-          maxZoom: 19,
-        },
-      },
-      terrain: {
-        url: "https://stamen-tiles.a.ssl.fastly.net/terrain/{z}/{x}/{y}.jpg",
-        options: {
-          attribution: '&copy; <a href="https://stamen.com">Stamen</a>',
-          maxZoom: 18,
-        },
-      },
-      traffic: {
-        url: "https://tile.thunderforest.com/transport/{z}/{x}/{y}.png?apikey=YOUR_API_KEY",
-        options: {
-          attribution:
-            '&copy; <a href="https://www.thunderforest.com">Thunderforest</a>',
-          maxZoom: 19,
-        },
-      },
-    };
+    const lengthUnit = ref("auto"); // 量算长度单位
+    const areaUnit = ref("auto"); // 量算面积单位
+    const measureReadout = ref(null); // 绘制或编辑中的实时量算结果
+    const measureTool = ref(null); // 量算面板中启用的工具
+    /** @type {Object<string, L.Draw.Feature>} 量算面板的绘制工具 */
+    let measureHandlers = {};
+    const selectionTool = ref(null); // 空间选择工具
+    const selectionMode = ref("new"); // 空间选择方式
+    /** @type {Object<string, L.Draw.Feature>} 空间选择的绘制工具 */
+    let selectionHandlers = {};
+    // 捕捉与拓扑设置，见 SnapPanel
+    const snapSettings = reactive({
+      enabled: props.enableSnapping,
+      tolerance: props.snapTolerance,
+      vertices: true,
+      edges: true,
+      noOverlap: Boolean(props.topologyRules.noOverlap),
+      sharedEdges: Boolean(props.topologyRules.sharedEdges),
+      noSelfIntersection: Boolean(props.topologyRules.noSelfIntersection),
+    });
+    const attributeFeatureId = ref(null); // 属性面板中的要素
 
     /**
      * 初始化绘制工具
@@ -229,6 +826,15 @@ export default defineComponent({
 
       drawnItems.value = new L.FeatureGroup();
       map.value.addLayer(drawnItems.value);
+      initSnapping();
+
+      // 绘制图形在要素仓库中的图层
+      featureStore.addLayer({
+        id: DRAWN_LAYER_ID,
+        name: "绘制图形",
+        style: { color: "#f357a1", fillColor: "#f357a1" },
+        schema: DEFAULT_DRAWN_SCHEMA,
+      });
 
       const drawOptions = {
         position: "topleft",
@@ -246,7 +852,7 @@ export default defineComponent({
             : false,
           polygon: props.enableMeasure
             ? {
-                allowIntersection: true,
+                allowIntersection: !snapSettings.noSelfIntersection,
                 showArea: true,
                 showLength: true,
                 metric: true,
@@ -285,7 +891,7 @@ export default defineComponent({
                   weight: 2,
                   opacity: 0.7,
                 },
-                showArea: false,
+                showArea: true,
                 metric: true,
                 repeatMode: false,
                 allowIntersection: false,
@@ -310,38 +916,127 @@ export default defineComponent({
 
       drawControl.value = new L.Control.Draw(drawOptions);
       map.value.addControl(drawControl.value);
+      // 工具栏的绘制工具由控件创建，添加到地图后挂载捕捉
+      Object.values(drawControl.value._toolbars[L.DrawToolbar.TYPE]?._modes || {}).forEach(({ handler }) =>
+        attachDrawSnapping(handler)
+      );
+
+      // 量算面板的工具与工具栏共用样式，量算结果同样保存为绘制图形
+      if (props.enableMeasure) {
+        const shapeOptions = { color: "#f357a1" };
+        measureHandlers = {
+          distance: new L.Draw.Polyline(map.value, drawOptions.draw.polyline),
+          area: new L.Draw.Polygon(map.value, drawOptions.draw.polygon),
+          circle: new L.Draw.Circle(map.value, {
+            shapeOptions,
+            showRadius: true,
+            metric: true,
+          }),
+          point: new L.Draw.Marker(map.value),
+        };
+        // 量算结果同样保存为绘制图形，量算时也捕捉
+        Object.values(measureHandlers).forEach(attachDrawSnapping);
+      }
+
+      // 绘制面时按拓扑规则检查自相交
+      watch(
+        () => snapSettings.noSelfIntersection,
+        (noSelfIntersection) => {
+          const polygon = { allowIntersection: !noSelfIntersection };
+          drawControl.value.setDrawingOptions({ polygon });
+          measureHandlers.area?.setOptions(polygon);
+        }
+      );
 
       // 监听绘制完成事件
       map.value.on(L.Draw.Event.CREATED, (event) => {
+        // 空间选择绘制的范围不保存为图形
+        if (selectionHandlers[selectionTool.value]) return;
         const layer = event.layer;
+        layer.featureShape = event.layerType;
+
+        // 违反拓扑规则的图形不保存
+        const error = getTopologyError(drawnLayerToFeature(layer));
+        if (error) {
+          showTopologyError(layer, error);
+          return;
+        }
         drawnItems.value.addLayer(layer);
 
-        // 如果是测量功能，添加测量结果
+        // 量算结果绑定在图形上，编辑后打开时重新计算
         if (
           props.enableMeasure ||
           event.layerType === "circle" ||
           event.layerType === "rectangle"
         ) {
-          let measurementText = "";
-          if (event.layerType === "polyline") {
-            const distance = calculateDistance(layer);
-            measurementText = `距离: ${distance.toFixed(2)} 米`;
-          } else if (
-            event.layerType === "polygon" ||
-            event.layerType === "rectangle"
-          ) {
-            const area = calculateArea(layer, event.layerType);
-            measurementText = `面积: ${area.toFixed(2)} 平方米`;
-          } else if (event.layerType === "circle") {
-            const area = calculateArea(layer, event.layerType);
-            measurementText = `面积: ${area.toFixed(2)} 平方米`;
-          }
-          if (measurementText) {
-            layer.bindPopup(measurementText).openPopup();
+          bindMeasurePopup(layer);
+          layer.openPopup();
+        }
+
+        // 写入共享要素仓库，三维地图据此同步显示
+        layer.featureId = createId();
+        bindAttributeEditing(layer);
+        featureLayers.set(layer.featureId, layer);
+        props.history.track("绘制", [layer.featureId], () =>
+          writeToStore(() =>
+            featureStore.addFeature(DRAWN_LAYER_ID, {
+              id: layer.featureId,
+              ...drawnLayerToFeature(layer),
+            })
+          )
+        );
+      });
+
+      // 监听编辑完成事件，同步几何到要素仓库并刷新量算结果
+      map.value.on(L.Draw.Event.EDITED, (event) => {
+        const layers = event.layers.getLayers().filter((layer) => layer.featureId);
+
+        // 任一图形违反拓扑规则时放弃整次编辑，按仓库中的要素恢复图形
+        const edited = new Map(
+          layers.map((layer) => [layer.featureId, drawnLayerToFeature(layer)])
+        );
+        for (const layer of layers) {
+          const error = getTopologyError(edited.get(layer.featureId), layer.featureId, edited);
+          if (error) {
+            const features = layers.map((item) => featureStore.getFeature(item.featureId));
+            removeFeatureLayers(features);
+            renderFeatures(features);
+            showTopologyError(layer, `${error}，编辑未保存`);
+            return;
           }
         }
+
+        props.history.track(
+          "编辑图形",
+          layers.map((layer) => layer.featureId),
+          () =>
+            writeToStore(() => {
+              layers.forEach((layer) =>
+                featureStore.updateFeature(layer.featureId, drawnLayerToFeature(layer))
+              );
+            })
+        );
+        event.layers.eachLayer(refreshMeasurePopup);
+      });
+
+      initLiveMeasure();
+
+      // 监听删除完成事件，同步移除仓库中的要素
+      map.value.on(L.Draw.Event.DELETED, (event) => {
+        const featureIds = [];
+        event.layers.eachLayer((layer) => {
+          if (layer.featureId) {
+            featureIds.push(layer.featureId);
+            featureLayers.delete(layer.featureId);
+          }
+        });
+        props.history.track("删除", featureIds, () =>
+          writeToStore(() => featureStore.removeFeatures(featureIds))
+        );
       });
 
+      if (props.enableDraw) initHistory();
+
       // 监听删除事件
       drawnItems.value.on("layerremove", (event) => {
         const layer = event.layer;
@@ -381,252 +1076,1045 @@ export default defineComponent({
       });
     };
 
+    /** 撤销/重做工具栏 */
+    let historyControl = null;
+
     /**
-     * 计算距离
+     * 撤销上一步编辑
+     * @description 绘制或编辑进行中时不撤销，避免与绘制工具持有的图层状态冲突
+     * @returns {Object|null} 撤销的操作，见 utils/history
      */
-    const calculateDistance = (layer) => {
-      const latlngs = layer.getLatLngs();
-      let distance = 0;
-      for (let i = 1; i < latlngs.length; i++) {
-        distance += latlngs[i - 1].distanceTo(latlngs[i]);
-      }
-      return distance;
-    };
+    const undo = () => (drawing.value ? null : props.history.undo());
 
     /**
-     * 计算多边形面积
-     * @param {L.Layer} layer - Leaflet图层对象
-     * @returns {number} 面积（平方米）
+     * 重做上一步撤销的编辑
+     * @returns {Object|null} 重做的操作，见 utils/history
      */
-    const calculatePolygonArea = (layer) => {
-      const latlngs = layer.getLatLngs()[0];
-      return L.GeometryUtil.geodesicArea(latlngs);
+    const redo = () => (drawing.value ? null : props.history.redo());
+
+    /**
+     * 撤销/重做快捷键：Ctrl+Z撤销，Ctrl+Shift+Z或Ctrl+Y重做
+     * @param {KeyboardEvent} e - 键盘事件
+     * @returns {void}
+     */
+    const handleHistoryKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      const isRedo = (key === "z" && e.shiftKey) || (key === "y" && !e.shiftKey);
+      if (key !== "z" && !isRedo) return;
+      // 输入框内保留浏览器自身的撤销
+      if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+      e.preventDefault();
+      if (isRedo) redo();
+      else undo();
     };
 
     /**
-     * 计算圆形面积
-     * @param {L.Circle} circle - Leaflet圆形对象
-     * @returns {number} 面积（平方米）
+     * 初始化撤销/重做
+     * @description 添加工具栏与快捷键，按历史状态和绘制状态更新按钮
+     * @returns {void}
      */
-    const calculateCircleArea = (circle) => {
-      const radius = circle.getRadius(); // 获取半径（米）
-      return Math.PI * radius * radius;
+    const initHistory = () => {
+      historyControl = new HistoryControl({ onUndo: undo, onRedo: redo }).addTo(map.value);
+      watch(
+        () => [props.history.state.undoLabel, props.history.state.redoLabel, drawing.value],
+        ([undoLabel, redoLabel, busy]) =>
+          historyControl.update({
+            undo: undoLabel && !busy ? `撤销${undoLabel} (Ctrl+Z)` : null,
+            redo: redoLabel && !busy ? `重做${redoLabel} (Ctrl+Shift+Z)` : null,
+          }),
+        { immediate: true }
+      );
+      document.addEventListener("keydown", handleHistoryKey);
     };
 
+    /** 捕捉位置标记 */
+    let snapIndicator = null;
+
     /**
-     * 计算矩形面积
-     * @param {L.Rectangle} rectangle - Leaflet矩形对象
-     * @returns {number} 面积（平方米）
+     * 获取参与捕捉与拓扑检查的要素
+     * @param {Array<string>} [excludeIds=[]] - 排除的要素ID
+     * @returns {Array<{id: string, geometry: Object}>} 可见图层中的要素，圆转为多边形
      */
-    const calculateRectangleArea = (rectangle) => {
-      const bounds = rectangle.getBounds();
-      const northEast = bounds.getNorthEast();
-      const southWest = bounds.getSouthWest();
+    const getTopologyCandidates = (excludeIds = []) =>
+      featureStore.state.layers
+        .filter((storeLayer) => storeLayer.visible)
+        .flatMap((storeLayer) => featureStore.getFeatures(storeLayer.id))
+        .filter((feature) => feature.geometry && !excludeIds.includes(feature.id))
+        .map((feature) => ({ id: feature.id, geometry: getFeatureGeometry(feature) }));
 
-      // 使用GeometryUtil计算矩形四个顶点构成的多边形面积
-      return L.GeometryUtil.geodesicArea([
-        northEast,
-        L.latLng(northEast.lat, southWest.lng),
-        southWest,
-        L.latLng(southWest.lat, northEast.lng),
-      ]);
-    };
+    /** 隐藏捕捉位置标记 */
+    const hideSnapIndicator = () => snapIndicator?.remove();
 
     /**
-     * 根据图形类型计算面积
-     * @param {L.Layer} layer - Leaflet图层对象
-     * @param {string} layerType - 图层类型
-     * @returns {number} 面积（平方米）
+     * 捕捉坐标
+     * @param {L.LatLng} latlng - 鼠标位置
+     * @param {Object} [options] - 选项
+     * @param {Array<L.Layer>} [options.exclude=[]] - 不参与捕捉的图层（如正在编辑的图形）
+     * @returns {L.LatLng} 捕捉到的节点或边上的坐标，没有目标时原样返回
      */
-    const calculateArea = (layer, layerType) => {
-      switch (layerType) {
-        case "polygon":
-          return calculatePolygonArea(layer);
-        case "circle":
-          return calculateCircleArea(layer);
-        case "rectangle":
-          return calculateRectangleArea(layer);
-        default:
-          console.warn("不支持的图形类型:", layerType);
-          return 0;
+    const snapLatLng = (latlng, { exclude = [] } = {}) => {
+      const { enabled, tolerance, vertices, edges } = snapSettings;
+      if (!snapIndicator || !enabled || (!vertices && !edges)) {
+        hideSnapIndicator();
+        return latlng;
       }
+      const point = map.value.latLngToContainerPoint(latlng);
+      const southWest = map.value.containerPointToLatLng(point.add([-tolerance, tolerance]));
+      const northEast = map.value.containerPointToLatLng(point.add([tolerance, -tolerance]));
+      const target = findSnapTarget(
+        [point.x, point.y],
+        getTopologyCandidates(exclude.map((layer) => layer.featureId).filter(Boolean)),
+        {
+          project: ([lng, lat]) => {
+            const { x, y } = map.value.latLngToContainerPoint([lat, lng]);
+            return [x, y];
+          },
+          bounds: [southWest.lng, southWest.lat, northEast.lng, northEast.lat],
+          tolerance,
+          vertices,
+          edges,
+        }
+      );
+      if (!target) {
+        hideSnapIndicator();
+        return latlng;
+      }
+      const [lng, lat] = target.coordinate;
+      const snapped = L.latLng(lat, lng);
+      // 实心为节点，空心为边
+      snapIndicator
+        .setLatLng(snapped)
+        .setStyle({ fillOpacity: target.type === "vertex" ? 0.8 : 0 })
+        .addTo(map.value);
+      return snapped;
     };
 
     /**
-     * 添加点位并根据配置进行聚合
+     * 查找与节点重合的其他图形的编辑节点
+     * @description 仅在启用共边联动时查找，图形需处于编辑状态
+     * @param {L.Polyline} poly - 正在编辑的图形
+     * @param {L.LatLng} latlng - 节点位置
+     * @returns {Array<{handler: L.Edit.PolyVerticesEdit, marker: L.Marker}>} 重合的节点
      */
-    const addMarkersWithClustering = (map, points) => {
-      if (props.enableClustering) {
-        const markers = L.markerClusterGroup({
-          maxClusterRadius: props.clusterRadius,
+    const findLinkedVertices = (poly, latlng) => {
+      if (!snapSettings.sharedEdges) return [];
+      const linked = [];
+      drawnItems.value.eachLayer((layer) => {
+        if (layer === poly) return;
+        (layer.editing?._verticesHandlers || []).forEach((handler) => {
+          (handler._markers || []).forEach((marker) => {
+            if (marker.getLatLng().equals(latlng, 1e-9)) linked.push({ handler, marker });
+          });
         });
-        points.forEach((point) => {
-          L.marker(point).addTo(markers);
+      });
+      return linked;
+    };
+
+    /**
+     * 为绘制工具挂载捕捉
+     * @description 只替换本组件创建的工具实例上的方法，不修改leaflet-draw的原型：
+     * 线与面的鼠标标记、引导线与新节点，以及点、矩形与圆的点位和控制点按捕捉结果放置
+     * @param {L.Draw.Feature} handler - 绘制工具
+     * @returns {void}
+     */
+    const attachDrawSnapping = (handler) => {
+      if (handler instanceof L.Draw.Polyline) {
+        const { _onMouseMove: onMouseMove, addVertex } = handler;
+        handler._onMouseMove = (e) => {
+          onMouseMove.call(handler, e);
+          const latlng = snapLatLng(handler._currentLatLng);
+          if (latlng === handler._currentLatLng) return;
+          handler._currentLatLng = latlng;
+          handler._mouseMarker.setLatLng(latlng);
+          handler._updateGuide(map.value.latLngToLayerPoint(latlng));
+        };
+        handler.addVertex = (latlng) => addVertex.call(handler, snapLatLng(latlng));
+        return;
+      }
+      ["_onMouseMove", "_onMouseDown"]
+        .filter((name) => typeof handler[name] === "function")
+        .forEach((name) => {
+          const original = handler[name];
+          handler[name] = (e) => original.call(handler, { ...e, latlng: snapLatLng(e.latlng) });
         });
-        map.addLayer(markers);
-      } else {
-        points.forEach((point) => {
-          L.marker(point).addTo(map);
+    };
+
+    /**
+     * 为节点编辑挂载捕捉与共边联动
+     * @description 拖动节点时捕捉其他要素，并带动相邻面上重合的节点；只替换该节点编辑实例上的方法
+     * @param {L.Edit.PolyVerticesEdit} handler - 节点编辑
+     * @returns {void}
+     */
+    const attachVertexSnapping = (handler) => {
+      const {
+        _onMarkerDragStart: dragStart,
+        _onMarkerDrag: drag,
+        _fireEdit: fireEdit,
+      } = L.Edit.PolyVerticesEdit.prototype;
+
+      handler._onMarkerDragStart = (e) => {
+        e.target.linkedVertices = findLinkedVertices(handler._poly, e.target.getLatLng());
+        dragStart.call(handler, e);
+      };
+
+      handler._onMarkerDrag = (e) => {
+        const marker = e.target;
+        const linked = marker.linkedVertices || [];
+        // 自相交由绘制工具在拖动时检查，相交时退回原位置
+        handler._poly.options.poly = {
+          ...handler._poly.options.poly,
+          allowIntersection: !snapSettings.noSelfIntersection,
+        };
+        const exclude = [handler._poly, ...linked.map((item) => item.handler._poly)];
+        const latlng = snapLatLng(marker.getLatLng(), { exclude });
+        if (latlng !== marker.getLatLng()) marker.setLatLng(latlng);
+        drag.call(handler, e);
+        linked.forEach(({ handler: other, marker: otherMarker }) => {
+          otherMarker.setLatLng(L.latLng(marker.getLatLng().lat, marker.getLatLng().lng));
+          drag.call(other, { target: otherMarker });
         });
-      }
+      };
+
+      handler._fireEdit = (e) => {
+        fireEdit.call(handler, e);
+        const marker = e?.target;
+        (marker?.linkedVertices || []).forEach((item) => fireEdit.call(item.handler));
+        if (marker) marker.linkedVertices = null;
+        hideSnapIndicator();
+      };
     };
 
     /**
-     * 加载视野范围内的数据
+     * 为矩形与圆的编辑挂载捕捉
+     * @description 拖动矩形角点、圆心与圆的半径控制点时捕捉其他要素；
+     * 矩形的移动控制点位于中心，不捕捉。只替换该编辑实例上的方法
+     * @param {L.Edit.SimpleShape} handler - 图形编辑
+     * @returns {void}
      */
-    const loadDataInBounds = (mapEvent) => {
-      var bounds = mapEvent.getBounds();
-      // 这里需要根据实际的后端接口来发送请求加载数据
-      console.log("加载视野范围内的数据:", bounds);
+    const attachShapeSnapping = (handler) => {
+      const drag = handler._onMarkerDrag;
+      const dragEnd = handler._onMarkerDragEnd;
+      handler._onMarkerDrag = (e) => {
+        const marker = e.target;
+        if (!(handler instanceof L.Edit.Rectangle && marker === handler._moveMarker)) {
+          const latlng = snapLatLng(marker.getLatLng(), { exclude: [handler._shape] });
+          if (latlng !== marker.getLatLng()) marker.setLatLng(latlng);
+        }
+        drag.call(handler, e);
+      };
+      handler._onMarkerDragEnd = (e) => {
+        dragEnd.call(handler, e);
+        hideSnapIndicator();
+      };
     };
 
     /**
-     * 切换底图
+     * 初始化捕捉
+     * @description 创建捕捉位置标记；为绘制图层中的图形挂载编辑时的捕捉：
+     * 线与面在每次开始编辑时为新建的节点编辑挂载，矩形与圆在加入图层时挂载
+     * @returns {void}
      */
-    const switchBaseMap = (type) => {
-      if (!map.value || !baseMaps[type]) return;
+    const initSnapping = () => {
+      const pane = map.value.createPane("snap");
+      pane.style.zIndex = 660;
+      pane.style.pointerEvents = "none";
+      snapIndicator = L.circleMarker([0, 0], {
+        pane: "snap",
+        radius: 6,
+        color: "#2563eb",
+        weight: 2,
+        interactive: false,
+      });
 
-      // 移除现有底图
-      map.value.eachLayer((layer) => {
-        if (layer instanceof L.TileLayer) {
-          map.value.removeLayer(layer);
+      drawnItems.value.on("layeradd", ({ layer }) => {
+        const { editing } = layer;
+        if (!editing || editing.snappingAttached) return;
+        if (editing instanceof L.Edit.Poly) {
+          // 节点编辑在每次开始编辑时由L.Edit.Poly重新创建
+          const initHandlers = editing._initHandlers;
+          editing._initHandlers = () => {
+            initHandlers.call(editing);
+            editing._verticesHandlers.forEach(attachVertexSnapping);
+          };
+        } else if (editing instanceof L.Edit.SimpleShape) {
+          // 控制点在首次开始编辑时创建并绑定拖动方法，需在此之前替换
+          attachShapeSnapping(editing);
+        } else {
+          return;
         }
+        editing.snappingAttached = true;
       });
 
-      // 添加新底图
-      const baseMap = baseMaps[type];
-      L.tileLayer(baseMap.url, baseMap.options).addTo(map.value);
+      map.value.on(`${L.Draw.Event.DRAWSTOP} ${L.Draw.Event.EDITSTOP}`, hideSnapIndicator);
     };
 
     /**
-     * 更新鼠标位置
+     * 按拓扑规则检查图形
+     * @description 只检查面（含矩形与圆）；与同一次编辑中的其他图形比较时使用其编辑后的几何
+     * @param {Object} feature - 要素数据 { geometry, meta }，见 drawnLayerToFeature
+     * @param {string} [featureId] - 要素ID，编辑已有图形时排除自身
+     * @param {Map<string, Object>} [edited] - 同一次编辑中的要素ID -> 编辑后的要素数据
+     * @returns {string|null} 违反规则的说明，没有违反时返回null
      */
+    const getTopologyError = (feature, featureId, edited = new Map()) => {
+      const geometry = getFeatureGeometry(feature);
+      if (!/Polygon$/.test(geometry?.type)) return null;
+      if (snapSettings.noSelfIntersection && isSelfIntersecting(geometry)) return "图形自相交";
+      if (!snapSettings.noOverlap) return null;
+      const candidates = getTopologyCandidates(featureId ? [featureId] : []).map((candidate) =>
+        edited.has(candidate.id)
+          ? { id: candidate.id, geometry: getFeatureGeometry(edited.get(candidate.id)) }
+          : candidate
+      );
+      const overlaps = findOverlaps(geometry, candidates);
+      return overlaps.length ? `与${overlaps.length}个相邻面重叠` : null;
+    };
+
     /**
-     * 更新鼠标位置坐标
-     * @description 根据鼠标移动事件更新当前鼠标所在位置的经纬度坐标
-     * @function
-     * @param {L.MouseEvent} e - Leaflet鼠标事件对象
+     * 在图形处显示违反拓扑规则的提示
+     * @param {L.Layer} layer - 图形
+     * @param {string} message - 提示内容
      * @returns {void}
      */
-    const updateMousePosition = (e) => {
-      if (props.showMousePosition) {
-        mousePosition.value = `${e.latlng.lat.toFixed(
-          6
-        )}, ${e.latlng.lng.toFixed(6)}`;
-      }
+    const showTopologyError = (layer, message) => {
+      const latlng = layer.getBounds ? layer.getBounds().getCenter() : layer.getLatLng();
+      L.popup()
+        .setLatLng(latlng)
+        .setContent(`<div class="text-red-600">${escapeHtml(message)}</div>`)
+        .openOn(map.value);
     };
 
     /**
-     * 搜索控件配置
+     * 单击要素时打开属性面板
+     * @description 绘制、编辑与空间选择期间的单击不打开
+     * @param {L.Layer} layer - 带featureId的要素图层
+     * @returns {void}
      */
-    const searchControl = ref(null);
+    const bindAttributeEditing = (layer) => {
+      if (!props.enableAttributes) return;
+      layer.on("click", () => {
+        if (drawing.value || selectionTool.value) return;
+        attributeFeatureId.value = layer.featureId;
+      });
+    };
 
     /**
-     * 初始化搜索控件
+     * 修改要素属性
+     * @description 与原属性合并，修改记录到编辑历史
+     * @param {string} featureId - 要素ID
+     * @param {Object} properties - 要修改的属性
+     * @returns {Object|undefined} 修改后的要素
      */
-    const initSearchControl = () => {
-      const searchOptions = {
-        position: "topleft",
-        placeholder: "搜索地点、坐标...",
-        async searchFn(text) {
-          try {
-            // 尝试解析坐标
-            const coords = parseCoordinates(text);
-            if (coords) {
-              return [
-                {
-                  name: `坐标: ${coords.lat}, ${coords.lng}`,
-                  location: coords,
-                },
-              ];
-            }
-
-            // 使用 Nominatim 服务进行地理编码搜索
-            const response = await fetch(
-              `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(
-                text
-              )}`
-            );
-            const data = await response.json();
-
-            return data.map((item) => ({
-              name: item.display_name,
-              location: {
-                lat: parseFloat(item.lat),
-                lng: parseFloat(item.lon),
-              },
-            }));
-          } catch (error) {
-            console.error("搜索出错:", error);
-            return [];
-          }
-        },
-        onResultClick(result) {
-          const { location } = result;
-          map.value.setView([location.lat, location.lng], 16);
-          L.marker([location.lat, location.lng])
-            .addTo(map.value)
-            .bindPopup(result.name)
-            .openPopup();
+    const updateFeatureProperties = (featureId, properties) =>
+      props.history.track("修改属性", [featureId], () =>
+        featureStore.updateFeature(featureId, { properties })
+      );
+
+    /**
+     * 将Leaflet坐标转换为 [经度, 纬度]
+     * @param {L.LatLng} latlng - 坐标
+     * @returns {Array<number>} [经度, 纬度]
+     */
+    const toPosition = (latlng) => [latlng.lng, latlng.lat];
+
+    /**
+     * 量算图形
+     * @description 长度、周长与方位角按椭球面计算，面积按球面计算（见 utils/measure）；
+     * 矩形按多边形量算，圆按球冠计算
+     * @param {L.Layer} layer - 绘制的图形
+     * @returns {Object|null} 量算结果 { type, ... }，type为line、polygon、circle或point
+     */
+    const getLayerMeasurement = (layer) => {
+      if (layer instanceof L.Circle) {
+        const radius = layer.getRadius();
+        return {
+          type: "circle",
+          center: layer.getLatLng(),
+          radius,
+          area: circleArea(radius),
+          perimeter: circlePerimeter(radius),
+        };
+      }
+      if (layer instanceof L.Polyline) {
+        // 多部件图形取第一个部件的外环
+        let latlngs = layer.getLatLngs();
+        while (Array.isArray(latlngs[0])) latlngs = latlngs[0];
+        const closed = layer instanceof L.Polygon;
+        return {
+          type: closed ? "polygon" : "line",
+          ...measurePath(latlngs.map(toPosition), { closed }),
+        };
+      }
+      if (layer.getLatLng) return { type: "point", position: layer.getLatLng() };
+      return null;
+    };
+
+    /**
+     * 生成量算结果的显示行
+     * @param {Object} measurement - 量算结果，见 getLayerMeasurement；绘制中的结果可带cursor（光标位置）
+     * @returns {{rows: Array<Array<string>>, segments: Array<Array<string>>}} 汇总行与逐段行 [标签, 值]
+     */
+    const getMeasurementRows = (measurement) => {
+      const rows = [];
+      const formatCoordinate = (latlng) =>
+        `${formatMousePosition(latlng)}（${
+          READOUT_CRS_OPTIONS.find((option) => option.code === readoutCrs.value)?.name
+        }）`;
+      const segments = (measurement.segments || []).map((segment, index) => [
+        measurement.type === "polygon" ? `第${index + 1}边` : `第${index + 1}段`,
+        `${formatLength(segment.length, lengthUnit.value)}，方位角 ${formatAzimuth(segment.azimuth)}`,
+      ]);
+
+      switch (measurement.type) {
+        case "line":
+          rows.push(["总长", formatLength(measurement.length, lengthUnit.value)]);
+          break;
+        case "polygon":
+          rows.push(["面积", formatArea(measurement.area, areaUnit.value)]);
+          rows.push(["周长", formatLength(measurement.length, lengthUnit.value)]);
+          break;
+        case "circle":
+          rows.push(["半径", formatLength(measurement.radius, lengthUnit.value)]);
+          rows.push(["面积", formatArea(measurement.area, areaUnit.value)]);
+          rows.push(["周长", formatLength(measurement.perimeter, lengthUnit.value)]);
+          rows.push(["圆心", formatCoordinate(measurement.center)]);
+          break;
+        case "point":
+          rows.push(["坐标", formatCoordinate(measurement.position)]);
+          if (readoutCrs.value !== WGS84) {
+            rows.push(["WGS84", formatLatLng(measurement.position.lat, measurement.position.lng)]);
+          }
+          break;
+        default:
+          break;
+      }
+      if (measurement.cursor && measurement.type !== "point") {
+        rows.push(["光标", formatCoordinate(measurement.cursor)]);
+      }
+      return { rows, segments };
+    };
+
+    /**
+     * 生成量算结果弹出框内容
+     * @param {Object} measurement - 量算结果
+     * @returns {string} HTML
+     */
+    const renderMeasurementHtml = (measurement) => {
+      if (!measurement) return "";
+      const { rows, segments } = getMeasurementRows(measurement);
+      const renderRows = (items) =>
+        items
+          .map(
+            ([label, value]) =>
+              `<tr><th class="pr-2 text-left font-normal text-gray-500 whitespace-nowrap">${label}</th><td>${value}</td></tr>`
+          )
+          .join("");
+      return `<table class="text-sm">${renderRows(rows)}</table>${
+        segments.length
+          ? `<div class="mt-1 max-h-40 overflow-auto"><table class="text-xs">${renderRows(segments)}</table></div>`
+          : ""
+      }`;
+    };
+
+    /**
+     * 为图形绑定量算弹出框
+     * @description 内容在每次打开或更新时按图形当前形状重新计算，编辑后无需重新绑定
+     * @param {L.Layer} layer - 绘制的图形
+     * @param {string} [header=""] - 显示在量算结果之前的HTML，如属性表
+     * @returns {void}
+     */
+    const bindMeasurePopup = (layer, header = "") => {
+      layer.bindPopup(() => `${header}${renderMeasurementHtml(getLayerMeasurement(layer))}`, {
+        maxWidth: 360,
+      });
+    };
+
+    /**
+     * 刷新已打开的量算弹出框
+     * @param {L.Layer} layer - 绘制的图形
+     * @returns {void}
+     */
+    const refreshMeasurePopup = (layer) => {
+      if (layer.isPopupOpen?.()) layer.getPopup().update();
+    };
+
+    /**
+     * 注册实时量算
+     * @description 绘制时按已添加的节点与光标位置计算（矩形与圆以按下鼠标处为起点），
+     * 编辑时按节点拖动、移动与缩放后的图形计算，结束后清除
+     * @returns {void}
+     */
+    const initLiveMeasure = () => {
+      let drawType = null;
+      let vertices = [];
+      let start = null;
+
+      const update = (cursor) => {
+        if (!drawType) return;
+        if (drawType === "polyline" || drawType === "polygon") {
+          const latlngs = cursor ? [...vertices, cursor] : vertices;
+          const closed = drawType === "polygon" && latlngs.length > 2;
+          measureReadout.value = {
+            type: drawType === "polygon" ? "polygon" : "line",
+            cursor,
+            ...measurePath(latlngs.map(toPosition), { closed }),
+          };
+        } else if (drawType === "rectangle" && start && cursor) {
+          const bounds = L.latLngBounds(start, cursor);
+          const ring = [
+            bounds.getSouthWest(),
+            bounds.getNorthWest(),
+            bounds.getNorthEast(),
+            bounds.getSouthEast(),
+          ];
+          measureReadout.value = {
+            type: "polygon",
+            cursor,
+            ...measurePath(ring.map(toPosition), { closed: true }),
+          };
+        } else if (drawType === "circle" && start && cursor) {
+          const radius = map.value.distance(start, cursor);
+          measureReadout.value = {
+            type: "circle",
+            center: start,
+            radius,
+            area: circleArea(radius),
+            perimeter: circlePerimeter(radius),
+            cursor,
+          };
+        } else if (drawType === "marker" && cursor) {
+          measureReadout.value = { type: "point", position: cursor };
+        }
+      };
+
+      map.value.on(L.Draw.Event.DRAWSTART, (event) => {
+        drawType = event.layerType;
+        vertices = [];
+        start = null;
+        measureReadout.value = null;
+      });
+      map.value.on(L.Draw.Event.DRAWVERTEX, (event) => {
+        vertices = event.layers.getLayers().map((marker) => marker.getLatLng());
+        update(null);
+      });
+      map.value.on("mousedown", (event) => {
+        if (drawType === "rectangle" || drawType === "circle") start = event.latlng;
+      });
+      map.value.on("mousemove", (event) => update(event.latlng));
+      map.value.on(L.Draw.Event.DRAWSTOP, () => {
+        drawType = null;
+        measureTool.value = null;
+        measureReadout.value = null;
+      });
+
+      // 编辑中的图形：节点编辑事件携带poly，移动与缩放事件携带layer
+      map.value.on(
+        `${L.Draw.Event.EDITVERTEX} ${L.Draw.Event.EDITMOVE} ${L.Draw.Event.EDITRESIZE}`,
+        (event) => {
+          const layer = event.poly || event.layer;
+          measureReadout.value = getLayerMeasurement(layer);
+          refreshMeasurePopup(layer);
+        }
+      );
+      map.value.on(L.Draw.Event.EDITSTOP, () => {
+        measureReadout.value = null;
+      });
+    };
+
+    /**
+     * 切换量算面板的工具
+     * @param {string} tool - 工具名称：distance、area、circle、point
+     * @returns {void}
+     */
+    const toggleMeasureTool = (tool) => {
+      const active = measureTool.value;
+      if (selectionTool.value) setSelectionTool(null);
+      Object.values(measureHandlers).forEach((handler) => handler.disable());
+      if (active === tool) return;
+      measureHandlers[tool]?.enable();
+      measureTool.value = tool;
+    };
+
+    /** 所选要素的高亮样式 */
+    const SELECTION_STYLE = { color: "#00b8d4", weight: 3, fillOpacity: 0.25 };
+
+    /** 所选要素的高亮图层 */
+    let selectionLayer = null;
+
+    /**
+     * 初始化空间选择
+     * @description 框选、圈选与多边形使用绘制工具，完成后按范围选择且不保存为图形；
+     * 套索按住鼠标拖动记录轨迹；按图形时单击已绘制的面、矩形或圆
+     * @returns {void}
+     */
+    const initSelection = () => {
+      if (!props.enableSelection) return;
+      map.value.createPane("selection");
+      map.value.getPane("selection").style.zIndex = 640;
+      selectionLayer = L.geoJSON(null, {
+        pane: "selection",
+        interactive: false,
+        style: SELECTION_STYLE,
+        pointToLayer: (_, latlng) =>
+          L.circleMarker(latlng, { ...SELECTION_STYLE, radius: 14, pane: "selection" }),
+      }).addTo(map.value);
+
+      const shapeOptions = { ...SELECTION_STYLE, dashArray: "6 4" };
+      selectionHandlers = {
+        rectangle: new L.Draw.Rectangle(map.value, { shapeOptions, showArea: false }),
+        circle: new L.Draw.Circle(map.value, { shapeOptions, showRadius: false }),
+        polygon: new L.Draw.Polygon(map.value, { shapeOptions, showArea: false }),
+      };
+
+      map.value.on(L.Draw.Event.CREATED, (event) => {
+        if (!selectionHandlers[selectionTool.value]) return;
+        selectByLayer(event.layer);
+      });
+      map.value.on(L.Draw.Event.DRAWSTOP, () => {
+        if (selectionHandlers[selectionTool.value]) selectionTool.value = null;
+      });
+      drawnItems.value?.on("click", (event) => {
+        if (selectionTool.value !== "shape") return;
+        event.layer.closePopup();
+        selectByLayer(event.layer);
+      });
+      initLasso();
+    };
+
+    /**
+     * 按图形范围选择要素
+     * @description 只有面、矩形与圆构成范围，其他图形忽略
+     * @param {L.Layer} layer - 绘制的图形
+     * @returns {void}
+     */
+    const selectByLayer = (layer) => {
+      if (!(layer instanceof L.Polygon || layer instanceof L.Circle)) return;
+      const geometry =
+        layer instanceof L.Circle
+          ? circleToPolygon(toPosition(layer.getLatLng()), layer.getRadius())
+          : layer.toGeoJSON().geometry;
+      selection.selectByArea(geometry, { mode: selectionMode.value });
+    };
+
+    /**
+     * 注册套索选择
+     * @description 启用套索时禁止拖动地图，按下鼠标开始记录轨迹，松开后闭合为多边形选择
+     * @returns {void}
+     */
+    const initLasso = () => {
+      let path = null;
+
+      map.value.on("mousedown", (event) => {
+        if (selectionTool.value !== "lasso") return;
+        path = L.polyline([event.latlng], { ...SELECTION_STYLE, dashArray: "6 4", interactive: false })
+          .addTo(map.value);
+      });
+      map.value.on("mousemove", (event) => {
+        path?.addLatLng(event.latlng);
+      });
+      map.value.on("mouseup", () => {
+        if (!path) return;
+        const latlngs = path.getLatLngs();
+        path.remove();
+        path = null;
+        if (latlngs.length < 3) return;
+        const ring = latlngs.map(toPosition);
+        selection.selectByArea(
+          { type: "Polygon", coordinates: [[...ring, ring[0]]] },
+          { mode: selectionMode.value }
+        );
+      });
+    };
+
+    /**
+     * 切换空间选择工具
+     * @param {string|null} tool - 工具ID，见 SelectionPanel 的 SELECTION_TOOLS；为null时停止选择
+     * @returns {void}
+     */
+    const setSelectionTool = (tool) => {
+      Object.values(measureHandlers).forEach((handler) => handler.disable());
+      Object.values(selectionHandlers).forEach((handler) => handler.disable());
+      selectionTool.value = tool;
+      selectionHandlers[tool]?.enable();
+      if (tool === "lasso") map.value.dragging.disable();
+      else map.value.dragging.enable();
+      map.value.getContainer().style.cursor = tool === "lasso" || tool === "shape" ? "crosshair" : "";
+    };
+
+    /**
+     * 重绘所选要素高亮
+     * @returns {void}
+     */
+    const renderSelection = () => {
+      if (!selectionLayer) return;
+      selectionLayer.clearLayers();
+      selection.getFeatures().forEach((feature) => {
+        selectionLayer.addData({
+          type: "Feature",
+          geometry: getFeatureGeometry(feature),
+          properties: {},
+        });
+      });
+    };
+
+    /**
+     * 缩放到所选要素
+     * @returns {void}
+     */
+    const zoomToSelection = () => {
+      const bounds = selectionLayer?.getBounds();
+      if (bounds?.isValid()) {
+        map.value.fitBounds(bounds, { maxZoom: 18, padding: [40, 40] });
+      }
+    };
+
+    watch(() => selection.state.version, renderSelection);
+
+    // 单位变化后刷新已打开的量算弹出框
+    watch([lengthUnit, areaUnit, readoutCrs], () => {
+      drawnItems.value?.eachLayer(refreshMeasurePopup);
+    });
+
+    /**
+     * 加载视野范围内的数据
+     * @description 向视野加载器报告二维地图的范围与级别，由加载器防抖、取消过时请求并按瓦片缓存
+     * @param {L.Map} mapInstance - 地图实例
+     * @returns {void}
+     */
+    const loadDataInBounds = (mapInstance) => {
+      const bounds = mapInstance.getBounds();
+      viewportLoader.update(
+        {
+          bbox: [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()],
+          zoom: mapInstance.getZoom(),
         },
+        "2d"
+      );
+    };
+
+    // 注册视野数据源，移除不再传入的数据源
+    watch(
+      () => props.dataSources,
+      (sources, previous = []) => {
+        previous
+          .filter((source) => !sources.includes(source))
+          .forEach((source) => viewportLoader.removeSource(source.id));
+        sources.forEach(viewportLoader.addSource);
+      },
+      { immediate: true }
+    );
+
+    /** 当前底图的瓦片图层 */
+    let baseTileLayer = null;
+    /** @type {Map<string, L.TileLayer>} 瓦片图层源ID -> 叠加瓦片图层 */
+    const overlayTileLayers = new Map();
+
+    /**
+     * 根据瓦片图层源创建Leaflet瓦片图层
+     * @param {Object} source - 瓦片图层源，见 utils/tileCatalog
+     * @param {string} url - 已替换密钥的地址模板
+     * @returns {L.TileLayer} 瓦片图层
+     */
+    const createTileLayer = (source, url) => {
+      const options = {
+        attribution: source.attribution,
+        minZoom: source.minZoom ?? 0,
+        maxZoom: source.maxZoom ?? 18,
+        opacity: source.opacity ?? 1,
+        ...(source.subdomains ? { subdomains: source.subdomains } : {}),
       };
+      let layer;
+      if (source.type === "mvt" || source.type === "pmtiles") {
+        layer = new VectorTileLayer(source, url, {
+          ...options,
+          // 超出数据级别范围时放大最高级别的瓦片
+          maxNativeZoom: source.maxZoom ?? 14,
+          maxZoom: 22,
+          vectorStyle: source.vectorStyle && JSON.parse(JSON.stringify(source.vectorStyle)),
+          bounds: source.bounds && [
+            [source.bounds[1], source.bounds[0]],
+            [source.bounds[3], source.bounds[2]],
+          ],
+        });
+      } else if (source.type === "mbtiles") {
+        layer = new MBTilesLayer("", {
+          ...options,
+          sourceId: source.id,
+          // 超出文件级别范围时放大最高级别的瓦片
+          maxNativeZoom: source.maxZoom ?? 18,
+          maxZoom: 22,
+          bounds: source.bounds && [
+            [source.bounds[1], source.bounds[0]],
+            [source.bounds[3], source.bounds[2]],
+          ],
+        });
+      } else if (source.type === "wms") {
+        layer = new OfflineWMSLayer(url, {
+          ...options,
+          sourceId: source.id,
+          layers: source.layers,
+          styles: source.styles || "",
+          format: source.format || "image/png",
+          transparent: source.transparent ?? true,
+          version: source.version || "1.3.0",
+        });
+      } else if (source.type === "wmts") {
+        // 二维地图为Web墨卡托，其他坐标系的瓦片矩阵集只能在三维中显示
+        if (source.crs && !isWebMercator(source.crs)) return null;
+        layer = new OfflineTileLayer(getWMTSTemplate(source, url), {
+          ...options,
+          sourceId: source.id,
+          tileMatrix: ({ z }) => source.matrixIds?.[z] ?? z,
+        });
+      } else {
+        layer = new OfflineTileLayer(url, {
+          ...options,
+          sourceId: source.id,
+          tms: source.type === "tms",
+        });
+      }
+      layer.sourceUrl = url;
+      layer.sourceStyle = getVectorStyleKey(source);
+      return layer;
+    };
 
-      searchControl.value = L.control.custom(searchOptions);
-      map.value.addControl(searchControl.value);
-    };
-
-    /**
-     * 解析坐标字符串
-     */
-    const parseCoordinates = (text) => {
-      // 支持多种坐标格式
-      const patterns = [
-        /^(-?\d+\.?\d*),\s*(-?\d+\.?\d*)$/, // 纬度,经度
-        /^(-?\d+°\s*\d+'?\s*\d+(\.\d+)?"?\s*[NS])\s*,?\s*(-?\d+°\s*\d+'?\s*\d+(\.\d+)?"?\s*[EW])$/, // DMS格式
-      ];
-
-      for (const pattern of patterns) {
-        const match = text.match(pattern);
-        if (match) {
-          if (pattern.toString().includes("NS")) {
-            // 处理DMS格式
-            return {
-              lat: parseDMS(match[1]),
-              lng: parseDMS(match[3]),
-            };
-          } else {
-            // 处理十进制格式
-            return {
-              lat: parseFloat(match[1]),
-              lng: parseFloat(match[2]),
-            };
-          }
+    /**
+     * 矢量样式的比较键，样式变化时重建矢量瓦片图层
+     * @param {Object} source - 瓦片图层源
+     * @returns {string} 比较键
+     */
+    const getVectorStyleKey = (source) => JSON.stringify(source.vectorStyle ?? null);
+
+    /**
+     * 瓦片图层是否与图层源一致（地址与矢量样式均未变化）
+     * @param {L.Layer} layer - 已创建的瓦片图层
+     * @param {Object} source - 瓦片图层源
+     * @param {string} url - 已替换密钥的地址
+     * @returns {boolean}
+     */
+    const isTileLayerCurrent = (layer, source, url) =>
+      layer.sourceUrl === url && layer.sourceStyle === getVectorStyleKey(source);
+
+    /**
+     * 按瓦片图层目录同步底图与叠加图层
+     * @description 底图固定在最底层，叠加图层按目录顺序设置zIndex；
+     * 地址（含密钥）变化时重建图层，其余只更新透明度与顺序
+     * @returns {void}
+     */
+    const syncTileLayers = () => {
+      if (!map.value) return;
+
+      const baseMap = tileCatalog.getBaseMap();
+      const baseUrl = baseMap && tileCatalog.resolveUrl(baseMap);
+      if (!baseTileLayer || !baseUrl || !isTileLayerCurrent(baseTileLayer, baseMap, baseUrl)) {
+        baseTileLayer?.remove();
+        baseTileLayer = baseUrl ? createTileLayer(baseMap, baseUrl)?.addTo(map.value) : null;
+      }
+      baseTileLayer?.setOpacity(baseMap.opacity ?? 1).setZIndex(0);
+
+      const overlays = tileCatalog.getOverlays();
+      const active = new Set();
+      overlays.forEach((source, index) => {
+        const url = source.visible ? tileCatalog.resolveUrl(source) : null;
+        let layer = overlayTileLayers.get(source.id);
+        if (layer && !isTileLayerCurrent(layer, source, url)) {
+          layer.remove();
+          layer = null;
         }
+        if (!url) {
+          overlayTileLayers.delete(source.id);
+          return;
+        }
+        if (!layer) {
+          layer = createTileLayer(source, url)?.addTo(map.value);
+          if (!layer) return;
+          overlayTileLayers.set(source.id, layer);
+        }
+        layer.setOpacity(source.opacity ?? 1).setZIndex(overlays.length - index);
+        active.add(source.id);
+      });
+      overlayTileLayers.forEach((layer, id) => {
+        if (active.has(id)) return;
+        layer.remove();
+        overlayTileLayers.delete(id);
+      });
+    };
+
+    // 瓦片图层目录（底图、叠加图层、密钥）变化后同步地图
+    watch(() => tileCatalog.state, syncTileLayers, { deep: true });
+
+    // 恢复联网后重新请求离线期间缺失的瓦片
+    watch(
+      () => tileStore.state.online,
+      (online) => {
+        if (!online) return;
+        baseTileLayer?.redraw();
+        overlayTileLayers.forEach((layer) => layer.redraw());
       }
-      return null;
+    );
+
+    /** 进行中的GetFeatureInfo请求 */
+    let featureInfoController = null;
+    /** 是否正在绘制或编辑图形（此时单击不查询要素信息） */
+    const drawing = ref(false);
+
+    /**
+     * 获取当前显示的可查询WMS图层源
+     * @returns {Array<Object>} 图层源，上层在前
+     */
+    const getQueryableWMSSources = () => {
+      const baseMap = tileCatalog.getBaseMap();
+      return [
+        ...tileCatalog.getOverlays().filter((source) => overlayTileLayers.has(source.id)),
+        ...(baseTileLayer ? [baseMap] : []),
+      ].filter((source) => source.type === "wms" && source.queryable !== false);
+    };
+
+    /** 单击拾取时每个矢量瓦片图层最多显示的要素数 */
+    const MAX_VECTOR_HITS = 5;
+
+    /**
+     * 拾取当前显示的矢量瓦片要素
+     * @param {L.LatLng} latlng - 单击位置
+     * @returns {Array<string>} 按图层源分组的属性表HTML，上层在前
+     */
+    const getVectorTileSections = (latlng) => {
+      const baseMap = tileCatalog.getBaseMap();
+      return [
+        ...tileCatalog.getOverlays().map((source) => [source, overlayTileLayers.get(source.id)]),
+        [baseMap, baseTileLayer],
+      ]
+        .filter(([, layer]) => layer instanceof VectorTileLayer)
+        .map(([source, layer]) => {
+          const hits = layer.getFeaturesAt(latlng).slice(0, MAX_VECTOR_HITS);
+          if (!hits.length) return "";
+          return (
+            `<div class="font-bold mt-1">${escapeHtml(source.name)}</div>` +
+            hits
+              .map(
+                (feature) =>
+                  `<div class="text-xs text-gray-500">${escapeHtml(feature.layer)}</div>` +
+                  buildPopupContent(feature.properties)
+              )
+              .join("")
+          );
+        })
+        .filter(Boolean);
     };
 
     /**
-     * 解析DMS(度分秒)格式
+     * 单击查询要素信息
+     * @description 拾取当前显示的矢量瓦片要素，并对可查询WMS图层发起GetFeatureInfo，
+     * 结果以属性表显示在弹出框中；点击到矢量要素或正在绘制时不查询
+     * @param {L.LeafletMouseEvent} e - 单击事件
+     * @returns {Promise<void>}
      */
-    const parseDMS = (dms) => {
-      const parts = dms.match(
-        /(\d+)°\s*(\d+)?'?\s*(\d+(\.\d+)?)?"?\s*([NS]|[EW])/i
+    const handleFeatureInfo = async (e) => {
+      if (drawing.value || e.originalEvent?.target?.closest?.(".leaflet-interactive")) return;
+      const vectorSections = getVectorTileSections(e.latlng);
+      const sources = getQueryableWMSSources();
+      if (!sources.length && !vectorSections.length) return;
+
+      featureInfoController?.abort();
+      featureInfoController = new AbortController();
+      const { signal } = featureInfoController;
+      const popup = L.popup({ maxHeight: 300 })
+        .setLatLng(e.latlng)
+        .setContent(sources.length ? "<div>正在查询…</div>" : vectorSections.join(""))
+        .openOn(map.value);
+
+      const crs = map.value.options.crs;
+      const bounds = map.value.getBounds();
+      const southWest = crs.project(bounds.getSouthWest());
+      const northEast = crs.project(bounds.getNorthEast());
+      const size = map.value.getSize();
+      const view = {
+        bbox: [southWest.x, southWest.y, northEast.x, northEast.y],
+        width: size.x,
+        height: size.y,
+        x: e.containerPoint.x,
+        y: e.containerPoint.y,
+      };
+
+      const results = await Promise.allSettled(
+        sources.map((source) =>
+          fetchFeatureInfo(source, tileCatalog.resolveUrl(source), view, { signal })
+        )
       );
-      if (!parts) return null;
+      if (signal.aborted) return;
 
-      const degrees = parseInt(parts[1]);
-      const minutes = parts[2] ? parseInt(parts[2]) : 0;
-      const seconds = parts[3] ? parseFloat(parts[3]) : 0;
-      const direction = parts[5].toUpperCase();
+      const sections = results.map((result, index) => {
+        const title = `<div class="font-bold mt-1">${escapeHtml(sources[index].name)}</div>`;
+        if (result.status === "rejected") return `${title}<div class="text-red-500">查询失败</div>`;
+        const { features, text } = result.value;
+        if (text) return `${title}<pre class="text-xs whitespace-pre-wrap">${escapeHtml(text)}</pre>`;
+        if (!features.length) return "";
+        return (
+          title +
+          features
+            .map(
+              (feature) =>
+                `<div class="text-xs text-gray-500">${escapeHtml(feature.id)}</div>` +
+                buildPopupContent(feature.properties)
+            )
+            .join("")
+        );
+      });
+      popup.setContent([...vectorSections, ...sections].join("") || "<div>未查询到要素</div>");
+    };
 
-      let dd = degrees + minutes / 60 + seconds / 3600;
-      if (direction === "S" || direction === "W") dd = -dd;
+    /**
+     * 切换底图
+     * @description 只替换底图，叠加瓦片图层与数据图层保持不变
+     * @param {string} type - 瓦片图层目录中的底图ID
+     * @returns {boolean} 是否切换成功
+     */
+    const switchBaseMap = (type) => tileCatalog.setBaseMap(type);
+
+    watch(
+      () => props.baseMapType,
+      (type) => type && switchBaseMap(type),
+      { immediate: true }
+    );
 
-      return dd;
+    /**
+     * 更新鼠标位置
+     */
+    /**
+     * 更新鼠标位置坐标
+     * @description 根据鼠标移动事件更新当前鼠标所在位置的经纬度坐标
+     * @function
+     * @param {L.MouseEvent} e - Leaflet鼠标事件对象
+     * @returns {void}
+     */
+    const updateMousePosition = (e) => {
+      if (props.showMousePosition) {
+        mousePosition.value = e.latlng;
+      }
+    };
+
+    /**
+     * 按所选坐标系格式化鼠标位置
+     * @description 经纬度输出"纬度, 经度"，投影坐标输出"X, Y"（米）
+     * @param {L.LatLng} latlng - WGS84坐标
+     * @returns {string} 读数文本
+     */
+    const formatMousePosition = (latlng) => {
+      const crs =
+        readoutCrs.value === "GK"
+          ? getGaussKrugerCrs(latlng.lng)
+          : readoutCrs.value;
+      try {
+        const [x, y] = createTransformer(WGS84, crs)([latlng.lng, latlng.lat]);
+        return isProjectedCrs(crs)
+          ? `X: ${x.toFixed(2)}, Y: ${y.toFixed(2)}`
+          : `${y.toFixed(6)}, ${x.toFixed(6)}`;
+      } catch (error) {
+        return "超出坐标系范围";
+      }
     };
 
-    // 在initMap函数中添加初始化搜索控件
     /**
      * 初始化地图实例
      * @description 创建Leaflet地图实例，设置初始视图和底图
@@ -657,40 +2145,836 @@ export default defineComponent({
         })
         .addTo(map.value);
 
-      // 设置初始底图
-      switchBaseMap(props.baseMapType);
+      // 显示底图与叠加瓦片图层
+      syncTileLayers();
 
       // 初始化绘制工具
       initDrawTools();
-
-      // 模拟点位数据
-      const points = [];
-      for (let i = 0; i < 10000; i++) {
-        const lat = 30.355764 + (Math.random() - 0.5) * 0.1;
-        const lng = 120.024029 + (Math.random() - 0.5) * 0.1;
-        points.push([lat, lng]);
-      }
-
-      // 添加点位
-      addMarkersWithClustering(map.value, points);
+      initSelection();
 
       // 注册事件
       eventRegister(map.value);
+      loadDataInBounds(map.value);
+
+      // 同步共享要素仓库
+      syncWithStore();
     };
 
     /**
      * 事件注册
      */
     const eventRegister = (map) => {
-      map.on("moveend", () => loadDataInBounds(map));
-      map.on("zoomend", () => loadDataInBounds(map));
+      // 缩放结束后同样会触发moveend，只监听moveend避免重复加载
+      map.on("moveend", () => {
+        loadDataInBounds(map);
+        props.onViewChange?.(getView());
+      });
+      map.on("mousemove", updateMousePosition);
+      map.on("contextmenu", handleContextMenu);
+      map.on("click", handleFeatureInfo);
+      // 绘制与编辑期间的单击用于添加节点，不查询要素信息
+      map.on(`${L.Draw.Event.DRAWSTART} ${L.Draw.Event.EDITSTART} ${L.Draw.Event.DELETESTART}`, () => {
+        drawing.value = true;
+      });
+      map.on(`${L.Draw.Event.DRAWSTOP} ${L.Draw.Event.EDITSTOP} ${L.Draw.Event.DELETESTOP}`, () => {
+        drawing.value = false;
+      });
+    };
+
+    /** 搜索结果标注 */
+    let searchLayer = null;
+
+    /**
+     * 清除搜索结果标注
+     * @returns {void}
+     */
+    const clearSearchResult = () => {
+      searchLayer?.remove();
+      searchLayer = null;
     };
 
+    /**
+     * 显示搜索结果
+     * @description 要素结果高亮其几何，地点结果放置标注；有范围时缩放到范围
+     * @param {Object} result - 地理编码结果
+     * @returns {void}
+     */
+    const showSearchResult = (result) => {
+      if (!map.value) return;
+      clearSearchResult();
+      const popup = `<div class="font-bold">${escapeHtml(result.name)}</div>${
+        result.description ? `<div class="text-xs">${escapeHtml(result.description)}</div>` : ""
+      }`;
+
+      if (result.geometry && result.geometry.type !== "Point") {
+        searchLayer = L.geoJSON(result.geometry, {
+          style: { color: "#ff7800", weight: 4, fillOpacity: 0.1 },
+        });
+      } else {
+        searchLayer = L.marker([result.lat, result.lng]);
+      }
+      searchLayer.addTo(map.value).bindPopup(popup);
+
+      const [west, south, east, north] = result.bbox || [];
+      if (result.bbox && (west !== east || south !== north)) {
+        map.value.fitBounds(
+          [
+            [south, west],
+            [north, east],
+          ],
+          { maxZoom: 17, padding: [40, 40] }
+        );
+      } else {
+        map.value.setView([result.lat, result.lng], Math.max(map.value.getZoom(), 16));
+      }
+      searchLayer.openPopup([result.lat, result.lng]);
+    };
+
+    /** 进行中的逆地理编码请求 */
+    let reverseController = null;
+
+    /**
+     * 右键逆地理编码
+     * @description 先显示坐标，各提供者结果返回后更新弹出框
+     * @param {L.LeafletMouseEvent} e - 右键事件
+     * @returns {Promise<void>}
+     */
+    const handleContextMenu = async (e) => {
+      reverseController?.abort();
+      reverseController = new AbortController();
+      const { signal } = reverseController;
+      const { lat, lng } = e.latlng;
+      const coordinates = `<div class="text-xs text-gray-500">${formatLatLng(lat, lng)}</div>`;
+      const popup = L.popup()
+        .setLatLng(e.latlng)
+        .setContent(`${coordinates}<div>正在查询…</div>`)
+        .openOn(map.value);
+
+      try {
+        const results = await props.geocoder.reverse({ lng, lat }, { signal });
+        const places = results.filter((result) => result.provider !== "coordinate");
+        const items = places.length
+          ? places
+              .map(
+                (result) =>
+                  `<div class="mt-1"><span class="font-bold">${escapeHtml(result.name)}</span>` +
+                  `<span class="text-xs text-gray-400 ml-1">${escapeHtml(result.providerName)}</span>` +
+                  `<div class="text-xs">${escapeHtml(result.description || "")}</div></div>`
+              )
+              .join("")
+          : "<div>未找到地址</div>";
+        popup.setContent(`${coordinates}${items}`);
+      } catch (error) {
+        if (!isAbortError(error)) popup.setContent(`${coordinates}<div>查询失败</div>`);
+      }
+    };
+
+    /** @type {Map<string, L.FeatureGroup>} 仓库图层ID -> Leaflet图层组 */
+    const overlayGroups = new Map();
+    /** @type {Map<string, L.Layer>} 要素ID -> Leaflet图层 */
+    const featureLayers = new Map();
+    /** 是否正在把地图上的修改写回仓库（此时忽略仓库回调，避免重复渲染） */
+    let syncingToStore = false;
+    /** 取消仓库订阅的函数 */
+    let unsubscribeStore = null;
+
+    /**
+     * 将地图上的修改写回要素仓库
+     * @param {Function} fn - 执行仓库写操作的函数
+     * @returns {void}
+     */
+    const writeToStore = (fn) => {
+      syncingToStore = true;
+      try {
+        fn();
+      } finally {
+        syncingToStore = false;
+      }
+    };
+
+    /**
+     * 将绘制图层转换为仓库要素数据
+     * @description 圆形在GeoJSON中没有对应类型，以圆心点加meta.radius保存
+     * @param {L.Layer} layer - 绘制的图层
+     * @returns {Object} 包含geometry与meta的要素数据
+     */
+    const drawnLayerToFeature = (layer) => {
+      const meta = { shape: layer.featureShape };
+      if (layer instanceof L.Circle) meta.radius = layer.getRadius();
+      return { geometry: layer.toGeoJSON().geometry, meta };
+    };
+
+    /**
+     * 转义HTML特殊字符
+     * @param {*} value - 原始值
+     * @returns {string} 转义后的字符串
+     */
+    const escapeHtml = (value) =>
+      String(value ?? "").replace(
+        /[&<>"']/g,
+        (c) =>
+          ({
+            "&": "&amp;",
+            "<": "&lt;",
+            ">": "&gt;",
+            '"': "&quot;",
+            "'": "&#39;",
+          }[c])
+      );
+
+    /**
+     * 生成要素属性弹出框内容
+     * @param {Object} properties - 要素属性
+     * @returns {string} HTML表格
+     */
+    const buildPopupContent = (properties) => {
+      const formatValue = (value) => {
+        // 照片字段保存为图片数据URL
+        if (typeof value === "string" && value.startsWith("data:image/")) {
+          return `<img src="${escapeHtml(value)}" class="max-h-24 max-w-[160px]">`;
+        }
+        return escapeHtml(typeof value === "object" && value !== null ? JSON.stringify(value) : value);
+      };
+      const rows = Object.entries(properties || {})
+        .map(
+          ([key, value]) =>
+            `<tr><th class="pr-2 text-left">${escapeHtml(key)}</th><td>${formatValue(value)}</td></tr>`
+        )
+        .join("");
+      return `<table class="text-xs">${rows}</table>`;
+    };
+
+    /**
+     * 生成要素弹出框内容
+     * @description 图层popupTemplate为字符串时替换其中的{字段}占位符（值已转义），
+     * 为函数时以(properties, feature)调用并返回HTML，为false时不显示弹出框；
+     * 未配置时以表格列出全部属性
+     * @param {Object} feature - 仓库要素
+     * @returns {string|null} HTML，无内容时返回null
+     */
+    const buildFeaturePopup = (feature) => {
+      const template = featureStore.getLayer(feature.layerId)?.popupTemplate;
+      const properties = feature.properties || {};
+      if (template === false) return null;
+      if (typeof template === "function") return template(properties, feature) || null;
+      if (typeof template === "string") {
+        return template.replace(/\{([^{}]+)\}/g, (_, field) =>
+          escapeHtml(properties[field.trim()])
+        );
+      }
+      return Object.keys(properties).length ? buildPopupContent(properties) : null;
+    };
+
+    /**
+     * 根据样式创建图片图标
+     * @param {Object} style - 含iconUrl与iconScale的样式
+     * @returns {L.Icon} 图标
+     */
+    const createIcon = (style) => {
+      const size = Math.round(32 * (style.iconScale ?? 1));
+      return L.icon({
+        iconUrl: style.iconUrl,
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2],
+        popupAnchor: [0, -size / 2],
+      });
+    };
+
+    /**
+     * 获取点要素的符号类型
+     * @param {Object} style - 要素样式
+     * @returns {string} icon（图片图标）、circle（圆点，按radius与颜色绘制）或marker（默认标注）
+     */
+    const getPointSymbol = (style) => {
+      if (style.iconUrl) return "icon";
+      return style.symbol === "circle" ? "circle" : "marker";
+    };
+
+    /**
+     * 创建点要素图层
+     * @param {L.LatLng} latlng - 位置
+     * @param {Object} style - 要素样式
+     * @returns {L.Marker|L.CircleMarker} 点图层
+     */
+    const createPointLayer = (latlng, style) => {
+      const symbol = getPointSymbol(style);
+      const layer =
+        symbol === "circle"
+          ? L.circleMarker(latlng, style)
+          : L.marker(latlng, symbol === "icon" ? { icon: createIcon(style) } : {});
+      layer.pointSymbol = symbol;
+      return layer;
+    };
+
+    /**
+     * 根据仓库要素创建Leaflet图层
+     * @param {Object} feature - 仓库要素
+     * @returns {L.Layer} Leaflet图层
+     */
+    const createFeatureLayer = (feature) => {
+      const style = featureStore.getFeatureStyle(feature);
+      const { shape, radius } = feature.meta || {};
+      let layer;
+
+      if (shape === "circle") {
+        const [lng, lat] = feature.geometry.coordinates;
+        layer = L.circle([lat, lng], { ...style, radius });
+      } else if (shape === "rectangle") {
+        layer = L.rectangle(
+          L.geoJSON(feature.geometry).getBounds(),
+          style
+        );
+      } else {
+        const group = L.geoJSON(
+          {
+            type: "Feature",
+            geometry: feature.geometry,
+            properties: feature.properties,
+          },
+          {
+            style: () => style,
+            pointToLayer: (_, latlng) => createPointLayer(latlng, style),
+          }
+        );
+        // 单一几何直接使用子图层，便于绘制工具编辑
+        const children = group.getLayers();
+        layer = children.length === 1 ? children[0] : group;
+      }
+
+      layer.featureId = feature.id;
+      layer.featureShape = shape;
+      bindAttributeEditing(layer);
+      const popup = buildFeaturePopup(feature);
+      if (feature.layerId === DRAWN_LAYER_ID && props.enableMeasure) {
+        bindMeasurePopup(layer, popup || "");
+      } else if (popup) {
+        layer.bindPopup(popup);
+      }
+      return layer;
+    };
+
+    /**
+     * 获取仓库图层的聚合配置
+     * @description 图层的enableClustering/clusterRadius优先，未配置时点图层沿用组件属性，
+     * 其他图层默认不聚合；绘制图层需保持可编辑，设置专题图（热力图除外）的图层需逐个显示符号，均不聚合
+     * @param {Object} storeLayer - 仓库图层
+     * @returns {number|null} 聚合半径（像素），不聚合时返回null
+     */
+    const getClusterRadius = (storeLayer) => {
+      if (storeLayer.id === DRAWN_LAYER_ID) return null;
+      // 专题符号的大小与颜色需要逐个可见
+      if (storeLayer.thematic && !isHeatmapLayer(storeLayer)) return null;
+      const enabled =
+        storeLayer.enableClustering ??
+        (storeLayer.type === "point" && props.enableClustering);
+      return enabled ? storeLayer.clusterRadius ?? props.clusterRadius : null;
+    };
+
+    /**
+     * 获取仓库图层对应的Leaflet图层组
+     * @description 绘制图层复用drawnItems，保证仓库中的绘制图形仍可编辑；
+     * 启用聚合的图层使用MarkerClusterGroup
+     * @param {string} layerId - 仓库图层ID
+     * @returns {L.FeatureGroup|null} 图层组
+     */
+    const getOverlayGroup = (layerId) => {
+      if (overlayGroups.has(layerId)) return overlayGroups.get(layerId);
+
+      const storeLayer = featureStore.getLayer(layerId);
+      if (!storeLayer) return null;
+
+      const clusterRadius = getClusterRadius(storeLayer);
+      let group;
+      if (layerId === DRAWN_LAYER_ID && drawnItems.value) {
+        group = drawnItems.value;
+      } else if (clusterRadius !== null) {
+        group = L.markerClusterGroup({
+          maxClusterRadius: clusterRadius,
+          chunkedLoading: true,
+        });
+      } else {
+        group = L.featureGroup();
+      }
+      group.clusterRadius = clusterRadius;
+      // 记录渲染时使用的样式规则与弹出框模板，变化时需重建要素图层
+      group.styleRules = storeLayer.styleRules;
+      group.popupTemplate = storeLayer.popupTemplate;
+      overlayGroups.set(layerId, group);
+      if (storeLayer.visible && !isHeatmapLayer(storeLayer)) map.value.addLayer(group);
+      return group;
+    };
+
+    /**
+     * 渲染仓库要素到地图
+     * @description 按图层批量加入，聚合图层使用addLayers一次性计算聚合
+     * @param {Array<Object>} features - 仓库要素
+     * @returns {void}
+     */
+    const renderFeatures = (features) => {
+      const batches = new Map();
+      features.forEach((feature) => {
+        // 已由地图自身创建（如绘制图形）的要素不重复渲染
+        if (featureLayers.has(feature.id)) return;
+        const group = getOverlayGroup(feature.layerId);
+        if (!group) return;
+        const layer = createFeatureLayer(feature);
+        featureLayers.set(feature.id, layer);
+        if (!batches.has(group)) batches.set(group, []);
+        batches.get(group).push(layer);
+      });
+      batches.forEach((layers, group) => {
+        if (group.addLayers) group.addLayers(layers);
+        else layers.forEach((layer) => group.addLayer(layer));
+      });
+    };
+
+    /**
+     * 从地图移除仓库要素对应的图层
+     * @param {Array<Object>} features - 仓库要素
+     * @returns {void}
+     */
+    const removeFeatureLayers = (features) => {
+      const batches = new Map();
+      features.forEach((feature) => {
+        const layer = featureLayers.get(feature.id);
+        if (!layer) return;
+        featureLayers.delete(feature.id);
+        const group = overlayGroups.get(feature.layerId);
+        if (!group) return;
+        if (!batches.has(group)) batches.set(group, []);
+        batches.get(group).push(layer);
+      });
+      batches.forEach((layers, group) => {
+        if (group.removeLayers) group.removeLayers(layers);
+        else layers.forEach((layer) => group.removeLayer(layer));
+      });
+    };
+
+    /**
+     * 重建仓库图层的图层组与全部要素图层
+     * @param {string} layerId - 仓库图层ID
+     * @returns {void}
+     */
+    const rebuildOverlayGroup = (layerId) => {
+      const features = featureStore.getFeatures(layerId);
+      removeFeatureLayers(features);
+      const group = overlayGroups.get(layerId);
+      if (group && group !== drawnItems.value) {
+        overlayGroups.delete(layerId);
+        map.value.removeLayer(group);
+      }
+      getOverlayGroup(layerId);
+      renderFeatures(features);
+    };
+
+    /**
+     * 按当前样式刷新要素图层
+     * @description 点符号类型改变时重建该要素，否则原地更新图标或样式
+     * @param {Object} feature - 仓库要素
+     * @returns {void}
+     */
+    const refreshFeatureLayer = (feature) => {
+      const layer = featureLayers.get(feature.id);
+      if (!layer) return;
+      const style = featureStore.getFeatureStyle(feature);
+
+      if (layer.pointSymbol && layer.pointSymbol !== getPointSymbol(style)) {
+        removeFeatureLayers([feature]);
+        renderFeatures([feature]);
+      } else if (layer.pointSymbol === "icon") {
+        layer.setIcon(createIcon(style));
+      } else {
+        layer.setStyle?.(style);
+      }
+    };
+
+    /**
+     * 应用仓库图层的可见性、聚合与样式
+     * @param {Object} storeLayer - 仓库图层
+     * @returns {void}
+     */
+    const applyLayerState = (storeLayer) => {
+      const group = getOverlayGroup(storeLayer.id);
+      if (!group) return;
+
+      // 聚合配置、样式规则或弹出框模板变化时整体重建
+      if (
+        group !== drawnItems.value &&
+        (group.clusterRadius !== getClusterRadius(storeLayer) ||
+          group.styleRules !== storeLayer.styleRules ||
+          group.popupTemplate !== storeLayer.popupTemplate)
+      ) {
+        rebuildOverlayGroup(storeLayer.id);
+        return;
+      }
+
+      // 热力图代替要素显示
+      syncHeatmap(storeLayer);
+      const showFeatures = storeLayer.visible && !isHeatmapLayer(storeLayer);
+      if (showFeatures && !map.value.hasLayer(group)) {
+        map.value.addLayer(group);
+      } else if (!showFeatures && map.value.hasLayer(group)) {
+        map.value.removeLayer(group);
+      }
+
+      featureStore.getFeatures(storeLayer.id).forEach(refreshFeatureLayer);
+    };
+
+    /** @type {Map<string, HeatmapLayer>} 仓库图层ID -> 热力图图层 */
+    const heatmapLayers = new Map();
+
+    /**
+     * 判断仓库图层是否以热力图显示
+     * @param {Object} storeLayer - 仓库图层
+     * @returns {boolean} 是否为热力图
+     */
+    const isHeatmapLayer = (storeLayer) => storeLayer?.thematic?.definition.type === "heatmap";
+
+    /**
+     * 按仓库图层的专题图创建、更新或移除热力图
+     * @param {Object} storeLayer - 仓库图层
+     * @returns {void}
+     */
+    const syncHeatmap = (storeLayer) => {
+      let heatmap = heatmapLayers.get(storeLayer.id);
+      if (!isHeatmapLayer(storeLayer) || !storeLayer.visible) {
+        heatmap?.remove();
+        heatmapLayers.delete(storeLayer.id);
+        return;
+      }
+
+      const { field, radius, blur } = storeLayer.thematic.definition;
+      const points = getHeatmapPoints(featureStore.getFeatures(storeLayer.id), field);
+      if (heatmap && heatmap.options.radius === radius && heatmap.options.blur === blur) {
+        heatmap.setPoints(points);
+        return;
+      }
+      heatmap?.remove();
+      heatmap = new HeatmapLayer(points, { radius, blur }).addTo(map.value);
+      heatmapLayers.set(storeLayer.id, heatmap);
+    };
+
+    /**
+     * 处理要素仓库变更
+     * @param {Object} event - 仓库事件
+     * @returns {void}
+     */
+    const handleStoreChange = (event) => {
+      if (syncingToStore || !map.value) return;
+
+      switch (event.type) {
+        case "layer:add":
+          getOverlayGroup(event.layer.id);
+          break;
+        case "layer:update":
+          applyLayerState(event.layer);
+          break;
+        case "layer:remove": {
+          removeFeatureLayers(event.features);
+          heatmapLayers.get(event.layer.id)?.remove();
+          heatmapLayers.delete(event.layer.id);
+          const group = overlayGroups.get(event.layer.id);
+          overlayGroups.delete(event.layer.id);
+          if (group && group !== drawnItems.value) map.value.removeLayer(group);
+          break;
+        }
+        case "feature:add":
+          renderFeatures(event.features);
+          break;
+        case "feature:update":
+          removeFeatureLayers(event.features);
+          renderFeatures(event.features);
+          break;
+        case "feature:remove":
+          removeFeatureLayers(event.features);
+          break;
+      }
+      // 热力图按图层全部要素重绘
+      if (event.type.startsWith("feature:") && heatmapLayers.has(event.layerId)) {
+        syncHeatmap(featureStore.getLayer(event.layerId));
+      }
+    };
+
+    /**
+     * 与要素仓库同步
+     * @description 渲染仓库中已有的图层与要素，并订阅后续变更
+     * @returns {void}
+     */
+    const syncWithStore = () => {
+      featureStore.state.layers.forEach((storeLayer) => {
+        getOverlayGroup(storeLayer.id);
+        renderFeatures(featureStore.getFeatures(storeLayer.id));
+        syncHeatmap(storeLayer);
+      });
+      unsubscribeStore = featureStore.subscribe(handleStoreChange);
+    };
+
+    /**
+     * 将点数据转换为GeoJSON要素
+     * @description 支持GeoJSON Feature、[纬度, 经度]数组以及含lng/lat字段的记录，
+     * 记录的其余字段作为属性；经纬度不是有限数值或超出范围时视为无效
+     * @param {Object|Array<number>} input - 点数据
+     * @param {string} [idField] - 作为要素ID的属性字段
+     * @returns {Object|null} GeoJSON Feature，点数据无效时返回null
+     */
+    const toPointFeature = (input, idField) => {
+      let feature;
+      if (input?.type === "Feature") {
+        feature = input;
+      } else if (Array.isArray(input)) {
+        const [lat, lng] = input;
+        feature = { type: "Feature", geometry: { type: "Point", coordinates: [lng, lat] } };
+      } else if (input && typeof input === "object") {
+        const { lng, lat, ...properties } = input;
+        feature = {
+          type: "Feature",
+          geometry: { type: "Point", coordinates: [lng, lat] },
+          properties,
+        };
+      } else {
+        return null;
+      }
+      if (feature.geometry?.type === "Point") {
+        const position = feature.geometry.coordinates;
+        const valid =
+          Array.isArray(position) && position.slice(0, 2).every(Number.isFinite) && isLngLat(position);
+        if (!valid) return null;
+      }
+      const id = idField ? feature.properties?.[idField] : feature.id;
+      return id != null ? { ...feature, id } : feature;
+    };
+
+    /**
+     * 将点数据列表转换为GeoJSON要素数组
+     * @description 跳过经纬度无效的点，并在控制台报告跳过的数量与序号
+     * @param {string} layerId - 图层ID
+     * @param {Array<Object>|Object} features - 点数据数组或FeatureCollection
+     * @param {string} [idField] - 作为要素ID的属性字段
+     * @returns {Array<Object>} GeoJSON Feature数组
+     */
+    const toPointFeatures = (layerId, features, idField) => {
+      const inputs = features?.type === "FeatureCollection" ? features.features : features || [];
+      const result = [];
+      const skipped = [];
+      inputs.forEach((input, index) => {
+        const feature = toPointFeature(input, idField);
+        if (feature) result.push(feature);
+        else skipped.push(index);
+      });
+      if (skipped.length) {
+        console.warn(
+          `点图层"${layerId}"中有 ${skipped.length} 个点的经纬度无效，已跳过（序号 ${skipped
+            .slice(0, 10)
+            .join(", ")}${skipped.length > 10 ? " 等" : ""}）`
+        );
+      }
+      return result;
+    };
+
+    /**
+     * 添加点图层
+     * @description 点图层写入共享要素仓库，三维地图同步显示；同ID图层已存在时按updatePointLayer更新
+     * @param {string} id - 图层ID
+     * @param {Array<Object>|Object} features - 点数据，见 toPointFeature；经纬度无效的点被跳过
+     * @param {Object} [options] - 图层配置
+     * @param {string} [options.name] - 图层名称，缺省为ID
+     * @param {boolean} [options.visible=true] - 是否可见
+     * @param {Object} [options.style] - 图层样式，iconUrl/iconScale使用图片图标，symbol为"circle"时绘制圆点
+     * @param {Array<Object>} [options.styleRules] - 按属性取样式的规则，见 featureStore 的 getFeatureStyle
+     * @param {string|Function|boolean} [options.popupTemplate] - 弹出框模板，如 "<b>{name}</b><br>{address}"
+     * @param {boolean} [options.enableClustering] - 是否聚合，缺省沿用组件属性
+     * @param {number} [options.clusterRadius] - 聚合半径（像素），缺省沿用组件属性
+     * @param {string} [options.idField] - 作为要素ID的属性字段，便于之后按ID增量更新
+     * @returns {Object} 仓库图层
+     */
+    const addPointLayer = (id, features, options = {}) => {
+      if (featureStore.getLayer(id)) {
+        return updatePointLayer(id, { ...options, features });
+      }
+      const { idField, ...layerOptions } = options;
+      return featureStore.addLayer({
+        ...layerOptions,
+        id,
+        name: options.name || id,
+        type: "point",
+        features: toPointFeatures(id, features, idField),
+      });
+    };
+
+    /**
+     * 更新点图层
+     * @description 传入features时按要素ID替换图层内的点，其余字段更新图层配置
+     * @param {string} id - 图层ID
+     * @param {Object} changes - 要更新的内容，字段同 addPointLayer 的options，另可含features
+     * @returns {Object|undefined} 仓库图层，图层不存在时返回undefined
+     */
+    const updatePointLayer = (id, { features, idField, ...options } = {}) => {
+      if (!featureStore.getLayer(id)) return undefined;
+      if (Object.keys(options).length) featureStore.updateLayer(id, options);
+      if (features) featureStore.setFeatures(id, toPointFeatures(id, features, idField));
+      return featureStore.getLayer(id);
+    };
+
+    /**
+     * 移除图层
+     * @param {string} id - 图层ID
+     * @returns {boolean} 是否移除成功
+     */
+    const removeLayer = (id) => featureStore.removeLayer(id);
+
+    /**
+     * 设置图层可见性
+     * @param {string} id - 图层ID
+     * @param {boolean} visible - 是否可见
+     * @returns {void}
+     */
+    const setLayerVisibility = (id, visible) => {
+      featureStore.updateLayer(id, { visible });
+    };
+
+    // 组件的聚合属性变化后，重建沿用默认值的图层
+    watch(
+      () => [props.enableClustering, props.clusterRadius],
+      () => {
+        if (!map.value) return;
+        featureStore.state.layers.forEach((storeLayer) => {
+          const group = overlayGroups.get(storeLayer.id);
+          if (group && group.clusterRadius !== getClusterRadius(storeLayer)) {
+            rebuildOverlayGroup(storeLayer.id);
+          }
+        });
+      }
+    );
+
     // 暴露方法给父组件
+    /** 定位高亮图层 */
+    let highlightLayer = null;
+
+    /**
+     * 定位并高亮几何
+     * @description 用于定位未导入的记录（如导入报告中的跳过记录），高亮在下次定位或点击时移除
+     * @param {Object} geometry - WGS84坐标的GeoJSON几何
+     * @returns {void}
+     */
+    const locateGeometry = (geometry) => {
+      if (!map.value || !geometry) return;
+      highlightLayer?.remove();
+      highlightLayer = L.geoJSON(geometry, {
+        style: { color: "#ff0000", weight: 3, dashArray: "6 4", fillOpacity: 0.1 },
+        pointToLayer: (_, latlng) =>
+          L.circleMarker(latlng, { radius: 10, color: "#ff0000", weight: 3, fillOpacity: 0.2 }),
+      }).addTo(map.value);
+      highlightLayer.on("click", () => {
+        highlightLayer?.remove();
+        highlightLayer = null;
+      });
+      map.value.fitBounds(highlightLayer.getBounds(), { maxZoom: 18, padding: [40, 40] });
+    };
+
+    /**
+     * 获取当前视图
+     * @returns {{center: Array<number>, zoom: number}|null} 中心 [纬度, 经度] 与级别
+     */
+    const getView = () => {
+      if (!map.value) return null;
+      const { lat, lng } = map.value.getCenter();
+      return { center: [lat, lng], zoom: map.value.getZoom() };
+    };
+
+    /**
+     * 设置视图
+     * @param {Object} view - 视图
+     * @param {Array<number>} view.center - 中心 [纬度, 经度]
+     * @param {number} [view.zoom] - 级别，缺省时保持当前级别
+     * @returns {void}
+     */
+    const setView = ({ center, zoom }) => {
+      map.value?.setView(center, zoom ?? map.value.getZoom(), { animate: false });
+    };
+
+    /**
+     * 截取打印用的地图画面
+     * @description 临时把地图容器调整为地图框大小，并按偏移移动视野（多页拼接时使用），
+     * 等待瓦片加载后合成画面，完成后恢复原大小与视图
+     * @param {Object} options - 选项
+     * @param {number} options.width - 画面宽度（CSS像素）
+     * @param {number} options.height - 画面高度（CSS像素）
+     * @param {number} [options.pixelRatio=1] - 输出像素与CSS像素之比
+     * @param {Array<number>} [options.offset=[0, 0]] - 画面中心相对当前视图中心的偏移（CSS像素）
+     * @returns {Promise<Object>} { canvas, skipped, metersPerPixel, heading, grid, attributions }，
+     * grid为经纬网投影 { toPixel(lng, lat) -> [x, y], bounds: [west, south, east, north] }
+     */
+    const capturePrintImage = async ({ width, height, pixelRatio = 1, offset = [0, 0] }) => {
+      const container = map.value.getContainer();
+      const view = getView();
+      const { width: savedWidth, height: savedHeight } = container.style;
+      const centerPoint = map.value.project(map.value.getCenter(), view.zoom);
+      try {
+        container.style.width = `${width}px`;
+        container.style.height = `${height}px`;
+        map.value.invalidateSize({ pan: false });
+        map.value.setView(map.value.unproject(centerPoint.add(offset), view.zoom), view.zoom, {
+          animate: false,
+        });
+        await waitForTiles(map.value);
+        const { canvas, skipped } = await rasterizeMap(map.value, pixelRatio);
+
+        const middle = map.value.getSize().divideBy(2);
+        const metersPerPixel =
+          map.value.distance(
+            map.value.containerPointToLatLng(middle.subtract([50, 0])),
+            map.value.containerPointToLatLng(middle.add([50, 0]))
+          ) / 100;
+        const bounds = map.value.getBounds();
+        const topLeft = map.value.getPixelBounds().min;
+        const attributions = [];
+        map.value.eachLayer((layer) => attributions.push(layer.getAttribution?.()));
+        return {
+          canvas,
+          skipped,
+          metersPerPixel,
+          heading: 0,
+          grid: {
+            bounds: [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()],
+            toPixel: (lng, lat) => {
+              const point = map.value.project([lat, lng], view.zoom);
+              return [point.x - topLeft.x, point.y - topLeft.y];
+            },
+          },
+          attributions,
+        };
+      } finally {
+        container.style.width = savedWidth;
+        container.style.height = savedHeight;
+        map.value.invalidateSize({ pan: false });
+        setView(view);
+      }
+    };
+
     expose({
+      addPointLayer,
+      updatePointLayer,
+      removeLayer,
+      setLayerVisibility,
+      locateGeometry,
       switchBaseMap,
       getMap: () => map.value,
+      getView,
+      setView,
+      capturePrintImage,
       getDrawnItems: () => drawnItems.value,
+      selectByGeometry: (geometry, mode = selectionMode.value) =>
+        selection.selectByArea(geometry, { mode }),
+      clearSelection: () => selection.clear(),
+      undo,
+      redo,
+      /** 将函数中的多个编辑合并为一步撤销，见 utils/history 的 batch */
+      groupHistory: (label, fn) => props.history.batch(label, fn),
+      beginHistoryGroup: (label) => props.history.beginGroup(label),
+      endHistoryGroup: () => props.history.endGroup(),
+      updateFeatureProperties,
+      /** 打开要素的属性面板，传入null时关闭 */
+      openAttributePanel: (featureId) => (attributeFeatureId.value = featureId),
     });
 
     /**
@@ -702,14 +2986,140 @@ export default defineComponent({
       initMap();
     });
 
+    onUnmounted(() => {
+      unsubscribeStore?.();
+      viewportLoader.removeView("2d");
+      document.removeEventListener("keydown", handleHistoryKey);
+      reverseController?.abort();
+      featureInfoController?.abort();
+    });
+
+    /** 量算面板的工具 */
+    const MEASURE_TOOLS = [
+      { id: "distance", name: "测距" },
+      { id: "area", name: "测面" },
+      { id: "circle", name: "测圆" },
+      { id: "point", name: "坐标" },
+    ];
+
+    /**
+     * 渲染量算面板
+     * @description 工具、长度与面积单位，以及绘制或编辑中的实时量算结果
+     * @returns {JSX.Element} 量算面板
+     */
+    const renderMeasurePanel = () => {
+      const { rows, segments } = measureReadout.value
+        ? getMeasurementRows(measureReadout.value)
+        : { rows: [], segments: [] };
+      const renderUnitSelect = (units, unit) => (
+        <select
+          class="border rounded px-1"
+          value={unit.value}
+          onChange={(e) => (unit.value = e.target.value)}
+        >
+          {units.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      );
+
+      return (
+        <div class="absolute bottom-10 right-0 z-[1000] w-64 bg-white p-2 m-2 rounded shadow text-sm">
+          <div class="flex space-x-1 mb-2">
+            {MEASURE_TOOLS.map((tool) => (
+              <button
+                key={tool.id}
+                class={`flex-1 px-2 py-1 rounded ${
+                  measureTool.value === tool.id ? "bg-blue-500 text-white" : "bg-gray-200"
+                }`}
+                onClick={() => toggleMeasureTool(tool.id)}
+              >
+                {tool.name}
+              </button>
+            ))}
+          </div>
+          <div class="flex items-center space-x-2">
+            <span>长度</span>
+            {renderUnitSelect(LENGTH_UNITS, lengthUnit)}
+            <span>面积</span>
+            {renderUnitSelect(AREA_UNITS, areaUnit)}
+          </div>
+          {rows.length > 0 && (
+            <table class="mt-2 w-full">
+              {rows.map(([label, value]) => (
+                <tr key={label}>
+                  <th class="pr-2 text-left font-normal text-gray-500 whitespace-nowrap">{label}</th>
+                  <td>{value}</td>
+                </tr>
+              ))}
+            </table>
+          )}
+          {segments.length > 0 && (
+            <div class="mt-1 max-h-32 overflow-auto text-xs">
+              {segments.map(([label, value]) => (
+                <div key={label}>
+                  <span class="text-gray-500">{label}</span> {value}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      );
+    };
+
     return () => (
       <div class="relative w-full h-[80vh]">
         <div id="map" class="w-full h-full"></div>
+        <div class="absolute top-2 left-1/2 -translate-x-1/2 z-[1000]">
+          <SearchBox
+            geocoder={props.geocoder}
+            onSelect={showSearchResult}
+            onClear={clearSearchResult}
+          />
+        </div>
         {props.showMousePosition && mousePosition.value && (
-          <div class="absolute bottom-0 left-0 bg-white px-2 py-1 m-2 rounded shadow text-sm">
-            {mousePosition.value}
+          <div class="absolute bottom-0 left-0 z-[1000] flex items-center space-x-2 bg-white px-2 py-1 m-2 rounded shadow text-sm">
+            <select
+              class="border rounded px-1"
+              value={readoutCrs.value}
+              onChange={(e) => (readoutCrs.value = e.target.value)}
+            >
+              {READOUT_CRS_OPTIONS.map((option) => (
+                <option key={option.code} value={option.code}>
+                  {option.name}
+                </option>
+              ))}
+            </select>
+            <span>{formatMousePosition(mousePosition.value)}</span>
           </div>
         )}
+        {props.enableMeasure && renderMeasurePanel()}
+        <div class="absolute bottom-10 left-0 z-[1000] m-2">
+          <ThematicLegend />
+        </div>
+        <div class="absolute top-20 right-0 z-[1000] m-2 space-y-2">
+          {attributeFeatureId.value && (
+            <AttributePanel
+              featureId={attributeFeatureId.value}
+              onSave={updateFeatureProperties}
+              onClose={() => (attributeFeatureId.value = null)}
+            />
+          )}
+          {props.enableSelection && (
+            <SelectionPanel
+              tool={selectionTool.value}
+              mode={selectionMode.value}
+              onToolChange={setSelectionTool}
+              onModeChange={(mode) => (selectionMode.value = mode)}
+              onZoom={zoomToSelection}
+            />
+          )}
+          {(props.enableDraw || props.enableMeasure) && (
+            <SnapPanel settings={snapSettings} onChange={(patch) => Object.assign(snapSettings, patch)} />
+          )}
+        </div>
       </div>
     );
   },
@@ -0,0 +1,369 @@
+/**
+ * @file OfflineDownload.jsx
+ * @description 离线瓦片下载对话框：选择瓦片图层、绘制的区域与级别范围，
+ * 估算瓦片数与大小后下载到浏览器离线缓存，显示进度并可中途停止
+ * @module components/OfflineDownload
+ */
+
+import { defineComponent, reactive, ref, computed, watch, onMounted, onUnmounted } from "vue";
+import featureStore, { DRAWN_LAYER_ID } from "@utils/featureStore";
+import tileCatalog, { isVectorSource, isLocalSource } from "@utils/tileCatalog";
+import tileStore, { countTiles, formatBytes, MAX_DOWNLOAD_TILES } from "@utils/tileStore";
+import { getBounds, circleToPolygon } from "@utils/geojson";
+import { getZoomForBounds } from "@utils/viewportLoader";
+import { isWebMercator } from "@utils/ogc";
+import { isAbortError } from "@utils/geocoder";
+
+/** 绘制图形类型的显示名称 */
+const SHAPE_NAMES = {
+  polygon: "多边形",
+  rectangle: "矩形",
+  circle: "圆形",
+};
+
+/** 估算大小的防抖时间（毫秒） */
+const ESTIMATE_DELAY = 500;
+
+/**
+ * 获取绘制的区域
+ * @description 只取面状图形（多边形、矩形、圆形），下载范围为图形的外包矩形
+ * @returns {Array<{id: string, label: string, bounds: Array<number>}>} 区域
+ */
+const getDrawnAreas = () => {
+  const areas = featureStore
+    .getFeatures(DRAWN_LAYER_ID)
+    .filter(({ geometry, meta }) => meta?.radius || /Polygon$/.test(geometry?.type))
+    .map((feature, index) => {
+      const { geometry, meta } = feature;
+      const area = meta?.radius ? circleToPolygon(geometry.coordinates, meta.radius) : geometry;
+      return {
+        id: feature.id,
+        label: `${SHAPE_NAMES[meta?.shape] || "图形"} ${index + 1}`,
+        bounds: getBounds(area),
+      };
+    });
+  if (areas.length > 1) {
+    const all = areas.map((area) => area.bounds);
+    areas.unshift({
+      id: "all",
+      label: "全部绘制图形",
+      bounds: [
+        Math.min(...all.map((b) => b[0])),
+        Math.min(...all.map((b) => b[1])),
+        Math.max(...all.map((b) => b[2])),
+        Math.max(...all.map((b) => b[3])),
+      ],
+    });
+  }
+  return areas;
+};
+
+/**
+ * 判断图层源能否离线下载
+ * @description 缓存按Web墨卡托图片瓦片保存；本地文件、矢量瓦片与经纬度切片的WMTS除外
+ * @param {Object} source - 瓦片图层源
+ * @returns {boolean} 能否下载
+ */
+const isDownloadable = (source) =>
+  !isLocalSource(source) &&
+  !isVectorSource(source) &&
+  !(source.type === "wmts" && source.crs && !isWebMercator(source.crs)) &&
+  Boolean(tileCatalog.resolveUrl(source));
+
+export default defineComponent({
+  name: "OfflineDownload",
+  props: {
+    /**
+     * 关闭回调
+     * @type {Function}
+     */
+    onClose: {
+      type: Function,
+      required: true,
+    },
+  },
+  setup(props) {
+    const areas = getDrawnAreas();
+    const sources = computed(() => tileCatalog.state.sources.filter(isDownloadable));
+    const baseMap = tileCatalog.getBaseMap();
+
+    const form = reactive({
+      sourceId: (baseMap && isDownloadable(baseMap) ? baseMap : sources.value[0])?.id || "",
+      areaId: areas[0]?.id || "",
+      minZoom: 0,
+      maxZoom: 0,
+    });
+    // 估算结果 { count, bytes, sampled }，estimating为正在采样
+    const estimate = ref(null);
+    const estimating = ref(false);
+    // 浏览器可用存储空间（字节），不支持时为null
+    const available = ref(null);
+    // 下载进度，见 tileStore.download
+    const progress = ref(null);
+    const downloading = ref(false);
+    const error = ref("");
+
+    let estimateController = null;
+    let downloadController = null;
+    let estimateTimer = null;
+
+    const source = computed(() => tileCatalog.getSource(form.sourceId));
+    const area = computed(() => areas.find((a) => a.id === form.areaId));
+    const count = computed(() =>
+      area.value && form.minZoom <= form.maxZoom
+        ? countTiles(area.value.bounds, form.minZoom, form.maxZoom)
+        : 0
+    );
+    const tooMany = computed(() => count.value > MAX_DOWNLOAD_TILES);
+    const canDownload = computed(
+      () => source.value && count.value > 0 && !tooMany.value && form.minZoom <= form.maxZoom
+    );
+
+    /**
+     * 按区域大小设置默认级别范围
+     * @description 起始级别约为区域能在512像素内完整显示的级别，向下再取4级
+     * @returns {void}
+     */
+    const resetZoomRange = () => {
+      if (!area.value || !source.value) return;
+      const minZoom = source.value.minZoom ?? 0;
+      const maxZoom = source.value.maxZoom ?? 18;
+      const fit = Math.floor(getZoomForBounds(area.value.bounds, 512));
+      form.minZoom = Math.max(minZoom, Math.min(maxZoom, fit));
+      form.maxZoom = Math.min(maxZoom, form.minZoom + 4);
+    };
+
+    /**
+     * 采样估算下载大小（防抖）
+     * @returns {void}
+     */
+    const scheduleEstimate = () => {
+      clearTimeout(estimateTimer);
+      estimateController?.abort();
+      estimateController = null;
+      estimate.value = null;
+      error.value = "";
+      estimating.value = false;
+      if (!area.value || !source.value || !count.value || tooMany.value) return;
+      estimating.value = true;
+      estimateTimer = setTimeout(async () => {
+        const controller = (estimateController = new AbortController());
+        try {
+          estimate.value = await tileStore.estimate(
+            source.value,
+            tileCatalog.resolveUrl(source.value),
+            { bounds: area.value.bounds, minZoom: form.minZoom, maxZoom: form.maxZoom },
+            { signal: controller.signal }
+          );
+        } catch (e) {
+          if (!isAbortError(e)) error.value = `估算失败: ${e.message}`;
+        } finally {
+          // 已被新的估算取代时保持估算中状态
+          if (estimateController === controller) estimating.value = false;
+        }
+      }, ESTIMATE_DELAY);
+    };
+
+    watch(() => [form.sourceId, form.areaId], resetZoomRange, { immediate: true });
+    watch(() => [form.sourceId, form.areaId, form.minZoom, form.maxZoom], scheduleEstimate, {
+      immediate: true,
+    });
+
+    /**
+     * 开始下载
+     * @returns {Promise<void>}
+     */
+    const handleDownload = async () => {
+      downloadController = new AbortController();
+      downloading.value = true;
+      error.value = "";
+      progress.value = { total: count.value, done: 0, skipped: 0, failed: 0, bytes: 0 };
+      try {
+        progress.value = await tileStore.download(
+          source.value,
+          tileCatalog.resolveUrl(source.value),
+          { bounds: area.value.bounds, minZoom: form.minZoom, maxZoom: form.maxZoom },
+          {
+            signal: downloadController.signal,
+            onProgress: (value) => (progress.value = value),
+          }
+        );
+      } catch (e) {
+        error.value = e.message;
+      } finally {
+        downloading.value = false;
+        downloadController = null;
+      }
+    };
+
+    onMounted(async () => {
+      try {
+        const { quota, usage } = (await navigator.storage?.estimate?.()) || {};
+        if (quota) available.value = quota - (usage || 0);
+      } catch (e) {
+        // 不支持时不显示可用空间
+      }
+    });
+
+    onUnmounted(() => {
+      clearTimeout(estimateTimer);
+      estimateController?.abort();
+      downloadController?.abort();
+    });
+
+    /**
+     * 渲染级别输入框
+     * @param {string} field - minZoom 或 maxZoom
+     * @param {string} label - 标签
+     * @returns {JSX.Element}
+     */
+    const renderZoomInput = (field, label) => (
+      <label class="flex items-center space-x-2">
+        <span class="text-gray-600 w-16 flex-none">{label}</span>
+        <input
+          type="number"
+          class="border rounded px-2 py-1 w-20"
+          min={source.value?.minZoom ?? 0}
+          max={source.value?.maxZoom ?? 18}
+          value={form[field]}
+          disabled={downloading.value}
+          onChange={(e) => (form[field] = Number(e.target.value))}
+        />
+      </label>
+    );
+
+    /**
+     * 渲染估算信息
+     * @returns {JSX.Element|null}
+     */
+    const renderEstimate = () => {
+      if (!area.value) return null;
+      if (form.minZoom > form.maxZoom) return <div class="text-red-500">最小级别不能大于最大级别</div>;
+      if (tooMany.value) {
+        return (
+          <div class="text-red-500">
+            共 {count.value} 个瓦片，超过单次下载上限 {MAX_DOWNLOAD_TILES}，请缩小区域或降低最大级别
+          </div>
+        );
+      }
+      return (
+        <div class="text-gray-600">
+          共 {count.value} 个瓦片，
+          {estimating.value
+            ? "正在估算大小…"
+            : estimate.value
+              ? `约 ${formatBytes(estimate.value.bytes)}${estimate.value.sampled ? "" : "（按平均大小估算）"}`
+              : ""}
+          {available.value !== null && `；浏览器可用空间约 ${formatBytes(available.value)}`}
+        </div>
+      );
+    };
+
+    /**
+     * 渲染下载进度
+     * @returns {JSX.Element|null}
+     */
+    const renderProgress = () => {
+      if (!progress.value) return null;
+      const { total, done, skipped, failed, bytes, aborted } = progress.value;
+      const percent = total ? Math.round((done / total) * 100) : 100;
+      return (
+        <div class="space-y-1">
+          <div class="h-2 bg-gray-200 rounded overflow-hidden">
+            <div class="h-full bg-blue-500 transition-all" style={{ width: `${percent}%` }} />
+          </div>
+          <div class="text-gray-600">
+            {downloading.value ? "下载中" : aborted ? "已停止" : "下载完成"}：{done}/{total}
+            （已下载 {formatBytes(bytes)}
+            {skipped > 0 && `，已缓存跳过 ${skipped}`}
+            {failed > 0 && <span class="text-red-500">，失败 {failed}</span>}）
+          </div>
+          {!downloading.value && failed > 0 && (
+            <div class="text-gray-400">失败的瓦片可重新下载，已缓存的会自动跳过；服务需支持跨域请求（CORS）</div>
+          )}
+        </div>
+      );
+    };
+
+    return () => (
+      <div class="fixed inset-0 z-[2000] flex items-center justify-center bg-black bg-opacity-40">
+        <div class="bg-white rounded-lg shadow-xl w-[520px] max-w-[95vw] text-sm">
+          <div class="px-4 py-3 border-b font-bold">下载离线瓦片</div>
+
+          <div class="p-4 space-y-3">
+            {areas.length === 0 ? (
+              <div class="text-orange-600">请先在二维地图上绘制矩形、多边形或圆形作为下载区域</div>
+            ) : (
+              <>
+                <label class="flex items-center space-x-2">
+                  <span class="text-gray-600 w-16 flex-none">瓦片图层</span>
+                  <select
+                    class="border rounded px-2 py-1 flex-1 min-w-0"
+                    value={form.sourceId}
+                    disabled={downloading.value}
+                    onChange={(e) => (form.sourceId = e.target.value)}
+                  >
+                    {sources.value.map((s) => (
+                      <option key={s.id} value={s.id}>
+                        {s.name}
+                        {s.kind === "base" ? "（底图）" : ""}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label class="flex items-center space-x-2">
+                  <span class="text-gray-600 w-16 flex-none">区域</span>
+                  <select
+                    class="border rounded px-2 py-1 flex-1 min-w-0"
+                    value={form.areaId}
+                    disabled={downloading.value}
+                    onChange={(e) => (form.areaId = e.target.value)}
+                  >
+                    {areas.map((a) => (
+                      <option key={a.id} value={a.id}>
+                        {a.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <div class="flex items-center space-x-4">
+                  {renderZoomInput("minZoom", "最小级别")}
+                  {renderZoomInput("maxZoom", "最大级别")}
+                </div>
+                {renderEstimate()}
+                {renderProgress()}
+              </>
+            )}
+            {error.value && (
+              <div class="bg-red-50 text-red-600 border border-red-200 rounded px-3 py-2">{error.value}</div>
+            )}
+          </div>
+
+          <div class="px-4 py-3 border-t flex justify-end space-x-2">
+            {downloading.value ? (
+              <button
+                class="bg-gray-200 hover:bg-gray-300 px-4 py-1 rounded"
+                onClick={() => downloadController?.abort()}
+              >
+                停止
+              </button>
+            ) : (
+              <>
+                <button class="bg-gray-200 hover:bg-gray-300 px-4 py-1 rounded" onClick={props.onClose}>
+                  关闭
+                </button>
+                <button
+                  class="bg-blue-500 hover:bg-blue-700 text-white px-4 py-1 rounded disabled:opacity-50"
+                  disabled={!canDownload.value}
+                  onClick={handleDownload}
+                >
+                  开始下载
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  },
+});
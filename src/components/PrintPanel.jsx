@@ -0,0 +1,310 @@
+/**
+ * @file PrintPanel.jsx
+ * @description 打印导出面板：设置纸张、方向、分辨率、标题与图幅要素（图例、比例尺、指北针、经纬网、版权信息），
+ * 将当前地图导出为PNG图片或PDF；二维地图可按行列拼接为多页图集
+ * @module components/PrintPanel
+ */
+
+import { defineComponent, reactive, ref, computed } from "vue";
+import { saveAs } from "file-saver";
+import JSZip from "jszip";
+import {
+  PAPER_SIZES,
+  DPI_OPTIONS,
+  CSS_DPI,
+  mmToCssPixels,
+  getSheetLayout,
+  getLegendEntries,
+  getAttributionText,
+  getScale,
+  renderSheet,
+  canvasToBytes,
+  createPdf,
+} from "@utils/print";
+
+/** 多页图集的最大行列数 */
+const MAX_GRID_SIZE = 4;
+
+/** 图幅要素开关 */
+const FURNITURE_OPTIONS = [
+  { key: "legend", label: "图例" },
+  { key: "scale", label: "比例尺" },
+  { key: "north", label: "指北针" },
+  { key: "grid", label: "经纬网" },
+  { key: "attribution", label: "版权信息" },
+];
+
+export default defineComponent({
+  name: "PrintPanel",
+  props: {
+    /**
+     * 地图模式
+     * @description 2D或3D；三维地图只导出单页且不绘制经纬网
+     * @type {string}
+     */
+    mode: {
+      type: String,
+      default: "2D",
+    },
+    /**
+     * 截取地图画面
+     * @description 即地图组件的 capturePrintImage，参数为 { width, height, pixelRatio, offset }
+     * @type {Function}
+     */
+    capture: {
+      type: Function,
+      required: true,
+    },
+    /**
+     * 关闭回调
+     * @type {Function}
+     */
+    onClose: {
+      type: Function,
+      required: true,
+    },
+  },
+  setup(props) {
+    const form = reactive({
+      format: "pdf",
+      paper: "A4",
+      orientation: "landscape",
+      dpi: 150,
+      title: "",
+      rows: 1,
+      cols: 1,
+      legend: true,
+      scale: true,
+      north: true,
+      grid: props.mode === "2D",
+      attribution: true,
+    });
+    const busy = ref(false);
+    const progress = ref("");
+    const error = ref("");
+    const warning = ref("");
+
+    const is2D = computed(() => props.mode === "2D");
+    const pageCount = computed(() => (is2D.value ? form.rows * form.cols : 1));
+    const layout = computed(() =>
+      getSheetLayout(form.paper, form.orientation, Boolean(form.title.trim()) || pageCount.value > 1)
+    );
+    /** 输出尺寸说明 */
+    const sizeInfo = computed(() => {
+      const { page, frame } = layout.value;
+      const pixelsPerMm = form.dpi / 25.4;
+      return `地图框 ${Math.round(frame.width)}×${Math.round(frame.height)} mm，每页 ${Math.round(
+        page.width * pixelsPerMm
+      )}×${Math.round(page.height * pixelsPerMm)} 像素`;
+    });
+
+    /**
+     * 截取并绘制一页
+     * @param {number} index - 页序号
+     * @returns {Promise<{canvas: HTMLCanvasElement, skipped: number}>} 整页画布与未能绘制的瓦片数
+     */
+    const renderPage = async (index) => {
+      const { frame } = layout.value;
+      const width = Math.round(mmToCssPixels(frame.width));
+      const height = Math.round(mmToCssPixels(frame.height));
+      const cols = is2D.value ? form.cols : 1;
+      const rows = is2D.value ? form.rows : 1;
+      const row = Math.floor(index / cols);
+      const col = index % cols;
+      // 相邻页的地图框首尾相接，比例尺相同
+      const offset = [(col - (cols - 1) / 2) * width, (row - (rows - 1) / 2) * height];
+      const result = await props.capture({ width, height, pixelRatio: form.dpi / CSS_DPI, offset });
+      const canvas = renderSheet({
+        mapCanvas: result.canvas,
+        layout: layout.value,
+        dpi: form.dpi,
+        title: form.title.trim(),
+        pageLabel: pageCount.value > 1 ? `第 ${index + 1} / ${pageCount.value} 页` : "",
+        legend: form.legend ? getLegendEntries() : null,
+        scale: form.scale ? getScale(result.metersPerPixel) : null,
+        approximateScale: !is2D.value,
+        north: form.north ? result.heading : undefined,
+        grid: form.grid ? result.grid : null,
+        attribution: form.attribution ? getAttributionText(result.attributions || []) : "",
+      });
+      // 及时释放大尺寸画布
+      result.canvas.width = 0;
+      return { canvas, skipped: result.skipped || 0 };
+    };
+
+    const handleExport = async () => {
+      busy.value = true;
+      error.value = "";
+      warning.value = "";
+      const count = pageCount.value;
+      const baseName = `${form.title.trim() || "地图"}_${new Date().toISOString().slice(0, 10)}`;
+      const pages = [];
+      let skipped = 0;
+      try {
+        for (let index = 0; index < count; index += 1) {
+          progress.value = `正在生成第 ${index + 1} / ${count} 页…`;
+          const { canvas, skipped: pageSkipped } = await renderPage(index);
+          skipped += pageSkipped;
+          if (form.format === "pdf") {
+            const jpeg = await canvasToBytes(canvas, "image/jpeg", 0.92);
+            pages.push({ jpeg, width: canvas.width, height: canvas.height });
+          } else {
+            pages.push(await canvasToBytes(canvas, "image/png"));
+          }
+          canvas.width = 0;
+        }
+
+        if (form.format === "pdf") {
+          const { page } = layout.value;
+          saveAs(createPdf(pages, page), `${baseName}.pdf`);
+        } else if (pages.length === 1) {
+          saveAs(new Blob([pages[0]], { type: "image/png" }), `${baseName}.png`);
+        } else {
+          const zip = new JSZip();
+          pages.forEach((bytes, i) => zip.file(`${baseName}_${i + 1}.png`, bytes));
+          saveAs(await zip.generateAsync({ type: "blob" }), `${baseName}.zip`);
+        }
+        if (skipped) warning.value = `有 ${skipped} 张瓦片的服务不支持跨域访问，未能输出`;
+      } catch (err) {
+        error.value = `导出失败: ${err.message}`;
+      } finally {
+        busy.value = false;
+        progress.value = "";
+      }
+    };
+
+    /**
+     * 渲染下拉框
+     * @param {string} key - 表单字段
+     * @param {string} label - 标签
+     * @param {Array<{value: *, label: string}>} options - 选项
+     * @param {Function} [parse] - 选中值的转换
+     * @returns {JSX.Element}
+     */
+    const renderSelect = (key, label, options, parse = (value) => value) => (
+      <label class="flex items-center space-x-2">
+        <span class="text-gray-600 w-24 flex-none">{label}</span>
+        <select
+          class="border rounded px-2 py-1 flex-1 min-w-0"
+          value={form[key]}
+          disabled={busy.value}
+          onChange={(e) => (form[key] = parse(e.target.value))}
+        >
+          {options.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+    );
+
+    /**
+     * 渲染行列数输入
+     * @param {string} key - rows或cols
+     * @param {string} label - 标签
+     * @returns {JSX.Element}
+     */
+    const renderCount = (key, label) => (
+      <label class="flex items-center space-x-1">
+        <span class="text-gray-600">{label}</span>
+        <input
+          type="number"
+          class="border rounded px-2 py-1 w-16"
+          min="1"
+          max={MAX_GRID_SIZE}
+          value={form[key]}
+          disabled={busy.value}
+          onChange={(e) => {
+            const value = Math.round(Number(e.target.value)) || 1;
+            form[key] = Math.min(MAX_GRID_SIZE, Math.max(1, value));
+          }}
+        />
+      </label>
+    );
+
+    return () => (
+      <div class="fixed inset-0 z-[2000] flex items-center justify-center bg-black bg-opacity-40">
+        <div class="bg-white rounded-lg shadow-xl w-[520px] max-w-[95vw] text-sm">
+          <div class="px-4 py-3 border-b font-bold">打印导出 - {is2D.value ? "二维地图" : "三维地图"}</div>
+
+          <div class="p-4 space-y-3">
+            {renderSelect("format", "输出格式", [
+              { value: "pdf", label: "PDF" },
+              { value: "png", label: "PNG图片" },
+            ])}
+            {renderSelect("paper", "纸张", PAPER_SIZES)}
+            {renderSelect("orientation", "方向", [
+              { value: "landscape", label: "横向" },
+              { value: "portrait", label: "纵向" },
+            ])}
+            {renderSelect(
+              "dpi",
+              "分辨率",
+              DPI_OPTIONS.map((dpi) => ({ value: dpi, label: `${dpi} DPI` })),
+              Number
+            )}
+            <label class="flex items-center space-x-2">
+              <span class="text-gray-600 w-24 flex-none">标题</span>
+              <input
+                class="border rounded px-2 py-1 flex-1 min-w-0"
+                placeholder="留空则不显示标题"
+                value={form.title}
+                disabled={busy.value}
+                onInput={(e) => (form.title = e.target.value)}
+              />
+            </label>
+            {is2D.value && (
+              <div class="flex items-center space-x-2">
+                <span class="text-gray-600 w-24 flex-none">多页图集</span>
+                {renderCount("rows", "行")}
+                {renderCount("cols", "列")}
+                <span class="text-gray-500">共 {pageCount.value} 页</span>
+              </div>
+            )}
+            <div class="flex items-center space-x-2">
+              <span class="text-gray-600 w-24 flex-none">图幅要素</span>
+              <div class="flex flex-wrap gap-x-3 gap-y-1">
+                {FURNITURE_OPTIONS.filter((option) => is2D.value || option.key !== "grid").map((option) => (
+                  <label key={option.key} class="flex items-center space-x-1">
+                    <input
+                      type="checkbox"
+                      checked={form[option.key]}
+                      disabled={busy.value}
+                      onChange={(e) => (form[option.key] = e.target.checked)}
+                    />
+                    <span>{option.label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div class="text-gray-500">{sizeInfo.value}</div>
+            {form.format === "png" && pageCount.value > 1 && (
+              <div class="text-gray-500">多页PNG将打包为ZIP文件下载</div>
+            )}
+            {progress.value && <div class="text-blue-600">{progress.value}</div>}
+            {warning.value && <div class="text-orange-600">{warning.value}</div>}
+            {error.value && <div class="text-red-500">{error.value}</div>}
+          </div>
+
+          <div class="px-4 py-3 border-t flex justify-end space-x-2">
+            <button
+              class="bg-gray-200 hover:bg-gray-300 px-4 py-1 rounded disabled:opacity-50"
+              disabled={busy.value}
+              onClick={props.onClose}
+            >
+              关闭
+            </button>
+            <button
+              class="bg-blue-500 hover:bg-blue-700 text-white px-4 py-1 rounded disabled:opacity-50"
+              disabled={busy.value}
+              onClick={handleExport}
+            >
+              {busy.value ? "导出中…" : "导出"}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  },
+});
@@ -0,0 +1,119 @@
+/**
+ * @file ProjectMenu.jsx
+ * @description 工程菜单：把当前工作区（数据图层、瓦片图层配置与视图）保存为JSON工程文件、
+ * 打开工程文件，以及复制指向当前视图的链接
+ * @module components/ProjectMenu
+ */
+
+import { defineComponent, ref } from "vue";
+import { saveAs } from "file-saver";
+import workspace from "@utils/workspace";
+
+export default defineComponent({
+  name: "ProjectMenu",
+  props: {
+    /**
+     * 获取当前视图状态
+     * @description 返回值见 utils/workspace 的 ViewState
+     * @type {Function}
+     */
+    getViewState: {
+      type: Function,
+      required: true,
+    },
+    /**
+     * 工程打开后的回调
+     * @description 参数为工程中的视图状态，由调用方恢复地图模式与视角
+     * @type {Function}
+     */
+    onOpened: {
+      type: Function,
+      required: true,
+    },
+  },
+  setup(props) {
+    const open = ref(false);
+    const fileInput = ref(null);
+    const message = ref("");
+    const error = ref(false);
+
+    /**
+     * 显示提示
+     * @param {string} text - 提示内容
+     * @param {boolean} [isError=false] - 是否为错误
+     * @returns {void}
+     */
+    const notify = (text, isError = false) => {
+      message.value = text;
+      error.value = isError;
+    };
+
+    const handleSave = () => {
+      const project = workspace.createProject(props.getViewState());
+      const text = JSON.stringify(project);
+      const date = project.savedAt.slice(0, 10);
+      saveAs(new Blob([text], { type: "application/json;charset=utf-8" }), `工程_${date}.json`);
+      notify("");
+    };
+
+    /**
+     * 打开工程文件
+     * @param {Event} e - 文件选择事件
+     * @returns {Promise<void>}
+     */
+    const handleOpen = async (e) => {
+      const file = e.target.files[0];
+      e.target.value = "";
+      if (!file) return;
+      try {
+        const view = workspace.openProject(JSON.parse(await file.text()));
+        props.onOpened(view);
+        notify(`已打开 ${file.name}`);
+      } catch (err) {
+        notify(`工程文件无效: ${err.message}`, true);
+      }
+    };
+
+    const handleCopyLink = async () => {
+      try {
+        await navigator.clipboard.writeText(window.location.href);
+        notify("链接已复制");
+      } catch (err) {
+        notify(`复制失败，请从地址栏复制: ${err.message}`, true);
+      }
+    };
+
+    return () => (
+      <div class="relative">
+        <button
+          class="bg-gray-200 hover:bg-gray-300 text-gray-700 font-bold py-2 px-4 rounded"
+          onClick={() => (open.value = !open.value)}
+        >
+          工程
+        </button>
+        {open.value && (
+          <div class="absolute right-0 mt-2 z-[1500] w-48 bg-white rounded shadow-lg border text-sm py-1">
+            <button class="block w-full text-left px-3 py-1 hover:bg-gray-100" onClick={handleSave}>
+              保存工程
+            </button>
+            <button
+              class="block w-full text-left px-3 py-1 hover:bg-gray-100"
+              onClick={() => fileInput.value.click()}
+            >
+              打开工程
+            </button>
+            <button class="block w-full text-left px-3 py-1 hover:bg-gray-100" onClick={handleCopyLink}>
+              复制当前视图链接
+            </button>
+            {message.value && (
+              <div class={`px-3 py-1 ${error.value ? "text-red-500" : "text-green-600"}`}>
+                {message.value}
+              </div>
+            )}
+            <input ref={fileInput} type="file" accept=".json" class="hidden" onChange={handleOpen} />
+          </div>
+        )}
+      </div>
+    );
+  },
+});
@@ -0,0 +1,216 @@
+/**
+ * @file SchemaEditor.jsx
+ * @description 图层字段定义编辑：增删字段，设置字段名、显示名称、类型、是否必填、
+ * 枚举选项与数值范围，保存到图层的schema
+ * @module components/SchemaEditor
+ */
+
+import { defineComponent, reactive, ref } from "vue";
+import featureStore from "@utils/featureStore";
+import { FIELD_TYPES, validateSchema } from "@utils/attributeSchema";
+
+/**
+ * 字段定义转换为表单行
+ * @param {Object} field - 字段，见 utils/attributeSchema 的 AttributeField
+ * @returns {Object} 表单行，选项与数值范围为文本
+ */
+const toDraft = (field) => ({
+  name: field.name,
+  label: field.label || "",
+  type: field.type,
+  required: Boolean(field.required),
+  multiline: Boolean(field.multiline),
+  options: (field.options || []).join("，"),
+  min: field.min ?? "",
+  max: field.max ?? "",
+});
+
+/**
+ * 表单行转换为字段定义
+ * @param {Object} draft - 表单行
+ * @returns {Object} 字段，省略空的可选项
+ */
+const fromDraft = (draft) => {
+  const field = { name: draft.name.trim(), type: draft.type };
+  if (draft.label.trim()) field.label = draft.label.trim();
+  if (draft.required) field.required = true;
+  if (draft.type === "text" && draft.multiline) field.multiline = true;
+  if (draft.type === "enum") {
+    field.options = draft.options
+      .split(/[,，\n]/)
+      .map((option) => option.trim())
+      .filter(Boolean);
+  }
+  if (draft.type === "number") {
+    ["min", "max"].forEach((key) => {
+      const value = String(draft[key]).trim();
+      if (value !== "" && Number.isFinite(Number(value))) field[key] = Number(value);
+    });
+  }
+  return field;
+};
+
+export default defineComponent({
+  name: "SchemaEditor",
+  props: {
+    /**
+     * 仓库图层ID
+     * @type {string}
+     */
+    layerId: {
+      type: String,
+      required: true,
+    },
+    /**
+     * 当前字段定义
+     * @type {Array<Object>}
+     */
+    schema: {
+      type: Array,
+      required: true,
+    },
+    /**
+     * 关闭回调
+     * @type {Function}
+     */
+    onClose: {
+      type: Function,
+      required: true,
+    },
+  },
+  setup(props) {
+    const fields = reactive(props.schema.map(toDraft));
+    const error = ref("");
+
+    const addField = () => {
+      fields.push(toDraft({ name: `field${fields.length + 1}`, type: "text" }));
+    };
+
+    /**
+     * 移动字段
+     * @param {number} index - 字段序号
+     * @param {number} offset - -1上移，1下移
+     * @returns {void}
+     */
+    const moveField = (index, offset) => {
+      const target = index + offset;
+      if (target < 0 || target >= fields.length) return;
+      const [field] = fields.splice(index, 1);
+      fields.splice(target, 0, field);
+    };
+
+    const handleSave = () => {
+      const schema = fields.map(fromDraft);
+      error.value = validateSchema(schema) || "";
+      if (error.value) return;
+      featureStore.updateLayer(props.layerId, { schema });
+      props.onClose();
+    };
+
+    /**
+     * 渲染字段行
+     * @param {Object} field - 表单行
+     * @param {number} index - 序号
+     * @returns {JSX.Element}
+     */
+    const renderField = (field, index) => (
+      <div key={index} class="border rounded p-2 space-y-1">
+        <div class="flex items-center space-x-1">
+          <input
+            class="border rounded px-1 w-24"
+            placeholder="字段名"
+            value={field.name}
+            onInput={(e) => (field.name = e.target.value)}
+          />
+          <input
+            class="border rounded px-1 flex-1 min-w-0"
+            placeholder="显示名称"
+            value={field.label}
+            onInput={(e) => (field.label = e.target.value)}
+          />
+          <select
+            class="border rounded px-1"
+            value={field.type}
+            onChange={(e) => (field.type = e.target.value)}
+          >
+            {FIELD_TYPES.map((type) => (
+              <option key={type.value} value={type.value}>
+                {type.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div class="flex items-center space-x-2">
+          <label class="flex items-center space-x-1">
+            <input
+              type="checkbox"
+              checked={field.required}
+              onChange={(e) => (field.required = e.target.checked)}
+            />
+            <span>必填</span>
+          </label>
+          {field.type === "text" && (
+            <label class="flex items-center space-x-1">
+              <input
+                type="checkbox"
+                checked={field.multiline}
+                onChange={(e) => (field.multiline = e.target.checked)}
+              />
+              <span>多行</span>
+            </label>
+          )}
+          {field.type === "number" &&
+            ["min", "max"].map((key) => (
+              <input
+                key={key}
+                type="number"
+                class="border rounded px-1 w-16"
+                placeholder={key === "min" ? "最小值" : "最大值"}
+                value={field[key]}
+                onInput={(e) => (field[key] = e.target.value)}
+              />
+            ))}
+          <span class="flex-1" />
+          <button class="text-gray-500" title="上移" onClick={() => moveField(index, -1)}>
+            ↑
+          </button>
+          <button class="text-gray-500" title="下移" onClick={() => moveField(index, 1)}>
+            ↓
+          </button>
+          <button class="text-red-500" onClick={() => fields.splice(index, 1)}>
+            删除
+          </button>
+        </div>
+        {field.type === "enum" && (
+          <input
+            class="border rounded px-1 w-full"
+            placeholder="选项，以逗号分隔"
+            value={field.options}
+            onInput={(e) => (field.options = e.target.value)}
+          />
+        )}
+      </div>
+    );
+
+    return () => (
+      <div class="space-y-2">
+        <div class="max-h-80 overflow-auto space-y-2">
+          {fields.map(renderField)}
+          {fields.length === 0 && <div class="text-gray-500">尚未定义字段</div>}
+        </div>
+        <button class="text-blue-600 hover:underline" onClick={addField}>
+          + 添加字段
+        </button>
+        {error.value && <div class="text-red-500">{error.value}</div>}
+        <div class="flex justify-end space-x-2">
+          <button class="bg-gray-200 hover:bg-gray-300 px-3 py-1 rounded" onClick={props.onClose}>
+            取消
+          </button>
+          <button class="bg-blue-500 hover:bg-blue-700 text-white px-3 py-1 rounded" onClick={handleSave}>
+            保存字段
+          </button>
+        </div>
+      </div>
+    );
+  },
+});
@@ -0,0 +1,255 @@
+/**
+ * @file SearchBox.jsx
+ * @description 地图搜索框：输入防抖后调用地理编码器，结果列表支持键盘上下选择、回车定位、Esc关闭
+ * @module components/SearchBox
+ */
+
+import { defineComponent, ref, onUnmounted } from "vue";
+import { isAbortError } from "@utils/geocoder";
+
+export default defineComponent({
+  name: "SearchBox",
+  props: {
+    /**
+     * 地理编码器
+     * @description 见 utils/geocoder 的 createGeocoder
+     * @type {Object}
+     */
+    geocoder: {
+      type: Object,
+      required: true,
+    },
+    /**
+     * 选中结果回调
+     * @description 参数为地理编码结果 { name, description, lng, lat, bbox?, geometry? }
+     * @type {Function}
+     */
+    onSelect: {
+      type: Function,
+      required: true,
+    },
+    /**
+     * 清空搜索回调
+     * @type {Function}
+     */
+    onClear: {
+      type: Function,
+      default: null,
+    },
+    /**
+     * 占位文本
+     * @type {string}
+     */
+    placeholder: {
+      type: String,
+      default: "搜索地点、坐标或要素属性",
+    },
+    /**
+     * 输入防抖时间（毫秒）
+     * @type {number}
+     */
+    debounce: {
+      type: Number,
+      default: 400,
+    },
+    /**
+     * 触发搜索的最少字符数
+     * @type {number}
+     */
+    minLength: {
+      type: Number,
+      default: 2,
+    },
+  },
+  setup(props) {
+    const query = ref("");
+    const results = ref([]);
+    const activeIndex = ref(-1);
+    const loading = ref(false);
+    const open = ref(false);
+    // 已完成搜索的查询文本，用于区分"无结果"与"尚未搜索"
+    const searchedQuery = ref("");
+
+    let timer = null;
+    let controller = null;
+
+    /**
+     * 取消等待中的防抖与进行中的请求
+     * @returns {void}
+     */
+    const cancelPending = () => {
+      clearTimeout(timer);
+      controller?.abort();
+      controller = null;
+    };
+
+    /**
+     * 执行搜索
+     * @param {string} text - 查询文本
+     * @returns {Promise<Array<Object>>} 结果
+     */
+    const runSearch = async (text) => {
+      cancelPending();
+      controller = new AbortController();
+      const { signal } = controller;
+      loading.value = true;
+      try {
+        const items = await props.geocoder.search(text, { signal });
+        results.value = items;
+        activeIndex.value = items.length ? 0 : -1;
+        searchedQuery.value = text;
+        open.value = true;
+        return items;
+      } catch (error) {
+        if (!isAbortError(error)) console.error("搜索出错:", error);
+        return [];
+      } finally {
+        if (!signal.aborted) loading.value = false;
+      }
+    };
+
+    /**
+     * 输入变化时防抖搜索
+     * @param {string} value - 输入值
+     * @returns {void}
+     */
+    const handleInput = (value) => {
+      query.value = value;
+      cancelPending();
+      loading.value = false;
+      const text = value.trim();
+      if (text.length < props.minLength) {
+        results.value = [];
+        searchedQuery.value = "";
+        open.value = false;
+        return;
+      }
+      timer = setTimeout(() => runSearch(text), props.debounce);
+    };
+
+    /**
+     * 选中结果
+     * @param {Object} result - 地理编码结果
+     * @returns {void}
+     */
+    const select = (result) => {
+      if (!result) return;
+      query.value = result.name;
+      open.value = false;
+      props.onSelect(result);
+    };
+
+    /**
+     * 键盘导航
+     * @param {KeyboardEvent} e - 键盘事件
+     * @returns {void}
+     */
+    const handleKeydown = async (e) => {
+      const count = results.value.length;
+      switch (e.key) {
+        case "ArrowDown":
+          e.preventDefault();
+          if (!count) return;
+          open.value = true;
+          activeIndex.value = (activeIndex.value + 1) % count;
+          break;
+        case "ArrowUp":
+          e.preventDefault();
+          if (!count) return;
+          open.value = true;
+          activeIndex.value = (activeIndex.value - 1 + count) % count;
+          break;
+        case "Enter": {
+          e.preventDefault();
+          const text = query.value.trim();
+          if (!text) return;
+          // 防抖未到期或结果已过时时立即搜索，回车直接定位到第一条
+          if (searchedQuery.value !== text) {
+            const items = await runSearch(text);
+            select(items[0]);
+          } else if (open.value) {
+            select(results.value[activeIndex.value] || results.value[0]);
+          } else {
+            open.value = count > 0;
+          }
+          break;
+        }
+        case "Escape":
+          open.value = false;
+          break;
+      }
+    };
+
+    /**
+     * 清空搜索
+     * @returns {void}
+     */
+    const handleClear = () => {
+      cancelPending();
+      query.value = "";
+      results.value = [];
+      searchedQuery.value = "";
+      loading.value = false;
+      open.value = false;
+      props.onClear?.();
+    };
+
+    onUnmounted(cancelPending);
+
+    return () => (
+      <div class="w-80 text-sm">
+        <div class="flex items-center bg-white rounded shadow">
+          <input
+            class="flex-1 px-3 py-2 rounded outline-none"
+            placeholder={props.placeholder}
+            value={query.value}
+            onInput={(e) => handleInput(e.target.value)}
+            onKeydown={handleKeydown}
+            onFocus={() => (open.value = results.value.length > 0 || Boolean(searchedQuery.value))}
+            onBlur={() => (open.value = false)}
+          />
+          {loading.value && (
+            <div class="animate-spin rounded-full h-4 w-4 border-t-2 border-b-2 border-blue-500 mr-2"></div>
+          )}
+          {query.value && (
+            <button class="px-2 text-gray-400 hover:text-gray-600" onClick={handleClear}>
+              ×
+            </button>
+          )}
+        </div>
+        {open.value && (
+          <ul class="mt-1 bg-white rounded shadow max-h-80 overflow-auto">
+            {results.value.length === 0 && (
+              <li class="px-3 py-2 text-gray-500">未找到"{searchedQuery.value}"</li>
+            )}
+            {results.value.map((result, index) => (
+              <li
+                key={`${result.provider}:${result.id}`}
+                class={[
+                  "px-3 py-2 cursor-pointer border-t first:border-t-0",
+                  index === activeIndex.value ? "bg-blue-50" : "hover:bg-gray-50",
+                ]}
+                onMousedown={(e) => {
+                  // mousedown先于输入框blur触发，阻止默认行为避免列表在点击前关闭
+                  e.preventDefault();
+                  select(result);
+                }}
+                onMouseenter={() => (activeIndex.value = index)}
+              >
+                <div class="flex items-center justify-between space-x-2">
+                  <span class="truncate font-medium">{result.name}</span>
+                  <span class="flex-none text-xs text-gray-400">{result.providerName}</span>
+                </div>
+                {result.description && (
+                  <div class="text-xs text-gray-500 truncate" title={result.description}>
+                    {result.description}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  },
+});
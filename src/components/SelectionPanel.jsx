@@ -0,0 +1,201 @@
+/**
+ * @file SelectionPanel.jsx
+ * @description 空间选择面板：选择工具、选择方式，以及所选要素的数量、数值字段与分类统计
+ * @module components/SelectionPanel
+ */
+
+import { defineComponent, computed, ref } from "vue";
+import selection, { SELECTION_MODES } from "@utils/selection";
+
+/**
+ * 选择工具
+ * @description shape为点击已绘制的面、矩形或圆，lasso为按住鼠标拖动的套索
+ * @type {Array<{id: string, name: string}>}
+ */
+export const SELECTION_TOOLS = [
+  { id: "rectangle", name: "框选" },
+  { id: "circle", name: "圈选" },
+  { id: "polygon", name: "多边形" },
+  { id: "lasso", name: "套索" },
+  { id: "shape", name: "按图形" },
+];
+
+/** 各工具的操作提示 */
+const TOOL_HINTS = {
+  rectangle: "按住鼠标拖出矩形范围",
+  circle: "按住鼠标拖出圆形范围",
+  polygon: "单击添加节点，单击起点完成",
+  lasso: "按住鼠标拖动圈出范围",
+  shape: "单击地图上已绘制的面、矩形或圆",
+};
+
+/**
+ * 格式化统计数值
+ * @param {number} value - 数值
+ * @returns {string} 最多保留两位小数的数值文本
+ */
+const formatNumber = (value) =>
+  value.toLocaleString("zh-CN", { maximumFractionDigits: 2 });
+
+export default defineComponent({
+  name: "SelectionPanel",
+  props: {
+    /**
+     * 当前选择工具
+     * @description 见 SELECTION_TOOLS，未启用时为null
+     * @type {string|null}
+     */
+    tool: {
+      type: String,
+      default: null,
+    },
+    /**
+     * 选择方式
+     * @description 见 utils/selection 的 SELECTION_MODES
+     * @type {string}
+     */
+    mode: {
+      type: String,
+      default: "new",
+    },
+    /**
+     * 切换工具回调
+     * @description 参数为工具ID，再次点击当前工具时为null
+     * @type {Function}
+     */
+    onToolChange: {
+      type: Function,
+      required: true,
+    },
+    /**
+     * 切换选择方式回调
+     * @type {Function}
+     */
+    onModeChange: {
+      type: Function,
+      required: true,
+    },
+    /**
+     * 缩放到所选要素回调
+     * @type {Function}
+     */
+    onZoom: {
+      type: Function,
+      default: null,
+    },
+  },
+  setup(props) {
+    const collapsed = ref(false);
+
+    /** 所选要素汇总，选择或所选要素变化时重新计算 */
+    const summary = computed(() => {
+      if (!selection.state.version || !selection.state.count) return null;
+      return selection.getSummary();
+    });
+
+    const renderSummary = (data) => (
+      <div class="mt-2 max-h-64 overflow-auto space-y-2">
+        <div class="flex items-center justify-between">
+          <span>
+            已选 <span class="font-bold">{data.count}</span> 个要素
+          </span>
+          <span class="space-x-1">
+            {props.onZoom && (
+              <button class="text-blue-500 hover:underline" onClick={props.onZoom}>
+                定位
+              </button>
+            )}
+            <button class="text-gray-500 hover:underline" onClick={() => selection.clear()}>
+              清除
+            </button>
+          </span>
+        </div>
+        {data.layers.length > 1 && (
+          <div class="text-xs text-gray-600">
+            {data.layers.map((layer) => (
+              <div key={layer.id}>
+                {layer.name}：{layer.count}
+              </div>
+            ))}
+          </div>
+        )}
+        {data.numeric.length > 0 && (
+          <table class="w-full text-xs">
+            <tr class="text-gray-500">
+              <th class="text-left font-normal">字段</th>
+              <th class="text-right font-normal">合计</th>
+              <th class="text-right font-normal">平均</th>
+            </tr>
+            {data.numeric.map((item) => (
+              <tr key={item.field} title={`最小 ${formatNumber(item.min)}，最大 ${formatNumber(item.max)}，${item.count}个有值`}>
+                <td class="pr-1 break-all">{item.field}</td>
+                <td class="text-right">{formatNumber(item.sum)}</td>
+                <td class="text-right">{formatNumber(item.average)}</td>
+              </tr>
+            ))}
+          </table>
+        )}
+        {data.categories.map((category) => (
+          <div key={category.field} class="text-xs">
+            <div class="text-gray-500">{category.field}</div>
+            {category.values.map((item) => (
+              <div key={item.value} class="flex justify-between">
+                <span class="truncate pr-1">{item.value}</span>
+                <span>{item.count}</span>
+              </div>
+            ))}
+            {category.others > 0 && (
+              <div class="flex justify-between text-gray-400">
+                <span>其他</span>
+                <span>{category.others}</span>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+
+    return () => (
+      <div class="w-64 bg-white p-2 rounded shadow text-sm">
+        <div class="flex items-center justify-between">
+          <span class="font-bold">空间选择</span>
+          <button class="text-gray-500" onClick={() => (collapsed.value = !collapsed.value)}>
+            {collapsed.value ? "展开" : "收起"}
+          </button>
+        </div>
+        {!collapsed.value && (
+          <div>
+            <div class="flex flex-wrap gap-1 mt-2">
+              {SELECTION_TOOLS.map((tool) => (
+                <button
+                  key={tool.id}
+                  class={`px-2 py-1 rounded ${
+                    props.tool === tool.id ? "bg-blue-500 text-white" : "bg-gray-200"
+                  }`}
+                  onClick={() => props.onToolChange(props.tool === tool.id ? null : tool.id)}
+                >
+                  {tool.name}
+                </button>
+              ))}
+            </div>
+            <div class="flex items-center space-x-2 mt-2">
+              <span class="text-gray-500">方式</span>
+              {SELECTION_MODES.map((option) => (
+                <label key={option.value} class="flex items-center space-x-1">
+                  <input
+                    type="radio"
+                    checked={props.mode === option.value}
+                    onChange={() => props.onModeChange(option.value)}
+                  />
+                  <span>{option.label}</span>
+                </label>
+              ))}
+            </div>
+            {props.tool && <div class="mt-1 text-xs text-gray-500">{TOOL_HINTS[props.tool]}</div>}
+            {summary.value && renderSummary(summary.value)}
+          </div>
+        )}
+      </div>
+    );
+  },
+});
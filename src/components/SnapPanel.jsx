@@ -0,0 +1,99 @@
+/**
+ * @file SnapPanel.jsx
+ * @description 捕捉与拓扑面板：绘制与编辑时捕捉其他要素的节点与边，设置像素容差，
+ * 以及不重叠、共边联动、禁止自相交等拓扑规则
+ * @module components/SnapPanel
+ */
+
+import { defineComponent, ref } from "vue";
+import { TOPOLOGY_RULES } from "@utils/topology";
+
+export default defineComponent({
+  name: "SnapPanel",
+  props: {
+    /**
+     * 捕捉与拓扑设置
+     * @description { enabled, tolerance, vertices, edges, noOverlap, sharedEdges, noSelfIntersection }
+     * @type {Object}
+     */
+    settings: {
+      type: Object,
+      required: true,
+    },
+    /**
+     * 修改设置回调
+     * @description 参数为要修改的字段
+     * @type {Function}
+     */
+    onChange: {
+      type: Function,
+      required: true,
+    },
+  },
+  setup(props) {
+    const collapsed = ref(true);
+
+    /**
+     * 渲染复选框
+     * @param {string} key - 设置字段
+     * @param {string} label - 标签
+     * @param {boolean} [disabled=false] - 是否禁用
+     * @returns {JSX.Element}
+     */
+    const renderCheckbox = (key, label, disabled = false) => (
+      <label key={key} class={`flex items-center space-x-1 ${disabled ? "text-gray-400" : ""}`}>
+        <input
+          type="checkbox"
+          checked={props.settings[key]}
+          disabled={disabled}
+          onChange={(e) => props.onChange({ [key]: e.target.checked })}
+        />
+        <span>{label}</span>
+      </label>
+    );
+
+    return () => {
+      const { settings } = props;
+      return (
+        <div class="w-64 bg-white p-2 rounded shadow text-sm">
+          <div class="flex items-center justify-between">
+            <span class="font-bold">捕捉与拓扑</span>
+            <button class="text-gray-500" onClick={() => (collapsed.value = !collapsed.value)}>
+              {collapsed.value ? "展开" : "收起"}
+            </button>
+          </div>
+          {!collapsed.value && (
+            <div class="mt-2 space-y-2">
+              <div class="flex items-center justify-between">
+                {renderCheckbox("enabled", "启用捕捉")}
+                <label class="flex items-center space-x-1">
+                  <span class="text-gray-500">容差</span>
+                  <input
+                    type="number"
+                    class="border rounded px-1 w-14"
+                    min="1"
+                    max="50"
+                    value={settings.tolerance}
+                    onChange={(e) => {
+                      const value = Math.round(Number(e.target.value));
+                      if (value >= 1 && value <= 50) props.onChange({ tolerance: value });
+                    }}
+                  />
+                  <span class="text-gray-500">像素</span>
+                </label>
+              </div>
+              <div class="flex items-center space-x-4">
+                {renderCheckbox("vertices", "节点", !settings.enabled)}
+                {renderCheckbox("edges", "边", !settings.enabled)}
+              </div>
+              <div class="border-t pt-2 space-y-1">
+                <div class="text-gray-500">拓扑规则（面）</div>
+                {TOPOLOGY_RULES.map((rule) => renderCheckbox(rule.value, rule.label))}
+              </div>
+            </div>
+          )}
+        </div>
+      );
+    };
+  },
+});
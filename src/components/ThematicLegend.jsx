@@ -0,0 +1,95 @@
+/**
+ * @file ThematicLegend.jsx
+ * @description 专题图图例：列出可见图层的专题图例，二维与三维地图共用
+ * @module components/ThematicLegend
+ */
+
+import { defineComponent, computed } from "vue";
+import featureStore from "@utils/featureStore";
+
+/**
+ * 生成热力图色带的CSS渐变
+ * @param {Object<number, string>} gradient - 色带，键为0~1的热度
+ * @returns {string} linear-gradient
+ */
+const toCssGradient = (gradient) =>
+  `linear-gradient(to right, ${Object.entries(gradient)
+    .map(([stop, color]) => `${color} ${Number(stop) * 100}%`)
+    .join(", ")})`;
+
+export default defineComponent({
+  name: "ThematicLegend",
+  setup() {
+    /** 设置了专题图的可见图层 */
+    const layers = computed(() =>
+      featureStore.state.layers.filter((layer) => layer.visible && layer.thematic)
+    );
+
+    /**
+     * 渲染图例符号
+     * @param {Object} item - 图例项 { label, color, radius? }
+     * @param {string} type - 专题图类型
+     * @returns {JSX.Element} 符号
+     */
+    const renderSymbol = (item, type) => {
+      if (item.radius) {
+        const size = Math.round(item.radius * 2);
+        return (
+          <span class="flex items-center justify-center w-12 flex-shrink-0">
+            <span
+              class="inline-block rounded-full border border-white shadow"
+              style={{ width: `${size}px`, height: `${size}px`, background: item.color }}
+            />
+          </span>
+        );
+      }
+      return (
+        <span
+          class={`inline-block w-4 h-4 flex-shrink-0 ${type === "categorical" ? "rounded-full" : ""}`}
+          style={{ background: item.color }}
+        />
+      );
+    };
+
+    /**
+     * 渲染单个图层的图例
+     * @param {Object} layer - 仓库图层
+     * @returns {JSX.Element} 图例
+     */
+    const renderLegend = (layer) => {
+      const { legend } = layer.thematic;
+      return (
+        <div key={layer.id}>
+          <div class="font-bold truncate" title={layer.name}>
+            {layer.name}
+            {legend.title && <span class="font-normal text-gray-500"> · {legend.title}</span>}
+          </div>
+          {legend.gradient ? (
+            <div>
+              <div class="h-3 w-40" style={{ background: toCssGradient(legend.gradient) }} />
+              <div class="flex justify-between w-40 text-gray-500">
+                {legend.items.map((item) => (
+                  <span key={item.label}>{item.label}</span>
+                ))}
+              </div>
+            </div>
+          ) : (
+            legend.items.map((item) => (
+              <div key={item.label} class="flex items-center space-x-2">
+                {renderSymbol(item, legend.type)}
+                <span class="truncate">{item.label}</span>
+              </div>
+            ))
+          )}
+        </div>
+      );
+    };
+
+    return () =>
+      layers.value.length > 0 && (
+        <div class="bg-white bg-opacity-90 p-2 rounded shadow text-xs space-y-2 max-h-64 overflow-auto">
+          {layers.value.map(renderLegend)}
+        </div>
+      );
+  },
+});
@@ -0,0 +1,309 @@
+/**
+ * @file ThematicPanel.jsx
+ * @description 专题图设置对话框：为数据图层选择专题图类型、字段、分级方法、色带、
+ * 符号大小、热力参数与三维拉伸字段，应用后二维与三维地图同时按专题显示
+ * @module components/ThematicPanel
+ */
+
+import { defineComponent, reactive, computed } from "vue";
+import featureStore from "@utils/featureStore";
+import {
+  THEMATIC_TYPES,
+  CLASSIFICATION_METHODS,
+  COLOR_RAMPS,
+  applyThematic,
+  clearThematic,
+  getRampColors,
+  toNumber,
+} from "@utils/thematic";
+
+/** 统计字段类型时抽样的要素数 */
+const FIELD_SAMPLE_SIZE = 1000;
+
+/** 需要数值字段的专题图类型 */
+const NUMERIC_TYPES = ["graduated", "proportional", "choropleth"];
+
+/**
+ * 统计图层字段
+ * @param {Array<Object>} features - 仓库要素
+ * @returns {Array<{name: string, numeric: boolean}>} 字段，numeric表示全部非空取值均为数值
+ */
+const getFields = (features) => {
+  const fields = new Map();
+  features.slice(0, FIELD_SAMPLE_SIZE).forEach((feature) => {
+    Object.entries(feature.properties || {}).forEach(([name, value]) => {
+      if (!fields.has(name)) fields.set(name, { name, numeric: true, hasValue: false });
+      if (value === null || value === undefined || value === "") return;
+      const field = fields.get(name);
+      field.hasValue = true;
+      if (toNumber(value) === null) field.numeric = false;
+    });
+  });
+  return [...fields.values()]
+    .filter((field) => field.hasValue)
+    .map(({ name, numeric }) => ({ name, numeric }));
+};
+
+export default defineComponent({
+  name: "ThematicPanel",
+  props: {
+    /**
+     * 仓库图层ID
+     * @type {string}
+     */
+    layerId: {
+      type: String,
+      required: true,
+    },
+    /**
+     * 关闭回调
+     * @type {Function}
+     */
+    onClose: {
+      type: Function,
+      required: true,
+    },
+  },
+  setup(props) {
+    const layer = featureStore.getLayer(props.layerId);
+    const features = featureStore.getFeatures(props.layerId);
+    const fields = getFields(features);
+    const numericFields = fields.filter((field) => field.numeric);
+    const hasPolygons = features.some((feature) => /Polygon$/.test(feature.geometry?.type));
+
+    const form = reactive({
+      type: "choropleth",
+      field: numericFields[0]?.name || "",
+      method: "quantile",
+      classes: 5,
+      ramp: "YlOrRd",
+      minRadius: 4,
+      maxRadius: 24,
+      radius: 25,
+      blur: 15,
+      extrudeField: "",
+      extrudeScale: 1,
+      ...(layer?.thematic?.definition || {}),
+    });
+
+    /** 当前类型可选的字段 */
+    const fieldOptions = computed(() =>
+      NUMERIC_TYPES.includes(form.type) || form.type === "heatmap" ? numericFields : fields
+    );
+
+    const canApply = computed(() => form.type === "heatmap" || Boolean(form.field));
+
+    /**
+     * 切换专题图类型
+     * @description 当前字段不适用于新类型时改为第一个可选字段
+     * @param {string} type - 专题图类型
+     * @returns {void}
+     */
+    const handleTypeChange = (type) => {
+      form.type = type;
+      if (type === "heatmap") return;
+      if (!fieldOptions.value.some((field) => field.name === form.field)) {
+        form.field = fieldOptions.value[0]?.name || "";
+      }
+    };
+
+    /**
+     * 应用专题图
+     * @description 只保存当前类型用到的参数
+     * @returns {void}
+     */
+    const handleApply = () => {
+      const { type, field } = form;
+      const definition = { type, field: field || undefined };
+      if (type === "heatmap") {
+        Object.assign(definition, { radius: form.radius, blur: form.blur });
+      } else {
+        if (type === "graduated" || type === "choropleth") {
+          Object.assign(definition, { method: form.method, classes: form.classes });
+        }
+        if (type !== "categorical") definition.ramp = form.ramp;
+        if (type === "graduated" || type === "proportional") {
+          Object.assign(definition, { minRadius: form.minRadius, maxRadius: form.maxRadius });
+        }
+        if (form.extrudeField) {
+          Object.assign(definition, { extrudeField: form.extrudeField, extrudeScale: form.extrudeScale });
+        }
+      }
+      applyThematic(props.layerId, definition);
+      props.onClose();
+    };
+
+    const handleClear = () => {
+      clearThematic(props.layerId);
+      props.onClose();
+    };
+
+    /**
+     * 渲染下拉框
+     * @param {string} key - 表单字段
+     * @param {string} label - 标签
+     * @param {Array<{value: string, label: string}>} options - 选项
+     * @param {Function} [onChange] - 变更处理，缺省时直接写入表单
+     * @returns {JSX.Element}
+     */
+    const renderSelect = (key, label, options, onChange) => (
+      <label class="flex items-center space-x-2">
+        <span class="text-gray-600 w-24 flex-none">{label}</span>
+        <select
+          class="border rounded px-2 py-1 flex-1 min-w-0"
+          value={form[key]}
+          onChange={(e) => (onChange ? onChange(e.target.value) : (form[key] = e.target.value))}
+        >
+          {options.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+    );
+
+    /**
+     * 渲染数值输入框
+     * @param {string} key - 表单字段
+     * @param {string} label - 标签
+     * @param {Object} [attrs] - min、max、step等属性
+     * @returns {JSX.Element}
+     */
+    const renderNumber = (key, label, attrs = {}) => (
+      <label class="flex items-center space-x-2">
+        <span class="text-gray-600">{label}</span>
+        <input
+          type="number"
+          class="border rounded px-2 py-1 w-20"
+          value={form[key]}
+          {...attrs}
+          onChange={(e) => {
+            const value = Number(e.target.value);
+            if (!Number.isFinite(value) || value <= 0) return;
+            form[key] = key === "classes" ? Math.round(value) : value;
+          }}
+        />
+      </label>
+    );
+
+    /**
+     * 渲染色带选项
+     * @returns {JSX.Element}
+     */
+    const renderRamps = () => (
+      <div class="flex items-center space-x-2">
+        <span class="text-gray-600 w-24 flex-none">色带</span>
+        <div class="flex flex-wrap gap-2">
+          {COLOR_RAMPS.map((ramp) => (
+            <button
+              key={ramp.value}
+              title={ramp.label}
+              class={`flex h-5 border-2 rounded overflow-hidden ${
+                form.ramp === ramp.value ? "border-blue-500" : "border-transparent"
+              }`}
+              onClick={() => (form.ramp = ramp.value)}
+            >
+              {getRampColors(ramp.value, 5).map((color) => (
+                <span key={color} class="w-4 h-full" style={{ background: color }} />
+              ))}
+            </button>
+          ))}
+        </div>
+      </div>
+    );
+
+    const renderOptions = () => {
+      const { type } = form;
+      const fieldSelect = renderSelect(
+        "field",
+        type === "heatmap" ? "权重字段" : "专题字段",
+        [
+          ...(type === "heatmap" ? [{ value: "", label: "无（按要素密度）" }] : []),
+          ...fieldOptions.value.map((field) => ({ value: field.name, label: field.name })),
+        ]
+      );
+      if (type === "heatmap") {
+        return (
+          <>
+            {fieldSelect}
+            <div class="flex items-center space-x-4">
+              {renderNumber("radius", "半径（像素）", { min: 1, max: 100 })}
+              {renderNumber("blur", "模糊（像素）", { min: 1, max: 100 })}
+            </div>
+          </>
+        );
+      }
+      return (
+        <>
+          {fieldSelect}
+          {fieldOptions.value.length === 0 && (
+            <div class="text-orange-600">图层中没有可用于该类型的{NUMERIC_TYPES.includes(type) ? "数值" : ""}字段</div>
+          )}
+          {(type === "graduated" || type === "choropleth") && (
+            <div class="flex items-center space-x-4">
+              <div class="flex-1">{renderSelect("method", "分级方法", CLASSIFICATION_METHODS)}</div>
+              {renderNumber("classes", "分级数", { min: 2, max: 9 })}
+            </div>
+          )}
+          {type !== "categorical" && renderRamps()}
+          {(type === "graduated" || type === "proportional") && (
+            <div class="flex items-center space-x-4">
+              {renderNumber("minRadius", "最小半径", { min: 1, max: 100 })}
+              {renderNumber("maxRadius", "最大半径", { min: 1, max: 100 })}
+            </div>
+          )}
+          {hasPolygons && (
+            <div class="flex items-center space-x-4">
+              <div class="flex-1">
+                {renderSelect("extrudeField", "三维拉伸字段", [
+                  { value: "", label: "不拉伸" },
+                  ...numericFields.map((field) => ({ value: field.name, label: field.name })),
+                ])}
+              </div>
+              {form.extrudeField && renderNumber("extrudeScale", "倍数", { min: 0, step: "any" })}
+            </div>
+          )}
+        </>
+      );
+    };
+
+    return () => (
+      <div class="fixed inset-0 z-[2000] flex items-center justify-center bg-black bg-opacity-40">
+        <div class="bg-white rounded-lg shadow-xl w-[520px] max-w-[95vw] text-sm">
+          <div class="px-4 py-3 border-b font-bold">专题图 - {layer?.name}</div>
+
+          <div class="p-4 space-y-3">
+            {fields.length === 0 && form.type !== "heatmap" && (
+              <div class="text-orange-600">图层要素没有属性字段，只能生成热力图</div>
+            )}
+            {renderSelect("type", "专题图类型", THEMATIC_TYPES, handleTypeChange)}
+            {renderOptions()}
+          </div>
+
+          <div class="px-4 py-3 border-t flex justify-between">
+            <div>
+              {layer?.thematic && (
+                <button class="text-red-500 hover:underline" onClick={handleClear}>
+                  清除专题图
+                </button>
+              )}
+            </div>
+            <div class="space-x-2">
+              <button class="bg-gray-200 hover:bg-gray-300 px-4 py-1 rounded" onClick={props.onClose}>
+                取消
+              </button>
+              <button
+                class="bg-blue-500 hover:bg-blue-700 text-white px-4 py-1 rounded disabled:opacity-50"
+                disabled={!canApply.value}
+                onClick={handleApply}
+              >
+                应用
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  },
+});
@@ -0,0 +1,492 @@
+/**
+ * @file TileSourceForm.jsx
+ * @description 添加瓦片图层源对话框：XYZ/TMS填写地址模板，WMS/WMTS读取服务能力文档后
+ * 选择图层、样式、格式与瓦片矩阵集；矢量瓦片（MVT/PMTiles）填写地址与样式规则；支持子域名、密钥与级别范围
+ * @module components/TileSourceForm
+ */
+
+import { defineComponent, reactive, ref, shallowRef, computed } from "vue";
+import { validateSource, isVectorSource } from "@utils/tileCatalog";
+import { DEFAULT_VECTOR_STYLE, validateVectorStyle } from "@utils/vectorTiles";
+import { fetchCapabilities } from "@utils/ogc";
+import { isAbortError } from "@utils/geocoder";
+
+/**
+ * 图层源类型
+ * @type {Array<{value: string, label: string}>}
+ */
+const SOURCE_TYPES = [
+  { value: "xyz", label: "XYZ" },
+  { value: "tms", label: "TMS" },
+  { value: "wms", label: "WMS" },
+  { value: "wmts", label: "WMTS" },
+  { value: "mvt", label: "MVT矢量瓦片（仅二维）" },
+  { value: "pmtiles", label: "PMTiles矢量瓦片（仅二维）" },
+];
+
+/** 矢量瓦片数据的常见最高级别，更大级别放大显示 */
+const VECTOR_MAX_ZOOM = 14;
+
+/**
+ * 选择首选格式
+ * @param {Array<string>} formats - 服务支持的格式
+ * @param {Array<string>} preferred - 优先顺序
+ * @returns {string} 格式，都不支持时返回第一个
+ */
+const pickFormat = (formats, preferred) =>
+  preferred.find((format) => formats.includes(format)) || formats[0] || preferred[0];
+
+export default defineComponent({
+  name: "TileSourceForm",
+  props: {
+    /**
+     * 确认回调
+     * @description 参数为图层源配置与密钥 { source, key }，见 utils/tileCatalog 的 TileSource；
+     * 抛出错误时在对话框中显示错误信息
+     * @type {Function}
+     */
+    onConfirm: {
+      type: Function,
+      required: true,
+    },
+    /**
+     * 取消回调
+     * @type {Function}
+     */
+    onCancel: {
+      type: Function,
+      required: true,
+    },
+  },
+  setup(props) {
+    const form = reactive({
+      name: "",
+      kind: "overlay",
+      type: "xyz",
+      url: "",
+      subdomains: "",
+      keyName: "",
+      key: "",
+      minZoom: 0,
+      maxZoom: 18,
+      attribution: "",
+      // WMS/WMTS
+      layer: "",
+      style: "",
+      format: "",
+      tileMatrixSet: "",
+      // 矢量瓦片样式规则（JSON）
+      vectorStyle: JSON.stringify(DEFAULT_VECTOR_STYLE, null, 2),
+    });
+    const error = ref("");
+    // 服务能力文档解析结果
+    const capabilities = shallowRef(null);
+    const loadingCapabilities = ref(false);
+    let capabilitiesController = null;
+
+    const isOGC = computed(() => form.type === "wms" || form.type === "wmts");
+    const needsKey = computed(() => form.url.includes("{key}"));
+    const isVector = computed(() => isVectorSource(form));
+
+    /** 解析后的矢量样式 { value } 或 { error } */
+    const vectorStyle = computed(() => {
+      if (!isVector.value) return {};
+      try {
+        const value = JSON.parse(form.vectorStyle);
+        const error = validateVectorStyle(value);
+        return error ? { error: `样式规则有误: ${error}` } : { value };
+      } catch (e) {
+        return { error: "样式规则不是有效的JSON" };
+      }
+    });
+
+    /** 当前选中的服务图层 */
+    const serviceLayer = computed(() =>
+      capabilities.value?.layers.find(
+        (layer) => (layer.name ?? layer.identifier) === form.layer
+      )
+    );
+
+    /** 当前选中的WMTS瓦片矩阵集 */
+    const matrixSet = computed(() =>
+      capabilities.value?.tileMatrixSets?.find((set) => set.identifier === form.tileMatrixSet)
+    );
+
+    /**
+     * 生成图层源配置
+     * @returns {Object} 图层源配置
+     */
+    const buildSource = () => {
+      const source = {
+        name: form.name.trim(),
+        kind: form.kind,
+        type: form.type,
+        url: form.url.trim(),
+        minZoom: form.minZoom,
+        maxZoom: form.maxZoom,
+      };
+      if (form.subdomains.trim()) source.subdomains = form.subdomains.trim();
+      if (needsKey.value && form.keyName.trim()) source.keyName = form.keyName.trim();
+      if (form.attribution.trim()) source.attribution = form.attribution.trim();
+
+      if (form.type === "wms") {
+        Object.assign(source, {
+          layers: form.layer,
+          styles: form.style,
+          format: form.format || "image/png",
+          transparent: true,
+          version: capabilities.value?.version || "1.3.0",
+          queryable: serviceLayer.value?.queryable ?? true,
+          infoFormat: pickFormat(capabilities.value?.infoFormats || [], [
+            "application/json",
+            "text/plain",
+          ]),
+        });
+      } else if (form.type === "wmts") {
+        // 服务不支持KVP时使用图层的RESTful模板
+        const resource =
+          serviceLayer.value?.resourceUrls.find((r) => r.format === form.format) ||
+          serviceLayer.value?.resourceUrls[0];
+        if (capabilities.value && !capabilities.value.url && resource) source.url = resource.template;
+        Object.assign(source, {
+          layer: form.layer,
+          style: form.style || "default",
+          format: form.format || "image/png",
+          tileMatrixSet: form.tileMatrixSet,
+          matrixIds: matrixSet.value?.matrixIds,
+          crs: matrixSet.value?.webMercator ? "EPSG:3857" : matrixSet.value?.crs,
+        });
+      } else if (isVector.value) {
+        source.vectorStyle = vectorStyle.value.value;
+      }
+      return source;
+    };
+
+    const validationError = computed(
+      () =>
+        (form.url && (!isOGC.value || form.layer) ? validateSource(buildSource()) : null) ||
+        vectorStyle.value.error ||
+        null
+    );
+    const canConfirm = computed(
+      () =>
+        form.name.trim() &&
+        form.url &&
+        (!isOGC.value || form.layer) &&
+        !validationError.value &&
+        form.minZoom <= form.maxZoom
+    );
+
+    /**
+     * 选择服务图层，同时带出默认名称、样式、格式与矩阵集
+     * @param {string} id - 图层名称（WMS）或标识（WMTS）
+     * @returns {void}
+     */
+    const selectLayer = (id) => {
+      form.layer = id;
+      const layer = serviceLayer.value;
+      if (!layer) return;
+      if (!form.name.trim()) form.name = layer.title;
+      if (form.type === "wms") {
+        form.style = "";
+        form.format = pickFormat(capabilities.value.formats, ["image/png", "image/jpeg"]);
+      } else {
+        form.style = (layer.styles.find((s) => s.isDefault) || layer.styles[0])?.identifier || "";
+        form.format = pickFormat(layer.formats, ["image/png", "image/jpeg"]);
+        const sets = capabilities.value.tileMatrixSets.filter((set) =>
+          layer.tileMatrixSets.includes(set.identifier)
+        );
+        // 优先Web墨卡托矩阵集，二维与三维均可显示
+        form.tileMatrixSet = (sets.find((set) => set.webMercator) || sets[0])?.identifier || "";
+      }
+    };
+
+    /**
+     * 读取服务能力文档
+     * @returns {Promise<void>}
+     */
+    const loadCapabilities = async () => {
+      capabilitiesController?.abort();
+      capabilitiesController = new AbortController();
+      loadingCapabilities.value = true;
+      error.value = "";
+      try {
+        const service = form.type.toUpperCase();
+        const result = await fetchCapabilities(form.url.trim(), service, {
+          signal: capabilitiesController.signal,
+        });
+        capabilities.value = result;
+        // 以能力文档声明的GetMap/GetTile地址为准
+        if (result.url) form.url = result.url;
+        form.layer = "";
+        if (result.layers.length) selectLayer(result.layers[0].name ?? result.layers[0].identifier);
+      } catch (e) {
+        if (!isAbortError(e)) error.value = `读取服务能力失败: ${e.message}`;
+      } finally {
+        loadingCapabilities.value = false;
+      }
+    };
+
+    /**
+     * 切换图层源类型
+     * @param {string} type - 类型
+     * @returns {void}
+     */
+    const changeType = (type) => {
+      if (isVectorSource({ type }) && !isVector.value && form.maxZoom > VECTOR_MAX_ZOOM) {
+        form.maxZoom = VECTOR_MAX_ZOOM;
+      }
+      form.type = type;
+      form.layer = "";
+      capabilities.value = null;
+      error.value = "";
+    };
+
+    /**
+     * 确认添加
+     * @returns {void}
+     */
+    const handleConfirm = () => {
+      try {
+        props.onConfirm({ source: buildSource(), key: needsKey.value ? form.key.trim() : "" });
+      } catch (e) {
+        error.value = e.message;
+      }
+    };
+
+    /**
+     * 渲染带标签的输入框
+     * @param {string} field - 表单字段
+     * @param {string} label - 标签
+     * @param {Object} [attrs] - 输入框其他属性
+     * @returns {JSX.Element}
+     */
+    const renderInput = (field, label, attrs = {}) => (
+      <label class="flex items-center space-x-2">
+        <span class="text-gray-600 w-16 flex-none">{label}</span>
+        <input
+          class="border rounded px-2 py-1 flex-1 min-w-0"
+          value={form[field]}
+          onInput={(e) =>
+            (form[field] = attrs.type === "number" ? Number(e.target.value) : e.target.value)
+          }
+          {...attrs}
+        />
+      </label>
+    );
+
+    /**
+     * 渲染带标签的下拉框
+     * @param {string} label - 标签
+     * @param {string} value - 当前值
+     * @param {Array<{value: string, label: string, disabled?: boolean}>} options - 选项
+     * @param {Function} onChange - 变化回调，参数为新值
+     * @returns {JSX.Element}
+     */
+    const renderSelect = (label, value, options, onChange) => (
+      <label class="flex items-center space-x-2">
+        <span class="text-gray-600 w-16 flex-none">{label}</span>
+        <select
+          class="border rounded px-2 py-1 flex-1 min-w-0"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+        >
+          {options.map((option) => (
+            <option key={option.value} value={option.value} disabled={option.disabled}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+    );
+
+    /**
+     * 渲染WMS/WMTS服务图层选项
+     * @returns {JSX.Element|null}
+     */
+    const renderServiceOptions = () => {
+      const caps = capabilities.value;
+      if (!caps) return null;
+      if (!caps.layers.length) return <div class="text-red-500 pl-[72px]">服务中没有可用图层</div>;
+      const layer = serviceLayer.value;
+
+      if (form.type === "wms") {
+        return (
+          <>
+            {renderSelect(
+              "图层",
+              form.layer,
+              caps.layers.map((l) => ({ value: l.name, label: `${l.title}（${l.name}）` })),
+              selectLayer
+            )}
+            {renderSelect(
+              "样式",
+              form.style,
+              [
+                { value: "", label: "默认样式" },
+                ...(layer?.styles || []).map((s) => ({ value: s.name, label: s.title })),
+              ],
+              (value) => (form.style = value)
+            )}
+            {renderSelect(
+              "格式",
+              form.format,
+              caps.formats
+                .filter((format) => format.startsWith("image/"))
+                .map((format) => ({ value: format, label: format })),
+              (value) => (form.format = value)
+            )}
+            {layer && !layer.queryable && (
+              <div class="text-gray-400 pl-[72px]">该图层不支持单击查询要素信息</div>
+            )}
+          </>
+        );
+      }
+
+      return (
+        <>
+          {renderSelect(
+            "图层",
+            form.layer,
+            caps.layers.map((l) => ({ value: l.identifier, label: `${l.title}（${l.identifier}）` })),
+            selectLayer
+          )}
+          {renderSelect(
+            "样式",
+            form.style,
+            (layer?.styles || []).map((s) => ({ value: s.identifier, label: s.title })),
+            (value) => (form.style = value)
+          )}
+          {renderSelect(
+            "矩阵集",
+            form.tileMatrixSet,
+            caps.tileMatrixSets
+              .filter((set) => layer?.tileMatrixSets.includes(set.identifier))
+              .map((set) => ({
+                value: set.identifier,
+                label: `${set.identifier}${
+                  set.webMercator ? "" : set.geographic ? "（仅三维）" : "（不支持的坐标系）"
+                }`,
+                disabled: !set.webMercator && !set.geographic,
+              })),
+            (value) => (form.tileMatrixSet = value)
+          )}
+          {renderSelect(
+            "格式",
+            form.format,
+            (layer?.formats || []).map((format) => ({ value: format, label: format })),
+            (value) => (form.format = value)
+          )}
+        </>
+      );
+    };
+
+    return () => (
+      <div class="fixed inset-0 z-[2000] flex items-center justify-center bg-black bg-opacity-40">
+        <div class="bg-white rounded-lg shadow-xl w-[560px] max-w-[95vw] max-h-[90vh] flex flex-col text-sm">
+          <div class="px-4 py-3 border-b font-bold">添加瓦片图层</div>
+
+          <div class="p-4 space-y-3 overflow-auto">
+            <div class="flex items-center space-x-6">
+              <span class="text-gray-600 w-16">用途</span>
+              {[
+                ["overlay", "叠加图层"],
+                ["base", "底图"],
+              ].map(([value, label]) => (
+                <label key={value} class="flex items-center space-x-1">
+                  <input type="radio" checked={form.kind === value} onChange={() => (form.kind = value)} />
+                  <span>{label}</span>
+                </label>
+              ))}
+              <select
+                class="border rounded px-2 py-1"
+                value={form.type}
+                onChange={(e) => changeType(e.target.value)}
+              >
+                {SOURCE_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>
+                    {type.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div class="flex items-center space-x-2">
+              <div class="flex-1">
+                {renderInput("url", "地址", {
+                  placeholder: isOGC.value
+                    ? "服务地址，如 http://localhost:8090/geoserver/wms"
+                    : form.type === "pmtiles"
+                    ? "https://example.com/tiles.pmtiles"
+                    : "https://{s}.example.com/{z}/{x}/{y}.png?key={key}",
+                })}
+              </div>
+              {isOGC.value && (
+                <button
+                  class="bg-gray-200 hover:bg-gray-300 px-3 py-1 rounded disabled:opacity-50"
+                  disabled={!form.url.trim() || loadingCapabilities.value}
+                  onClick={loadCapabilities}
+                >
+                  {loadingCapabilities.value ? "读取中…" : "读取图层"}
+                </button>
+              )}
+            </div>
+            {validationError.value && <div class="text-red-500 pl-[72px]">{validationError.value}</div>}
+            {!isOGC.value && form.type !== "pmtiles" && (
+              <div class="text-gray-400 pl-[72px]">
+                支持 {"{z} {x} {y} {s}"}，TMS服务选择TMS或使用 {"{-y}"}；密钥用 {"{key}"} 占位
+              </div>
+            )}
+            {renderServiceOptions()}
+            {isVector.value && (
+              <label class="flex items-start space-x-2">
+                <span class="text-gray-600 w-16 flex-none">样式规则</span>
+                <div class="flex-1 min-w-0">
+                  <textarea
+                    class="border rounded px-2 py-1 w-full h-40 font-mono text-xs"
+                    value={form.vectorStyle}
+                    onInput={(e) => (form.vectorStyle = e.target.value)}
+                  />
+                  <div class="text-gray-400">
+                    按顺序合并匹配规则的style；规则可按 layer、geometry、minZoom/maxZoom 与
+                    field/value/min/max 过滤，style 含 color、weight、fillColor、fillOpacity、radius、label（标注字段）
+                  </div>
+                </div>
+              </label>
+            )}
+            {renderInput("name", "名称", { placeholder: "如 天地图矢量" })}
+            {renderInput("subdomains", "子域名", { placeholder: "{s}的取值，如 abc 或 01234567" })}
+            {needsKey.value && (
+              <div class="grid grid-cols-2 gap-2">
+                {renderInput("keyName", "密钥名称", { placeholder: "同一服务共用，如 tianditu" })}
+                {renderInput("key", "密钥", { placeholder: "tk / apikey" })}
+              </div>
+            )}
+            <div class="grid grid-cols-2 gap-2">
+              {renderInput("minZoom", "最小级别", { type: "number", min: 0, max: 22 })}
+              {renderInput("maxZoom", "最大级别", { type: "number", min: 0, max: 22 })}
+            </div>
+            {renderInput("attribution", "版权信息", { placeholder: "可含HTML链接" })}
+            {error.value && (
+              <div class="bg-red-50 text-red-600 border border-red-200 rounded px-3 py-2">
+                {error.value}
+              </div>
+            )}
+          </div>
+
+          <div class="px-4 py-3 border-t flex justify-end space-x-2">
+            <button class="bg-gray-200 hover:bg-gray-300 px-4 py-1 rounded" onClick={props.onCancel}>
+              取消
+            </button>
+            <button
+              class="bg-blue-500 hover:bg-blue-700 text-white px-4 py-1 rounded disabled:opacity-50"
+              disabled={!canConfirm.value}
+              onClick={handleConfirm}
+            >
+              添加
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  },
+});
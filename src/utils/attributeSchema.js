@@ -0,0 +1,229 @@
+/**
+ * @file attributeSchema.js
+ * @description 属性字段定义：按图层定义文本、数值、日期、枚举与照片字段，
+ * 校验与规范化属性值，未定义字段的图层按已有属性推断；属性值直接保存在要素properties中，随导出输出
+ * @module utils/attributeSchema
+ */
+
+/**
+ * 字段类型
+ * @type {Array<{value: string, label: string}>}
+ */
+export const FIELD_TYPES = [
+  { value: "text", label: "文本" },
+  { value: "number", label: "数值" },
+  { value: "date", label: "日期" },
+  { value: "enum", label: "枚举" },
+  { value: "photo", label: "照片" },
+];
+
+/**
+ * 属性字段
+ * @typedef {Object} AttributeField
+ * @property {string} name - 属性名，即properties中的键
+ * @property {string} [label] - 显示名称，缺省时使用name
+ * @property {string} type - 字段类型，见 FIELD_TYPES
+ * @property {boolean} [required] - 是否必填
+ * @property {boolean} [multiline] - 文本字段是否多行
+ * @property {number} [maxLength] - 文本最大长度
+ * @property {number} [min] - 数值最小值
+ * @property {number} [max] - 数值最大值
+ * @property {boolean} [integer] - 数值是否必须为整数
+ * @property {Array<string>} [options] - 枚举选项
+ */
+
+/**
+ * 绘制图形的默认字段
+ * @type {Array<AttributeField>}
+ */
+export const DEFAULT_DRAWN_SCHEMA = [
+  { name: "name", label: "名称", type: "text", maxLength: 100 },
+  { name: "category", label: "类别", type: "enum", options: ["标注", "区域", "路线", "其他"] },
+  { name: "notes", label: "备注", type: "text", multiline: true, maxLength: 1000 },
+];
+
+/** 照片数据URL的最大长度，保证导出Excel时不超过单元格的32767个字符 */
+export const MAX_PHOTO_LENGTH = 30000;
+
+/** 照片缩略图的最大边长（像素） */
+const PHOTO_MAX_SIZE = 480;
+
+/** 推断字段时抽样的要素数 */
+const INFER_SAMPLE_SIZE = 1000;
+
+/** 日期值格式 YYYY-MM-DD */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * 判断属性值是否为空
+ * @param {*} value - 属性值
+ * @returns {boolean}
+ */
+export const isEmptyValue = (value) => value === null || value === undefined || value === "";
+
+/**
+ * 判断是否为有效的日期值
+ * @param {*} value - 属性值
+ * @returns {boolean} 是否为存在的 YYYY-MM-DD 日期
+ */
+const isValidDate = (value) => {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * 规范化表单输入的属性值
+ * @description 空值统一为null；数值字段转为数字，无法转换时保留原文本供校验报错
+ * @param {AttributeField} field - 字段
+ * @param {*} value - 输入值
+ * @returns {*} 属性值
+ */
+export const normalizeValue = (field, value) => {
+  if (typeof value === "string" && field.type !== "photo") value = value.trim();
+  if (isEmptyValue(value)) return null;
+  if (field.type === "number") {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : value;
+  }
+  return value;
+};
+
+/**
+ * 校验属性值
+ * @param {AttributeField} field - 字段
+ * @param {*} value - 规范化后的属性值，见 normalizeValue
+ * @returns {string|null} 错误信息，有效时返回null
+ */
+export const validateValue = (field, value) => {
+  if (isEmptyValue(value)) return field.required ? "必填" : null;
+  switch (field.type) {
+    case "number":
+      if (typeof value !== "number") return "请输入数值";
+      if (field.integer && !Number.isInteger(value)) return "请输入整数";
+      if (field.min !== undefined && value < field.min) return `不能小于${field.min}`;
+      if (field.max !== undefined && value > field.max) return `不能大于${field.max}`;
+      return null;
+    case "date":
+      return isValidDate(value) ? null : "请输入有效日期";
+    case "enum":
+      return (field.options || []).includes(String(value)) ? null : "请从选项中选择";
+    case "photo":
+      return typeof value === "string" && value.startsWith("data:image/") ? null : "照片无效";
+    default:
+      if (field.maxLength && String(value).length > field.maxLength) {
+        return `不能超过${field.maxLength}个字符`;
+      }
+      return null;
+  }
+};
+
+/**
+ * 校验一组属性值
+ * @param {Array<AttributeField>} schema - 字段定义
+ * @param {Object} values - 字段名 -> 规范化后的属性值
+ * @returns {Object<string, string>} 字段名 -> 错误信息，全部有效时为空对象
+ */
+export const validateAttributes = (schema, values) =>
+  Object.fromEntries(
+    schema
+      .map((field) => [field.name, validateValue(field, values[field.name])])
+      .filter(([, error]) => error)
+  );
+
+/**
+ * 校验字段定义
+ * @param {Array<AttributeField>} schema - 字段定义
+ * @returns {string|null} 错误信息，有效时返回null
+ */
+export const validateSchema = (schema) => {
+  const names = new Set();
+  for (const field of schema) {
+    const name = field.name?.trim();
+    if (!name) return "字段名不能为空";
+    if (names.has(name)) return `字段名“${name}”重复`;
+    names.add(name);
+    if (!FIELD_TYPES.some((type) => type.value === field.type)) return `字段“${name}”的类型无效`;
+    if (field.type === "enum" && !field.options?.length) return `枚举字段“${name}”缺少选项`;
+    if (field.type === "number" && field.min !== undefined && field.max !== undefined && field.min > field.max) {
+      return `字段“${name}”的最小值大于最大值`;
+    }
+  }
+  return null;
+};
+
+/**
+ * 按已有属性推断字段定义
+ * @description 全部非空取值为数值时为数值字段，全部为 YYYY-MM-DD 时为日期字段，
+ * 为图片数据URL时为照片字段，其余为文本字段
+ * @param {Array<Object>} features - 仓库要素
+ * @returns {Array<AttributeField>} 字段定义
+ */
+export const inferSchema = (features) => {
+  const fields = new Map();
+  features.slice(0, INFER_SAMPLE_SIZE).forEach((feature) => {
+    Object.entries(feature.properties || {}).forEach(([name, value]) => {
+      if (!fields.has(name)) fields.set(name, { number: true, date: true, photo: true, hasValue: false });
+      if (isEmptyValue(value)) return;
+      const field = fields.get(name);
+      field.hasValue = true;
+      if (typeof value !== "number") field.number = false;
+      if (!isValidDate(value)) field.date = false;
+      if (typeof value !== "string" || !value.startsWith("data:image/")) field.photo = false;
+    });
+  });
+  return [...fields.entries()].map(([name, field]) => {
+    let type = "text";
+    if (field.hasValue) {
+      if (field.number) type = "number";
+      else if (field.date) type = "date";
+      else if (field.photo) type = "photo";
+    }
+    return { name, type };
+  });
+};
+
+/**
+ * 获取图层的字段定义
+ * @description 图层未定义schema时按要素已有属性推断
+ * @param {Object} layer - 仓库图层
+ * @param {Array<Object>} features - 图层要素
+ * @returns {Array<AttributeField>} 字段定义
+ */
+export const getLayerSchema = (layer, features) =>
+  layer?.schema?.length ? layer.schema : inferSchema(features);
+
+/**
+ * 读取照片为缩略图数据URL
+ * @description 按最大边长缩小后编码为JPEG，超过 MAX_PHOTO_LENGTH 时逐步降低尺寸与质量
+ * @param {File|Blob} file - 图片文件
+ * @returns {Promise<string>} JPEG数据URL
+ */
+export const readPhoto = async (file) => {
+  if (!file.type?.startsWith("image/")) throw new Error("请选择图片文件");
+  const bitmap = await createImageBitmap(file).catch(() => {
+    throw new Error("无法读取图片");
+  });
+  try {
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext("2d");
+    let size = PHOTO_MAX_SIZE;
+    let quality = 0.8;
+    for (;;) {
+      const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+      canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+      canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+      // JPEG不支持透明，先铺白底
+      context.fillStyle = "#fff";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      const dataUrl = canvas.toDataURL("image/jpeg", quality);
+      if (dataUrl.length <= MAX_PHOTO_LENGTH) return dataUrl;
+      if (size <= 64) throw new Error("照片过大");
+      if (quality > 0.5) quality -= 0.15;
+      else size = Math.round(size * 0.75);
+    }
+  } finally {
+    bitmap.close();
+  }
+};
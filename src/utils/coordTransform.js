@@ -0,0 +1,174 @@
+/**
+ * @file coordTransform.js
+ * @description 国内坐标系转换：WGS84、GCJ-02（国测局/高德/腾讯）、BD-09（百度）互转
+ * @module utils/coordTransform
+ */
+
+/** 克拉索夫斯基椭球长半轴 */
+const KRASOVSKY_A = 6378245.0;
+/** 克拉索夫斯基椭球第一偏心率平方 */
+const KRASOVSKY_EE = 0.00669342162296594323;
+/** 百度坐标偏移使用的常量 */
+const X_PI = (Math.PI * 3000.0) / 180.0;
+
+/**
+ * 坐标系代码
+ * @type {{WGS84: string, GCJ02: string, BD09: string}}
+ */
+export const OFFSET_CRS = {
+  WGS84: "WGS84",
+  GCJ02: "GCJ02",
+  BD09: "BD09",
+};
+
+/**
+ * 判断坐标是否在中国境外（境外不做偏移）
+ * @param {number} lng - 经度
+ * @param {number} lat - 纬度
+ * @returns {boolean} 是否在境外
+ */
+export const outOfChina = (lng, lat) =>
+  lng < 72.004 || lng > 137.8347 || lat < 0.8293 || lat > 55.8271;
+
+const transformLat = (x, y) => {
+  let ret =
+    -100.0 + 2.0 * x + 3.0 * y + 0.2 * y * y + 0.1 * x * y + 0.2 * Math.sqrt(Math.abs(x));
+  ret += ((20.0 * Math.sin(6.0 * x * Math.PI) + 20.0 * Math.sin(2.0 * x * Math.PI)) * 2.0) / 3.0;
+  ret += ((20.0 * Math.sin(y * Math.PI) + 40.0 * Math.sin((y / 3.0) * Math.PI)) * 2.0) / 3.0;
+  ret += ((160.0 * Math.sin((y / 12.0) * Math.PI) + 320 * Math.sin((y * Math.PI) / 30.0)) * 2.0) / 3.0;
+  return ret;
+};
+
+const transformLng = (x, y) => {
+  let ret = 300.0 + x + 2.0 * y + 0.1 * x * x + 0.1 * x * y + 0.1 * Math.sqrt(Math.abs(x));
+  ret += ((20.0 * Math.sin(6.0 * x * Math.PI) + 20.0 * Math.sin(2.0 * x * Math.PI)) * 2.0) / 3.0;
+  ret += ((20.0 * Math.sin(x * Math.PI) + 40.0 * Math.sin((x / 3.0) * Math.PI)) * 2.0) / 3.0;
+  ret += ((150.0 * Math.sin((x / 12.0) * Math.PI) + 300.0 * Math.sin((x / 30.0) * Math.PI)) * 2.0) / 3.0;
+  return ret;
+};
+
+/**
+ * WGS84转GCJ-02
+ * @param {Array<number>} position - [经度, 纬度, 高程?]
+ * @returns {Array<number>} GCJ-02坐标，高程原样保留
+ */
+export const wgs84ToGcj02 = ([lng, lat, ...rest]) => {
+  if (outOfChina(lng, lat)) return [lng, lat, ...rest];
+
+  const radLat = (lat / 180.0) * Math.PI;
+  let magic = Math.sin(radLat);
+  magic = 1 - KRASOVSKY_EE * magic * magic;
+  const sqrtMagic = Math.sqrt(magic);
+  const dLat =
+    (transformLat(lng - 105.0, lat - 35.0) * 180.0) /
+    (((KRASOVSKY_A * (1 - KRASOVSKY_EE)) / (magic * sqrtMagic)) * Math.PI);
+  const dLng =
+    (transformLng(lng - 105.0, lat - 35.0) * 180.0) /
+    ((KRASOVSKY_A / sqrtMagic) * Math.cos(radLat) * Math.PI);
+  return [lng + dLng, lat + dLat, ...rest];
+};
+
+/**
+ * GCJ-02转WGS84
+ * @description 迭代求逆，精度优于1厘米
+ * @param {Array<number>} position - [经度, 纬度, 高程?]
+ * @returns {Array<number>} WGS84坐标
+ */
+export const gcj02ToWgs84 = ([lng, lat, ...rest]) => {
+  if (outOfChina(lng, lat)) return [lng, lat, ...rest];
+
+  let wgsLng = lng;
+  let wgsLat = lat;
+  for (let i = 0; i < 10; i++) {
+    const [gLng, gLat] = wgs84ToGcj02([wgsLng, wgsLat]);
+    const dLng = gLng - lng;
+    const dLat = gLat - lat;
+    wgsLng -= dLng;
+    wgsLat -= dLat;
+    if (Math.abs(dLng) < 1e-9 && Math.abs(dLat) < 1e-9) break;
+  }
+  return [wgsLng, wgsLat, ...rest];
+};
+
+/**
+ * GCJ-02转BD-09
+ * @param {Array<number>} position - [经度, 纬度, 高程?]
+ * @returns {Array<number>} BD-09坐标
+ */
+export const gcj02ToBd09 = ([lng, lat, ...rest]) => {
+  const z = Math.sqrt(lng * lng + lat * lat) + 0.00002 * Math.sin(lat * X_PI);
+  const theta = Math.atan2(lat, lng) + 0.000003 * Math.cos(lng * X_PI);
+  return [z * Math.cos(theta) + 0.0065, z * Math.sin(theta) + 0.006, ...rest];
+};
+
+/**
+ * BD-09转GCJ-02
+ * @param {Array<number>} position - [经度, 纬度, 高程?]
+ * @returns {Array<number>} GCJ-02坐标
+ */
+export const bd09ToGcj02 = ([lng, lat, ...rest]) => {
+  const x = lng - 0.0065;
+  const y = lat - 0.006;
+  const z = Math.sqrt(x * x + y * y) - 0.00002 * Math.sin(y * X_PI);
+  const theta = Math.atan2(y, x) - 0.000003 * Math.cos(x * X_PI);
+  return [z * Math.cos(theta), z * Math.sin(theta), ...rest];
+};
+
+/**
+ * WGS84转BD-09
+ * @param {Array<number>} position - [经度, 纬度, 高程?]
+ * @returns {Array<number>} BD-09坐标
+ */
+export const wgs84ToBd09 = (position) => gcj02ToBd09(wgs84ToGcj02(position));
+
+/**
+ * BD-09转WGS84
+ * @param {Array<number>} position - [经度, 纬度, 高程?]
+ * @returns {Array<number>} WGS84坐标
+ */
+export const bd09ToWgs84 = (position) => gcj02ToWgs84(bd09ToGcj02(position));
+
+/** 各坐标系到WGS84的转换 */
+const TO_WGS84 = {
+  [OFFSET_CRS.WGS84]: (position) => position,
+  [OFFSET_CRS.GCJ02]: gcj02ToWgs84,
+  [OFFSET_CRS.BD09]: bd09ToWgs84,
+};
+
+/** WGS84到各坐标系的转换 */
+const FROM_WGS84 = {
+  [OFFSET_CRS.WGS84]: (position) => position,
+  [OFFSET_CRS.GCJ02]: wgs84ToGcj02,
+  [OFFSET_CRS.BD09]: wgs84ToBd09,
+};
+
+/**
+ * 判断是否为偏移坐标系代码
+ * @param {string} crs - 坐标系代码
+ * @returns {boolean} 是否为WGS84/GCJ02/BD09之一
+ */
+export const isOffsetCrs = (crs) => Object.values(OFFSET_CRS).includes(crs);
+
+/**
+ * 在WGS84、GCJ-02、BD-09之间转换坐标
+ * @param {Array<number>} position - [经度, 纬度, 高程?]
+ * @param {string} from - 源坐标系（OFFSET_CRS）
+ * @param {string} to - 目标坐标系（OFFSET_CRS）
+ * @returns {Array<number>} 转换后的坐标
+ */
+export const transformCoordinate = (position, from, to) => {
+  if (from === to) return position;
+  if (!TO_WGS84[from] || !FROM_WGS84[to]) {
+    throw new Error(`不支持的坐标系转换: ${from} -> ${to}`);
+  }
+  return FROM_WGS84[to](TO_WGS84[from](position));
+};
+
+/**
+ * 创建偏移坐标系转换函数
+ * @param {string} from - 源坐标系（OFFSET_CRS）
+ * @param {string} to - 目标坐标系（OFFSET_CRS）
+ * @returns {Function} 转换函数
+ */
+export const createOffsetTransformer = (from, to) => (position) =>
+  transformCoordinate(position, from, to);
@@ -0,0 +1,169 @@
+/**
+ * @file coordinateParser.js
+ * @description 坐标文本解析：十进制度、度分秒（DMS）与投影坐标，支持坐标系前缀
+ * @module utils/coordinateParser
+ */
+
+import {
+  WGS84,
+  GCJ02,
+  BD09,
+  createTransformer,
+  isKnownCrs,
+  isProjectedCrs,
+} from "./projection";
+
+/**
+ * 坐标文本中可用的坐标系前缀，如 "gcj02: 30.27, 120.15"
+ * @type {Object<string, string>}
+ */
+export const COORDINATE_PREFIXES = {
+  wgs84: WGS84,
+  gcj02: GCJ02,
+  gcj: GCJ02,
+  bd09: BD09,
+  bd: BD09,
+  cgcs2000: "EPSG:4490",
+};
+
+/** 数值 */
+const NUMBER = String.raw`\d+(?:\.\d+)?`;
+
+/**
+ * 单个坐标分量：可带前置或后置的方位字母，度分秒部分可省略，
+ * 如 "30.2741"、"-120.15"、"N30°16'26.8\""、"120°9.5'E"
+ */
+const COMPONENT = String.raw`([NSEW])?\s*([-+]?${NUMBER})\s*(?:°\s*(?:(${NUMBER})\s*'\s*)?(?:(${NUMBER})\s*"\s*)?)?([NSEW])?`;
+
+/** 两个坐标分量，以逗号、分号或空白分隔 */
+const PAIR_PATTERN = new RegExp(
+  String.raw`^\s*${COMPONENT}(?:\s*[,;]\s*|\s+)${COMPONENT}\s*$`,
+  "i"
+);
+
+/**
+ * 统一全角符号与中文度分秒写法
+ * @param {string} text - 原始文本
+ * @returns {string} 规范化后的文本
+ */
+const normalizeText = (text) =>
+  String(text ?? "")
+    .replace(/(经度|纬度|经|纬)\s*[:：]?/g, "")
+    .replace(/[，、]/g, ",")
+    .replace(/[；]/g, ";")
+    .replace(/[度º˚]/g, "°")
+    .replace(/[′’‘`]|分/g, "'")
+    .replace(/[″”“]|''|秒/g, '"')
+    .replace(/[东]/g, "E")
+    .replace(/[西]/g, "W")
+    .replace(/[南]/g, "S")
+    .replace(/[北]/g, "N");
+
+/**
+ * 将正则匹配到的坐标分量转换为十进制度
+ * @param {Array<string>} parts - [前置方位, 度, 分, 秒, 后置方位]
+ * @returns {{value: number, axis: 'lat'|'lng'|null}|null}
+ * 数值与方位确定的轴；分秒超出范围或方位冲突时返回null
+ */
+const toComponent = ([prefix, degrees, minutes, seconds, suffix]) => {
+  if (prefix && suffix) return null;
+  const direction = (prefix || suffix || "").toUpperCase();
+  const m = minutes ? parseFloat(minutes) : 0;
+  const s = seconds ? parseFloat(seconds) : 0;
+  if (m >= 60 || s >= 60) return null;
+
+  let value = Math.abs(parseFloat(degrees)) + m / 60 + s / 3600;
+  if (/^-/.test(degrees) || direction === "S" || direction === "W") value = -value;
+  return { value, axis: direction ? (/[NS]/.test(direction) ? "lat" : "lng") : null };
+};
+
+/**
+ * 解析DMS（度分秒）格式的单个坐标值
+ * @param {string} dms - 如 "30°16'26.8\"N"、"120°9'E"、"30度16分26.8秒"
+ * @returns {number|null} 十进制度，无法解析时返回null
+ */
+export const parseDMS = (dms) => {
+  const match = new RegExp(String.raw`^\s*${COMPONENT}\s*$`, "i").exec(normalizeText(dms));
+  if (!match) return null;
+  return toComponent(match.slice(1))?.value ?? null;
+};
+
+/**
+ * 解析不带坐标系的经纬度文本
+ * @description 默认按"纬度,经度"书写；带方位字母（N/S/E/W或东西南北）时按方位确定经纬度；
+ * 第一个数超出纬度范围而第二个数未超出时按"经度,纬度"处理
+ * @param {string} text - 坐标文本
+ * @returns {{lat: number, lng: number}|null} 经纬度，无法解析或超出范围时返回null
+ */
+export const parseLatLngText = (text) => {
+  const match = PAIR_PATTERN.exec(normalizeText(text));
+  if (!match) return null;
+  const first = toComponent(match.slice(1, 6));
+  const second = toComponent(match.slice(6, 11));
+  if (!first || !second) return null;
+
+  let latLng;
+  if (first.axis || second.axis) {
+    const firstAxis = first.axis || (second.axis === "lat" ? "lng" : "lat");
+    const secondAxis = second.axis || (firstAxis === "lat" ? "lng" : "lat");
+    if (firstAxis === secondAxis) return null;
+    latLng = firstAxis === "lat" ? [first.value, second.value] : [second.value, first.value];
+  } else if (Math.abs(first.value) > 90 && Math.abs(second.value) <= 90) {
+    latLng = [second.value, first.value];
+  } else {
+    latLng = [first.value, second.value];
+  }
+
+  const [lat, lng] = latLng;
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+};
+
+/**
+ * 解析投影坐标文本
+ * @param {string} text - "X,Y" 或 "X Y"
+ * @returns {Array<number>|null} [X, Y]
+ */
+const parseProjectedText = (text) => {
+  const match = new RegExp(
+    String.raw`^\s*([-+]?${NUMBER})(?:\s*[,;]\s*|\s+)([-+]?${NUMBER})\s*$`
+  ).exec(normalizeText(text));
+  return match ? [parseFloat(match[1]), parseFloat(match[2])] : null;
+};
+
+/**
+ * 解析坐标字符串
+ * @description 经纬度按"纬度,经度"书写，支持十进制度与度分秒；投影坐标按"X,Y"书写。
+ * 文本可带坐标系前缀（如 "gcj02: 30.27,120.15"、"EPSG:4549: 500000,3300000"），
+ * 结果统一转换为WGS84
+ * @param {string} text - 坐标文本
+ * @param {string} [crs=WGS84] - 未带前缀时文本所用的坐标系
+ * @returns {{lat: number, lng: number}|null} WGS84坐标，无法解析时返回null
+ */
+export const parseCoordinates = (text, crs = WGS84) => {
+  const prefix = /^\s*(EPSG:\d+|[a-z0-9]+)\s*[:：]\s*/i.exec(text);
+  if (prefix) {
+    const code = COORDINATE_PREFIXES[prefix[1].toLowerCase()] || prefix[1].toUpperCase();
+    if (!isKnownCrs(code)) return null;
+    crs = code;
+    text = text.slice(prefix[0].length);
+  }
+
+  let position;
+  if (isProjectedCrs(crs)) {
+    // 投影坐标系中第一个数为X（东），第二个数为Y（北）
+    position = parseProjectedText(text);
+  } else {
+    const coords = parseLatLngText(text);
+    position = coords && [coords.lng, coords.lat];
+  }
+  if (!position) return null;
+  if (crs === WGS84) return { lat: position[1], lng: position[0] };
+
+  try {
+    const [lng, lat] = createTransformer(crs, WGS84)(position);
+    return { lat, lng };
+  } catch (error) {
+    return null;
+  }
+};
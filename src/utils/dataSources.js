@@ -0,0 +1,199 @@
+/**
+ * @file dataSources.js
+ * @description 视野数据源适配器：GeoJSON REST接口、WFS GetFeature与静态GeoJSON文件，
+ * 统一按瓦片范围请求要素，由 utils/viewportLoader 调度
+ * @module utils/dataSources
+ */
+
+import { normalizeGeoJSON, getBounds } from "./geojson";
+import { WGS84, reprojectGeometry } from "./projection";
+import { getGeoJSONCrs } from "./importPipeline";
+
+/**
+ * 数据源适配器
+ * @typedef {Object} DataSourceAdapter
+ * @property {string} id - 数据源ID，对应要素仓库中的图层 "source:{id}"
+ * @property {string} name - 图层名称
+ * @property {Object} [style] - 图层样式，见 featureStore 的 DEFAULT_STYLE
+ * @property {number} [minZoom=0] - 低于该级别不加载（并清空已显示的要素）
+ * @property {number} [maxZoom=Infinity] - 高于该级别不再请求新数据
+ * @property {number|Object<number, number>} [maxFeatures] - 单个瓦片的最大要素数，
+ * 可按级别配置，如 { 10: 200, 14: 2000 } 表示10~13级200条、14级及以上2000条
+ * @property {string} [idField="id"] - 要素唯一标识属性，用于跨瓦片去重
+ * @property {Function} fetchTile - ({ bbox, zoom, tile, limit, signal }) => Promise<Array<Object>>
+ * 返回WGS84坐标的GeoJSON Feature数组
+ */
+
+/**
+ * 请求JSON
+ * @param {string} url - 地址
+ * @param {AbortSignal} [signal] - 取消信号
+ * @returns {Promise<Object>} 响应JSON
+ */
+const fetchJSON = async (url, signal) => {
+  const response = await fetch(url, { signal });
+  if (!response.ok) throw new Error(`请求失败: ${response.status} ${url}`);
+  return response.json();
+};
+
+/**
+ * 拼接查询参数
+ * @param {string} url - 地址（可已带查询参数）
+ * @param {Object} params - 参数，值为undefined的忽略
+ * @returns {string} 完整地址
+ */
+const withParams = (url, params) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== Infinity)
+  );
+  return `${url}${url.includes("?") ? "&" : "?"}${query}`;
+};
+
+/**
+ * 将GeoJSON响应转换为WGS84要素
+ * @description 响应声明了非WGS84坐标系（旧版crs成员）时转换坐标，无效要素直接丢弃
+ * @param {Object} geojson - GeoJSON对象
+ * @param {string} [crs] - 数据坐标系，缺省时读取响应声明
+ * @returns {Array<Object>} GeoJSON Feature数组
+ */
+const toFeatures = (geojson, crs) => {
+  const sourceCrs = crs || getGeoJSONCrs(geojson) || WGS84;
+  const { features } = normalizeGeoJSON(geojson);
+  if (sourceCrs === WGS84) return features;
+  return features.flatMap((feature) => {
+    try {
+      return [{ ...feature, geometry: reprojectGeometry(feature.geometry, sourceCrs, WGS84) }];
+    } catch (error) {
+      return [];
+    }
+  });
+};
+
+/**
+ * 创建GeoJSON REST数据源
+ * @description 以 ?bbox=west,south,east,north 请求接口，响应为FeatureCollection
+ * @param {Object} options - 选项，另见 DataSourceAdapter
+ * @param {string} options.url - 接口地址
+ * @param {string} [options.bboxParam="bbox"] - 范围参数名
+ * @param {string} [options.limitParam="limit"] - 数量限制参数名
+ * @param {string} [options.zoomParam] - 级别参数名，提供时附带当前级别
+ * @param {Object} [options.params] - 其他固定参数
+ * @returns {DataSourceAdapter} 数据源
+ */
+export const createGeoJSONSource = ({
+  url,
+  bboxParam = "bbox",
+  limitParam = "limit",
+  zoomParam,
+  params = {},
+  ...options
+}) => ({
+  name: url,
+  ...options,
+  fetchTile: async ({ bbox, zoom, limit, signal }) => {
+    const query = {
+      ...params,
+      [bboxParam]: bbox.join(","),
+      [limitParam]: limit,
+    };
+    if (zoomParam) query[zoomParam] = zoom;
+    return toFeatures(await fetchJSON(withParams(url, query), signal));
+  },
+});
+
+/**
+ * 创建WFS数据源
+ * @description 以GetFeature请求GeoJSON输出；1.x版本EPSG:4326按经度、纬度顺序，
+ * 2.0版本按标准使用纬度、经度顺序的范围参数
+ * @param {Object} options - 选项，另见 DataSourceAdapter
+ * @param {string} options.url - WFS服务地址
+ * @param {string} options.typeName - 要素类型，如 "topp:states"
+ * @param {string} [options.version="1.1.0"] - WFS版本
+ * @param {string} [options.outputFormat="application/json"] - 输出格式
+ * @param {Object} [options.params] - 其他固定参数（如CQL_FILTER）
+ * @returns {DataSourceAdapter} 数据源
+ */
+export const createWFSSource = ({
+  url,
+  typeName,
+  version = "1.1.0",
+  outputFormat = "application/json",
+  params = {},
+  ...options
+}) => {
+  const v2 = version.startsWith("2");
+  return {
+    name: typeName,
+    ...options,
+    fetchTile: async ({ bbox, limit, signal }) => {
+      const [west, south, east, north] = bbox;
+      const query = {
+        service: "WFS",
+        request: "GetFeature",
+        version,
+        outputFormat,
+        ...params,
+        [v2 ? "typeNames" : "typeName"]: typeName,
+        srsName: "EPSG:4326",
+        bbox: v2
+          ? `${south},${west},${north},${east},urn:ogc:def:crs:EPSG::4326`
+          : `${west},${south},${east},${north},EPSG:4326`,
+        [v2 ? "count" : "maxFeatures"]: limit,
+      };
+      // 1.x中srsName为EPSG:4326时坐标为经度、纬度顺序，响应直接按WGS84读取
+      return toFeatures(await fetchJSON(withParams(url, query), signal), WGS84);
+    },
+  };
+};
+
+/**
+ * 创建静态文件数据源
+ * @description 首次请求时整体加载GeoJSON文件并计算各要素范围，之后按瓦片范围筛选，
+ * 适合几MB以内、不便逐次请求的数据
+ * @param {Object} options - 选项，另见 DataSourceAdapter
+ * @param {string} [options.url] - GeoJSON文件地址
+ * @param {Object} [options.data] - 直接提供的GeoJSON对象（优先于url）
+ * @param {string} [options.crs] - 数据坐标系，缺省时读取文件声明
+ * @returns {DataSourceAdapter} 数据源
+ */
+export const createStaticSource = ({ url, data, crs, ...options }) => {
+  let loading = null;
+
+  /**
+   * 加载并索引要素
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<Array<{feature: Object, bounds: Array<number>}>>} 要素及其范围
+   */
+  const load = (signal) => {
+    if (!loading) {
+      loading = (data ? Promise.resolve(data) : fetchJSON(url, signal))
+        .then((geojson) =>
+          toFeatures(geojson, crs)
+            .map((feature) => ({ feature, bounds: getBounds(feature.geometry) }))
+            .filter(({ bounds }) => bounds)
+        )
+        .catch((error) => {
+          // 失败（含取消）后允许下次重新加载
+          loading = null;
+          throw error;
+        });
+    }
+    return loading;
+  };
+
+  return {
+    name: url || "静态数据",
+    ...options,
+    fetchTile: async ({ bbox: [west, south, east, north], limit, signal }) => {
+      const indexed = await load(signal);
+      const features = [];
+      for (const { feature, bounds } of indexed) {
+        if (bounds[0] <= east && bounds[2] >= west && bounds[1] <= north && bounds[3] >= south) {
+          features.push(feature);
+          if (features.length >= limit) break;
+        }
+      }
+      return features;
+    },
+  };
+};
@@ -0,0 +1,184 @@
+/**
+ * @file exporters.js
+ * @description 要素导出：GeoJSON、按图层分表的Excel工作簿、带WKT列的CSV
+ * @module utils/exporters
+ */
+
+import * as XLSX from "xlsx";
+import { circleToPolygon } from "./geojson";
+import { WGS84, reprojectGeometry, isProjectedCrs } from "./projection";
+import { getMeasureProperties } from "./measure";
+import { toWKT } from "./wkt";
+
+/** WKT列名 */
+export const WKT_FIELD = "WKT";
+
+/** Excel工作表名称的最大长度 */
+const MAX_SHEET_NAME_LENGTH = 31;
+
+/** Excel单元格文本的最大长度，超出时写入工作簿会失败 */
+const MAX_CELL_LENGTH = 32767;
+
+/**
+ * 将仓库要素转换为导出用的GeoJSON Feature
+ * @description 量算属性在WGS84下计算后写入properties；圆形转换为多边形；
+ * 最后整体转换到目标坐标系
+ * @param {Array<Object>} features - 仓库要素
+ * @param {Object} [options] - 选项
+ * @param {string} [options.crs=WGS84] - 输出坐标系
+ * @param {string} [options.layerName] - 图层名称，提供时写入layer属性
+ * @returns {Array<Object>} GeoJSON Feature数组
+ */
+export const toExportFeatures = (features, { crs = WGS84, layerName } = {}) =>
+  features.map((feature) => {
+    const geometry =
+      feature.meta?.shape === "circle"
+        ? circleToPolygon(feature.geometry.coordinates, feature.meta.radius)
+        : feature.geometry;
+    return {
+      type: "Feature",
+      id: feature.id,
+      geometry: reprojectGeometry(geometry, WGS84, crs),
+      properties: {
+        ...(layerName ? { layer: layerName } : {}),
+        ...feature.properties,
+        ...getMeasureProperties(feature),
+      },
+    };
+  });
+
+/**
+ * 生成GeoJSON FeatureCollection文本
+ * @description 非WGS84的EPSG坐标系按旧版规范写入crs成员，便于其他软件识别
+ * @param {Array<Object>} features - 导出用GeoJSON Feature
+ * @param {string} [crs=WGS84] - 要素所在坐标系
+ * @returns {string} GeoJSON文本
+ */
+export const toGeoJSONText = (features, crs = WGS84) => {
+  const collection = { type: "FeatureCollection" };
+  if (crs !== WGS84 && /^EPSG:\d+$/.test(crs)) {
+    collection.crs = {
+      type: "name",
+      properties: { name: `urn:ogc:def:crs:EPSG::${crs.slice(5)}` },
+    };
+  }
+  collection.features = features;
+  return JSON.stringify(collection);
+};
+
+/**
+ * 将属性值转换为单元格可写的值
+ * @param {*} value - 属性值
+ * @returns {string|number|boolean} 单元格值
+ */
+const toCellValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+};
+
+/**
+ * 将要素转换为表格行
+ * @description 所有要素输出WKT列；withXY为true时点要素额外输出坐标列（经纬度或X/Y）。
+ * 提供maxWKTLength时，超长的WKT留空
+ * @param {Object} feature - 导出用GeoJSON Feature
+ * @param {string} crs - 要素所在坐标系
+ * @param {boolean} [withXY=true] - 是否输出点坐标列
+ * @param {number} [maxWKTLength=Infinity] - WKT的最大长度
+ * @returns {Object} 行对象
+ */
+const toRow = (feature, crs, withXY = true, maxWKTLength = Infinity) => {
+  const row = { id: feature.id };
+  Object.entries(feature.properties).forEach(([key, value]) => {
+    row[key] = toCellValue(value);
+  });
+  if (withXY && feature.geometry.type === "Point") {
+    const [x, y] = feature.geometry.coordinates;
+    const projected = isProjectedCrs(crs);
+    row[projected ? "X" : "经度"] = x;
+    row[projected ? "Y" : "纬度"] = y;
+  }
+  const wkt = toWKT(feature.geometry);
+  row[WKT_FIELD] = wkt.length > maxWKTLength ? "" : wkt;
+  return row;
+};
+
+/**
+ * 将行对象转换为工作表
+ * @description 列为所有行字段的并集，WKT列固定在最后
+ * @param {Array<Object>} rows - 行对象
+ * @returns {Object} XLSX工作表
+ */
+const toSheet = (rows) => {
+  const header = ["id"];
+  rows.forEach((row) => {
+    Object.keys(row).forEach((key) => {
+      if (key !== WKT_FIELD && !header.includes(key)) header.push(key);
+    });
+  });
+  header.push(WKT_FIELD);
+  return XLSX.utils.json_to_sheet(rows, { header });
+};
+
+/**
+ * 生成合法且不重复的工作表名称
+ * @description Excel工作表名称最长31个字符，且不能包含 []:*?/\ 等字符
+ * @param {string} name - 图层名称
+ * @param {Set<string>} used - 已使用的名称（小写）
+ * @returns {string} 工作表名称
+ */
+const toSheetName = (name, used) => {
+  const base =
+    String(name || "")
+      .replace(/[[\]:*?/\\]/g, "_")
+      .replace(/^'+|'+$/g, "")
+      .trim() || "图层";
+  let sheetName = base.slice(0, MAX_SHEET_NAME_LENGTH);
+  for (let index = 2; used.has(sheetName.toLowerCase()); index++) {
+    const suffix = `(${index})`;
+    sheetName = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+  }
+  used.add(sheetName.toLowerCase());
+  return sheetName;
+};
+
+/**
+ * 生成按图层分表的Excel工作簿
+ * @description 每个图层一个工作表，工作表名称即图层名称，重新导入时可按工作表还原为图层。
+ * 纯点图层输出坐标列与WKT列，含线面的图层只输出WKT列，保证导入时识别为同一种列映射。
+ * 超过单元格长度上限的WKT不写入，由调用方提示改用其他格式
+ * @param {Array<{name: string, features: Array<Object>}>} layers - 图层及其导出用GeoJSON Feature
+ * @param {string} [crs=WGS84] - 要素所在坐标系
+ * @returns {{workbook: Object, omitted: Array<string>}} XLSX工作簿与未写入WKT的要素ID
+ */
+export const toWorkbook = (layers, crs = WGS84) => {
+  const workbook = XLSX.utils.book_new();
+  const used = new Set();
+  const omitted = [];
+  layers.forEach(({ name, features }) => {
+    if (!features.length) return;
+    const withXY = features.every((feature) => feature.geometry.type === "Point");
+    const rows = features.map((feature) => {
+      const row = toRow(feature, crs, withXY, MAX_CELL_LENGTH);
+      if (!row[WKT_FIELD]) omitted.push(feature.id);
+      return row;
+    });
+    XLSX.utils.book_append_sheet(workbook, toSheet(rows), toSheetName(name, used));
+  });
+  if (!workbook.SheetNames.length) {
+    XLSX.utils.book_append_sheet(workbook, toSheet([]), "要素");
+  }
+  return { workbook, omitted };
+};
+
+/**
+ * 生成带WKT几何列的CSV文本
+ * @description 带UTF-8 BOM，便于Excel正确识别中文
+ * @param {Array<Object>} features - 导出用GeoJSON Feature
+ * @param {string} [crs=WGS84] - 要素所在坐标系
+ * @returns {string} CSV文本
+ */
+export const toCSV = (features, crs = WGS84) => {
+  const sheet = toSheet(features.map((feature) => toRow(feature, crs)));
+  return `\uFEFF${XLSX.utils.sheet_to_csv(sheet)}`;
+};
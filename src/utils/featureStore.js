@@ -0,0 +1,428 @@
+/**
+ * @file featureStore.js
+ * @description 二维/三维地图共享的要素仓库，统一管理图层、要素ID、属性与样式
+ * @module utils/featureStore
+ */
+
+import { reactive, markRaw } from "vue";
+
+/**
+ * 默认图层样式
+ * @description Leaflet与Cesium共用的样式字段，颜色均为CSS颜色字符串；
+ * 三维中可额外使用extrudedHeight（固定拉伸高度，米）或extrudeField（取属性值作为拉伸高度）
+ * @type {Object}
+ */
+export const DEFAULT_STYLE = {
+  color: "#3388ff", // 线/轮廓颜色
+  weight: 3, // 线宽（像素）
+  opacity: 1, // 线透明度
+  fillColor: "#3388ff", // 填充颜色
+  fillOpacity: 0.2, // 填充透明度
+  radius: 6, // 点半径（像素）
+};
+
+/**
+ * 绘制图形所在的图层ID
+ * @description 二维地图绘制工具产生的图形统一写入该图层
+ * @type {string}
+ */
+export const DRAWN_LAYER_ID = "drawn";
+
+let idSeed = 0;
+
+/**
+ * 判断要素是否满足样式规则
+ * @description 依次判断：filter函数；field配合value（相等）、values（任一相等）、
+ * min/max（数值区间，含min不含max）。属性值按字符串比较，兼容表格导入的数值文本；
+ * 不含条件的规则总是匹配
+ * @param {Object} rule - 样式规则
+ * @param {Object} feature - 要素
+ * @returns {boolean} 是否匹配
+ */
+export const matchesRule = (rule, feature) => {
+  const properties = feature.properties || {};
+  if (rule.filter) return Boolean(rule.filter(properties, feature));
+  if (!rule.field) return true;
+
+  const value = properties[rule.field];
+  if (rule.value !== undefined) return String(value) === String(rule.value);
+  if (rule.values) return rule.values.some((v) => String(v) === String(value));
+
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) return false;
+  return (rule.min === undefined || number >= rule.min) && (rule.max === undefined || number < rule.max);
+};
+
+/**
+ * 生成唯一ID
+ * @param {string} prefix - ID前缀
+ * @returns {string} 唯一ID
+ */
+export const createId = (prefix = "f") =>
+  `${prefix}_${Date.now().toString(36)}_${(idSeed++).toString(36)}`;
+
+/**
+ * 创建要素仓库
+ * @description 图层元数据放在响应式state中供界面使用，要素本身以markRaw保存，
+ * 避免大量要素被深度代理；地图组件通过subscribe接收增量变更
+ * @returns {Object} 要素仓库实例
+ */
+export const createFeatureStore = () => {
+  /** 响应式状态：图层列表与版本号（每次变更递增，便于界面监听） */
+  const state = reactive({
+    layers: [],
+    version: 0,
+  });
+
+  /** @type {Map<string, Map<string, Object>>} 图层ID -> (要素ID -> 要素) */
+  const featuresByLayer = new Map();
+  /** @type {Map<string, Object>} 要素ID -> 要素 */
+  const featureIndex = new Map();
+  /** @type {Set<Function>} 变更监听器 */
+  const listeners = new Set();
+
+  /**
+   * 通知监听器
+   * @param {string} type - 事件类型
+   * @param {Object} payload - 事件数据
+   */
+  const emit = (type, payload) => {
+    state.version++;
+    listeners.forEach((listener) => {
+      try {
+        listener({ type, ...payload });
+      } catch (error) {
+        console.error("要素仓库监听器执行出错:", error);
+      }
+    });
+  };
+
+  /**
+   * 订阅仓库变更
+   * @description 事件类型：layer:add、layer:update、layer:remove、
+   * feature:add、feature:update、feature:remove
+   * @param {Function} listener - 监听函数，参数为事件对象
+   * @returns {Function} 取消订阅函数
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  /**
+   * 获取图层
+   * @param {string} layerId - 图层ID
+   * @returns {Object|undefined} 图层对象
+   */
+  const getLayer = (layerId) => state.layers.find((l) => l.id === layerId);
+
+  /**
+   * 添加图层
+   * @param {Object} options - 图层配置
+   * @param {string} [options.id] - 图层ID，缺省时自动生成
+   * @param {string} [options.name] - 图层名称
+   * @param {boolean} [options.visible=true] - 是否可见
+   * @param {Object} [options.style] - 图层样式，见DEFAULT_STYLE
+   * @param {Array<Object>} [options.styleRules] - 按属性取样式的规则，
+   * 如 { field: "type", value: "学校", style: { iconUrl } }，见 getFeatureStyle
+   * @returns {Object} 图层对象（已存在同ID图层时直接返回该图层）
+   */
+  const addLayer = (options = {}) => {
+    const id = options.id || createId("layer");
+    const existing = getLayer(id);
+    if (existing) return existing;
+
+    const { features, ...rest } = options;
+    state.layers.push({
+      name: id,
+      visible: true,
+      ...rest,
+      id,
+      style: { ...DEFAULT_STYLE, ...(options.style || {}) },
+      featureCount: 0,
+    });
+    featuresByLayer.set(id, new Map());
+    const layer = getLayer(id);
+    emit("layer:add", { layer });
+
+    if (features?.length) addFeatures(id, features);
+    return layer;
+  };
+
+  /**
+   * 更新图层属性（名称、可见性、样式等）
+   * @param {string} layerId - 图层ID
+   * @param {Object} patch - 要更新的字段
+   * @returns {Object|undefined} 更新后的图层
+   */
+  const updateLayer = (layerId, patch) => {
+    const layer = getLayer(layerId);
+    if (!layer) return undefined;
+
+    const { style, ...rest } = patch;
+    Object.assign(layer, rest);
+    if (style) layer.style = { ...layer.style, ...style };
+    emit("layer:update", { layer });
+    return layer;
+  };
+
+  /**
+   * 移除图层及其所有要素
+   * @param {string} layerId - 图层ID
+   * @returns {boolean} 是否移除成功
+   */
+  const removeLayer = (layerId) => {
+    const index = state.layers.findIndex((l) => l.id === layerId);
+    if (index === -1) return false;
+
+    const [layer] = state.layers.splice(index, 1);
+    const features = [...(featuresByLayer.get(layerId)?.values() || [])];
+    features.forEach((feature) => featureIndex.delete(feature.id));
+    featuresByLayer.delete(layerId);
+    emit("layer:remove", { layer, features });
+    return true;
+  };
+
+  /**
+   * 规范化要素对象
+   * @param {Object} input - GeoJSON Feature或仓库要素
+   * @param {string} layerId - 所属图层ID
+   * @returns {Object} 仓库要素
+   */
+  const normalizeFeature = (input, layerId) =>
+    markRaw({
+      id: input.id != null ? String(input.id) : createId(),
+      layerId,
+      geometry: input.geometry,
+      properties: { ...(input.properties || {}) },
+      style: input.style || null,
+      meta: input.meta || {},
+    });
+
+  /**
+   * 批量添加要素
+   * @param {string} layerId - 图层ID，不存在时自动创建
+   * @param {Array<Object>} inputs - GeoJSON Feature数组
+   * @returns {Array<Object>} 添加后的要素
+   */
+  const addFeatures = (layerId, inputs) => {
+    if (!getLayer(layerId)) addLayer({ id: layerId });
+    const layerFeatures = featuresByLayer.get(layerId);
+
+    const features = inputs.map((input) => {
+      const feature = normalizeFeature(input, layerId);
+      // ID冲突时重新生成，保证全局唯一
+      if (featureIndex.has(feature.id)) feature.id = createId();
+      layerFeatures.set(feature.id, feature);
+      featureIndex.set(feature.id, feature);
+      return feature;
+    });
+
+    getLayer(layerId).featureCount = layerFeatures.size;
+    if (features.length) emit("feature:add", { layerId, features });
+    return features;
+  };
+
+  /**
+   * 添加单个要素
+   * @param {string} layerId - 图层ID
+   * @param {Object} input - GeoJSON Feature
+   * @returns {Object} 添加后的要素
+   */
+  const addFeature = (layerId, input) => addFeatures(layerId, [input])[0];
+
+  /**
+   * 更新要素的几何、属性或样式
+   * @param {string} featureId - 要素ID
+   * @param {Object} patch - 可包含geometry、properties、style、meta
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.replace=false] - 整体替换properties、style与meta，而不是与原值合并
+   * （用于恢复要素的历史状态）
+   * @returns {Object|undefined} 更新后的要素
+   */
+  const updateFeature = (featureId, patch, { replace = false } = {}) => {
+    const feature = featureIndex.get(featureId);
+    if (!feature) return undefined;
+
+    const merge = (current, next) => (replace ? { ...next } : { ...current, ...next });
+    if (patch.geometry) feature.geometry = patch.geometry;
+    if (patch.properties) feature.properties = merge(feature.properties, patch.properties);
+    if (patch.style !== undefined) {
+      feature.style = patch.style && merge(feature.style || {}, patch.style);
+    }
+    if (patch.meta) feature.meta = merge(feature.meta, patch.meta);
+
+    emit("feature:update", { layerId: feature.layerId, features: [feature] });
+    return feature;
+  };
+
+  /**
+   * 批量移除要素
+   * @param {Array<string>} featureIds - 要素ID数组
+   * @returns {Array<Object>} 被移除的要素
+   */
+  const removeFeatures = (featureIds) => {
+    const removed = [];
+    featureIds.forEach((featureId) => {
+      const feature = featureIndex.get(featureId);
+      if (!feature) return;
+      featureIndex.delete(featureId);
+      featuresByLayer.get(feature.layerId)?.delete(featureId);
+      removed.push(feature);
+    });
+
+    // 按图层分组通知，便于渲染端按图层处理
+    const layerIds = new Set(removed.map((f) => f.layerId));
+    layerIds.forEach((layerId) => {
+      const layer = getLayer(layerId);
+      if (layer) layer.featureCount = featuresByLayer.get(layerId).size;
+      emit("feature:remove", {
+        layerId,
+        features: removed.filter((f) => f.layerId === layerId),
+      });
+    });
+    return removed;
+  };
+
+  /**
+   * 移除单个要素
+   * @param {string} featureId - 要素ID
+   * @returns {Object|undefined} 被移除的要素
+   */
+  const removeFeature = (featureId) => removeFeatures([featureId])[0];
+
+  /**
+   * 清空图层中的要素（保留图层本身）
+   * @param {string} layerId - 图层ID
+   */
+  const clearLayer = (layerId) => {
+    const layerFeatures = featuresByLayer.get(layerId);
+    if (layerFeatures?.size) removeFeatures([...layerFeatures.keys()]);
+  };
+
+  /**
+   * 获取要素
+   * @param {string} featureId - 要素ID
+   * @returns {Object|undefined} 要素
+   */
+  const getFeature = (featureId) => featureIndex.get(featureId);
+
+  /**
+   * 获取图层内所有要素
+   * @param {string} layerId - 图层ID
+   * @returns {Array<Object>} 要素数组
+   */
+  const getFeatures = (layerId) => [
+    ...(featuresByLayer.get(layerId)?.values() || []),
+  ];
+
+  /**
+   * 替换图层内的要素
+   * @description 按要素ID比对：已有要素整体替换几何、属性与样式，新要素添加，
+   * 缺少的要素移除；ID不变的要素在地图端只做增量更新
+   * @param {string} layerId - 图层ID，不存在时自动创建
+   * @param {Array<Object>} inputs - GeoJSON Feature数组
+   * @returns {Array<Object>} 替换后的全部要素
+   */
+  const setFeatures = (layerId, inputs) => {
+    if (!getLayer(layerId)) addLayer({ id: layerId });
+    const layerFeatures = featuresByLayer.get(layerId);
+
+    const updated = [];
+    const added = [];
+    const keep = new Set();
+    inputs.forEach((input) => {
+      const id = input.id != null ? String(input.id) : null;
+      const feature = id !== null && layerFeatures.get(id);
+      if (!feature) {
+        added.push(input);
+        return;
+      }
+      const next = normalizeFeature(input, layerId);
+      feature.geometry = next.geometry;
+      feature.properties = next.properties;
+      feature.style = next.style;
+      feature.meta = next.meta;
+      keep.add(id);
+      updated.push(feature);
+    });
+
+    removeFeatures([...layerFeatures.keys()].filter((id) => !keep.has(id)));
+    if (updated.length) emit("feature:update", { layerId, features: updated });
+    addFeatures(layerId, added);
+    return getFeatures(layerId);
+  };
+
+  /**
+   * 获取要素最终样式（图层样式 + 匹配的样式规则 + 专题规则 + 要素样式）
+   * @description 图层的styleRules按顺序合并所有匹配规则的style，后面的规则覆盖前面的；
+   * style可以是函数，参数为(properties, feature)，用于按数值计算半径、颜色等。
+   * 图层设置专题图（thematic，见 utils/thematic）时，专题规则在styleRules之后合并
+   * @param {Object} feature - 要素
+   * @returns {Object} 合并后的样式
+   */
+  const getFeatureStyle = (feature) => {
+    const layer = getLayer(feature.layerId);
+    const ruleStyles = [...(layer?.styleRules || []), ...(layer?.thematic?.rules || [])]
+      .filter((rule) => matchesRule(rule, feature))
+      .map((rule) =>
+        typeof rule.style === "function"
+          ? rule.style(feature.properties || {}, feature)
+          : rule.style
+      );
+    return Object.assign(
+      {},
+      layer?.style || DEFAULT_STYLE,
+      ...ruleStyles,
+      feature.style || {}
+    );
+  };
+
+  /**
+   * 将图层导出为GeoJSON FeatureCollection
+   * @param {string} [layerId] - 图层ID，缺省时导出全部图层
+   * @returns {Object} FeatureCollection
+   */
+  const toGeoJSON = (layerId) => {
+    const features = layerId
+      ? getFeatures(layerId)
+      : state.layers.flatMap((layer) => getFeatures(layer.id));
+    return {
+      type: "FeatureCollection",
+      features: features.map((feature) => ({
+        type: "Feature",
+        id: feature.id,
+        geometry: feature.geometry,
+        properties: feature.properties,
+      })),
+    };
+  };
+
+  return {
+    state,
+    subscribe,
+    getLayer,
+    addLayer,
+    updateLayer,
+    removeLayer,
+    clearLayer,
+    addFeature,
+    addFeatures,
+    updateFeature,
+    removeFeature,
+    removeFeatures,
+    setFeatures,
+    getFeature,
+    getFeatures,
+    getFeatureStyle,
+    toGeoJSON,
+  };
+};
+
+/**
+ * 全局共享的要素仓库
+ * @description 二维与三维地图组件均订阅此实例，保证切换模式时数据一致
+ */
+export const featureStore = createFeatureStore();
+
+export default featureStore;
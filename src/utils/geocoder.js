@@ -0,0 +1,408 @@
+/**
+ * @file geocoder.js
+ * @description 可插拔的地理编码：坐标解析、已导入要素属性搜索、本地地名库与Nominatim，支持逆地理编码
+ * @module utils/geocoder
+ */
+
+import featureStore from "./featureStore";
+import { parseCoordinates } from "./coordinateParser";
+import { getBounds } from "./geojson";
+import { geodesicDistance } from "./measure";
+
+/**
+ * 地理编码结果
+ * @typedef {Object} GeocodeResult
+ * @property {string} id - 结果ID
+ * @property {string} name - 显示名称
+ * @property {string} [description] - 补充说明（完整地址、所属图层等）
+ * @property {string} provider - 提供者ID
+ * @property {string} providerName - 提供者名称
+ * @property {number} lng - 经度（WGS84）
+ * @property {number} lat - 纬度（WGS84）
+ * @property {Array<number>} [bbox] - 范围 [west, south, east, north]
+ * @property {Object} [geometry] - GeoJSON几何（要素搜索结果）
+ */
+
+/**
+ * 地理编码提供者
+ * @description 自定义提供者实现该接口后通过 geocoder.use 注册
+ * @typedef {Object} GeocodeProvider
+ * @property {string} id - 提供者ID
+ * @property {string} name - 提供者名称，显示在结果列表中
+ * @property {boolean} [exclusive] - 有结果时不再查询其他提供者（如坐标解析）
+ * @property {Function} search - (query, { signal, limit }) => Promise<Array<GeocodeResult>>
+ * @property {Function} [reverse] - ({ lng, lat }, { signal }) => Promise<GeocodeResult|null>
+ */
+
+/** 每个提供者默认返回的结果数 */
+const DEFAULT_LIMIT = 5;
+
+/**
+ * 格式化经纬度
+ * @param {number} lat - 纬度
+ * @param {number} lng - 经度
+ * @returns {string} "纬度, 经度"
+ */
+export const formatLatLng = (lat, lng) => `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+
+/**
+ * 判断错误是否由请求取消引起
+ * @param {Error} error - 错误
+ * @returns {boolean} 是否为取消
+ */
+export const isAbortError = (error) => error?.name === "AbortError";
+
+/**
+ * 创建坐标解析提供者
+ * @description 输入十进制度或度分秒坐标（可带坐标系前缀）时直接返回该位置
+ * @returns {GeocodeProvider} 提供者
+ */
+export const createCoordinateProvider = () => ({
+  id: "coordinate",
+  name: "坐标",
+  exclusive: true,
+  search: async (query) => {
+    const coords = parseCoordinates(query);
+    if (!coords) return [];
+    return [
+      {
+        id: `coordinate:${coords.lat},${coords.lng}`,
+        name: formatLatLng(coords.lat, coords.lng),
+        description: "WGS84 经纬度",
+        lng: coords.lng,
+        lat: coords.lat,
+      },
+    ];
+  },
+  reverse: async ({ lng, lat }) => ({
+    id: `coordinate:${lat},${lng}`,
+    name: formatLatLng(lat, lng),
+    description: "WGS84 经纬度",
+    lng,
+    lat,
+  }),
+});
+
+/**
+ * 创建Nominatim（OpenStreetMap）地理编码提供者
+ * @description 公共服务限制每秒1次请求，搜索框已做防抖；大量使用时应部署自己的服务
+ * @param {Object} [options] - 选项
+ * @param {string} [options.url="https://nominatim.openstreetmap.org"] - 服务地址
+ * @param {string} [options.language="zh-CN"] - 结果语言
+ * @param {string} [options.countryCodes] - 限定国家，如 "cn"
+ * @returns {GeocodeProvider} 提供者
+ */
+export const createNominatimProvider = ({
+  url = "https://nominatim.openstreetmap.org",
+  language = "zh-CN",
+  countryCodes,
+} = {}) => {
+  /**
+   * 转换Nominatim结果
+   * @param {Object} item - Nominatim返回的地点
+   * @returns {GeocodeResult} 结果
+   */
+  const toResult = (item) => {
+    const [south, north, west, east] = (item.boundingbox || []).map(Number);
+    return {
+      id: `nominatim:${item.osm_type}${item.osm_id}`,
+      name: item.name || item.display_name.split(",")[0],
+      description: item.display_name,
+      lng: parseFloat(item.lon),
+      lat: parseFloat(item.lat),
+      bbox: item.boundingbox ? [west, south, east, north] : undefined,
+    };
+  };
+
+  /**
+   * 请求Nominatim接口
+   * @param {string} path - 接口路径
+   * @param {Object} params - 查询参数
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<Object>} 响应JSON
+   */
+  const request = async (path, params, signal) => {
+    const query = new URLSearchParams({
+      format: "jsonv2",
+      "accept-language": language,
+      ...params,
+    });
+    const response = await fetch(`${url}/${path}?${query}`, { signal });
+    if (!response.ok) throw new Error(`Nominatim请求失败: ${response.status}`);
+    return response.json();
+  };
+
+  return {
+    id: "nominatim",
+    name: "OpenStreetMap",
+    search: async (query, { signal, limit = DEFAULT_LIMIT } = {}) => {
+      const params = { q: query, limit: String(limit) };
+      if (countryCodes) params.countrycodes = countryCodes;
+      const data = await request("search", params, signal);
+      return data.map(toResult);
+    },
+    reverse: async ({ lng, lat }, { signal } = {}) => {
+      const data = await request("reverse", { lat: String(lat), lon: String(lng), zoom: "18" }, signal);
+      return data && !data.error ? toResult(data) : null;
+    },
+  };
+};
+
+/**
+ * 创建本地地名库提供者
+ * @description 地名库为JSON数组 [{ name, lng, lat, alias?, type?, address? }]，坐标为WGS84；
+ * 首次搜索时加载。逆地理编码返回最近的地名
+ * @param {Object} options - 选项
+ * @param {string} [options.url] - 地名库JSON地址
+ * @param {Array<Object>} [options.entries] - 直接提供的地名条目（优先于url）
+ * @param {number} [options.maxDistance=2000] - 逆地理编码的最大距离（米）
+ * @returns {GeocodeProvider} 提供者
+ */
+export const createGazetteerProvider = ({ url, entries, maxDistance = 2000 } = {}) => {
+  let loading = null;
+
+  /**
+   * 加载地名库
+   * @returns {Promise<Array<Object>>} 地名条目
+   */
+  const load = () => {
+    if (!loading) {
+      loading = entries
+        ? Promise.resolve(entries)
+        : fetch(url)
+            .then((response) => {
+              if (!response.ok) throw new Error(`地名库加载失败: ${response.status}`);
+              return response.json();
+            })
+            .catch((error) => {
+              console.warn("读取地名库失败:", error);
+              // 失败后允许下次搜索重新加载
+              loading = null;
+              return [];
+            });
+    }
+    return loading;
+  };
+
+  /**
+   * 转换地名条目
+   * @param {Object} entry - 地名条目
+   * @returns {GeocodeResult} 结果
+   */
+  const toResult = (entry) => ({
+    id: `gazetteer:${entry.name}:${entry.lng},${entry.lat}`,
+    name: entry.name,
+    description: [entry.type, entry.address].filter(Boolean).join(" · "),
+    lng: entry.lng,
+    lat: entry.lat,
+  });
+
+  return {
+    id: "gazetteer",
+    name: "地名库",
+    search: async (query, { limit = DEFAULT_LIMIT } = {}) => {
+      const keyword = query.trim().toLowerCase();
+      const list = await load();
+      return list
+        .map((entry) => {
+          const names = [entry.name, ...(entry.alias || [])].map((n) => String(n).toLowerCase());
+          // 完全匹配优先，其次前缀匹配，再次包含
+          const rank = Math.min(
+            ...names.map((n) =>
+              n === keyword ? 0 : n.startsWith(keyword) ? 1 : n.includes(keyword) ? 2 : 3
+            )
+          );
+          return { entry, rank };
+        })
+        .filter(({ rank }) => rank < 3)
+        .sort((a, b) => a.rank - b.rank)
+        .slice(0, limit)
+        .map(({ entry }) => toResult(entry));
+    },
+    reverse: async ({ lng, lat }) => {
+      const list = await load();
+      let nearest = null;
+      let nearestDistance = maxDistance;
+      list.forEach((entry) => {
+        const distance = geodesicDistance([lng, lat], [entry.lng, entry.lat]);
+        if (distance <= nearestDistance) {
+          nearest = entry;
+          nearestDistance = distance;
+        }
+      });
+      if (!nearest) return null;
+      const result = toResult(nearest);
+      return {
+        ...result,
+        description: [result.description, `距离约${Math.round(nearestDistance)}米`]
+          .filter(Boolean)
+          .join(" · "),
+      };
+    },
+  };
+};
+
+/**
+ * 创建要素属性搜索提供者
+ * @description 在要素仓库的全部图层中查找属性值包含关键字的要素
+ * @param {Object} [store=featureStore] - 要素仓库
+ * @param {Object} [options] - 选项
+ * @param {Array<string>} [options.fields] - 仅搜索这些属性，缺省时搜索全部属性
+ * @returns {GeocodeProvider} 提供者
+ */
+export const createFeatureProvider = (store = featureStore, { fields } = {}) => ({
+  id: "features",
+  name: "图层要素",
+  search: async (query, { limit = DEFAULT_LIMIT } = {}) => {
+    const keyword = query.trim().toLowerCase();
+    const results = [];
+    for (const layer of store.state.layers) {
+      for (const feature of store.getFeatures(layer.id)) {
+        const entries = Object.entries(feature.properties || {}).filter(
+          ([key, value]) =>
+            (!fields || fields.includes(key)) &&
+            value !== null &&
+            typeof value !== "object" &&
+            String(value).toLowerCase().includes(keyword)
+        );
+        if (!entries.length) continue;
+
+        const bounds = getBounds(feature.geometry);
+        if (!bounds) continue;
+        const [key, value] = entries[0];
+        const properties = feature.properties;
+        results.push({
+          id: `features:${feature.id}`,
+          name: String(properties.name ?? properties.名称 ?? value),
+          description: `${layer.name} · ${key}: ${value}`,
+          lng: (bounds[0] + bounds[2]) / 2,
+          lat: (bounds[1] + bounds[3]) / 2,
+          bbox: bounds,
+          geometry: feature.geometry,
+        });
+        if (results.length >= limit) return results;
+      }
+    }
+    return results;
+  },
+});
+
+/**
+ * 创建地理编码器
+ * @description 按提供者顺序汇总结果：先查询exclusive提供者，有结果即返回；
+ * 否则并行查询其余提供者，单个提供者失败不影响其他结果
+ * @param {Array<GeocodeProvider>} [providers] - 提供者
+ * @returns {Object} 地理编码器 { providers, use, remove, search, reverse }
+ */
+export const createGeocoder = (providers = []) => {
+  const list = [...providers];
+
+  /**
+   * 给结果标注提供者
+   * @param {GeocodeProvider} provider - 提供者
+   * @param {GeocodeResult} result - 结果
+   * @returns {GeocodeResult} 结果
+   */
+  const tag = (provider, result) => ({
+    ...result,
+    provider: provider.id,
+    providerName: provider.name,
+  });
+
+  /**
+   * 并行调用提供者
+   * @param {Array<GeocodeProvider>} targets - 提供者
+   * @param {Function} call - (provider) => Promise
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<Array>} 各提供者的结果，失败的为null
+   */
+  const callAll = async (targets, call, signal) => {
+    const settled = await Promise.allSettled(targets.map(call));
+    if (signal?.aborted) throw new DOMException("请求已取消", "AbortError");
+    return settled.map(({ status, value, reason }, index) => {
+      if (status === "fulfilled") return value;
+      if (!isAbortError(reason)) console.warn(`${targets[index].name}查询失败:`, reason);
+      return null;
+    });
+  };
+
+  return {
+    providers: list,
+
+    /**
+     * 注册提供者（同ID替换）
+     * @param {GeocodeProvider} provider - 提供者
+     * @param {number} [index] - 插入位置，缺省时追加到末尾
+     * @returns {void}
+     */
+    use: (provider, index = list.length) => {
+      const existing = list.findIndex((p) => p.id === provider.id);
+      if (existing !== -1) list.splice(existing, 1);
+      list.splice(Math.min(index, list.length), 0, provider);
+    },
+
+    /**
+     * 移除提供者
+     * @param {string} id - 提供者ID
+     * @returns {void}
+     */
+    remove: (id) => {
+      const index = list.findIndex((p) => p.id === id);
+      if (index !== -1) list.splice(index, 1);
+    },
+
+    /**
+     * 地理编码
+     * @param {string} query - 查询文本
+     * @param {Object} [options] - 选项
+     * @param {AbortSignal} [options.signal] - 取消信号
+     * @param {number} [options.limit] - 每个提供者的最大结果数
+     * @returns {Promise<Array<GeocodeResult>>} 结果
+     */
+    search: async (query, { signal, limit = DEFAULT_LIMIT } = {}) => {
+      if (!query.trim()) return [];
+      const run = (provider) => provider.search(query, { signal, limit });
+
+      const exclusive = list.filter((p) => p.exclusive);
+      const exclusiveResults = await callAll(exclusive, run, signal);
+      const matched = exclusiveResults.findIndex((results) => results?.length);
+      if (matched !== -1) {
+        return exclusiveResults[matched].map((result) => tag(exclusive[matched], result));
+      }
+
+      const others = list.filter((p) => !p.exclusive);
+      const results = await callAll(others, run, signal);
+      return results.flatMap((items, index) =>
+        (items || []).map((result) => tag(others[index], result))
+      );
+    },
+
+    /**
+     * 逆地理编码
+     * @param {{lng: number, lat: number}} position - WGS84坐标
+     * @param {Object} [options] - 选项
+     * @param {AbortSignal} [options.signal] - 取消信号
+     * @returns {Promise<Array<GeocodeResult>>} 各提供者的结果（坐标、附近地名、地址等）
+     */
+    reverse: async (position, { signal } = {}) => {
+      const targets = list.filter((p) => p.reverse);
+      const results = await callAll(targets, (p) => p.reverse(position, { signal }), signal);
+      return results
+        .map((result, index) => result && tag(targets[index], result))
+        .filter(Boolean);
+    },
+  };
+};
+
+/**
+ * 全局共享的地理编码器
+ * @description 二维与三维地图的搜索框共用；可通过 use/remove 增减提供者
+ */
+export const geocoder = createGeocoder([
+  createCoordinateProvider(),
+  createFeatureProvider(featureStore),
+  createGazetteerProvider({ url: `${import.meta.env.BASE_URL}gazetteer.json` }),
+  createNominatimProvider(),
+]);
+
+export default geocoder;
@@ -0,0 +1,341 @@
+/**
+ * @file geojson.js
+ * @description GeoJSON解析与几何工具，支持全部几何类型及Z值
+ * @module utils/geojson
+ */
+
+import { SKIP_CODES } from "./importReport";
+
+/**
+ * 支持的几何类型
+ * @type {Array<string>}
+ */
+export const GEOMETRY_TYPES = [
+  "Point",
+  "MultiPoint",
+  "LineString",
+  "MultiLineString",
+  "Polygon",
+  "MultiPolygon",
+  "GeometryCollection",
+];
+
+/**
+ * 校验单个坐标是否为数值数组
+ * @param {*} position - 坐标
+ * @returns {boolean} 是否有效
+ */
+const isPosition = (position) =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  position.every((v) => typeof v === "number" && Number.isFinite(v));
+
+/**
+ * 校验坐标序列
+ * @param {*} positions - 坐标数组
+ * @param {number} minLength - 最少坐标数
+ * @returns {boolean} 是否为不少于minLength个有效坐标的数组
+ */
+const isPositions = (positions, minLength) =>
+  Array.isArray(positions) && positions.length >= minLength && positions.every(isPosition);
+
+/**
+ * 校验面的坐标
+ * @description 至少有一个环，每个环至少4个坐标（首尾闭合）
+ * @param {*} rings - 环数组
+ * @returns {boolean} 是否有效
+ */
+const isPolygonRings = (rings) =>
+  Array.isArray(rings) && rings.length > 0 && rings.every((ring) => isPositions(ring, 4));
+
+/**
+ * 校验多部件几何的部件数组
+ * @param {*} parts - 部件数组
+ * @param {Function} isPart - 部件校验
+ * @returns {boolean} 是否为非空且每个部件有效的数组
+ */
+const isParts = (parts, isPart) => Array.isArray(parts) && parts.length > 0 && parts.every(isPart);
+
+/**
+ * 校验几何对象结构
+ * @description 拒绝空坐标、少于2个坐标的线和少于4个坐标的环
+ * @param {Object} geometry - GeoJSON几何
+ * @returns {boolean} 是否有效
+ */
+export const isValidGeometry = (geometry) => {
+  if (!geometry || !GEOMETRY_TYPES.includes(geometry.type)) return false;
+  const { type, coordinates } = geometry;
+
+  switch (type) {
+    case "Point":
+      return isPosition(coordinates);
+    case "MultiPoint":
+      return isPositions(coordinates, 1);
+    case "LineString":
+      return isPositions(coordinates, 2);
+    case "MultiLineString":
+      return isParts(coordinates, (line) => isPositions(line, 2));
+    case "Polygon":
+      return isPolygonRings(coordinates);
+    case "MultiPolygon":
+      return isParts(coordinates, isPolygonRings);
+    case "GeometryCollection":
+      return (
+        Array.isArray(geometry.geometries) &&
+        geometry.geometries.every(isValidGeometry)
+      );
+    default:
+      return false;
+  }
+};
+
+/**
+ * 判断几何中是否存在非数值坐标
+ * @param {Object} geometry - GeoJSON几何
+ * @returns {boolean} 是否存在非数值坐标
+ */
+const hasNonNumericPosition = (geometry) => {
+  const check = (value) => {
+    if (!Array.isArray(value)) return value !== undefined;
+    if (value.length && !Array.isArray(value[0])) {
+      return value.some((v) => typeof v !== "number" || !Number.isFinite(v));
+    }
+    return value.some(check);
+  };
+  return geometry.type === "GeometryCollection"
+    ? (geometry.geometries || []).some(hasNonNumericPosition)
+    : check(geometry.coordinates);
+};
+
+/**
+ * 定位GeoJSON文本中各要素的起始行号
+ * @description 对FeatureCollection取features数组元素，对数组取顶层元素，
+ * 其余情况视为单个要素位于第1行；文本不是合法JSON时结果无意义
+ * @param {string} text - GeoJSON文本
+ * @returns {Array<number>} 按要素顺序的行号（1基）
+ */
+export const getFeatureLines = (text) => {
+  const lines = [];
+  let line = 1;
+  let depth = 0;
+  let inString = false;
+  let lastKey = "";
+  let stringStart = 0;
+  // 要素数组所在的嵌套深度，顶层为数组时为1
+  let featureDepth = -1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\n") line++;
+    if (inString) {
+      if (char === "\\") i++;
+      else if (char === '"') {
+        inString = false;
+        lastKey = text.slice(stringStart, i);
+      }
+      continue;
+    }
+    if (char === '"') {
+      inString = true;
+      stringStart = i + 1;
+    } else if (char === "[" || char === "{") {
+      if (depth === featureDepth) lines.push(line);
+      depth++;
+      const isFeatureArray = depth === 1 || (depth === 2 && lastKey === "features");
+      if (char === "[" && featureDepth === -1 && isFeatureArray) featureDepth = depth;
+    } else if (char === "]" || char === "}") {
+      depth--;
+      // 要素数组结束后不再记录
+      if (char === "]" && depth === featureDepth - 1) featureDepth = -2;
+    } else if (char === ",") {
+      lastKey = "";
+    }
+  }
+  return lines.length ? lines : [1];
+};
+
+/**
+ * 将任意GeoJSON对象规范化为Feature数组
+ * @description 支持FeatureCollection、Feature、裸几何对象以及Feature数组，
+ * 坐标原样保留（包括Z值），无效要素记录在skipped中。
+ * 要素与跳过记录上的record为源数据中的序号（1基），line为源文件行号
+ * @param {Object|Array} input - GeoJSON对象
+ * @param {Object} [options] - 选项
+ * @param {Array<number>} [options.lines] - 各要素的源文件行号，见getFeatureLines
+ * @returns {{features: Array<Object>, skipped: Array<{record: number, line?: number, code: string, reason: string}>}}
+ */
+export const normalizeGeoJSON = (input, { lines = [] } = {}) => {
+  const features = [];
+  const skipped = [];
+
+  let candidates;
+  if (Array.isArray(input)) {
+    candidates = input;
+  } else if (input?.type === "FeatureCollection") {
+    candidates = Array.isArray(input.features) ? input.features : [];
+  } else if (input?.type === "Feature") {
+    candidates = [input];
+  } else if (GEOMETRY_TYPES.includes(input?.type)) {
+    candidates = [{ type: "Feature", geometry: input, properties: {} }];
+  } else {
+    throw new Error("无法识别的GeoJSON对象");
+  }
+
+  candidates.forEach((candidate, index) => {
+    // 数组中允许直接出现几何对象
+    const feature =
+      candidate?.type === "Feature"
+        ? candidate
+        : { type: "Feature", geometry: candidate, properties: {} };
+
+    const source = { record: index + 1, line: lines[index] };
+    const skip = (code, reason) =>
+      skipped.push({ ...source, code, reason, properties: feature?.properties });
+
+    if (!feature.geometry) {
+      skip(SKIP_CODES.MISSING_GEOMETRY, "缺少几何");
+    } else if (!GEOMETRY_TYPES.includes(feature.geometry.type)) {
+      skip(SKIP_CODES.UNSUPPORTED_GEOMETRY, `不支持的几何类型: ${feature.geometry.type}`);
+    } else if (!isValidGeometry(feature.geometry)) {
+      if (hasNonNumericPosition(feature.geometry)) {
+        skip(SKIP_CODES.INVALID_COORDINATE, "坐标不是数值");
+      } else {
+        skip(SKIP_CODES.INVALID_GEOMETRY, "几何结构无效");
+      }
+    } else {
+      features.push({
+        type: "Feature",
+        id: feature.id,
+        geometry: feature.geometry,
+        properties: feature.properties || {},
+        ...source,
+      });
+    }
+  });
+
+  return { features, skipped };
+};
+
+/**
+ * 将GeoJSON几何拆分为简单几何
+ * @description Multi*与GeometryCollection拆分为Point/LineString/Polygon
+ * @param {Object} geometry - GeoJSON几何
+ * @returns {Array<Object>} 简单几何数组
+ */
+export const flattenGeometry = (geometry) => {
+  if (!geometry) return [];
+  switch (geometry.type) {
+    case "MultiPoint":
+    case "MultiLineString":
+    case "MultiPolygon":
+      return geometry.coordinates.map((coordinates) => ({
+        type: geometry.type.replace("Multi", ""),
+        coordinates,
+      }));
+    case "GeometryCollection":
+      return geometry.geometries.flatMap(flattenGeometry);
+    default:
+      return [geometry];
+  }
+};
+
+/**
+ * 遍历几何中的所有坐标
+ * @param {Object} geometry - GeoJSON几何
+ * @param {Function} callback - 回调，参数为坐标数组[lng, lat, z?]
+ * @returns {void}
+ */
+export const eachPosition = (geometry, callback) => {
+  flattenGeometry(geometry).forEach(({ type, coordinates }) => {
+    if (type === "Point") callback(coordinates);
+    else if (type === "LineString") coordinates.forEach(callback);
+    else coordinates.forEach((ring) => ring.forEach(callback));
+  });
+};
+
+/**
+ * 判断几何是否带有Z值
+ * @param {Object} geometry - GeoJSON几何
+ * @returns {boolean} 任一坐标含第三维即返回true
+ */
+export const hasZ = (geometry) => {
+  let result = false;
+  eachPosition(geometry, (position) => {
+    if (position.length > 2 && Number.isFinite(position[2])) result = true;
+  });
+  return result;
+};
+
+/**
+ * 计算几何的外包矩形
+ * @param {Object} geometry - GeoJSON几何
+ * @returns {Array<number>|null} [west, south, east, north]，几何为空时返回null
+ */
+export const getBounds = (geometry) => {
+  let bounds = null;
+  eachPosition(geometry, ([x, y]) => {
+    if (!bounds) {
+      bounds = [x, y, x, y];
+      return;
+    }
+    bounds[0] = Math.min(bounds[0], x);
+    bounds[1] = Math.min(bounds[1], y);
+    bounds[2] = Math.max(bounds[2], x);
+    bounds[3] = Math.max(bounds[3], y);
+  });
+  return bounds;
+};
+
+/**
+ * 将圆转换为多边形
+ * @description 按球面大圆距离计算圆周上的点，用于不支持圆的格式（GeoJSON、KML等）
+ * @param {Array<number>} center - 圆心[经度, 纬度]
+ * @param {number} radius - 半径（米）
+ * @param {number} [steps=64] - 圆周分段数
+ * @returns {Object} GeoJSON Polygon
+ */
+export const circleToPolygon = (center, radius, steps = 64) => {
+  const R = 6378137;
+  const [lng, lat] = center.map((v) => (v * Math.PI) / 180);
+  const d = radius / R;
+  const ring = [];
+
+  for (let i = 0; i <= steps; i++) {
+    const bearing = (2 * Math.PI * (i % steps)) / steps;
+    const lat2 = Math.asin(
+      Math.sin(lat) * Math.cos(d) +
+        Math.cos(lat) * Math.sin(d) * Math.cos(bearing)
+    );
+    const lng2 =
+      lng +
+      Math.atan2(
+        Math.sin(bearing) * Math.sin(d) * Math.cos(lat),
+        Math.cos(d) - Math.sin(lat) * Math.sin(lat2)
+      );
+    ring.push([(lng2 * 180) / Math.PI, (lat2 * 180) / Math.PI]);
+  }
+
+  return { type: "Polygon", coordinates: [ring] };
+};
+
+/**
+ * 对几何中的每个坐标做变换
+ * @param {Object} geometry - GeoJSON几何
+ * @param {Function} transform - 坐标变换函数，参数与返回值均为[x, y, z?]
+ * @returns {Object} 新的几何对象
+ */
+export const mapPositions = (geometry, transform) => {
+  if (!geometry) return geometry;
+  if (geometry.type === "GeometryCollection") {
+    return {
+      ...geometry,
+      geometries: geometry.geometries.map((g) => mapPositions(g, transform)),
+    };
+  }
+
+  const walk = (coordinates) =>
+    typeof coordinates[0] === "number"
+      ? transform(coordinates)
+      : coordinates.map(walk);
+  return { ...geometry, coordinates: walk(geometry.coordinates) };
+};
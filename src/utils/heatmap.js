@@ -0,0 +1,155 @@
+/**
+ * @file heatmap.js
+ * @description 热力图绘制：在Canvas上按像素坐标叠加模糊圆点形成灰度热度，
+ * 再按色带着色；二维地图按视野绘制，三维地图绘制成贴地图片
+ * @module utils/heatmap
+ */
+
+import { HEATMAP_GRADIENT } from "./thematic";
+
+/** 热度最低处的不透明度，避免稀疏区域完全透明 */
+const MIN_OPACITY = 0.05;
+
+/** @type {Map<string, HTMLCanvasElement>} 点模板缓存，键为 "半径,模糊" */
+const stampCache = new Map();
+
+/** @type {Map<string, Uint8ClampedArray>} 色带调色板缓存 */
+const paletteCache = new Map();
+
+/**
+ * 创建Canvas
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {HTMLCanvasElement} Canvas元素
+ */
+const createCanvas = (width, height) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * 获取模糊圆点模板
+ * @description 在画布外绘制圆并用阴影投影回画布内，得到边缘渐隐的圆点
+ * @param {number} radius - 半径（像素）
+ * @param {number} blur - 模糊半径（像素）
+ * @returns {HTMLCanvasElement} 模板
+ */
+const getStamp = (radius, blur) => {
+  const key = `${radius},${blur}`;
+  if (!stampCache.has(key)) {
+    const size = radius + blur;
+    const stamp = createCanvas(size * 2, size * 2);
+    const context = stamp.getContext("2d");
+    context.shadowOffsetX = context.shadowOffsetY = size * 2;
+    context.shadowBlur = blur;
+    context.shadowColor = "black";
+    context.beginPath();
+    context.arc(-size, -size, radius, 0, Math.PI * 2, true);
+    context.closePath();
+    context.fill();
+    stampCache.set(key, stamp);
+  }
+  return stampCache.get(key);
+};
+
+/**
+ * 获取色带调色板
+ * @param {Object<number, string>} gradient - 色带，键为0~1的热度
+ * @returns {Uint8ClampedArray} 256级RGBA
+ */
+const getPalette = (gradient) => {
+  const key = JSON.stringify(gradient);
+  if (!paletteCache.has(key)) {
+    const canvas = createCanvas(1, 256);
+    const context = canvas.getContext("2d");
+    const linear = context.createLinearGradient(0, 0, 0, 256);
+    Object.entries(gradient).forEach(([stop, color]) => linear.addColorStop(Number(stop), color));
+    context.fillStyle = linear;
+    context.fillRect(0, 0, 1, 256);
+    paletteCache.set(key, context.getImageData(0, 0, 1, 256).data);
+  }
+  return paletteCache.get(key);
+};
+
+/**
+ * 绘制热力图
+ * @param {HTMLCanvasElement} canvas - 目标画布（绘制前清空）
+ * @param {Array<Array<number>>} points - [x, y, 权重(0~1)]，x、y为画布像素坐标
+ * @param {Object} [options] - 选项
+ * @param {number} [options.radius=25] - 点半径（像素）
+ * @param {number} [options.blur=15] - 模糊半径（像素）
+ * @param {Object<number, string>} [options.gradient=HEATMAP_GRADIENT] - 色带
+ * @returns {void}
+ */
+export const drawHeatmap = (
+  canvas,
+  points,
+  { radius = 25, blur = 15, gradient = HEATMAP_GRADIENT } = {}
+) => {
+  const context = canvas.getContext("2d");
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  if (!points.length || !canvas.width || !canvas.height) return;
+
+  const stamp = getStamp(radius, blur);
+  const offset = radius + blur;
+  points.forEach(([x, y, weight]) => {
+    context.globalAlpha = Math.min(Math.max(weight, MIN_OPACITY), 1);
+    context.drawImage(stamp, x - offset, y - offset);
+  });
+  context.globalAlpha = 1;
+
+  // 以灰度透明度为热度，按调色板着色
+  const image = context.getImageData(0, 0, canvas.width, canvas.height);
+  const palette = getPalette(gradient);
+  const { data } = image;
+  for (let i = 3; i < data.length; i += 4) {
+    const alpha = data[i];
+    if (!alpha) continue;
+    const j = alpha * 4;
+    data[i - 3] = palette[j];
+    data[i - 2] = palette[j + 1];
+    data[i - 1] = palette[j + 2];
+  }
+  context.putImageData(image, 0, 0);
+};
+
+/**
+ * 绘制覆盖一组经纬度点的热力图图片
+ * @description 用于三维地图：按点的外包范围（外扩一个点半径）等经纬度投影绘制，
+ * 返回的范围即图片覆盖的经纬度范围
+ * @param {Array<Array<number>>} points - [经度, 纬度, 权重(0~1)]
+ * @param {Object} [options] - 选项，见 drawHeatmap；另有size（图片长边像素，默认1024）
+ * @returns {{canvas: HTMLCanvasElement, bounds: Array<number>}|null} 图片与范围 [west, south, east, north]，
+ * 没有点时返回null
+ */
+export const renderHeatmapImage = (points, { size = 1024, ...options } = {}) => {
+  if (!points.length) return null;
+  // 逐点比较，点数很多时展开为参数会超出调用栈限制
+  let [west, south, east, north] = [Infinity, Infinity, -Infinity, -Infinity];
+  points.forEach(([x, y]) => {
+    west = Math.min(west, x);
+    south = Math.min(south, y);
+    east = Math.max(east, x);
+    north = Math.max(north, y);
+  });
+  // 范围过小（如单点）时给出最小跨度，避免图片退化
+  const span = Math.max(east - west, north - south, 0.01);
+  const pixelSpan = span / size;
+  const margin = ((options.radius ?? 25) + (options.blur ?? 15)) * pixelSpan;
+  west -= margin;
+  south -= margin;
+  east += margin;
+  north += margin;
+
+  const width = Math.max(1, Math.round((east - west) / pixelSpan));
+  const height = Math.max(1, Math.round((north - south) / pixelSpan));
+  const canvas = createCanvas(width, height);
+  drawHeatmap(
+    canvas,
+    points.map(([x, y, weight]) => [(x - west) / pixelSpan, (north - y) / pixelSpan, weight]),
+    options
+  );
+  return { canvas, bounds: [west, south, east, north] };
+};
@@ -0,0 +1,277 @@
+/**
+ * @file history.js
+ * @description 编辑历史：以要素在操作前后的状态记录绘制、节点编辑、移动、删除与属性修改，
+ * 支持撤销、重做、栈深度限制，以及将多个操作合并为一步
+ * @module utils/history
+ */
+
+import { reactive } from "vue";
+import featureStore from "./featureStore";
+
+/** 默认最多保留的撤销步数 */
+export const DEFAULT_HISTORY_LIMIT = 100;
+
+/**
+ * 要素状态快照
+ * @description 仓库更新要素时整体替换几何并重新生成属性、样式与meta对象，浅复制即可保留当时的状态
+ * @param {Object} feature - 仓库要素
+ * @returns {Object|null} 快照 { id, layerId, geometry, properties, style, meta }，要素不存在时为null
+ */
+export const snapshotFeature = (feature) =>
+  feature
+    ? {
+        id: feature.id,
+        layerId: feature.layerId,
+        geometry: feature.geometry,
+        properties: { ...feature.properties },
+        style: feature.style && { ...feature.style },
+        meta: { ...feature.meta },
+      }
+    : null;
+
+/**
+ * 编辑操作
+ * @typedef {Object} HistoryCommand
+ * @property {string} label - 操作名称，如"绘制"、"删除"
+ * @property {Array<{id: string, before: Object|null, after: Object|null}>} changes - 要素在操作前后的快照，
+ * before为null表示新建，after为null表示删除
+ */
+
+/**
+ * 创建编辑历史
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.store=featureStore] - 要素仓库
+ * @param {number} [options.limit=DEFAULT_HISTORY_LIMIT] - 最多保留的撤销步数，超出时丢弃最早的操作
+ * @returns {Object} 编辑历史实例
+ */
+export const createHistory = ({ store = featureStore, limit = DEFAULT_HISTORY_LIMIT } = {}) => {
+  /** 响应式状态：可撤销与可重做的步数及下一步的名称，供工具栏显示 */
+  const state = reactive({
+    undoCount: 0,
+    redoCount: 0,
+    undoLabel: "",
+    redoLabel: "",
+  });
+
+  /** @type {Array<HistoryCommand>} */
+  const undoStack = [];
+  /** @type {Array<HistoryCommand>} */
+  const redoStack = [];
+  /** 进行中的操作组，beginGroup与endGroup之间的操作合并到其中 */
+  let group = null;
+  /** 操作组嵌套层数 */
+  let groupDepth = 0;
+  /** 是否正在撤销或重做（此时的仓库写操作不记录） */
+  let applying = false;
+
+  const updateState = () => {
+    state.undoCount = undoStack.length;
+    state.redoCount = redoStack.length;
+    state.undoLabel = undoStack[undoStack.length - 1]?.label || "";
+    state.redoLabel = redoStack[redoStack.length - 1]?.label || "";
+  };
+
+  /**
+   * 合并同一要素的多次变化：保留最早的before与最新的after
+   * @param {Array<Object>} target - 已有变化（原地修改）
+   * @param {Array<Object>} changes - 新的变化
+   * @returns {void}
+   */
+  const mergeChanges = (target, changes) => {
+    changes.forEach((change) => {
+      const existing = target.find((item) => item.id === change.id);
+      if (existing) existing.after = change.after;
+      else target.push({ ...change });
+    });
+  };
+
+  /**
+   * 记录操作
+   * @description 操作组进行中时并入操作组；新操作会清空重做栈
+   * @param {string} label - 操作名称
+   * @param {Array<{id: string, before: Object|null, after: Object|null}>} changes - 要素变化
+   * @returns {void}
+   */
+  const record = (label, changes) => {
+    if (applying) return;
+    const effective = changes.filter((change) => change.before || change.after);
+    if (!effective.length) return;
+    if (group) {
+      mergeChanges(group.changes, effective);
+      return;
+    }
+    undoStack.push({ label, changes: effective });
+    if (undoStack.length > limit) undoStack.splice(0, undoStack.length - limit);
+    redoStack.length = 0;
+    updateState();
+  };
+
+  /**
+   * 执行并记录一次要素写操作
+   * @description 在fn前后对指定要素做快照；新建的要素需预先确定ID
+   * @param {string} label - 操作名称
+   * @param {Array<string>} featureIds - 受影响的要素ID
+   * @param {Function} fn - 执行仓库写操作的函数
+   * @returns {*} fn的返回值
+   */
+  const track = (label, featureIds, fn) => {
+    if (applying) return fn();
+    const before = featureIds.map((id) => snapshotFeature(store.getFeature(id)));
+    const result = fn();
+    record(
+      label,
+      featureIds.map((id, index) => ({
+        id,
+        before: before[index],
+        after: snapshotFeature(store.getFeature(id)),
+      }))
+    );
+    return result;
+  };
+
+  /**
+   * 开始操作组
+   * @description 到对应的endGroup为止的操作合并为一步撤销；可嵌套，以最外层的名称为准
+   * @param {string} label - 操作名称
+   * @returns {void}
+   */
+  const beginGroup = (label) => {
+    groupDepth++;
+    if (!group) group = { label, changes: [] };
+  };
+
+  /**
+   * 结束操作组
+   * @returns {void}
+   */
+  const endGroup = () => {
+    if (!groupDepth) return;
+    groupDepth--;
+    if (groupDepth) return;
+    const { label, changes } = group;
+    group = null;
+    record(label, changes);
+  };
+
+  /**
+   * 将函数中的操作合并为一步
+   * @param {string} label - 操作名称
+   * @param {Function} fn - 执行若干操作的函数，可返回Promise
+   * @returns {*} fn的返回值
+   */
+  const batch = (label, fn) => {
+    beginGroup(label);
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      endGroup();
+      throw error;
+    }
+    if (typeof result?.then === "function") return result.finally(endGroup);
+    endGroup();
+    return result;
+  };
+
+  /**
+   * 将要素恢复到快照状态
+   * @param {string} id - 要素ID
+   * @param {Object|null} target - 目标快照，null表示要素不存在
+   * @returns {void}
+   */
+  const restore = (id, target) => {
+    const current = store.getFeature(id);
+    if (!target) {
+      if (current) store.removeFeatures([id]);
+    } else if (current) {
+      const { geometry, properties, style, meta } = target;
+      store.updateFeature(id, { geometry, properties, style, meta }, { replace: true });
+    } else {
+      store.addFeature(target.layerId, target);
+    }
+  };
+
+  /**
+   * 按方向应用操作
+   * @param {HistoryCommand} command - 操作
+   * @param {string} key - before（撤销）或after（重做）
+   * @returns {void}
+   */
+  const apply = (command, key) => {
+    applying = true;
+    try {
+      const changes = key === "before" ? [...command.changes].reverse() : command.changes;
+      changes.forEach((change) => restore(change.id, change[key]));
+    } finally {
+      applying = false;
+    }
+  };
+
+  /**
+   * 撤销上一步
+   * @returns {HistoryCommand|null} 撤销的操作，没有可撤销的操作或操作组未结束时返回null
+   */
+  const undo = () => {
+    if (group || !undoStack.length) return null;
+    const command = undoStack.pop();
+    apply(command, "before");
+    redoStack.push(command);
+    updateState();
+    return command;
+  };
+
+  /**
+   * 重做上一步撤销的操作
+   * @returns {HistoryCommand|null} 重做的操作，没有可重做的操作或操作组未结束时返回null
+   */
+  const redo = () => {
+    if (group || !redoStack.length) return null;
+    const command = redoStack.pop();
+    apply(command, "after");
+    undoStack.push(command);
+    updateState();
+    return command;
+  };
+
+  /**
+   * 清空历史
+   * @returns {void}
+   */
+  const clear = () => {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    updateState();
+  };
+
+  // 图层被移除后其要素无法再恢复，丢弃涉及该图层的操作
+  store.subscribe(({ type, layer }) => {
+    if (type !== "layer:remove") return;
+    const touches = (command) =>
+      command.changes.some((change) => (change.before || change.after).layerId === layer.id);
+    [undoStack, redoStack].forEach((stack) => {
+      const kept = stack.filter((command) => !touches(command));
+      stack.splice(0, stack.length, ...kept);
+    });
+    updateState();
+  });
+
+  return {
+    state,
+    record,
+    track,
+    beginGroup,
+    endGroup,
+    batch,
+    undo,
+    redo,
+    clear,
+  };
+};
+
+/**
+ * 全局共享的编辑历史
+ * @description 二维地图的绘制与编辑默认记录到此实例
+ */
+export const history = createHistory();
+
+export default history;
@@ -0,0 +1,61 @@
+/**
+ * @file importPipeline.js
+ * @description 导入要素的坐标规范化与校验，主线程与导入Worker共用
+ * @module utils/importPipeline
+ */
+
+import { WGS84, isKnownCrs, reprojectGeometry } from "./projection";
+import { SKIP_CODES, validateFeatures } from "./importReport";
+
+/**
+ * 读取GeoJSON旧规范中的crs成员
+ * @param {Object} geojson - GeoJSON对象
+ * @returns {string|null} EPSG代码，未声明或为WGS84时返回null
+ */
+export const getGeoJSONCrs = (geojson) => {
+  const name = geojson?.crs?.properties?.name;
+  if (!name || /CRS84$/i.test(name)) return null;
+  const match = /EPSG:+(\d+)$/i.exec(name);
+  const code = match && `EPSG:${match[1]}`;
+  return code && code !== WGS84 && isKnownCrs(code) ? code : null;
+};
+
+/**
+ * 将要素从源坐标系转换到WGS84并做通用校验
+ * @description 单个要素转换失败时记为跳过，不影响其他要素
+ * @param {Array<Object>} features - 要素
+ * @param {Object} options - 选项
+ * @param {string} options.layer - 图层名称
+ * @param {string} [options.crs=WGS84] - 源坐标系
+ * @param {boolean} [options.transformed=false] - 要素是否已是WGS84坐标
+ * @param {Set<string>} [options.seenIds] - 已出现的要素ID，跨分块或跨图层共用
+ * @returns {{features: Array<Object>, skipped: Array<Object>}} 通过校验的要素与跳过记录
+ */
+export const prepareFeatures = (
+  features,
+  { layer, crs = WGS84, transformed = false, seenIds = new Set() }
+) => {
+  const skipped = [];
+  const converted = [];
+  features.forEach((feature) => {
+    if (transformed || crs === WGS84) {
+      converted.push(feature);
+      return;
+    }
+    try {
+      converted.push({ ...feature, geometry: reprojectGeometry(feature.geometry, crs, WGS84) });
+    } catch (error) {
+      skipped.push({
+        layer,
+        record: feature.record,
+        line: feature.line,
+        code: SKIP_CODES.TRANSFORM_FAILED,
+        reason: `坐标转换失败: ${error.message}`,
+        properties: feature.properties,
+      });
+    }
+  });
+
+  const result = validateFeatures(converted, { layer, seenIds });
+  return { features: result.features, skipped: [...skipped, ...result.skipped] };
+};
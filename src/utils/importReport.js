@@ -0,0 +1,172 @@
+/**
+ * @file importReport.js
+ * @description 导入校验报告：跳过原因分类、要素通用校验（经纬度范围、重复ID、编码）与CSV导出
+ * @module utils/importReport
+ */
+
+import * as XLSX from "xlsx";
+
+/**
+ * 跳过原因代码
+ * @type {Object<string, string>}
+ */
+export const SKIP_CODES = {
+  MISSING_GEOMETRY: "missing-geometry",
+  INVALID_COORDINATE: "invalid-coordinate",
+  OUT_OF_RANGE: "out-of-range",
+  UNSUPPORTED_GEOMETRY: "unsupported-geometry",
+  INVALID_GEOMETRY: "invalid-geometry",
+  TRANSFORM_FAILED: "transform-failed",
+  DUPLICATE_ID: "duplicate-id",
+  ENCODING: "encoding",
+  DELETED: "deleted",
+};
+
+/**
+ * 跳过原因代码对应的中文说明
+ * @type {Object<string, string>}
+ */
+export const SKIP_CODE_LABELS = {
+  [SKIP_CODES.MISSING_GEOMETRY]: "缺少几何",
+  [SKIP_CODES.INVALID_COORDINATE]: "坐标不是数值",
+  [SKIP_CODES.OUT_OF_RANGE]: "经纬度超出范围",
+  [SKIP_CODES.UNSUPPORTED_GEOMETRY]: "不支持的几何类型",
+  [SKIP_CODES.INVALID_GEOMETRY]: "几何结构无效",
+  [SKIP_CODES.TRANSFORM_FAILED]: "坐标转换失败",
+  [SKIP_CODES.DUPLICATE_ID]: "ID重复",
+  [SKIP_CODES.ENCODING]: "编码问题",
+  [SKIP_CODES.DELETED]: "记录已删除",
+};
+
+/** Unicode替换字符，解码失败的字节会变成该字符 */
+const REPLACEMENT_CHAR = "\uFFFD";
+
+/**
+ * 创建空的导入报告
+ * @param {string} fileName - 文件名
+ * @returns {{fileName: string, total: number, imported: number, skipped: Array<Object>, warnings: Array<string>, error: string|null}}
+ */
+export const createImportReport = (fileName) => ({
+  fileName,
+  total: 0,
+  imported: 0,
+  skipped: [],
+  warnings: [],
+  error: null,
+});
+
+/**
+ * 判断几何的所有坐标是否都在经纬度范围内
+ * @param {Object} geometry - GeoJSON几何
+ * @returns {boolean} 是否全部有效
+ */
+const isGeometryInRange = (geometry) => {
+  const check = (value) =>
+    typeof value[0] === "number"
+      ? Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90
+      : value.every(check);
+  return geometry.type === "GeometryCollection"
+    ? geometry.geometries.every(isGeometryInRange)
+    : check(geometry.coordinates);
+};
+
+/**
+ * 对已转换为WGS84的要素做通用校验
+ * @description 依次检查经纬度范围、ID重复（feature.id或properties.id）与属性乱码；
+ * 要素上的record/line为源文件中的记录序号与行号，写入跳过记录便于定位
+ * @param {Array<Object>} features - 要素
+ * @param {Object} [options] - 选项
+ * @param {string} [options.layer] - 图层名称
+ * @param {Set<string>} [options.seenIds] - 已出现的ID，同一文件的多个图层共用
+ * @returns {{features: Array<Object>, skipped: Array<Object>}} 通过校验的要素与跳过记录
+ */
+export const validateFeatures = (features, { layer, seenIds = new Set() } = {}) => {
+  const valid = [];
+  const skipped = [];
+
+  features.forEach((feature) => {
+    const skip = (code, reason, withGeometry = true) => {
+      skipped.push({
+        layer,
+        record: feature.record,
+        line: feature.line,
+        code,
+        reason: reason || SKIP_CODE_LABELS[code],
+        properties: feature.properties,
+        geometry: withGeometry ? feature.geometry : null,
+      });
+    };
+
+    if (!isGeometryInRange(feature.geometry)) {
+      skip(SKIP_CODES.OUT_OF_RANGE, null, false);
+      return;
+    }
+
+    const id = feature.id ?? feature.properties?.id;
+    if (id !== undefined && id !== null && id !== "") {
+      const key = String(id);
+      if (seenIds.has(key)) {
+        skip(SKIP_CODES.DUPLICATE_ID, `ID重复: ${key}`);
+        return;
+      }
+      seenIds.add(key);
+    }
+
+    const garbled = Object.entries(feature.properties || {}).find(
+      ([key, value]) =>
+        key.includes(REPLACEMENT_CHAR) ||
+        (typeof value === "string" && value.includes(REPLACEMENT_CHAR))
+    );
+    if (garbled) {
+      skip(SKIP_CODES.ENCODING, `编码问题: 字段"${garbled[0]}"含无法解码的字符`);
+      return;
+    }
+
+    valid.push(feature);
+  });
+
+  return { features: valid, skipped };
+};
+
+/**
+ * 将一个图层的解析与校验结果计入报告
+ * @param {Object} report - 导入报告
+ * @param {Object} result - 图层结果
+ * @param {string} result.layer - 图层名称
+ * @param {number} result.imported - 导入的要素数
+ * @param {Array<Object>} result.skipped - 跳过记录
+ * @returns {void}
+ */
+export const addToReport = (report, { layer, imported, skipped }) => {
+  report.imported += imported;
+  report.total += imported + skipped.length;
+  report.skipped.push(
+    ...skipped.map((entry) => ({
+      ...entry,
+      layer: entry.layer ?? layer,
+      reason: entry.reason || SKIP_CODE_LABELS[entry.code] || "未知原因",
+    }))
+  );
+};
+
+/**
+ * 生成报告的CSV文本
+ * @description 带UTF-8 BOM，便于Excel正确识别中文
+ * @param {Object} report - 导入报告
+ * @returns {string} CSV文本
+ */
+export const reportToCSV = (report) => {
+  const rows = [
+    ["文件", "图层", "记录序号", "行号", "原因代码", "原因", "属性"],
+    ...report.skipped.map((entry) => [
+      report.fileName,
+      entry.layer ?? "",
+      entry.record ?? "",
+      entry.line ?? "",
+      entry.code ?? "",
+      entry.reason,
+      entry.properties ? JSON.stringify(entry.properties) : "",
+    ]),
+  ];
+  return `\uFEFF${XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(rows))}`;
+};
@@ -0,0 +1,93 @@
+/**
+ * @file importTask.js
+ * @description 导入Worker的主线程封装：发送任务、汇总分块结果、上报进度与取消
+ * @module utils/importTask
+ */
+
+/**
+ * 导入被用户取消时抛出的错误
+ */
+export class ImportCancelledError extends Error {
+  constructor() {
+    super("导入已取消");
+    this.name = "ImportCancelledError";
+  }
+}
+
+/**
+ * 创建导入Worker会话
+ * @description 同一会话内的任务依次执行（如先读取工作簿、确认列映射后再转换）。
+ * 分块回传的要素在主线程累积，任务完成后才一次性交给调用方，取消时全部丢弃
+ * @returns {{run: Function, cancel: Function}} 会话
+ */
+export const createImportSession = () => {
+  const worker = new Worker(new URL("../workers/importWorker.js", import.meta.url), {
+    type: "module",
+  });
+  let current = null;
+
+  const finish = (callback) => {
+    const task = current;
+    current = null;
+    if (task) callback(task);
+  };
+
+  worker.onmessage = ({ data }) => {
+    if (!current) return;
+    switch (data.type) {
+      case "progress":
+        current.onProgress?.(data);
+        break;
+      case "chunk":
+        // 逐个push，避免超大数组展开导致调用栈溢出
+        data.features.forEach((feature) => current.features.push(feature));
+        data.skipped.forEach((entry) => current.skipped.push(entry));
+        current.onProgress?.({ phase: "convert", processed: data.processed, total: data.total });
+        break;
+      case "done": {
+        const { type, ...result } = data;
+        finish((task) =>
+          task.resolve({ ...result, features: task.features, skipped: task.skipped })
+        );
+        break;
+      }
+      case "error":
+        finish((task) => task.reject(new Error(data.message)));
+        break;
+    }
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    finish((task) => task.reject(new Error(event.message || "导入Worker出错")));
+  };
+
+  return {
+    /**
+     * 执行导入任务
+     * @param {Object} message - 任务消息，见 workers/importWorker
+     * @param {Object} [options] - 选项
+     * @param {Array<Transferable>} [options.transfer] - 转移所有权的对象（如文件ArrayBuffer）
+     * @param {Function} [options.onProgress] - 进度回调 { phase, processed, total }
+     * @returns {Promise<Object>} 任务结果，含累积的features与skipped
+     */
+    run: (message, { transfer = [], onProgress } = {}) =>
+      new Promise((resolve, reject) => {
+        if (current) {
+          reject(new Error("上一个导入任务尚未完成"));
+          return;
+        }
+        current = { resolve, reject, onProgress, features: [], skipped: [] };
+        worker.postMessage(message, transfer);
+      }),
+
+    /**
+     * 结束会话
+     * @description 终止Worker；有进行中的任务时以ImportCancelledError拒绝
+     * @returns {void}
+     */
+    cancel: () => {
+      worker.terminate();
+      finish((task) => task.reject(new ImportCancelledError()));
+    },
+  };
+};
@@ -0,0 +1,60 @@
+/**
+ * @file importTemplates.js
+ * @description 表格导入的列映射模板，保存在localStorage中供重复使用
+ * @module utils/importTemplates
+ */
+
+const STORAGE_KEY = "leaflet-cesium:import-templates";
+
+/**
+ * 读取全部模板
+ * @returns {Array<Object>} 模板数组 { name, mode, xField, yField, wktField, crs }
+ */
+export const loadTemplates = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+  } catch (error) {
+    console.warn("读取导入模板失败:", error);
+    return [];
+  }
+};
+
+/**
+ * 保存模板（同名覆盖）
+ * @param {Object} template - 模板
+ * @returns {Array<Object>} 保存后的模板数组
+ */
+export const saveTemplate = (template) => {
+  const templates = loadTemplates().filter((t) => t.name !== template.name);
+  templates.push(template);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+  return templates;
+};
+
+/**
+ * 删除模板
+ * @param {string} name - 模板名称
+ * @returns {Array<Object>} 删除后的模板数组
+ */
+export const removeTemplate = (name) => {
+  const templates = loadTemplates().filter((t) => t.name !== name);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+  return templates;
+};
+
+/**
+ * 查找适用于当前表头的模板
+ * @description 模板引用的列全部存在于表头中即视为适用
+ * @param {Array<string>} headers - 表头
+ * @returns {Object|undefined} 最近保存的适用模板
+ */
+export const findTemplate = (headers) =>
+  loadTemplates()
+    .reverse()
+    .find((template) => {
+      const fields =
+        template.mode === "wkt"
+          ? [template.wktField]
+          : [template.xField, template.yField];
+      return fields.every((field) => field && headers.includes(field));
+    });
@@ -0,0 +1,591 @@
+/**
+ * @file kml.js
+ * @description KML/KMZ解析与导出，文件夹对应图层，ExtendedData对应要素属性
+ * @module utils/kml
+ */
+
+import JSZip from "jszip";
+import { circleToPolygon } from "./geojson";
+import { SKIP_CODES } from "./importReport";
+
+/** 可识别的几何元素名称 */
+const GEOMETRY_TAGS = [
+  "Point",
+  "LineString",
+  "LinearRing",
+  "Polygon",
+  "MultiGeometry",
+];
+
+/**
+ * 无法转换的KML几何元素
+ * @type {Array<string>}
+ */
+const UNSUPPORTED_GEOMETRY_TAGS = ["Model", "Track", "MultiTrack"];
+
+/**
+ * 获取指定名称的直接子元素
+ * @param {Element} el - 父元素
+ * @param {string} name - 元素本地名称（忽略命名空间）
+ * @returns {Array<Element>} 子元素数组
+ */
+const childElements = (el, name) =>
+  Array.from(el?.children || []).filter((child) => child.localName === name);
+
+/**
+ * 获取第一个指定名称的直接子元素
+ * @param {Element} el - 父元素
+ * @param {string} name - 元素本地名称
+ * @returns {Element|undefined} 子元素
+ */
+const firstChild = (el, name) => childElements(el, name)[0];
+
+/**
+ * 获取子元素文本
+ * @param {Element} el - 父元素
+ * @param {string} name - 元素本地名称
+ * @returns {string} 去除首尾空白的文本，不存在时为空字符串
+ */
+const childText = (el, name) => firstChild(el, name)?.textContent.trim() || "";
+
+/**
+ * KML颜色（aabbggrr）转换为CSS颜色和透明度
+ * @param {string} kmlColor - KML颜色字符串
+ * @returns {{color: string, opacity: number}|null} 颜色与透明度
+ */
+const parseKmlColor = (kmlColor) => {
+  const value = kmlColor?.trim();
+  if (!/^[0-9a-f]{8}$/i.test(value)) return null;
+  const [a, b, g, r] = value.match(/../g);
+  return {
+    color: `#${r}${g}${b}`.toLowerCase(),
+    opacity: parseInt(a, 16) / 255,
+  };
+};
+
+/**
+ * CSS颜色和透明度转换为KML颜色（aabbggrr）
+ * @param {string} color - CSS十六进制颜色
+ * @param {number} [opacity=1] - 透明度
+ * @returns {string} KML颜色字符串
+ */
+const toKmlColor = (color, opacity = 1) => {
+  let hex = (color || "#3388ff").replace("#", "");
+  if (hex.length === 3) hex = hex.replace(/./g, (c) => c + c);
+  if (!/^[0-9a-f]{6}$/i.test(hex)) hex = "3388ff";
+  const alpha = Math.round(Math.min(Math.max(opacity, 0), 1) * 255)
+    .toString(16)
+    .padStart(2, "0");
+  const [r, g, b] = hex.match(/../g);
+  return `${alpha}${b}${g}${r}`.toLowerCase();
+};
+
+/**
+ * 解析坐标文本
+ * @param {string} text - "经度,纬度[,高程] ..." 格式文本
+ * @returns {Array<Array<number>>} 坐标数组，保留高程
+ */
+const parseCoordinateText = (text) =>
+  text
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((tuple) => tuple.split(",").map(Number))
+    .filter((c) => c.length >= 2 && c.every(Number.isFinite));
+
+/**
+ * 判断几何元素中是否存在非数值坐标
+ * @param {Element} el - 几何元素
+ * @returns {boolean} 是否存在非数值坐标
+ */
+const hasInvalidCoordinates = (el) =>
+  Array.from(el.getElementsByTagNameNS("*", "coordinates")).some((coordinatesEl) =>
+    coordinatesEl.textContent
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean)
+      .some((tuple) => {
+        const values = tuple.split(",").map(Number);
+        return values.length < 2 || !values.every(Number.isFinite);
+      })
+  );
+
+/**
+ * 定位KML文本中各Placemark的起始行号
+ * @param {string} text - KML文本
+ * @returns {Array<number>} 按文档顺序的行号（1基）
+ */
+const getPlacemarkLines = (text) => {
+  const lines = [];
+  const pattern = /<(?:[\w-]+:)?Placemark[\s>/]/g;
+  let line = 1;
+  let lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    for (let i = lastIndex; i < match.index; i++) {
+      if (text.charCodeAt(i) === 10) line++;
+    }
+    lastIndex = match.index;
+    lines.push(line);
+  }
+  return lines;
+};
+
+/**
+ * 解析KML几何元素
+ * @param {Element} el - 几何元素
+ * @returns {Object|null} GeoJSON几何
+ */
+const parseGeometry = (el) => {
+  switch (el.localName) {
+    case "Point": {
+      const [coordinates] = parseCoordinateText(childText(el, "coordinates"));
+      return coordinates ? { type: "Point", coordinates } : null;
+    }
+    case "LineString": {
+      const coordinates = parseCoordinateText(childText(el, "coordinates"));
+      return coordinates.length >= 2 ? { type: "LineString", coordinates } : null;
+    }
+    case "LinearRing": {
+      const ring = parseCoordinateText(childText(el, "coordinates"));
+      return ring.length >= 4 ? { type: "Polygon", coordinates: [ring] } : null;
+    }
+    case "Polygon": {
+      const ringOf = (boundary) =>
+        parseCoordinateText(
+          childText(firstChild(boundary, "LinearRing"), "coordinates")
+        );
+      const outer = ringOf(firstChild(el, "outerBoundaryIs"));
+      if (outer.length < 4) return null;
+      const holes = childElements(el, "innerBoundaryIs")
+        .map(ringOf)
+        .filter((ring) => ring.length >= 4);
+      return { type: "Polygon", coordinates: [outer, ...holes] };
+    }
+    case "MultiGeometry": {
+      const geometries = Array.from(el.children)
+        .filter((child) => GEOMETRY_TAGS.includes(child.localName))
+        .map(parseGeometry)
+        .filter(Boolean);
+      if (!geometries.length) return null;
+
+      // 嵌套的MultiGeometry先展开：集合取其成员，Multi*拆为单部件
+      const members = geometries.flatMap((g) =>
+        g.type === "GeometryCollection" ? g.geometries : [g]
+      );
+      const parts = members.flatMap((g) =>
+        g.type.startsWith("Multi")
+          ? g.coordinates.map((coordinates) => ({ type: g.type.slice(5), coordinates }))
+          : [g]
+      );
+
+      // 同类型几何合并为Multi*，否则使用GeometryCollection
+      const types = new Set(parts.map((g) => g.type));
+      if (types.size === 1) {
+        return {
+          type: `Multi${parts[0].type}`,
+          coordinates: parts.map((g) => g.coordinates),
+        };
+      }
+      return { type: "GeometryCollection", geometries: members };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * 解析Style元素为通用样式
+ * @param {Element} styleEl - Style元素
+ * @param {Function} resolveHref - 图标路径解析函数
+ * @returns {Object} 样式对象
+ */
+const parseStyle = (styleEl, resolveHref) => {
+  const style = {};
+
+  const lineStyle = firstChild(styleEl, "LineStyle");
+  if (lineStyle) {
+    const color = parseKmlColor(childText(lineStyle, "color"));
+    if (color) Object.assign(style, color);
+    const width = parseFloat(childText(lineStyle, "width"));
+    if (Number.isFinite(width)) style.weight = width;
+  }
+
+  const polyStyle = firstChild(styleEl, "PolyStyle");
+  if (polyStyle) {
+    const color = parseKmlColor(childText(polyStyle, "color"));
+    if (color) {
+      style.fillColor = color.color;
+      style.fillOpacity = color.opacity;
+    }
+    if (childText(polyStyle, "fill") === "0") style.fillOpacity = 0;
+    if (childText(polyStyle, "outline") === "0") style.opacity = 0;
+  }
+
+  const iconStyle = firstChild(styleEl, "IconStyle");
+  if (iconStyle) {
+    const href = childText(firstChild(iconStyle, "Icon"), "href");
+    if (href) style.iconUrl = resolveHref(href);
+    const scale = parseFloat(childText(iconStyle, "scale"));
+    if (Number.isFinite(scale)) style.iconScale = scale;
+  }
+
+  return style;
+};
+
+/**
+ * 收集文档中的共享样式（Style与StyleMap）
+ * @param {Document} doc - KML文档
+ * @param {Function} resolveHref - 图标路径解析函数
+ * @returns {Map<string, Object>} 样式ID -> 样式
+ */
+const collectStyles = (doc, resolveHref) => {
+  const styles = new Map();
+  Array.from(doc.getElementsByTagNameNS("*", "Style")).forEach((el) => {
+    const id = el.getAttribute("id");
+    if (id) styles.set(id, parseStyle(el, resolveHref));
+  });
+
+  // StyleMap取normal状态对应的样式
+  Array.from(doc.getElementsByTagNameNS("*", "StyleMap")).forEach((el) => {
+    const id = el.getAttribute("id");
+    const normal = childElements(el, "Pair").find(
+      (pair) => childText(pair, "key") === "normal"
+    );
+    if (!id || !normal) return;
+    const inline = firstChild(normal, "Style");
+    const url = childText(normal, "styleUrl").replace(/^.*#/, "");
+    styles.set(id, inline ? parseStyle(inline, resolveHref) : styles.get(url) || {});
+  });
+  return styles;
+};
+
+/**
+ * 解析ExtendedData为属性
+ * @param {Element} placemark - Placemark元素
+ * @returns {Object} 属性对象
+ */
+const parseExtendedData = (placemark) => {
+  const properties = {};
+  const extended = firstChild(placemark, "ExtendedData");
+  if (!extended) return properties;
+
+  childElements(extended, "Data").forEach((data) => {
+    const name = data.getAttribute("name");
+    if (name) properties[name] = childText(data, "value");
+  });
+  childElements(extended, "SchemaData").forEach((schemaData) => {
+    childElements(schemaData, "SimpleData").forEach((simple) => {
+      const name = simple.getAttribute("name");
+      if (name) properties[name] = simple.textContent.trim();
+    });
+  });
+  return properties;
+};
+
+/**
+ * 解析KML文本
+ * @description 每个Folder（含嵌套路径）对应一个图层，不在Folder中的Placemark归入文档根图层。
+ * 要素与跳过记录上的record为Placemark序号（1基），line为其在文本中的行号
+ * @param {string} text - KML文本
+ * @param {Object} [options] - 解析选项
+ * @param {string} [options.name] - 根图层默认名称
+ * @param {Function} [options.resolveHref] - 图标相对路径解析函数（KMZ内嵌图标）
+ * @returns {{layers: Array<{name: string, features: Array<Object>}>, skipped: Array<Object>}}
+ */
+export const parseKML = (text, options = {}) => {
+  const resolveHref = options.resolveHref || ((href) => href);
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new Error("无效的KML文件");
+  }
+
+  const styles = collectStyles(doc, resolveHref);
+  const layers = new Map();
+  const skipped = [];
+  let placemarkIndex = 0;
+  const placemarkLines = getPlacemarkLines(text);
+
+  const documentEl = doc.getElementsByTagNameNS("*", "Document")[0];
+  const rootName = childText(documentEl, "name") || options.name || "KML";
+
+  /**
+   * 获取图层，不存在时创建
+   * @param {string} name - 图层名称
+   * @returns {Object} 图层
+   */
+  const getLayer = (name) => {
+    if (!layers.has(name)) layers.set(name, { name, features: [] });
+    return layers.get(name);
+  };
+
+  /**
+   * 解析Placemark为要素
+   * @param {Element} placemark - Placemark元素
+   * @returns {Object|null} 要素
+   */
+  const parsePlacemark = (placemark) => {
+    const index = placemarkIndex++;
+    const geometryEl = Array.from(placemark.children).find((child) =>
+      GEOMETRY_TAGS.includes(child.localName)
+    );
+    const source = { record: index + 1, line: placemarkLines[index] };
+    const skip = (code, reason) => {
+      skipped.push({
+        ...source,
+        code,
+        reason,
+        properties: { name: childText(placemark, "name") },
+      });
+      return null;
+    };
+
+    if (!geometryEl) {
+      // gx:Track、Model等不支持的几何与完全缺少几何分开报告
+      const other = Array.from(placemark.children).find((child) =>
+        UNSUPPORTED_GEOMETRY_TAGS.includes(child.localName)
+      );
+      return other
+        ? skip(SKIP_CODES.UNSUPPORTED_GEOMETRY, `不支持的几何类型: ${other.localName}`)
+        : skip(SKIP_CODES.MISSING_GEOMETRY, "缺少几何");
+    }
+    if (hasInvalidCoordinates(geometryEl)) {
+      return skip(SKIP_CODES.INVALID_COORDINATE, "坐标不是数值");
+    }
+    const geometry = parseGeometry(geometryEl);
+    if (!geometry) return skip(SKIP_CODES.INVALID_GEOMETRY, "几何坐标点数不足");
+
+    const properties = parseExtendedData(placemark);
+    const name = childText(placemark, "name");
+    const description = childText(placemark, "description");
+    if (name) properties.name = name;
+    if (description) properties.description = description;
+
+    const styleUrl = childText(placemark, "styleUrl").replace(/^.*#/, "");
+    const inlineStyle = firstChild(placemark, "Style");
+    const style = {
+      ...(styles.get(styleUrl) || {}),
+      ...(inlineStyle ? parseStyle(inlineStyle, resolveHref) : {}),
+    };
+
+    return {
+      type: "Feature",
+      id: placemark.getAttribute("id") || undefined,
+      geometry,
+      properties,
+      style: Object.keys(style).length ? style : null,
+      ...source,
+    };
+  };
+
+  /**
+   * 递归遍历容器（Document/Folder）
+   * @param {Element} container - 容器元素
+   * @param {string} layerName - 当前图层名称
+   */
+  const walk = (container, layerName) => {
+    Array.from(container.children).forEach((child) => {
+      if (child.localName === "Placemark") {
+        const feature = parsePlacemark(child);
+        if (feature) getLayer(layerName).features.push(feature);
+      } else if (child.localName === "Folder") {
+        const folderName = childText(child, "name") || "未命名文件夹";
+        walk(
+          child,
+          layerName === rootName ? folderName : `${layerName}/${folderName}`
+        );
+      } else if (child.localName === "Document") {
+        walk(child, layerName);
+      }
+    });
+  };
+
+  walk(documentEl || doc.documentElement, rootName);
+  return { layers: [...layers.values()], skipped };
+};
+
+/**
+ * 按扩展名取图片MIME类型
+ * @param {string} name - 文件名
+ * @returns {string} MIME类型
+ */
+const getImageType = (name) => {
+  const extension = name.slice(name.lastIndexOf(".") + 1).toLowerCase();
+  return { jpg: "image/jpeg", jpeg: "image/jpeg", svg: "image/svg+xml" }[extension] || `image/${extension}`;
+};
+
+/**
+ * 解析KMZ压缩包
+ * @description 读取包内的KML（优先doc.kml），内嵌图标转换为数据URL：
+ * 图标在解析后仍随样式使用，数据URL不需要释放，也能随工程保存
+ * @param {ArrayBuffer} buffer - KMZ文件内容
+ * @param {Object} [options] - 解析选项，同parseKML
+ * @returns {Promise<{layers: Array<Object>, skipped: Array<Object>}>}
+ */
+export const parseKMZ = async (buffer, options = {}) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const kmlFiles = Object.values(zip.files).filter(
+    (entry) => !entry.dir && /\.kml$/i.test(entry.name)
+  );
+  const kmlEntry =
+    kmlFiles.find((entry) => /(^|\/)doc\.kml$/i.test(entry.name)) || kmlFiles[0];
+  if (!kmlEntry) throw new Error("KMZ中未找到KML文件");
+
+  // 内嵌资源路径相对于KML文件所在目录
+  const baseDir = kmlEntry.name.includes("/")
+    ? kmlEntry.name.slice(0, kmlEntry.name.lastIndexOf("/") + 1)
+    : "";
+  const resourceUrls = new Map();
+  await Promise.all(
+    Object.values(zip.files)
+      .filter((entry) => !entry.dir && /\.(png|jpe?g|gif|svg|bmp)$/i.test(entry.name))
+      .map(async (entry) => {
+        const base64 = await entry.async("base64");
+        resourceUrls.set(entry.name, `data:${getImageType(entry.name)};base64,${base64}`);
+      })
+  );
+
+  const resolveHref = (href) => {
+    if (/^[a-z]+:/i.test(href)) return href;
+    const path = href.replace(/^\.\//, "");
+    return resourceUrls.get(baseDir + path) || resourceUrls.get(path) || href;
+  };
+
+  const text = await kmlEntry.async("string");
+  return parseKML(text, { ...options, resolveHref });
+};
+
+/**
+ * 转义XML特殊字符
+ * @param {*} value - 原始值
+ * @returns {string} 转义后的字符串
+ */
+const escapeXml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&apos;",
+      }[c])
+  );
+
+/**
+ * 坐标数组转换为KML坐标文本
+ * @param {Array<Array<number>>} coordinates - 坐标数组
+ * @returns {string} 坐标文本
+ */
+const toCoordinateText = (coordinates) =>
+  coordinates.map((c) => c.join(",")).join(" ");
+
+/**
+ * GeoJSON几何转换为KML几何
+ * @param {Object} geometry - GeoJSON几何
+ * @returns {string} KML几何片段
+ */
+const geometryToKml = (geometry) => {
+  const { type, coordinates } = geometry;
+  const polygon = (rings) => {
+    const [outer, ...holes] = rings;
+    return (
+      `<Polygon><outerBoundaryIs><LinearRing><coordinates>${toCoordinateText(outer)}</coordinates></LinearRing></outerBoundaryIs>` +
+      holes
+        .map(
+          (hole) =>
+            `<innerBoundaryIs><LinearRing><coordinates>${toCoordinateText(hole)}</coordinates></LinearRing></innerBoundaryIs>`
+        )
+        .join("") +
+      `</Polygon>`
+    );
+  };
+
+  switch (type) {
+    case "Point":
+      return `<Point><coordinates>${coordinates.join(",")}</coordinates></Point>`;
+    case "LineString":
+      return `<LineString><coordinates>${toCoordinateText(coordinates)}</coordinates></LineString>`;
+    case "Polygon":
+      return polygon(coordinates);
+    case "MultiPoint":
+    case "MultiLineString":
+    case "MultiPolygon": {
+      const partType = type.replace("Multi", "");
+      return `<MultiGeometry>${coordinates
+        .map((part) => geometryToKml({ type: partType, coordinates: part }))
+        .join("")}</MultiGeometry>`;
+    }
+    case "GeometryCollection":
+      return `<MultiGeometry>${geometry.geometries
+        .map(geometryToKml)
+        .join("")}</MultiGeometry>`;
+    default:
+      return "";
+  }
+};
+
+/**
+ * 通用样式转换为KML Style
+ * @param {Object} style - 样式对象
+ * @returns {string} KML Style片段
+ */
+const styleToKml = (style) => {
+  const icon = style.iconUrl && /^https?:/i.test(style.iconUrl)
+    ? `<IconStyle><scale>${style.iconScale ?? 1}</scale><Icon><href>${escapeXml(style.iconUrl)}</href></Icon></IconStyle>`
+    : "";
+  return (
+    `<Style>${icon}` +
+    `<LineStyle><color>${toKmlColor(style.color, style.opacity)}</color><width>${style.weight ?? 2}</width></LineStyle>` +
+    `<PolyStyle><color>${toKmlColor(style.fillColor, style.fillOpacity)}</color></PolyStyle>` +
+    `</Style>`
+  );
+};
+
+/**
+ * 将图层导出为KML文本
+ * @description 每个图层写为一个Folder，要素属性写入ExtendedData，圆形转换为多边形
+ * @param {Array<{name: string, features: Array<Object>, style?: Object}>} layers - 图层数组
+ * @param {Object} [options] - 导出选项
+ * @param {string} [options.name] - 文档名称
+ * @returns {string} KML文本
+ */
+export const toKML = (layers, options = {}) => {
+  const folders = layers.map((layer) => {
+    const placemarks = layer.features.map((feature) => {
+      const geometry =
+        feature.meta?.shape === "circle"
+          ? circleToPolygon(feature.geometry.coordinates, feature.meta.radius)
+          : feature.geometry;
+      const { name, description, ...rest } = feature.properties || {};
+      const data = Object.entries(rest)
+        .map(
+          ([key, value]) =>
+            `<Data name="${escapeXml(key)}"><value>${escapeXml(
+              typeof value === "object" ? JSON.stringify(value) : value
+            )}</value></Data>`
+        )
+        .join("");
+
+      return (
+        `<Placemark>` +
+        (name != null ? `<name>${escapeXml(name)}</name>` : "") +
+        (description != null ? `<description>${escapeXml(description)}</description>` : "") +
+        styleToKml({ ...(layer.style || {}), ...(feature.style || {}) }) +
+        (data ? `<ExtendedData>${data}</ExtendedData>` : "") +
+        geometryToKml(geometry) +
+        `</Placemark>`
+      );
+    });
+    return `<Folder><name>${escapeXml(layer.name)}</name>${placemarks.join("")}</Folder>`;
+  });
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<kml xmlns="http://www.opengis.net/kml/2.2"><Document>` +
+    `<name>${escapeXml(options.name || "导出数据")}</name>` +
+    folders.join("") +
+    `</Document></kml>`
+  );
+};
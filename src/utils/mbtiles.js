@@ -0,0 +1,187 @@
+/**
+ * @file mbtiles.js
+ * @description MBTiles离线瓦片包：用sql.js在浏览器中读取SQLite格式的.mbtiles文件，
+ * 文件保存在IndexedDB中，刷新页面后仍可作为底图（或叠加图层）离线使用
+ * @module utils/mbtiles
+ */
+
+import initSqlJs from "sql.js";
+import wasmUrl from "sql.js/dist/sql-wasm-browser.wasm?url";
+import { createId } from "./featureStore";
+import tileStore from "./tileStore";
+
+/** 栅格瓦片格式对应的MIME类型 */
+const IMAGE_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+};
+
+/** MBTiles图层源地址前缀，后接图层源ID */
+export const MBTILES_PROTOCOL = "mbtiles://";
+
+let sqlPromise = null;
+
+/** @type {Map<string, Promise<Object>>} 图层源ID -> 已打开的MBTiles读取器 */
+const readers = new Map();
+
+/**
+ * 加载sql.js（首次使用时加载WASM）
+ * @returns {Promise<Object>} sql.js模块
+ */
+const loadSql = () => {
+  sqlPromise ||= initSqlJs({ locateFile: () => wasmUrl }).catch((error) => {
+    sqlPromise = null;
+    throw error;
+  });
+  return sqlPromise;
+};
+
+/**
+ * 根据瓦片数据的文件头识别格式
+ * @param {Uint8Array} data - 瓦片数据
+ * @returns {string|null} png、jpg、webp 或 pbf（矢量瓦片，通常为gzip压缩）
+ */
+const detectFormat = (data) => {
+  if (!data?.length) return null;
+  if (data[0] === 0x89 && data[1] === 0x50) return "png";
+  if (data[0] === 0xff && data[1] === 0xd8) return "jpg";
+  if (data[0] === 0x52 && data[1] === 0x49 && data[8] === 0x57) return "webp";
+  if (data[0] === 0x1f && data[1] === 0x8b) return "pbf";
+  return null;
+};
+
+/**
+ * 打开MBTiles数据
+ * @description 读取metadata表（名称、格式、范围、级别、版权），缺少的级别范围由tiles表统计；
+ * 仅支持栅格瓦片
+ * @param {ArrayBuffer|Uint8Array} data - 文件内容
+ * @returns {Promise<{metadata: Object, getTile: Function, close: Function}>} 读取器，
+ * getTile(z, x, y) 按XYZ坐标返回瓦片数据（Uint8Array），不存在时返回null
+ */
+export const openMBTiles = async (data) => {
+  const SQL = await loadSql();
+  const db = new SQL.Database(data instanceof Uint8Array ? data : new Uint8Array(data));
+  let statement = null;
+  try {
+    const rows = db.exec("SELECT name, value FROM metadata")[0]?.values || [];
+    const raw = Object.fromEntries(rows);
+    const [minZoom, maxZoom] =
+      raw.minzoom !== undefined && raw.maxzoom !== undefined
+        ? [raw.minzoom, raw.maxzoom]
+        : db.exec("SELECT MIN(zoom_level), MAX(zoom_level) FROM tiles")[0]?.values[0] || [];
+    const sample = db.exec("SELECT tile_data FROM tiles LIMIT 1")[0]?.values[0]?.[0];
+    const format = (raw.format || detectFormat(sample) || "png").toLowerCase();
+    if (!IMAGE_TYPES[format]) throw new Error(`暂不支持${format}格式的MBTiles（仅支持栅格瓦片）`);
+    const bounds = String(raw.bounds || "").split(",").map(Number);
+
+    const metadata = {
+      name: raw.name || "",
+      description: raw.description || "",
+      attribution: raw.attribution || "",
+      // MBTiles规范中type为overlay或baselayer
+      type: raw.type === "overlay" ? "overlay" : "baselayer",
+      format,
+      minZoom: Number(minZoom ?? 0),
+      maxZoom: Number(maxZoom ?? 18),
+      bounds: bounds.length === 4 && bounds.every(Number.isFinite) ? bounds : null,
+    };
+
+    statement = db.prepare(
+      "SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?"
+    );
+    return {
+      metadata,
+      getTile: (z, x, y) => {
+        // MBTiles行号为TMS方式（自下而上）
+        statement.bind([z, x, 2 ** z - 1 - y]);
+        const tile = statement.step() ? statement.get()[0] : null;
+        statement.reset();
+        return tile;
+      },
+      close: () => {
+        statement.free();
+        db.close();
+      },
+    };
+  } catch (error) {
+    statement?.free();
+    db.close();
+    if (/no such table/.test(error.message)) throw new Error("不是有效的MBTiles文件");
+    throw error;
+  }
+};
+
+/**
+ * 获取图层源的MBTiles读取器
+ * @description 首次使用时从IndexedDB读取文件并打开，之后复用
+ * @param {string} sourceId - 图层源ID
+ * @returns {Promise<Object>} 读取器，见 openMBTiles
+ */
+export const getMBTilesReader = (sourceId) => {
+  if (!readers.has(sourceId)) {
+    const reader = tileStore.getFile(sourceId).then(async (record) => {
+      if (!record) throw new Error("MBTiles文件已不存在，请重新加载");
+      return openMBTiles(await record.blob.arrayBuffer());
+    });
+    reader.catch(() => readers.delete(sourceId));
+    readers.set(sourceId, reader);
+  }
+  return readers.get(sourceId);
+};
+
+/**
+ * 读取MBTiles瓦片图片
+ * @param {string} sourceId - 图层源ID
+ * @param {{z: number, x: number, y: number}} coords - XYZ瓦片坐标
+ * @returns {Promise<Blob|null>} 瓦片图片，不存在时返回null
+ */
+export const getMBTilesImage = async (sourceId, { z, x, y }) => {
+  const reader = await getMBTilesReader(sourceId);
+  const data = reader.getTile(z, x, y);
+  return data ? new Blob([data], { type: IMAGE_TYPES[reader.metadata.format] }) : null;
+};
+
+/**
+ * 加载本地MBTiles文件
+ * @description 校验并保存文件，返回可加入瓦片图层目录的图层源（type为mbtiles）
+ * @param {File} file - .mbtiles文件
+ * @returns {Promise<Object>} 图层源，见 utils/tileCatalog 的 TileSource
+ */
+export const loadMBTilesFile = async (file) => {
+  const reader = await openMBTiles(await file.arrayBuffer());
+  const id = createId("mbtiles");
+  try {
+    await tileStore.putFile(id, file);
+  } catch (error) {
+    reader.close();
+    throw new Error(`保存MBTiles文件失败: ${error.message}`);
+  }
+  readers.set(id, Promise.resolve(reader));
+  const { metadata } = reader;
+  return {
+    id,
+    name: metadata.name || file.name.replace(/\.mbtiles$/i, ""),
+    kind: metadata.type === "overlay" ? "overlay" : "base",
+    type: "mbtiles",
+    url: `${MBTILES_PROTOCOL}${id}`,
+    attribution: metadata.attribution || undefined,
+    minZoom: metadata.minZoom,
+    maxZoom: metadata.maxZoom,
+    bounds: metadata.bounds || undefined,
+    format: metadata.format,
+  };
+};
+
+/**
+ * 关闭并删除MBTiles文件
+ * @param {string} sourceId - 图层源ID
+ * @returns {Promise<void>}
+ */
+export const removeMBTiles = async (sourceId) => {
+  const reader = readers.get(sourceId);
+  readers.delete(sourceId);
+  (await reader?.catch(() => null))?.close();
+  await tileStore.removeFile(sourceId);
+};
@@ -0,0 +1,334 @@
+/**
+ * @file measure.js
+ * @description 椭球面上的长度、方位角、面积量算，量算结果的单位换算与格式化，以及要素量算属性
+ * @module utils/measure
+ */
+
+/** WGS84椭球长半轴 */
+const WGS84_A = 6378137;
+/** WGS84椭球扁率 */
+const WGS84_F = 1 / 298.257223563;
+/** WGS84椭球短半轴 */
+const WGS84_B = WGS84_A * (1 - WGS84_F);
+/** 与WGS84椭球面积相等的球半径，用于球面面积计算 */
+const AUTHALIC_RADIUS = 6371007.181;
+
+/** 1亩对应的平方米数 */
+const SQUARE_METERS_PER_MU = 10000 / 15;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+const toDegrees = (rad) => (rad * 180) / Math.PI;
+
+/**
+ * 将方位角规范到 [0, 360)
+ * @param {number} rad - 方位角（弧度）
+ * @returns {number} 方位角（度）
+ */
+const normalizeAzimuth = (rad) => (toDegrees(rad) + 360) % 360;
+
+/**
+ * 椭球面大地反算（Vincenty）
+ * @description 计算两点间的椭球面距离与起点处的方位角；对跖点附近不收敛时退回球面大圆计算
+ * @param {Array<number>} from - [经度, 纬度]
+ * @param {Array<number>} to - [经度, 纬度]
+ * @returns {{distance: number, azimuth: number}} 距离（米）与方位角（度，正北为0顺时针）
+ */
+export const geodesicInverse = ([lng1, lat1], [lng2, lat2]) => {
+  if (lng1 === lng2 && lat1 === lat2) return { distance: 0, azimuth: 0 };
+
+  const L = toRadians(lng2 - lng1);
+  const U1 = Math.atan((1 - WGS84_F) * Math.tan(toRadians(lat1)));
+  const U2 = Math.atan((1 - WGS84_F) * Math.tan(toRadians(lat2)));
+  const sinU1 = Math.sin(U1);
+  const cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2);
+  const cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  for (let i = 0; i < 100; i++) {
+    const sinLambda = Math.sin(lambda);
+    const cosLambda = Math.cos(lambda);
+    const sinSigma = Math.sqrt(
+      (cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2
+    );
+    if (sinSigma === 0) return { distance: 0, azimuth: 0 };
+    const cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    const sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma;
+    const cos2Alpha = 1 - sinAlpha * sinAlpha;
+    const cos2SigmaM = cos2Alpha === 0 ? 0 : cosSigma - (2 * sinU1 * sinU2) / cos2Alpha;
+    const C = (WGS84_F / 16) * cos2Alpha * (4 + WGS84_F * (4 - 3 * cos2Alpha));
+    const lambdaPrev = lambda;
+    lambda =
+      L +
+      (1 - C) *
+        WGS84_F *
+        sinAlpha *
+        (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM ** 2)));
+
+    if (Math.abs(lambda - lambdaPrev) < 1e-12) {
+      const u2 = (cos2Alpha * (WGS84_A ** 2 - WGS84_B ** 2)) / WGS84_B ** 2;
+      const A = 1 + (u2 / 16384) * (4096 + u2 * (-768 + u2 * (320 - 175 * u2)));
+      const B = (u2 / 1024) * (256 + u2 * (-128 + u2 * (74 - 47 * u2)));
+      const deltaSigma =
+        B *
+        sinSigma *
+        (cos2SigmaM +
+          (B / 4) *
+            (cosSigma * (-1 + 2 * cos2SigmaM ** 2) -
+              (B / 6) * cos2SigmaM * (-3 + 4 * sinSigma ** 2) * (-3 + 4 * cos2SigmaM ** 2)));
+      return {
+        distance: WGS84_B * A * (sigma - deltaSigma),
+        azimuth: normalizeAzimuth(
+          Math.atan2(cosU2 * Math.sin(lambda), cosU1 * sinU2 - sinU1 * cosU2 * Math.cos(lambda))
+        ),
+      };
+    }
+  }
+
+  // 不收敛时使用球面距离与方位角
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const h =
+    Math.sin((phi2 - phi1) / 2) ** 2 + Math.cos(phi1) * Math.cos(phi2) * Math.sin(L / 2) ** 2;
+  return {
+    distance: 2 * AUTHALIC_RADIUS * Math.asin(Math.min(1, Math.sqrt(h))),
+    azimuth: normalizeAzimuth(
+      Math.atan2(
+        Math.sin(L) * Math.cos(phi2),
+        Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(L)
+      )
+    ),
+  };
+};
+
+/**
+ * 计算两点间的椭球面距离
+ * @param {Array<number>} from - [经度, 纬度]
+ * @param {Array<number>} to - [经度, 纬度]
+ * @returns {number} 距离（米）
+ */
+export const geodesicDistance = (from, to) => geodesicInverse(from, to).distance;
+
+/**
+ * 计算折线长度
+ * @param {Array<Array<number>>} positions - 坐标序列
+ * @returns {number} 长度（米）
+ */
+export const lineLength = (positions) =>
+  positions.reduce(
+    (sum, position, i) => (i === 0 ? 0 : sum + geodesicDistance(positions[i - 1], position)),
+    0
+  );
+
+/**
+ * 计算单个环的面积（球面多边形面积，使用等面积球半径）
+ * @param {Array<Array<number>>} ring - 环坐标，首尾可闭合也可不闭合
+ * @returns {number} 面积（平方米）
+ */
+export const ringArea = (ring) => {
+  const count = ring.length;
+  if (count < 3) return 0;
+
+  let area = 0;
+  for (let i = 0; i < count; i++) {
+    const [lng1, lat1] = ring[i];
+    const [lng2, lat2] = ring[(i + 1) % count];
+    area += toRadians(lng2 - lng1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+  return Math.abs((area * AUTHALIC_RADIUS * AUTHALIC_RADIUS) / 2);
+};
+
+/**
+ * 计算多边形面积（外环减去内环）
+ * @param {Array<Array<Array<number>>>} rings - 多边形坐标
+ * @returns {number} 面积（平方米）
+ */
+export const polygonArea = ([outer, ...holes]) =>
+  Math.max(0, ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0));
+
+/**
+ * 计算多边形周长（仅外环）
+ * @param {Array<Array<Array<number>>>} rings - 多边形坐标
+ * @returns {number} 周长（米）
+ */
+export const polygonPerimeter = ([outer]) => lineLength(outer);
+
+/**
+ * 计算圆的面积
+ * @description 半径为地表距离，按等面积球上的球冠面积计算
+ * @param {number} radius - 半径（米）
+ * @returns {number} 面积（平方米）
+ */
+export const circleArea = (radius) =>
+  2 * Math.PI * AUTHALIC_RADIUS ** 2 * (1 - Math.cos(radius / AUTHALIC_RADIUS));
+
+/**
+ * 计算圆的周长
+ * @description 半径为地表距离，按等面积球上的小圆周长计算
+ * @param {number} radius - 半径（米）
+ * @returns {number} 周长（米）
+ */
+export const circlePerimeter = (radius) =>
+  2 * Math.PI * AUTHALIC_RADIUS * Math.sin(radius / AUTHALIC_RADIUS);
+
+/**
+ * 逐段量算折线或环
+ * @param {Array<Array<number>>} positions - 坐标序列 [经度, 纬度]
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.closed=false] - 是否为闭合环（多边形外环），闭合时包含末点回到首点的边并计算面积
+ * @returns {{segments: Array<{length: number, azimuth: number}>, length: number, area: number}}
+ * 各段长度与方位角、总长（闭合时即周长）与面积
+ */
+export const measurePath = (positions, { closed = false } = {}) => {
+  const points = [...positions];
+  const first = points[0];
+  const last = points[points.length - 1];
+  // 已闭合的环去掉重复的末点
+  if (closed && points.length > 1 && first[0] === last[0] && first[1] === last[1]) points.pop();
+  if (closed && points.length > 2) points.push(points[0]);
+
+  const segments = [];
+  for (let i = 1; i < points.length; i++) {
+    const { distance, azimuth } = geodesicInverse(points[i - 1], points[i]);
+    segments.push({ length: distance, azimuth });
+  }
+  return {
+    segments,
+    length: segments.reduce((sum, segment) => sum + segment.length, 0),
+    area: closed ? ringArea(points) : 0,
+  };
+};
+
+/**
+ * 长度单位
+ * @type {Array<{value: string, label: string}>}
+ */
+export const LENGTH_UNITS = [
+  { value: "auto", label: "自动" },
+  { value: "m", label: "米" },
+  { value: "km", label: "千米" },
+];
+
+/**
+ * 面积单位
+ * @type {Array<{value: string, label: string}>}
+ */
+export const AREA_UNITS = [
+  { value: "auto", label: "自动" },
+  { value: "m2", label: "平方米" },
+  { value: "mu", label: "亩" },
+  { value: "ha", label: "公顷" },
+  { value: "km2", label: "平方千米" },
+];
+
+/**
+ * 格式化长度
+ * @param {number} meters - 长度（米）
+ * @param {string} [unit="auto"] - 单位，见 LENGTH_UNITS；auto时1千米以下用米
+ * @returns {string} 如 "1.23 千米"
+ */
+export const formatLength = (meters, unit = "auto") => {
+  const target = unit === "auto" ? (meters < 1000 ? "m" : "km") : unit;
+  return target === "km" ? `${(meters / 1000).toFixed(3)} 千米` : `${meters.toFixed(2)} 米`;
+};
+
+/**
+ * 格式化面积
+ * @param {number} squareMeters - 面积（平方米）
+ * @param {string} [unit="auto"] - 单位，见 AREA_UNITS；auto时1平方千米以下用平方米
+ * @returns {string} 如 "15.00 亩"
+ */
+export const formatArea = (squareMeters, unit = "auto") => {
+  const target = unit === "auto" ? (squareMeters < 1e6 ? "m2" : "km2") : unit;
+  switch (target) {
+    case "mu":
+      return `${(squareMeters / SQUARE_METERS_PER_MU).toFixed(2)} 亩`;
+    case "ha":
+      return `${(squareMeters / 10000).toFixed(4)} 公顷`;
+    case "km2":
+      return `${(squareMeters / 1e6).toFixed(4)} 平方千米`;
+    default:
+      return `${squareMeters.toFixed(2)} 平方米`;
+  }
+};
+
+/**
+ * 格式化方位角
+ * @param {number} azimuth - 方位角（度，正北为0顺时针）
+ * @returns {string} 如 "45.0°（东北）"
+ */
+export const formatAzimuth = (azimuth) => {
+  const directions = ["北", "东北", "东", "东南", "南", "西南", "西", "西北"];
+  return `${azimuth.toFixed(1)}°（${directions[Math.round(azimuth / 45) % 8]}）`;
+};
+
+/**
+ * 计算几何的长度、面积与周长
+ * @param {Object} geometry - WGS84坐标的GeoJSON几何
+ * @returns {{length: number, area: number, perimeter: number}} 量算结果（米、平方米）
+ */
+export const measureGeometry = (geometry) => {
+  const result = { length: 0, area: 0, perimeter: 0 };
+  const add = (part) => {
+    result.length += part.length;
+    result.area += part.area;
+    result.perimeter += part.perimeter;
+  };
+
+  switch (geometry?.type) {
+    case "LineString":
+      result.length = lineLength(geometry.coordinates);
+      break;
+    case "MultiLineString":
+      geometry.coordinates.forEach((line) => {
+        result.length += lineLength(line);
+      });
+      break;
+    case "Polygon":
+      result.area = polygonArea(geometry.coordinates);
+      result.perimeter = polygonPerimeter(geometry.coordinates);
+      break;
+    case "MultiPolygon":
+      geometry.coordinates.forEach((polygon) => {
+        result.area += polygonArea(polygon);
+        result.perimeter += polygonPerimeter(polygon);
+      });
+      break;
+    case "GeometryCollection":
+      geometry.geometries.forEach((part) => add(measureGeometry(part)));
+      break;
+    default:
+      break;
+  }
+  return result;
+};
+
+/**
+ * 生成要素的量算属性
+ * @description 线要素写长度，面要素写面积与周长，圆写半径、面积与周长；点要素无量算属性。
+ * 数值保留两位小数
+ * @param {Object} feature - 仓库要素（圆形以meta.shape/meta.radius表示）
+ * @returns {Object} 量算属性，如 { length_m } 或 { area_m2, perimeter_m }
+ */
+export const getMeasureProperties = (feature) => {
+  const round = (value) => Math.round(value * 100) / 100;
+
+  if (feature.meta?.shape === "circle") {
+    const radius = feature.meta.radius;
+    return {
+      radius_m: round(radius),
+      area_m2: round(circleArea(radius)),
+      perimeter_m: round(circlePerimeter(radius)),
+    };
+  }
+
+  const { length, area, perimeter } = measureGeometry(feature.geometry);
+  const properties = {};
+  if (length > 0) properties.length_m = round(length);
+  if (area > 0) {
+    properties.area_m2 = round(area);
+    properties.perimeter_m = round(perimeter);
+  }
+  return properties;
+};
@@ -0,0 +1,410 @@
+/**
+ * @file ogc.js
+ * @description OGC WMS/WMTS服务工具：GetCapabilities解析（图层、样式、瓦片矩阵集）、
+ * WMTS瓦片地址模板与WMS GetFeatureInfo请求
+ * @module utils/ogc
+ */
+
+/** Web墨卡托0级瓦片（256像素）的比例尺分母，按OGC标准像素0.28mm计算 */
+const MERCATOR_SCALE_0 = 559082264.0287178;
+
+/**
+ * 获取指定名称的直接子元素
+ * @param {Element} el - 父元素
+ * @param {string} name - 元素本地名称（忽略命名空间）
+ * @returns {Array<Element>} 子元素数组
+ */
+const childElements = (el, name) =>
+  Array.from(el?.children || []).filter((child) => child.localName === name);
+
+/**
+ * 获取第一个指定名称的直接子元素
+ * @param {Element} el - 父元素
+ * @param {string} name - 元素本地名称
+ * @returns {Element|undefined} 子元素
+ */
+const firstChild = (el, name) => childElements(el, name)[0];
+
+/**
+ * 获取子元素文本
+ * @param {Element} el - 父元素
+ * @param {string} name - 元素本地名称
+ * @returns {string} 去除首尾空白的文本，不存在时为空字符串
+ */
+const childText = (el, name) => firstChild(el, name)?.textContent.trim() || "";
+
+/**
+ * 按路径获取后代元素
+ * @param {Element} el - 起始元素
+ * @param {...string} names - 逐级的元素本地名称
+ * @returns {Element|undefined} 元素
+ */
+const findPath = (el, ...names) => names.reduce((current, name) => firstChild(current, name), el);
+
+/**
+ * 读取xlink:href属性
+ * @param {Element} el - 元素
+ * @returns {string} 地址
+ */
+const getHref = (el) =>
+  el?.getAttributeNS("http://www.w3.org/1999/xlink", "href") || el?.getAttribute("xlink:href") || "";
+
+/**
+ * 解析XML文本
+ * @param {string} text - XML文本
+ * @param {string} service - 服务类型，用于错误信息
+ * @returns {Document} XML文档
+ */
+const parseXML = (text, service) => {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new Error(`无效的${service}能力文档`);
+  }
+  const exception =
+    doc.getElementsByTagNameNS("*", "ServiceException")[0] ||
+    doc.getElementsByTagNameNS("*", "ExceptionText")[0];
+  if (exception) throw new Error(`${service}服务异常: ${exception.textContent.trim()}`);
+  return doc;
+};
+
+/**
+ * 去掉地址中的查询参数分隔符尾巴
+ * @description 能力文档中的OnlineResource常以 "?" 或 "&" 结尾
+ * @param {string} url - 地址
+ * @returns {string} 地址
+ */
+const trimQuery = (url) => url.replace(/[?&]+$/, "");
+
+/**
+ * 判断坐标系是否为Web墨卡托
+ * @param {string} crs - 坐标系标识，如 EPSG:3857、urn:ogc:def:crs:EPSG::900913
+ * @returns {boolean} 是否为Web墨卡托
+ */
+export const isWebMercator = (crs) => /(3857|900913|3785|102100)$/.test(crs || "");
+
+/**
+ * 判断坐标系是否为WGS84经纬度
+ * @param {string} crs - 坐标系标识
+ * @returns {boolean} 是否为WGS84经纬度
+ */
+export const isGeographic = (crs) => /(4326|CRS84)$/.test(crs || "");
+
+/**
+ * 拼接查询参数
+ * @param {string} url - 地址（可已带查询参数）
+ * @param {Object} params - 参数
+ * @returns {string} 完整地址
+ */
+const withParams = (url, params) => {
+  const base = trimQuery(url);
+  return `${base}${base.includes("?") ? "&" : "?"}${new URLSearchParams(params)}`;
+};
+
+/**
+ * 生成GetCapabilities地址
+ * @param {string} url - 服务地址
+ * @param {string} service - WMS 或 WMTS
+ * @returns {string} 请求地址
+ */
+export const getCapabilitiesUrl = (url, service) =>
+  withParams(url, { SERVICE: service, REQUEST: "GetCapabilities" });
+
+/**
+ * 解析WMS图层树
+ * @description 嵌套图层继承父图层的样式与坐标系（累加）和范围（覆盖），
+ * 只有带Name的图层可以请求，按树的顺序展开为列表
+ * @param {Element} el - Layer元素
+ * @param {Object} inherited - 继承的 { styles, crs, bbox, queryable }
+ * @param {Array<Object>} result - 结果数组
+ * @returns {Array<Object>} 图层列表
+ */
+const collectWMSLayers = (el, inherited, result) => {
+  const styles = [
+    ...inherited.styles,
+    ...childElements(el, "Style").map((style) => ({
+      name: childText(style, "Name"),
+      title: childText(style, "Title") || childText(style, "Name"),
+      legendUrl: getHref(findPath(style, "LegendURL", "OnlineResource")),
+    })),
+  ];
+  const crs = [
+    ...inherited.crs,
+    ...[...childElements(el, "CRS"), ...childElements(el, "SRS")].map((c) => c.textContent.trim()),
+  ];
+
+  let bbox = inherited.bbox;
+  const geographic = firstChild(el, "EX_GeographicBoundingBox");
+  const latLon = firstChild(el, "LatLonBoundingBox");
+  if (geographic) {
+    bbox = ["westBoundLongitude", "southBoundLatitude", "eastBoundLongitude", "northBoundLatitude"].map(
+      (name) => parseFloat(childText(geographic, name))
+    );
+  } else if (latLon) {
+    bbox = ["minx", "miny", "maxx", "maxy"].map((name) => parseFloat(latLon.getAttribute(name)));
+  }
+  const queryable = el.hasAttribute("queryable")
+    ? el.getAttribute("queryable") === "1"
+    : inherited.queryable;
+
+  const name = childText(el, "Name");
+  if (name) {
+    result.push({
+      name,
+      title: childText(el, "Title") || name,
+      abstract: childText(el, "Abstract"),
+      queryable,
+      styles,
+      crs,
+      bbox,
+    });
+  }
+  childElements(el, "Layer").forEach((child) =>
+    collectWMSLayers(child, { styles, crs, bbox, queryable }, result)
+  );
+  return result;
+};
+
+/**
+ * 解析WMS能力文档
+ * @param {string} text - GetCapabilities响应
+ * @returns {Object} { service, version, title, url, formats, infoFormats, layers }
+ * 其中layers为 [{ name, title, abstract, queryable, styles, crs, bbox }]
+ */
+export const parseWMSCapabilities = (text) => {
+  const root = parseXML(text, "WMS").documentElement;
+  const capability = firstChild(root, "Capability");
+  if (!capability) throw new Error("不是WMS能力文档");
+  const request = firstChild(capability, "Request");
+  const getMap = firstChild(request, "GetMap");
+  const getFeatureInfo = firstChild(request, "GetFeatureInfo");
+  const formats = (el) => childElements(el, "Format").map((f) => f.textContent.trim());
+
+  return {
+    service: "WMS",
+    version: root.getAttribute("version") || "1.3.0",
+    title: childText(firstChild(root, "Service"), "Title"),
+    url: trimQuery(getHref(findPath(getMap, "DCPType", "HTTP", "Get", "OnlineResource"))),
+    formats: formats(getMap),
+    infoFormats: formats(getFeatureInfo),
+    layers: childElements(capability, "Layer").flatMap((layer) =>
+      collectWMSLayers(layer, { styles: [], crs: [], bbox: null, queryable: false }, [])
+    ),
+  };
+};
+
+/**
+ * 解析WMTS瓦片矩阵集
+ * @description 按比例尺分母换算每个矩阵对应的Web墨卡托级别，得到按级别索引的矩阵ID，
+ * 便于Leaflet以 {z} 请求；经纬度矩阵集按顺序对应级别
+ * @param {Element} el - TileMatrixSet元素
+ * @returns {Object} { identifier, crs, matrixIds, webMercator, geographic }
+ */
+const parseTileMatrixSet = (el) => {
+  const crs = childText(el, "SupportedCRS");
+  const webMercator = isWebMercator(crs);
+  const matrixIds = [];
+  childElements(el, "TileMatrix").forEach((matrix, index) => {
+    const scale = parseFloat(childText(matrix, "ScaleDenominator"));
+    const zoom = webMercator ? Math.round(Math.log2(MERCATOR_SCALE_0 / scale)) : index;
+    if (zoom >= 0) matrixIds[zoom] = childText(matrix, "Identifier");
+  });
+  return {
+    identifier: childText(el, "Identifier"),
+    crs,
+    matrixIds: Array.from(matrixIds, (id) => id ?? null),
+    webMercator,
+    geographic: isGeographic(crs),
+  };
+};
+
+/**
+ * 解析WMTS能力文档
+ * @param {string} text - GetCapabilities响应
+ * @returns {Object} { service, title, url, layers, tileMatrixSets }
+ * 其中layers为 [{ identifier, title, formats, styles, tileMatrixSets, resourceUrls, bbox }]，
+ * url为KVP方式的GetTile地址（服务只支持RESTful时为空）
+ */
+export const parseWMTSCapabilities = (text) => {
+  const root = parseXML(text, "WMTS").documentElement;
+  const contents = firstChild(root, "Contents");
+  if (!contents) throw new Error("不是WMTS能力文档");
+
+  const getTile = childElements(findPath(root, "OperationsMetadata"), "Operation").find(
+    (operation) => operation.getAttribute("name") === "GetTile"
+  );
+  const kvp = childElements(findPath(getTile, "DCP", "HTTP"), "Get").find((get) => {
+    const values = Array.from(get.getElementsByTagNameNS("*", "Value")).map((v) => v.textContent.trim());
+    return !values.length || values.includes("KVP");
+  });
+
+  const layers = childElements(contents, "Layer").map((layer) => {
+    const lower = childText(firstChild(layer, "WGS84BoundingBox"), "LowerCorner").split(/\s+/);
+    const upper = childText(firstChild(layer, "WGS84BoundingBox"), "UpperCorner").split(/\s+/);
+    const bbox = [...lower, ...upper].map(parseFloat);
+    return {
+      identifier: childText(layer, "Identifier"),
+      title: childText(layer, "Title") || childText(layer, "Identifier"),
+      formats: childElements(layer, "Format").map((f) => f.textContent.trim()),
+      styles: childElements(layer, "Style").map((style) => ({
+        identifier: childText(style, "Identifier"),
+        title: childText(style, "Title") || childText(style, "Identifier"),
+        isDefault: style.getAttribute("isDefault") === "true",
+      })),
+      tileMatrixSets: childElements(layer, "TileMatrixSetLink").map((link) =>
+        childText(link, "TileMatrixSet")
+      ),
+      resourceUrls: childElements(layer, "ResourceURL")
+        .filter((resource) => resource.getAttribute("resourceType") === "tile")
+        .map((resource) => ({
+          format: resource.getAttribute("format"),
+          template: resource.getAttribute("template"),
+        })),
+      bbox: bbox.length === 4 && bbox.every(Number.isFinite) ? bbox : null,
+    };
+  });
+
+  return {
+    service: "WMTS",
+    title: childText(firstChild(root, "ServiceIdentification"), "Title"),
+    url: kvp ? trimQuery(getHref(kvp)) : "",
+    layers,
+    tileMatrixSets: childElements(contents, "TileMatrixSet").map(parseTileMatrixSet),
+  };
+};
+
+/**
+ * 请求并解析服务能力文档
+ * @param {string} url - 服务地址
+ * @param {string} service - WMS 或 WMTS
+ * @param {Object} [options] - 选项
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @returns {Promise<Object>} 解析结果，见 parseWMSCapabilities / parseWMTSCapabilities
+ */
+export const fetchCapabilities = async (url, service, { signal } = {}) => {
+  const response = await fetch(getCapabilitiesUrl(url, service), { signal });
+  if (!response.ok) throw new Error(`请求能力文档失败: ${response.status}`);
+  const text = await response.text();
+  return service === "WMTS" ? parseWMTSCapabilities(text) : parseWMSCapabilities(text);
+};
+
+/**
+ * 生成WMTS瓦片地址模板
+ * @description RESTful模板（含 {TileMatrix}）替换为 {tileMatrix}/{y}/{x}，
+ * KVP方式拼接GetTile参数；{tileMatrix} 由地图按级别查矩阵ID填入
+ * @param {Object} source - WMTS图层源 { url, layer, style, format, tileMatrixSet }
+ * @param {string} url - 已替换密钥的服务地址或RESTful模板
+ * @returns {string} 地址模板
+ */
+export const getWMTSTemplate = (source, url) => {
+  if (url.includes("{TileMatrix}")) {
+    return url
+      .replace(/\{Style\}/gi, encodeURIComponent(source.style || "default"))
+      .replace(/\{TileMatrixSet\}/gi, encodeURIComponent(source.tileMatrixSet))
+      .replace(/\{TileMatrix\}/gi, "{tileMatrix}")
+      .replace(/\{TileRow\}/gi, "{y}")
+      .replace(/\{TileCol\}/gi, "{x}");
+  }
+  const params = {
+    SERVICE: "WMTS",
+    REQUEST: "GetTile",
+    VERSION: "1.0.0",
+    LAYER: source.layer,
+    STYLE: source.style || "default",
+    TILEMATRIXSET: source.tileMatrixSet,
+    FORMAT: source.format || "image/png",
+  };
+  // 占位符不能经过URLSearchParams编码，单独拼接
+  return `${withParams(url, params)}&TILEMATRIX={tileMatrix}&TILEROW={y}&TILECOL={x}`;
+};
+
+/**
+ * 生成WMS GetMap地址
+ * @description 与二维地图的WMS瓦片请求参数一致，用于按瓦片下载离线缓存
+ * @param {Object} source - WMS图层源 { layers, styles, version, format, transparent }
+ * @param {string} url - 已替换密钥的服务地址
+ * @param {Array<number>} bbox - EPSG:3857范围 [minx, miny, maxx, maxy]
+ * @param {number} [size=256] - 图片宽高（像素）
+ * @returns {string} 请求地址
+ */
+export const getMapUrl = (source, url, bbox, size = 256) => {
+  const version = source.version || "1.3.0";
+  return withParams(url, {
+    SERVICE: "WMS",
+    REQUEST: "GetMap",
+    VERSION: version,
+    LAYERS: source.layers,
+    STYLES: source.styles || "",
+    FORMAT: source.format || "image/png",
+    TRANSPARENT: source.transparent ?? true,
+    [version.startsWith("1.3") ? "CRS" : "SRS"]: "EPSG:3857",
+    BBOX: bbox.join(","),
+    WIDTH: size,
+    HEIGHT: size,
+  });
+};
+
+/**
+ * 生成WMS GetFeatureInfo地址
+ * @description 1.3.0使用CRS与I/J，1.1.x使用SRS与X/Y；范围使用Web墨卡托坐标，不涉及轴顺序问题
+ * @param {Object} source - WMS图层源 { layers, styles, version, infoFormat }
+ * @param {string} url - 已替换密钥的服务地址
+ * @param {Object} view - 当前视图
+ * @param {Array<number>} view.bbox - EPSG:3857范围 [minx, miny, maxx, maxy]
+ * @param {number} view.width - 视图宽度（像素）
+ * @param {number} view.height - 视图高度（像素）
+ * @param {number} view.x - 点击位置X（像素）
+ * @param {number} view.y - 点击位置Y（像素）
+ * @param {number} [view.featureCount=10] - 最多返回要素数
+ * @returns {string} 请求地址
+ */
+export const getFeatureInfoUrl = (source, url, { bbox, width, height, x, y, featureCount = 10 }) => {
+  const version = source.version || "1.3.0";
+  const v13 = version.startsWith("1.3");
+  return withParams(url, {
+    SERVICE: "WMS",
+    REQUEST: "GetFeatureInfo",
+    VERSION: version,
+    LAYERS: source.layers,
+    QUERY_LAYERS: source.layers,
+    STYLES: source.styles || "",
+    [v13 ? "CRS" : "SRS"]: "EPSG:3857",
+    BBOX: bbox.join(","),
+    WIDTH: Math.round(width),
+    HEIGHT: Math.round(height),
+    [v13 ? "I" : "X"]: Math.round(x),
+    [v13 ? "J" : "Y"]: Math.round(y),
+    INFO_FORMAT: source.infoFormat || "application/json",
+    FEATURE_COUNT: featureCount,
+  });
+};
+
+/**
+ * 请求WMS要素信息
+ * @description JSON响应返回要素属性列表，纯文本响应原样返回
+ * @param {Object} source - WMS图层源
+ * @param {string} url - 已替换密钥的服务地址
+ * @param {Object} view - 当前视图，见 getFeatureInfoUrl
+ * @param {Object} [options] - 选项
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @returns {Promise<{features: Array<{id: string, properties: Object}>, text: string}>} 要素信息
+ */
+export const fetchFeatureInfo = async (source, url, view, { signal } = {}) => {
+  const response = await fetch(getFeatureInfoUrl(source, url, view), { signal });
+  if (!response.ok) throw new Error(`GetFeatureInfo请求失败: ${response.status}`);
+  const text = await response.text();
+  const contentType = response.headers.get("content-type") || "";
+  if (contentType.includes("json") || /^\s*\{/.test(text)) {
+    const { features = [] } = JSON.parse(text);
+    return {
+      features: features.map((feature) => ({
+        id: feature.id != null ? String(feature.id) : "",
+        properties: feature.properties || {},
+      })),
+      text: "",
+    };
+  }
+  if (contentType.includes("xml") && /ServiceException/.test(text)) {
+    throw new Error("WMS服务异常");
+  }
+  return { features: [], text: text.trim() };
+};
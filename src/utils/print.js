@@ -0,0 +1,608 @@
+/**
+ * @file print.js
+ * @description 地图打印与导出：按纸张尺寸、方向与分辨率排版图幅，在地图画面外绘制标题、图例、
+ * 比例尺、指北针、经纬网与版权信息，输出PNG图片或多页PDF（PDF由本模块直接写出，每页一幅JPEG）
+ * @module utils/print
+ */
+
+import featureStore from "./featureStore";
+
+/**
+ * 纸张尺寸（毫米，纵向的宽与高）
+ * @type {Array<{value: string, label: string, width: number, height: number}>}
+ */
+export const PAPER_SIZES = [
+  { value: "A4", label: "A4", width: 210, height: 297 },
+  { value: "A3", label: "A3", width: 297, height: 420 },
+  { value: "A2", label: "A2", width: 420, height: 594 },
+  { value: "Letter", label: "Letter", width: 215.9, height: 279.4 },
+];
+
+/** 可选的输出分辨率（DPI） */
+export const DPI_OPTIONS = [96, 150, 300];
+
+/** 屏幕CSS像素的物理尺寸按96DPI计算 */
+export const CSS_DPI = 96;
+
+const MM_PER_INCH = 25.4;
+
+/** 页边距（毫米） */
+const PAGE_MARGIN = 10;
+
+/** 标题栏高度（毫米） */
+const TITLE_HEIGHT = 14;
+
+/** 页脚（比例尺与版权信息）高度（毫米） */
+const FOOTER_HEIGHT = 16;
+
+/** 比例尺的最大长度（毫米） */
+const SCALE_BAR_MAX_LENGTH = 50;
+
+/** 图例最多列出的条目数，超出时以省略号结束 */
+const MAX_LEGEND_ENTRIES = 24;
+
+/** 经纬网间隔候选（度） */
+const GRID_INTERVALS = [0.0005, 0.001, 0.002, 0.005, 0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30];
+
+/**
+ * 毫米转换为屏幕CSS像素
+ * @param {number} mm - 毫米
+ * @returns {number} CSS像素
+ */
+export const mmToCssPixels = (mm) => (mm / MM_PER_INCH) * CSS_DPI;
+
+/**
+ * 计算图幅排版
+ * @description 单位均为毫米；地图框占据页边距内除标题栏与页脚外的区域
+ * @param {string} paper - 纸张，见 PAPER_SIZES
+ * @param {string} orientation - portrait（纵向）或 landscape（横向）
+ * @param {boolean} [hasTitle=true] - 是否留出标题栏
+ * @returns {{page: Object, title: Object|null, frame: Object, footer: Object}} 各区域 { x, y, width, height }
+ */
+export const getSheetLayout = (paper, orientation, hasTitle = true) => {
+  const size = PAPER_SIZES.find((item) => item.value === paper) || PAPER_SIZES[0];
+  const landscape = orientation === "landscape";
+  const page = {
+    x: 0,
+    y: 0,
+    width: landscape ? size.height : size.width,
+    height: landscape ? size.width : size.height,
+  };
+  const innerWidth = page.width - PAGE_MARGIN * 2;
+  const titleHeight = hasTitle ? TITLE_HEIGHT : 0;
+  const title = hasTitle ? { x: PAGE_MARGIN, y: PAGE_MARGIN, width: innerWidth, height: titleHeight } : null;
+  const frame = {
+    x: PAGE_MARGIN,
+    y: PAGE_MARGIN + titleHeight,
+    width: innerWidth,
+    height: page.height - PAGE_MARGIN * 2 - titleHeight - FOOTER_HEIGHT,
+  };
+  const footer = { x: PAGE_MARGIN, y: frame.y + frame.height, width: innerWidth, height: FOOTER_HEIGHT };
+  return { page, title, frame, footer };
+};
+
+/**
+ * 按几何类型归类
+ * @param {string} type - GeoJSON几何类型
+ * @returns {string} point、line或polygon
+ */
+const getSymbolKind = (type = "") => {
+  if (type.includes("Polygon")) return "polygon";
+  if (type.includes("LineString")) return "line";
+  return "point";
+};
+
+/**
+ * 获取图例条目
+ * @description 列出可见的数据图层：按图层样式与要素的几何类型绘制符号；
+ * 设置了专题图的图层改为列出专题图例
+ * @param {Object} [store=featureStore] - 要素仓库
+ * @returns {Array<Object>} 条目 { label, kind, style } 或专题图 { label, legend }
+ */
+export const getLegendEntries = (store = featureStore) =>
+  store.state.layers
+    .filter((layer) => layer.visible)
+    .flatMap((layer) => {
+      if (layer.thematic?.legend) return [{ label: layer.name, legend: layer.thematic.legend }];
+      const kinds = new Set(store.getFeatures(layer.id).map((feature) => getSymbolKind(feature.geometry?.type)));
+      if (!kinds.size) return [];
+      return [...kinds].map((kind) => ({
+        label: kinds.size > 1 ? `${layer.name}（${{ point: "点", line: "线", polygon: "面" }[kind]}）` : layer.name,
+        kind,
+        style: layer.style,
+      }));
+    });
+
+/**
+ * HTML版权信息转换为纯文本
+ * @param {string} html - 版权信息
+ * @returns {string} 文本
+ */
+const htmlToText = (html) => {
+  const element = document.createElement("div");
+  element.innerHTML = html;
+  return element.textContent.replace(/\s+/g, " ").trim();
+};
+
+/**
+ * 合并版权信息
+ * @description 去掉HTML标签后去重，以分号连接
+ * @param {Array<string>} attributions - 地图上各图层的版权信息（HTML）
+ * @returns {string} 版权信息
+ */
+export const getAttributionText = (attributions) =>
+  [...new Set(attributions.filter(Boolean).map(htmlToText).filter(Boolean))].join("；");
+
+/**
+ * 计算比例尺
+ * @param {number} metersPerPixel - 地图画面中心每CSS像素代表的米数
+ * @returns {{ratio: number, meters: number, length: number, label: string}|null}
+ * ratio为比例尺分母，length为比例尺线段长度（毫米），无法计算时返回null
+ */
+export const getScale = (metersPerPixel) => {
+  if (!Number.isFinite(metersPerPixel) || metersPerPixel <= 0) return null;
+  const metersPerMm = (metersPerPixel * CSS_DPI) / MM_PER_INCH;
+  const maxMeters = metersPerMm * SCALE_BAR_MAX_LENGTH;
+  const magnitude = 10 ** Math.floor(Math.log10(maxMeters));
+  const meters = [5, 2, 1].map((step) => step * magnitude).find((value) => value <= maxMeters);
+  return {
+    ratio: Math.round(metersPerMm * 1000),
+    meters,
+    length: meters / metersPerMm,
+    label: meters >= 1000 ? `${meters / 1000} km` : `${meters} m`,
+  };
+};
+
+/**
+ * 选择经纬网间隔
+ * @param {number} span - 经度或纬度跨度（度）
+ * @returns {number} 间隔（度），使网线约为3到8条
+ */
+export const getGridInterval = (span) =>
+  GRID_INTERVALS.find((interval) => span / interval <= 8) || GRID_INTERVALS[GRID_INTERVALS.length - 1];
+
+/**
+ * 格式化经纬度标注
+ * @param {number} value - 度
+ * @param {number} interval - 网线间隔，决定小数位数
+ * @param {boolean} isLatitude - 是否为纬度
+ * @returns {string} 如 120.05°E
+ */
+const formatDegree = (value, interval, isLatitude) => {
+  const digits = Math.max(0, Math.ceil(-Math.log10(interval) - 1e-9));
+  const hemisphere = isLatitude ? (value >= 0 ? "N" : "S") : value >= 0 ? "E" : "W";
+  return `${Math.abs(value).toFixed(digits)}°${value === 0 ? "" : hemisphere}`;
+};
+
+/**
+ * 按最大宽度折行
+ * @param {CanvasRenderingContext2D} context - 绘图上下文
+ * @param {string} text - 文本
+ * @param {number} maxWidth - 最大宽度
+ * @returns {Array<string>} 行
+ */
+const wrapText = (context, text, maxWidth) => {
+  const lines = [];
+  let line = "";
+  // 按字符折行，兼容没有空格的中文
+  [...text].forEach((char) => {
+    if (line && context.measureText(line + char).width > maxWidth) {
+      lines.push(line);
+      line = char.trimStart();
+    } else {
+      line += char;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+};
+
+/**
+ * 绘制图例符号
+ * @param {CanvasRenderingContext2D} context - 绘图上下文（毫米坐标）
+ * @param {Object} entry - 图例条目或专题图例项
+ * @param {number} x - 符号左上角
+ * @param {number} y - 符号左上角
+ * @param {number} size - 符号边长
+ * @returns {void}
+ */
+const drawSymbol = (context, entry, x, y, size) => {
+  const style = entry.style || {};
+  const stroke = style.color || entry.color;
+  const fill = style.fillColor || entry.color;
+  context.save();
+  context.lineWidth = 0.3;
+  if (entry.kind === "line") {
+    context.strokeStyle = stroke;
+    context.globalAlpha = style.opacity ?? 1;
+    context.lineWidth = Math.min(1.2, Math.max(0.3, (style.weight || 3) * 0.2));
+    context.beginPath();
+    context.moveTo(x, y + size * 0.75);
+    context.lineTo(x + size * 0.4, y + size * 0.25);
+    context.lineTo(x + size, y + size * 0.6);
+    context.stroke();
+  } else if (entry.kind === "polygon" || (!entry.kind && !entry.radius && entry.type !== "categorical")) {
+    context.fillStyle = fill;
+    context.globalAlpha = entry.kind ? Math.max(style.fillOpacity ?? 0.2, 0.2) : 1;
+    context.fillRect(x, y, size, size);
+    context.globalAlpha = 1;
+    if (entry.kind) {
+      context.strokeStyle = stroke;
+      context.strokeRect(x, y, size, size);
+    }
+  } else {
+    const radius = entry.radius ? Math.min(size / 2, entry.radius * 0.15) : size * 0.35;
+    context.beginPath();
+    context.arc(x + size / 2, y + size / 2, radius, 0, Math.PI * 2);
+    context.fillStyle = fill;
+    context.globalAlpha = entry.kind ? Math.max(style.fillOpacity ?? 0.2, 0.5) : 1;
+    context.fill();
+    context.globalAlpha = 1;
+    context.strokeStyle = entry.kind ? stroke : "#fff";
+    context.stroke();
+  }
+  context.restore();
+};
+
+/**
+ * 绘制图例
+ * @description 白底框贴在地图框左下角，条目过多时截断
+ * @param {CanvasRenderingContext2D} context - 绘图上下文（毫米坐标）
+ * @param {Array<Object>} entries - 图例条目，见 getLegendEntries
+ * @param {Object} frame - 地图框
+ * @returns {void}
+ */
+const drawLegend = (context, entries, frame) => {
+  const rows = [];
+  entries.forEach((entry) => {
+    if (!entry.legend) {
+      rows.push({ symbol: entry, label: entry.label });
+      return;
+    }
+    const { legend } = entry;
+    rows.push({ label: legend.title ? `${entry.label} · ${legend.title}` : entry.label, heading: true });
+    if (legend.gradient) rows.push({ gradient: legend.gradient, items: legend.items });
+    else legend.items.forEach((item) => rows.push({ symbol: { ...item, type: legend.type }, label: item.label }));
+  });
+  if (!rows.length) return;
+
+  const lineHeight = 4.5;
+  const padding = 2.5;
+  const maxRows = Math.max(1, Math.min(MAX_LEGEND_ENTRIES, Math.floor((frame.height * 0.6 - 10) / lineHeight)));
+  const shown = rows.length > maxRows ? [...rows.slice(0, maxRows - 1), { label: "……" }] : rows;
+
+  context.font = "3px sans-serif";
+  const textWidth = Math.max(16, ...shown.map((row) => context.measureText(row.label || "").width));
+  const width = Math.min(frame.width * 0.45, padding * 2 + 5 + textWidth);
+  const height = padding * 2 + 5 + shown.length * lineHeight;
+  const x = frame.x + 3;
+  const y = frame.y + frame.height - height - 3;
+
+  context.save();
+  context.fillStyle = "rgba(255, 255, 255, 0.9)";
+  context.strokeStyle = "#666";
+  context.lineWidth = 0.2;
+  context.fillRect(x, y, width, height);
+  context.strokeRect(x, y, width, height);
+  context.beginPath();
+  context.rect(x, y, width, height);
+  context.clip();
+
+  context.fillStyle = "#000";
+  context.textBaseline = "middle";
+  context.font = "bold 3.5px sans-serif";
+  context.fillText("图例", x + padding, y + padding + 2);
+  shown.forEach((row, i) => {
+    const rowY = y + padding + 5 + i * lineHeight;
+    context.font = row.heading ? "bold 3px sans-serif" : "3px sans-serif";
+    context.fillStyle = "#000";
+    if (row.gradient) {
+      const gradient = context.createLinearGradient(x + padding, 0, x + width - padding, 0);
+      Object.entries(row.gradient).forEach(([stop, color]) => gradient.addColorStop(Number(stop), color));
+      context.fillStyle = gradient;
+      context.fillRect(x + padding, rowY + 0.5, width - padding * 2, 2);
+      return;
+    }
+    const textX = row.symbol ? x + padding + 5 : x + padding;
+    if (row.symbol) drawSymbol(context, row.symbol, x + padding, rowY + 0.5, 3.5);
+    context.fillText(row.label, textX, rowY + 2.25);
+  });
+  context.restore();
+};
+
+/**
+ * 绘制比例尺
+ * @param {CanvasRenderingContext2D} context - 绘图上下文（毫米坐标）
+ * @param {Object} scale - 比例尺，见 getScale
+ * @param {number} x - 左端
+ * @param {number} y - 线段顶部
+ * @param {boolean} approximate - 比例是否为近似值（三维透视视图）
+ * @returns {void}
+ */
+const drawScaleBar = (context, scale, x, y, approximate) => {
+  const segments = 4;
+  const segment = scale.length / segments;
+  context.save();
+  context.lineWidth = 0.2;
+  context.strokeStyle = "#000";
+  for (let i = 0; i < segments; i += 1) {
+    context.fillStyle = i % 2 ? "#fff" : "#000";
+    context.fillRect(x + i * segment, y, segment, 1.5);
+  }
+  context.strokeRect(x, y, scale.length, 1.5);
+  context.fillStyle = "#000";
+  context.font = "2.5px sans-serif";
+  context.textBaseline = "top";
+  context.textAlign = "left";
+  context.fillText("0", x - 0.6, y + 2);
+  context.textAlign = "right";
+  context.fillText(scale.label, x + scale.length + 1, y + 2);
+  context.textAlign = "left";
+  context.font = "3px sans-serif";
+  context.fillText(
+    `${approximate ? "约 " : ""}1:${scale.ratio.toLocaleString("en-US")}${approximate ? "（视野中心）" : ""}`,
+    x,
+    y + 6
+  );
+  context.restore();
+};
+
+/**
+ * 绘制指北针
+ * @param {CanvasRenderingContext2D} context - 绘图上下文（毫米坐标）
+ * @param {number} x - 中心
+ * @param {number} y - 中心
+ * @param {number} heading - 地图方位角（度，顺时针），指北针反向旋转
+ * @returns {void}
+ */
+const drawNorthArrow = (context, x, y, heading = 0) => {
+  const size = 6;
+  context.save();
+  context.translate(x, y);
+  context.fillStyle = "rgba(255, 255, 255, 0.85)";
+  context.beginPath();
+  context.arc(0, 0, size + 1.5, 0, Math.PI * 2);
+  context.fill();
+  context.rotate((-heading * Math.PI) / 180);
+  context.lineWidth = 0.25;
+  context.strokeStyle = "#000";
+  [
+    ["#000", -1],
+    ["#fff", 1],
+  ].forEach(([color, side]) => {
+    context.beginPath();
+    context.moveTo(0, -size);
+    context.lineTo(side * size * 0.4, size * 0.6);
+    context.lineTo(0, size * 0.25);
+    context.closePath();
+    context.fillStyle = color;
+    context.fill();
+    context.stroke();
+  });
+  context.fillStyle = "#000";
+  context.font = "bold 3px sans-serif";
+  context.textAlign = "center";
+  context.textBaseline = "bottom";
+  context.fillText("N", 0, -size - 0.2);
+  context.restore();
+};
+
+/**
+ * 绘制经纬网
+ * @param {CanvasRenderingContext2D} context - 绘图上下文（毫米坐标）
+ * @param {Object} grid - 网格投影 { toPixel(lng, lat) -> [x, y] 地图CSS像素, bounds: [west, south, east, north] }
+ * @param {Object} frame - 地图框
+ * @returns {void}
+ */
+const drawGrid = (context, grid, frame) => {
+  const [west, south, east, north] = grid.bounds;
+  const interval = getGridInterval(Math.max(east - west, north - south));
+  const scale = MM_PER_INCH / CSS_DPI;
+  const toFrame = (lng, lat) => {
+    const [px, py] = grid.toPixel(lng, lat);
+    return [frame.x + px * scale, frame.y + py * scale];
+  };
+  const steps = 24;
+
+  context.save();
+  context.beginPath();
+  context.rect(frame.x, frame.y, frame.width, frame.height);
+  context.clip();
+  context.strokeStyle = "rgba(0, 0, 0, 0.45)";
+  context.lineWidth = 0.15;
+  context.setLineDash([1, 0.8]);
+  context.font = "2.2px sans-serif";
+  context.fillStyle = "#000";
+
+  // 经线与纬线在投影中可能弯曲，按分段折线绘制
+  for (let lng = Math.ceil(west / interval) * interval; lng <= east; lng += interval) {
+    context.beginPath();
+    for (let i = 0; i <= steps; i += 1) {
+      const [x, y] = toFrame(lng, south + ((north - south) * i) / steps);
+      if (i) context.lineTo(x, y);
+      else context.moveTo(x, y);
+    }
+    context.stroke();
+    const [labelX] = toFrame(lng, south);
+    context.textAlign = "center";
+    context.textBaseline = "top";
+    context.fillText(formatDegree(lng, interval, false), labelX, frame.y + 0.5);
+  }
+  for (let lat = Math.ceil(south / interval) * interval; lat <= north; lat += interval) {
+    context.beginPath();
+    for (let i = 0; i <= steps; i += 1) {
+      const [x, y] = toFrame(west + ((east - west) * i) / steps, lat);
+      if (i) context.lineTo(x, y);
+      else context.moveTo(x, y);
+    }
+    context.stroke();
+    const [, labelY] = toFrame(west, lat);
+    context.textAlign = "left";
+    context.textBaseline = "bottom";
+    context.fillText(formatDegree(lat, interval, true), frame.x + 0.5, labelY - 0.3);
+  }
+  context.restore();
+};
+
+/**
+ * 绘制图幅
+ * @param {Object} options - 选项
+ * @param {HTMLCanvasElement} options.mapCanvas - 地图画面，尺寸为地图框按DPI换算的像素
+ * @param {Object} options.layout - 排版，见 getSheetLayout
+ * @param {number} options.dpi - 分辨率
+ * @param {string} [options.title] - 标题
+ * @param {string} [options.pageLabel] - 页码标注，如 第 1 / 4 页
+ * @param {Array<Object>} [options.legend] - 图例条目，见 getLegendEntries，缺省时不绘制
+ * @param {Object} [options.scale] - 比例尺，见 getScale，缺省时不绘制
+ * @param {boolean} [options.approximateScale=false] - 比例是否为近似值
+ * @param {number} [options.north] - 地图方位角（度），缺省时不绘制指北针
+ * @param {Object} [options.grid] - 经纬网投影，见 drawGrid，缺省时不绘制
+ * @param {string} [options.attribution] - 版权信息
+ * @returns {HTMLCanvasElement} 整页画布
+ */
+export const renderSheet = ({
+  mapCanvas,
+  layout,
+  dpi,
+  title,
+  pageLabel,
+  legend,
+  scale,
+  approximateScale = false,
+  north,
+  grid,
+  attribution,
+}) => {
+  const { page, frame, footer } = layout;
+  const pixelsPerMm = dpi / MM_PER_INCH;
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(page.width * pixelsPerMm);
+  canvas.height = Math.round(page.height * pixelsPerMm);
+  const context = canvas.getContext("2d");
+  context.fillStyle = "#fff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  // 以下均以毫米为单位绘制
+  context.scale(pixelsPerMm, pixelsPerMm);
+
+  context.drawImage(mapCanvas, frame.x, frame.y, frame.width, frame.height);
+  if (grid) drawGrid(context, grid, frame);
+  if (legend?.length) drawLegend(context, legend, frame);
+  if (Number.isFinite(north)) drawNorthArrow(context, frame.x + frame.width - 10, frame.y + 11, north);
+  context.strokeStyle = "#000";
+  context.lineWidth = 0.35;
+  context.strokeRect(frame.x, frame.y, frame.width, frame.height);
+
+  if (layout.title) {
+    context.fillStyle = "#000";
+    context.textBaseline = "middle";
+    const centerY = layout.title.y + layout.title.height / 2 - 1;
+    if (title) {
+      context.font = "bold 6px sans-serif";
+      context.textAlign = "center";
+      context.fillText(title, page.width / 2, centerY, layout.title.width * 0.7);
+    }
+    if (pageLabel) {
+      context.font = "3px sans-serif";
+      context.textAlign = "right";
+      context.fillText(pageLabel, layout.title.x + layout.title.width, centerY);
+    }
+  }
+
+  if (scale) drawScaleBar(context, scale, footer.x, footer.y + 3, approximateScale);
+
+  context.fillStyle = "#555";
+  context.font = "2.5px sans-serif";
+  context.textAlign = "right";
+  context.textBaseline = "top";
+  const maxWidth = footer.width * 0.55;
+  const lines = [
+    ...(attribution ? wrapText(context, `数据来源：${attribution}`, maxWidth).slice(0, 3) : []),
+    `制图日期：${new Date().toISOString().slice(0, 10)}`,
+  ];
+  lines.forEach((line, i) => context.fillText(line, footer.x + footer.width, footer.y + 3 + i * 3.2));
+  return canvas;
+};
+
+/**
+ * 画布编码为字节
+ * @param {HTMLCanvasElement} canvas - 画布
+ * @param {string} type - 图片MIME类型
+ * @param {number} [quality] - JPEG质量 0~1
+ * @returns {Promise<Uint8Array>} 编码后的字节
+ */
+export const canvasToBytes = (canvas, type, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) {
+          reject(new Error("图片编码失败，画布可能过大，请降低分辨率或纸张尺寸"));
+          return;
+        }
+        blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject);
+      },
+      type,
+      quality
+    );
+  });
+
+/**
+ * 生成PDF
+ * @description 每页铺满一幅JPEG（DCTDecode）图片
+ * @param {Array<{jpeg: Uint8Array, width: number, height: number}>} pages - 页面图片及其像素尺寸
+ * @param {{width: number, height: number}} pageSize - 页面尺寸（毫米）
+ * @returns {Blob} PDF文件
+ */
+export const createPdf = (pages, pageSize) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const write = (data) => {
+    const bytes = typeof data === "string" ? encoder.encode(data) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const writeObject = (id, dictionary, stream) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n${dictionary}\n`);
+    if (stream) {
+      write("stream\n");
+      write(stream);
+      write("\nendstream\n");
+    }
+    write("endobj\n");
+  };
+
+  const toPoints = (mm) => ((mm / MM_PER_INCH) * 72).toFixed(2);
+  const width = toPoints(pageSize.width);
+  const height = toPoints(pageSize.height);
+  // 对象编号：1目录，2页面树，之后每页依次为页面、内容流与图片
+  const pageIds = pages.map((_, i) => 3 + i * 3);
+
+  write("%PDF-1.4\n%âãÏÓ\n");
+  writeObject(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  writeObject(2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+  pages.forEach((page, i) => {
+    const pageId = pageIds[i];
+    const content = encoder.encode(`q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`);
+    writeObject(
+      pageId,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+        `/Resources << /XObject << /Im0 ${pageId + 2} 0 R >> >> /Contents ${pageId + 1} 0 R >>`
+    );
+    writeObject(pageId + 1, `<< /Length ${content.length} >>`, content);
+    writeObject(
+      pageId + 2,
+      `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`,
+      page.jpeg
+    );
+  });
+
+  const xrefOffset = length;
+  const count = offsets.length;
+  write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let id = 1; id < count; id += 1) write(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+  write(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+  return new Blob(chunks, { type: "application/pdf" });
+};
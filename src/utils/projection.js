@@ -0,0 +1,171 @@
+/**
+ * @file projection.js
+ * @description 坐标参考系定义与投影转换，基于proj4，支持.prj(WKT)、EPSG代码、CGCS2000高斯-克吕格分带，
+ * 以及GCJ-02/BD-09偏移坐标系
+ * @module utils/projection
+ */
+
+import proj4 from "proj4";
+import { mapPositions } from "./geojson";
+import {
+  OFFSET_CRS,
+  isOffsetCrs,
+  createOffsetTransformer,
+} from "./coordTransform";
+
+/**
+ * 地图统一使用的地理坐标系
+ * @type {string}
+ */
+export const WGS84 = "EPSG:4326";
+
+/**
+ * 国测局坐标系（高德、腾讯地图）
+ * @type {string}
+ */
+export const GCJ02 = OFFSET_CRS.GCJ02;
+
+/**
+ * 百度坐标系
+ * @type {string}
+ */
+export const BD09 = OFFSET_CRS.BD09;
+
+// CGCS2000地理坐标系（与WGS84差异在厘米级）
+proj4.defs("EPSG:4490", "+proj=longlat +ellps=GRS80 +no_defs +type=crs");
+
+/**
+ * 生成CGCS2000高斯-克吕格投影定义
+ * @param {number} centralMeridian - 中央经线
+ * @param {number} falseEasting - 东偏移（米）
+ * @returns {string} proj4定义字符串
+ */
+const gaussKrugerDef = (centralMeridian, falseEasting) =>
+  `+proj=tmerc +lat_0=0 +lon_0=${centralMeridian} +k=1 +x_0=${falseEasting} +y_0=0 +ellps=GRS80 +units=m +no_defs +type=crs`;
+
+/**
+ * 注册CGCS2000高斯-克吕格分带投影
+ * @description 3度带25~45带：EPSG:4513~4533（带号前缀），EPSG:4534~4554（不带前缀）；
+ * 6度带13~23带：EPSG:4491~4501（带号前缀），EPSG:4502~4512（不带前缀）
+ */
+const registerGaussKrugerZones = () => {
+  for (let zone = 25; zone <= 45; zone++) {
+    const cm = zone * 3;
+    proj4.defs(`EPSG:${4513 + zone - 25}`, gaussKrugerDef(cm, zone * 1e6 + 500000));
+    proj4.defs(`EPSG:${4534 + zone - 25}`, gaussKrugerDef(cm, 500000));
+  }
+  for (let zone = 13; zone <= 23; zone++) {
+    const cm = zone * 6 - 3;
+    proj4.defs(`EPSG:${4491 + zone - 13}`, gaussKrugerDef(cm, zone * 1e6 + 500000));
+    proj4.defs(`EPSG:${4502 + zone - 13}`, gaussKrugerDef(cm, 500000));
+  }
+};
+registerGaussKrugerZones();
+
+/**
+ * 常用坐标系选项
+ * @description 供导入/导出界面选择，高斯-克吕格分带可直接输入EPSG代码
+ * @type {Array<{code: string, name: string}>}
+ */
+export const CRS_OPTIONS = [
+  { code: WGS84, name: "WGS84 经纬度" },
+  { code: GCJ02, name: "GCJ-02 经纬度（高德/腾讯）" },
+  { code: BD09, name: "BD-09 经纬度（百度）" },
+  { code: "EPSG:4490", name: "CGCS2000 经纬度" },
+  { code: "EPSG:3857", name: "Web墨卡托" },
+  { code: "EPSG:4549", name: "CGCS2000 3度带 中央经线120°E（无带号）" },
+  { code: "EPSG:4528", name: "CGCS2000 3度带 第40带（带号）" },
+  { code: "EPSG:4499", name: "CGCS2000 6度带 第21带（带号）" },
+];
+
+/**
+ * 判断坐标系是否已知
+ * @param {string} crs - EPSG代码、proj4字符串或WKT
+ * @returns {boolean} 是否可用于转换
+ */
+export const isKnownCrs = (crs) => {
+  if (isOffsetCrs(crs)) return true;
+  try {
+    return Boolean(crs && proj4.Proj(crs));
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * 创建坐标转换函数
+ * @description GCJ-02/BD-09先与WGS84互转，再由proj4完成其余投影变换
+ * @param {string} fromCrs - 源坐标系（EPSG代码、proj4字符串、WKT或GCJ02/BD09）
+ * @param {string} [toCrs=WGS84] - 目标坐标系
+ * @returns {Function} 转换函数，参数与返回值均为[x, y, z?]，Z值原样保留
+ */
+export const createTransformer = (fromCrs, toCrs = WGS84) => {
+  if (!fromCrs || fromCrs === toCrs) return (position) => position;
+
+  const steps = [];
+  let source = fromCrs;
+  if (isOffsetCrs(source)) {
+    steps.push(createOffsetTransformer(source, OFFSET_CRS.WGS84));
+    source = WGS84;
+  }
+  const target = isOffsetCrs(toCrs) ? WGS84 : toCrs;
+  if (source !== target) {
+    const converter = proj4(source, target);
+    steps.push(([x, y, ...rest]) => [...converter.forward([x, y]), ...rest]);
+  }
+  if (isOffsetCrs(toCrs)) {
+    steps.push(createOffsetTransformer(OFFSET_CRS.WGS84, toCrs));
+  }
+
+  return (position) => steps.reduce((result, step) => step(result), position);
+};
+
+/**
+ * 判断坐标系是否为投影坐标系（单位为米）
+ * @param {string} crs - 坐标系
+ * @returns {boolean} 是否为投影坐标系
+ */
+export const isProjectedCrs = (crs) => {
+  if (isOffsetCrs(crs)) return false;
+  try {
+    return proj4.Proj(crs).projName !== "longlat";
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * 获取经度所在的CGCS2000高斯-克吕格分带
+ * @param {number} lng - 经度
+ * @param {3|6} [zoneWidth=3] - 分带宽度（度）
+ * @param {boolean} [withZonePrefix=true] - 东坐标是否带带号
+ * @returns {string|null} EPSG代码，超出国内分带范围时返回null
+ */
+export const getGaussKrugerCrs = (lng, zoneWidth = 3, withZonePrefix = true) => {
+  if (zoneWidth === 6) {
+    const zone = Math.floor(lng / 6) + 1;
+    if (zone < 13 || zone > 23) return null;
+    return `EPSG:${(withZonePrefix ? 4491 : 4502) + zone - 13}`;
+  }
+  const zone = Math.round(lng / 3);
+  if (zone < 25 || zone > 45) return null;
+  return `EPSG:${(withZonePrefix ? 4513 : 4534) + zone - 25}`;
+};
+
+/**
+ * 重投影几何
+ * @param {Object} geometry - GeoJSON几何
+ * @param {string} fromCrs - 源坐标系
+ * @param {string} [toCrs=WGS84] - 目标坐标系
+ * @returns {Object} 转换后的几何
+ */
+export const reprojectGeometry = (geometry, fromCrs, toCrs = WGS84) =>
+  mapPositions(geometry, createTransformer(fromCrs, toCrs));
+
+/**
+ * 判断坐标是否落在经纬度范围内
+ * @param {Array<number>} position - [x, y]
+ * @returns {boolean} 是否为合法经纬度
+ */
+export const isLngLat = ([x, y]) =>
+  Math.abs(x) <= 180 && Math.abs(y) <= 90;
@@ -0,0 +1,256 @@
+/**
+ * @file selection.js
+ * @description 要素空间选择：按绘制的图形或套索范围选择要素仓库中的要素，
+ * 支持新建、添加、移除三种方式，并汇总所选要素的数量、数值字段与分类统计
+ * @module utils/selection
+ */
+
+import { reactive } from "vue";
+import featureStore, { DRAWN_LAYER_ID } from "./featureStore";
+import { circleToPolygon } from "./geojson";
+import { matchesArea } from "./spatial";
+
+/**
+ * 选择方式
+ * @description new替换当前选择，add并入当前选择，subtract从当前选择中移除
+ * @type {Array<{value: string, label: string}>}
+ */
+export const SELECTION_MODES = [
+  { value: "new", label: "新建" },
+  { value: "add", label: "添加" },
+  { value: "subtract", label: "移除" },
+];
+
+/** 分类统计中单个字段最多列出的取值数，其余合并为"其他" */
+const MAX_CATEGORY_VALUES = 8;
+
+/** 不同取值超过该数量的文本字段视为非分类字段（如名称、地址） */
+const MAX_CATEGORY_DISTINCT = 50;
+
+/**
+ * 获取要素参与空间计算的几何
+ * @description 圆形以圆心点加meta.radius保存，转换为多边形
+ * @param {Object} feature - 仓库要素
+ * @returns {Object} GeoJSON几何
+ */
+export const getFeatureGeometry = (feature) =>
+  feature.meta?.shape === "circle"
+    ? circleToPolygon(feature.geometry.coordinates, feature.meta.radius)
+    : feature.geometry;
+
+/**
+ * 将属性值转换为数值
+ * @param {*} value - 属性值
+ * @returns {number|null} 数值，无法转换时返回null
+ */
+const toNumber = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string" || !value.trim()) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * 汇总要素属性
+ * @description 所有非空取值均为数值的字段统计合计、平均、最小、最大值；
+ * 其余取值种类不多的字段按取值计数，取值较多时只列出前几项
+ * @param {Array<Object>} features - 仓库要素
+ * @returns {{count: number, layers: Array<Object>, numeric: Array<Object>, categories: Array<Object>}}
+ * 要素数、按图层计数 { id, name, count }、
+ * 数值字段 { field, count, sum, average, min, max }、
+ * 分类字段 { field, values: [{ value, count }], others }
+ */
+export const summarizeFeatures = (features) => {
+  const layerCounts = new Map();
+  /** @type {Map<string, Array<*>>} 字段 -> 非空取值 */
+  const fieldValues = new Map();
+
+  features.forEach((feature) => {
+    layerCounts.set(feature.layerId, (layerCounts.get(feature.layerId) || 0) + 1);
+    Object.entries(feature.properties || {}).forEach(([field, value]) => {
+      if (value === null || value === undefined || value === "") return;
+      if (typeof value === "object") return;
+      if (!fieldValues.has(field)) fieldValues.set(field, []);
+      fieldValues.get(field).push(value);
+    });
+  });
+
+  const numeric = [];
+  const categories = [];
+  fieldValues.forEach((values, field) => {
+    const numbers = values.map(toNumber);
+    if (numbers.every((number) => number !== null)) {
+      // 逐个累计，选中要素很多时展开为参数会超出调用栈限制
+      let sum = 0;
+      let min = Infinity;
+      let max = -Infinity;
+      numbers.forEach((number) => {
+        sum += number;
+        if (number < min) min = number;
+        if (number > max) max = number;
+      });
+      numeric.push({
+        field,
+        count: numbers.length,
+        sum,
+        average: sum / numbers.length,
+        min,
+        max,
+      });
+      return;
+    }
+
+    const counts = new Map();
+    values.forEach((value) => counts.set(String(value), (counts.get(String(value)) || 0) + 1));
+    if (counts.size > MAX_CATEGORY_DISTINCT) return;
+    const sorted = [...counts]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count);
+    categories.push({
+      field,
+      values: sorted.slice(0, MAX_CATEGORY_VALUES),
+      others: sorted
+        .slice(MAX_CATEGORY_VALUES)
+        .reduce((total, item) => total + item.count, 0),
+    });
+  });
+
+  return {
+    count: features.length,
+    layers: [...layerCounts].map(([id, count]) => ({
+      id,
+      name: featureStore.getLayer(id)?.name || id,
+      count,
+    })),
+    numeric,
+    categories,
+  };
+};
+
+/**
+ * 创建要素选择集
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.store=featureStore] - 要素仓库
+ * @returns {Object} 选择集实例
+ */
+export const createSelection = ({ store = featureStore } = {}) => {
+  /** 响应式状态：所选要素数与版本号（选择或所选要素变化时递增） */
+  const state = reactive({
+    count: 0,
+    version: 0,
+  });
+
+  /** @type {Set<string>} 所选要素ID */
+  const selectedIds = new Set();
+
+  const changed = () => {
+    state.count = selectedIds.size;
+    state.version++;
+  };
+
+  /**
+   * 按方式合并要素ID
+   * @param {Array<string>} featureIds - 要素ID数组
+   * @param {string} [mode="new"] - 选择方式，见 SELECTION_MODES
+   * @returns {void}
+   */
+  const select = (featureIds, mode = "new") => {
+    if (mode === "new") selectedIds.clear();
+    featureIds.forEach((id) => {
+      if (mode === "subtract") selectedIds.delete(id);
+      else selectedIds.add(id);
+    });
+    changed();
+  };
+
+  /**
+   * 获取参与选择的图层
+   * @description 默认为除绘制图形外的全部可见图层
+   * @param {Array<string>} [layerIds] - 指定的图层ID
+   * @returns {Array<string>} 图层ID数组
+   */
+  const getSelectableLayerIds = (layerIds) =>
+    layerIds ||
+    store.state.layers
+      .filter((layer) => layer.visible && layer.id !== DRAWN_LAYER_ID)
+      .map((layer) => layer.id);
+
+  /**
+   * 按面状范围选择要素
+   * @param {Object} area - WGS84坐标的Polygon或MultiPolygon
+   * @param {Object} [options] - 选项
+   * @param {string} [options.mode="new"] - 选择方式，见 SELECTION_MODES
+   * @param {string} [options.relation="intersects"] - intersects（相交或包含）或within（完全在范围内）
+   * @param {Array<string>} [options.layerIds] - 参与选择的图层，默认为除绘制图形外的全部可见图层
+   * @returns {Array<Object>} 范围内的要素
+   */
+  const selectByArea = (area, { mode = "new", relation = "intersects", layerIds } = {}) => {
+    const matched = getSelectableLayerIds(layerIds)
+      .flatMap((layerId) => store.getFeatures(layerId))
+      .filter((feature) => matchesArea(getFeatureGeometry(feature), area, relation));
+    select(
+      matched.map((feature) => feature.id),
+      mode
+    );
+    return matched;
+  };
+
+  /**
+   * 清空选择
+   * @returns {void}
+   */
+  const clear = () => {
+    if (!selectedIds.size) return;
+    selectedIds.clear();
+    changed();
+  };
+
+  /**
+   * 判断要素是否被选中
+   * @param {string} featureId - 要素ID
+   * @returns {boolean} 是否被选中
+   */
+  const has = (featureId) => selectedIds.has(featureId);
+
+  /**
+   * 获取所选要素
+   * @returns {Array<Object>} 仓库要素
+   */
+  const getFeatures = () =>
+    [...selectedIds].map((id) => store.getFeature(id)).filter(Boolean);
+
+  /**
+   * 汇总所选要素
+   * @returns {Object} 见 summarizeFeatures
+   */
+  const getSummary = () => summarizeFeatures(getFeatures());
+
+  // 要素被移除时同步移出选择，所选要素更新时通知界面重绘高亮
+  store.subscribe(({ type, features = [] }) => {
+    if (type === "feature:remove" || type === "layer:remove") {
+      const before = selectedIds.size;
+      features.forEach((feature) => selectedIds.delete(feature.id));
+      if (selectedIds.size !== before) changed();
+    } else if (type === "feature:update") {
+      if (features.some((feature) => selectedIds.has(feature.id))) changed();
+    }
+  });
+
+  return {
+    state,
+    select,
+    selectByArea,
+    clear,
+    has,
+    getFeatures,
+    getSummary,
+  };
+};
+
+/**
+ * 全局共享的要素选择集
+ * @description 二维地图的空间选择写入此实例，数据导出可导出所选要素
+ */
+export const selection = createSelection();
+
+export default selection;
@@ -0,0 +1,403 @@
+/**
+ * @file shapefile.js
+ * @description ESRI Shapefile压缩包解析（.shp/.dbf/.prj/.cpg），按.prj重投影到WGS84
+ * @module utils/shapefile
+ */
+
+import JSZip from "jszip";
+import { reprojectGeometry, isKnownCrs, isLngLat, WGS84 } from "./projection";
+import { eachPosition } from "./geojson";
+import { SKIP_CODES } from "./importReport";
+
+/** Shapefile几何类型编码 */
+const SHAPE_TYPES = {
+  0: "Null",
+  1: "Point",
+  3: "PolyLine",
+  5: "Polygon",
+  8: "MultiPoint",
+  11: "PointZ",
+  13: "PolyLineZ",
+  15: "PolygonZ",
+  18: "MultiPointZ",
+  21: "PointM",
+  23: "PolyLineM",
+  25: "PolygonM",
+  28: "MultiPointM",
+  31: "MultiPatch",
+};
+
+/**
+ * .cpg代码页与DBF语言驱动ID到TextDecoder编码名的映射
+ */
+const CODE_PAGES = {
+  "utf-8": "utf-8",
+  utf8: "utf-8",
+  65001: "utf-8",
+  gbk: "gbk",
+  936: "gbk",
+  cp936: "gbk",
+  gb2312: "gbk",
+  gb18030: "gb18030",
+  big5: "big5",
+  950: "big5",
+  "iso-8859-1": "iso-8859-1",
+  88591: "iso-8859-1",
+  1252: "windows-1252",
+};
+const LANGUAGE_DRIVERS = {
+  0x4d: "gbk", // 936 简体中文
+  0x7a: "gbk", // PRC GBK
+  0x4f: "big5", // 950 繁体中文
+  0x57: null, // ANSI，需依赖.cpg
+};
+
+/**
+ * 确定DBF文本编码
+ * @param {string|undefined} cpg - .cpg文件内容
+ * @param {number} languageDriver - DBF头中的语言驱动ID
+ * @returns {string|null} 编码名，无法确定时返回null
+ */
+const resolveEncoding = (cpg, languageDriver) => {
+  const label = cpg?.trim().toLowerCase();
+  if (label) {
+    if (CODE_PAGES[label]) return CODE_PAGES[label];
+    try {
+      return new TextDecoder(label).encoding;
+    } catch {
+      // 未知代码页，继续按语言驱动判断
+    }
+  }
+  return LANGUAGE_DRIVERS[languageDriver] || null;
+};
+
+/**
+ * 计算环的有向面积（正值为顺时针）
+ * @param {Array<Array<number>>} ring - 坐标环
+ * @returns {number} 有向面积
+ */
+const ringArea = (ring) => {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += (ring[i][0] - ring[j][0]) * (ring[i][1] + ring[j][1]);
+  }
+  return sum / 2;
+};
+
+/**
+ * 判断点是否在环内（射线法）
+ * @param {Array<number>} point - [x, y]
+ * @param {Array<Array<number>>} ring - 坐标环
+ * @returns {boolean} 是否在环内
+ */
+const pointInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * 将Shapefile面的环组装为GeoJSON多边形
+ * @description Shapefile外环顺时针、内环逆时针；输出按GeoJSON右手法则反转方向
+ * @param {Array<Array<Array<number>>>} rings - 环数组
+ * @returns {Object} Polygon或MultiPolygon
+ */
+const assemblePolygon = (rings) => {
+  const polygons = [];
+  const holes = [];
+  rings.forEach((ring) => {
+    if (ringArea(ring) >= 0) polygons.push([ring.slice().reverse()]);
+    else holes.push(ring.slice().reverse());
+  });
+
+  holes.forEach((hole) => {
+    const owner =
+      polygons.find((polygon) => pointInRing(hole[0], polygon[0])) ||
+      polygons[polygons.length - 1];
+    // 没有外环的孤立内环按外环处理
+    if (owner) owner.push(hole);
+    else polygons.push([hole.slice().reverse()]);
+  });
+
+  return polygons.length === 1
+    ? { type: "Polygon", coordinates: polygons[0] }
+    : { type: "MultiPolygon", coordinates: polygons };
+};
+
+/**
+ * 解析.shp文件
+ * @param {ArrayBuffer} buffer - .shp文件内容
+ * @returns {Array<{geometry: Object|null, code?: string, reason?: string}>} 按记录顺序的几何
+ */
+export const parseShp = (buffer) => {
+  const view = new DataView(buffer);
+  if (view.getInt32(0, false) !== 9994) throw new Error("无效的.shp文件");
+
+  const fileLength = view.getInt32(24, false) * 2;
+  const records = [];
+  let offset = 100;
+
+  while (offset + 8 <= Math.min(fileLength, buffer.byteLength)) {
+    const contentLength = view.getInt32(offset + 4, false) * 2;
+    const start = offset + 8;
+    offset = start + contentLength;
+
+    const typeCode = view.getInt32(start, true);
+    const type = SHAPE_TYPES[typeCode];
+    const hasZ = [11, 13, 15, 18].includes(typeCode);
+
+    if (type === "Null") {
+      records.push({ geometry: null, code: SKIP_CODES.MISSING_GEOMETRY, reason: "空几何" });
+      continue;
+    }
+    if (!type || type === "MultiPatch") {
+      records.push({
+        geometry: null,
+        code: SKIP_CODES.UNSUPPORTED_GEOMETRY,
+        reason: `不支持的几何类型: ${type || typeCode}`,
+      });
+      continue;
+    }
+
+    if (type.startsWith("Point")) {
+      const coordinates = [view.getFloat64(start + 4, true), view.getFloat64(start + 12, true)];
+      if (hasZ) coordinates.push(view.getFloat64(start + 20, true));
+      records.push({ geometry: { type: "Point", coordinates } });
+      continue;
+    }
+
+    if (type.startsWith("MultiPoint")) {
+      const numPoints = view.getInt32(start + 36, true);
+      const pointsStart = start + 40;
+      const zStart = pointsStart + numPoints * 16 + 16;
+      const points = [];
+      for (let i = 0; i < numPoints; i++) {
+        const point = [
+          view.getFloat64(pointsStart + i * 16, true),
+          view.getFloat64(pointsStart + i * 16 + 8, true),
+        ];
+        if (hasZ) point.push(view.getFloat64(zStart + i * 8, true));
+        points.push(point);
+      }
+      records.push({
+        geometry:
+          points.length === 1
+            ? { type: "Point", coordinates: points[0] }
+            : { type: "MultiPoint", coordinates: points },
+      });
+      continue;
+    }
+
+    // PolyLine / Polygon
+    const numParts = view.getInt32(start + 36, true);
+    const numPoints = view.getInt32(start + 40, true);
+    const partsStart = start + 44;
+    const pointsStart = partsStart + numParts * 4;
+    const zStart = pointsStart + numPoints * 16 + 16;
+
+    const parts = [];
+    for (let p = 0; p < numParts; p++) {
+      const from = view.getInt32(partsStart + p * 4, true);
+      const to = p + 1 < numParts ? view.getInt32(partsStart + (p + 1) * 4, true) : numPoints;
+      const part = [];
+      for (let i = from; i < to; i++) {
+        const point = [
+          view.getFloat64(pointsStart + i * 16, true),
+          view.getFloat64(pointsStart + i * 16 + 8, true),
+        ];
+        if (hasZ) point.push(view.getFloat64(zStart + i * 8, true));
+        part.push(point);
+      }
+      parts.push(part);
+    }
+
+    if (type.startsWith("PolyLine")) {
+      records.push({
+        geometry:
+          parts.length === 1
+            ? { type: "LineString", coordinates: parts[0] }
+            : { type: "MultiLineString", coordinates: parts },
+      });
+    } else {
+      records.push({ geometry: assemblePolygon(parts) });
+    }
+  }
+
+  return records;
+};
+
+/**
+ * 解析.dbf文件
+ * @param {ArrayBuffer} buffer - .dbf文件内容
+ * @param {string} [cpg] - .cpg文件内容（代码页）
+ * @returns {{records: Array<Object>, encoding: string, encodingIssue: boolean}}
+ */
+export const parseDbf = (buffer, cpg) => {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const recordCount = view.getUint32(4, true);
+  const headerLength = view.getUint16(8, true);
+  const recordLength = view.getUint16(10, true);
+
+  // 未声明编码时先按UTF-8严格解码，失败再回退GBK（国内数据最常见）
+  let encoding = resolveEncoding(cpg, bytes[29]);
+  let encodingIssue = false;
+  if (!encoding) {
+    try {
+      new TextDecoder("utf-8", { fatal: true }).decode(bytes.subarray(headerLength));
+      encoding = "utf-8";
+    } catch {
+      encoding = "gbk";
+      encodingIssue = !cpg;
+    }
+  }
+  const decoder = new TextDecoder(encoding);
+
+  const fields = [];
+  for (let offset = 32; offset < headerLength - 1 && bytes[offset] !== 0x0d; offset += 32) {
+    const nameBytes = bytes.subarray(offset, offset + 11);
+    const end = nameBytes.indexOf(0);
+    fields.push({
+      name: decoder.decode(end === -1 ? nameBytes : nameBytes.subarray(0, end)).trim(),
+      type: String.fromCharCode(bytes[offset + 11]),
+      length: bytes[offset + 16],
+      decimals: bytes[offset + 17],
+    });
+  }
+
+  const records = [];
+  for (let r = 0; r < recordCount; r++) {
+    const start = headerLength + r * recordLength;
+    if (start + recordLength > bytes.length) break;
+
+    const deleted = bytes[start] === 0x2a; // '*'
+    let offset = start + 1;
+    const record = {};
+    fields.forEach((field) => {
+      const raw = bytes.subarray(offset, offset + field.length);
+      offset += field.length;
+      const text = decoder.decode(raw).replace(/\0/g, "").trim();
+
+      switch (field.type) {
+        case "N":
+        case "F": {
+          const value = parseFloat(text);
+          record[field.name] = Number.isFinite(value) ? value : null;
+          break;
+        }
+        case "I":
+          record[field.name] = new DataView(raw.buffer, raw.byteOffset, 4).getInt32(0, true);
+          break;
+        case "L":
+          record[field.name] = /^[YyTt]$/.test(text) ? true : /^[NnFf]$/.test(text) ? false : null;
+          break;
+        case "D":
+          record[field.name] = /^\d{8}$/.test(text)
+            ? `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}`
+            : null;
+          break;
+        default:
+          record[field.name] = text;
+      }
+    });
+    records.push(deleted ? null : record);
+  }
+
+  return { records, encoding, encodingIssue };
+};
+
+/**
+ * 解析Shapefile压缩包
+ * @description 包内每个.shp作为一个图层，属性来自同名.dbf，编码来自.cpg，
+ * 坐标按.prj重投影到WGS84
+ * @param {ArrayBuffer} buffer - zip文件内容
+ * @returns {Promise<{layers: Array<{name: string, features: Array<Object>, crs: string}>, skipped: Array<Object>, warnings: Array<string>}>}
+ */
+export const parseShapefileZip = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const entries = Object.values(zip.files).filter((entry) => !entry.dir);
+  const findSibling = (base, ext) =>
+    entries.find((entry) => entry.name.toLowerCase() === `${base}.${ext}`);
+
+  const shpEntries = entries.filter(
+    (entry) => /\.shp$/i.test(entry.name) && !entry.name.startsWith("__MACOSX/")
+  );
+  if (!shpEntries.length) throw new Error("压缩包中未找到.shp文件");
+
+  const layers = [];
+  const skipped = [];
+  const warnings = [];
+
+  for (const shpEntry of shpEntries) {
+    const base = shpEntry.name.replace(/\.shp$/i, "").toLowerCase();
+    const name = shpEntry.name.replace(/^.*\//, "").replace(/\.shp$/i, "");
+    const dbfEntry = findSibling(base, "dbf");
+    const prjEntry = findSibling(base, "prj");
+    const cpgEntry = findSibling(base, "cpg");
+
+    const shapes = parseShp(await shpEntry.async("arraybuffer"));
+    const cpg = cpgEntry ? await cpgEntry.async("string") : undefined;
+    const dbf = dbfEntry
+      ? parseDbf(await dbfEntry.async("arraybuffer"), cpg)
+      : { records: [], encodingIssue: false };
+    if (!dbfEntry) warnings.push(`${name}: 缺少.dbf文件，要素将没有属性`);
+    if (dbf.encodingIssue) {
+      warnings.push(`${name}: 缺少.cpg文件且属性不是UTF-8编码，已按GBK解码`);
+    }
+
+    const prj = prjEntry ? (await prjEntry.async("string")).trim() : "";
+    let crs = WGS84;
+    if (prj) {
+      if (!isKnownCrs(prj)) throw new Error(`${name}: 无法识别.prj中的坐标系`);
+      crs = prj;
+    }
+
+    const features = [];
+    let layerValid = true;
+    shapes.forEach((shape, index) => {
+      // 记录序号与ArcGIS等软件中的FID+1一致
+      const record = index + 1;
+      const properties = dbf.records[index];
+      if (properties === null) {
+        skipped.push({ layer: name, record, code: SKIP_CODES.DELETED, reason: "DBF记录已删除" });
+        return;
+      }
+      if (!shape.geometry) {
+        skipped.push({
+          layer: name,
+          record,
+          code: shape.code,
+          reason: shape.reason,
+          properties: { ...(properties || {}) },
+        });
+        return;
+      }
+
+      const geometry = reprojectGeometry(shape.geometry, crs, WGS84);
+      eachPosition(geometry, (position) => {
+        if (!isLngLat(position)) layerValid = false;
+      });
+      features.push({
+        type: "Feature",
+        geometry,
+        properties: { ...(properties || {}) },
+        record,
+      });
+    });
+
+    // 缺少.prj且坐标明显不是经纬度时无法定位；有.prj时个别超出范围的记录在导入校验中报告
+    if (!layerValid && !prj) {
+      throw new Error(`${name}: 缺少.prj文件且坐标不是经纬度，无法确定坐标系`);
+    }
+
+    layers.push({ name, features, crs });
+  }
+
+  return { layers, skipped, warnings };
+};
@@ -0,0 +1,169 @@
+/**
+ * @file spatial.js
+ * @description 平面空间关系判断：点在面内、线段相交、几何与面相交/包含，
+ * 直接在经纬度坐标上计算，用于空间选择等局部范围的判断
+ * @module utils/spatial
+ */
+
+import { flattenGeometry, getBounds } from "./geojson";
+
+/**
+ * 判断点是否在环内（射线法）
+ * @param {Array<number>} point - [经度, 纬度]
+ * @param {Array<Array<number>>} ring - 闭合环坐标
+ * @returns {boolean} 是否在环内
+ */
+export const pointInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * 判断点是否在多边形内
+ * @description 在外环内且不在任何内环（洞）内
+ * @param {Array<number>} point - [经度, 纬度]
+ * @param {Array<Array<Array<number>>>} rings - Polygon坐标（外环与内环）
+ * @returns {boolean} 是否在多边形内
+ */
+export const pointInPolygon = (point, [outer, ...holes]) =>
+  pointInRing(point, outer) && !holes.some((hole) => pointInRing(point, hole));
+
+/**
+ * 计算三点的转向
+ * @returns {number} 大于0为逆时针，小于0为顺时针，0为共线
+ */
+const orientation = ([ax, ay], [bx, by], [cx, cy]) =>
+  (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+
+/**
+ * 判断共线的点c是否在线段ab的范围内
+ */
+const onSegment = ([ax, ay], [bx, by], [cx, cy]) =>
+  Math.min(ax, bx) <= cx &&
+  cx <= Math.max(ax, bx) &&
+  Math.min(ay, by) <= cy &&
+  cy <= Math.max(ay, by);
+
+/**
+ * 判断两条线段是否相交（含端点接触与共线重叠）
+ * @param {Array<number>} a - 线段1起点
+ * @param {Array<number>} b - 线段1终点
+ * @param {Array<number>} c - 线段2起点
+ * @param {Array<number>} d - 线段2终点
+ * @returns {boolean} 是否相交
+ */
+export const segmentsIntersect = (a, b, c, d) => {
+  const o1 = Math.sign(orientation(a, b, c));
+  const o2 = Math.sign(orientation(a, b, d));
+  const o3 = Math.sign(orientation(c, d, a));
+  const o4 = Math.sign(orientation(c, d, b));
+  if (o1 !== o2 && o3 !== o4) return true;
+  return (
+    (o1 === 0 && onSegment(a, b, c)) ||
+    (o2 === 0 && onSegment(a, b, d)) ||
+    (o3 === 0 && onSegment(c, d, a)) ||
+    (o4 === 0 && onSegment(c, d, b))
+  );
+};
+
+/**
+ * 判断两条折线是否有线段相交
+ * @param {Array<Array<number>>} line1 - 折线1坐标
+ * @param {Array<Array<number>>} line2 - 折线2坐标
+ * @returns {boolean} 是否相交
+ */
+export const linesIntersect = (line1, line2) => {
+  for (let i = 1; i < line1.length; i++) {
+    for (let j = 1; j < line2.length; j++) {
+      if (segmentsIntersect(line1[i - 1], line1[i], line2[j - 1], line2[j])) return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * 判断两个外包矩形是否相交
+ * @param {Array<number>} a - [west, south, east, north]
+ * @param {Array<number>} b - [west, south, east, north]
+ * @returns {boolean} 是否相交
+ */
+export const boundsIntersect = (a, b) =>
+  a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+
+/**
+ * 获取简单几何的边线（折线或多边形各环）
+ * @param {Object} part - Point、LineString或Polygon
+ * @returns {Array<Array<Array<number>>>} 折线数组
+ */
+const getEdges = (part) => {
+  if (part.type === "LineString") return [part.coordinates];
+  if (part.type === "Polygon") return part.coordinates;
+  return [];
+};
+
+/**
+ * 获取简单几何的全部顶点
+ * @param {Object} part - Point、LineString或Polygon
+ * @returns {Array<Array<number>>} 顶点数组
+ */
+const getVertices = (part) =>
+  part.type === "Point" ? [part.coordinates] : getEdges(part).flat();
+
+/**
+ * 判断简单几何与多边形是否相交
+ * @param {Object} part - Point、LineString或Polygon
+ * @param {Array<Array<Array<number>>>} polygon - Polygon坐标
+ * @returns {boolean} 是否相交
+ */
+const partIntersectsPolygon = (part, polygon) => {
+  if (getVertices(part).some((vertex) => pointInPolygon(vertex, polygon))) return true;
+  // 多边形完全落在要素面内
+  if (part.type === "Polygon" && pointInPolygon(polygon[0][0], part.coordinates)) return true;
+  return getEdges(part).some((edge) => polygon.some((ring) => linesIntersect(edge, ring)));
+};
+
+/**
+ * 判断简单几何是否完全在多边形内
+ * @description 全部顶点在面内且边线不与面的边界相交
+ * @param {Object} part - Point、LineString或Polygon
+ * @param {Array<Array<Array<number>>>} polygon - Polygon坐标
+ * @returns {boolean} 是否在面内
+ */
+const partWithinPolygon = (part, polygon) =>
+  getVertices(part).every((vertex) => pointInPolygon(vertex, polygon)) &&
+  !getEdges(part).some((edge) => polygon.some((ring) => linesIntersect(edge, ring)));
+
+/**
+ * 判断几何与面状范围的空间关系
+ * @param {Object} geometry - GeoJSON几何
+ * @param {Object} area - Polygon或MultiPolygon
+ * @param {string} [relation="intersects"] - intersects（相交，含包含）或within（完全在范围内）
+ * @returns {boolean} 是否满足空间关系
+ */
+export const matchesArea = (geometry, area, relation = "intersects") => {
+  const geometryBounds = getBounds(geometry);
+  const areaBounds = getBounds(area);
+  if (!geometryBounds || !areaBounds || !boundsIntersect(geometryBounds, areaBounds)) {
+    return false;
+  }
+
+  const polygons = flattenGeometry(area)
+    .filter((part) => part.type === "Polygon")
+    .map((part) => part.coordinates);
+  const parts = flattenGeometry(geometry);
+  if (relation === "within") {
+    return parts.every((part) =>
+      polygons.some((polygon) => partWithinPolygon(part, polygon))
+    );
+  }
+  return parts.some((part) =>
+    polygons.some((polygon) => partIntersectsPolygon(part, polygon))
+  );
+};
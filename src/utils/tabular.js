@@ -0,0 +1,235 @@
+/**
+ * @file tabular.js
+ * @description Excel/CSV表格读取、坐标列识别与行数据转要素
+ * @module utils/tabular
+ */
+
+import * as XLSX from "xlsx";
+import { parseWKT, looksLikeWKT } from "./wkt";
+import { createTransformer, isLngLat, WGS84 } from "./projection";
+import { mapPositions, eachPosition } from "./geojson";
+import { SKIP_CODES } from "./importReport";
+
+/** 经度/X列常用表头 */
+const X_ALIASES = ["lng", "lon", "long", "longitude", "经度", "东经", "x", "x坐标", "横坐标", "easting", "point_x"];
+/** 纬度/Y列常用表头 */
+const Y_ALIASES = ["lat", "latitude", "纬度", "北纬", "y", "y坐标", "纵坐标", "northing", "point_y"];
+/** WKT列常用表头 */
+const WKT_ALIASES = ["wkt", "geometry", "geom", "the_geom", "shape", "几何", "坐标串"];
+
+/**
+ * 读取工作簿
+ * @description CSV/TXT先按UTF-8严格解码，失败则按GBK解码（国内导出的CSV多为GBK）
+ * @param {ArrayBuffer} buffer - 文件内容
+ * @param {string} fileName - 文件名
+ * @returns {Object} XLSX工作簿
+ */
+export const readWorkbook = (buffer, fileName) => {
+  if (/\.(csv|txt)$/i.test(fileName)) {
+    let text;
+    try {
+      text = new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    } catch {
+      text = new TextDecoder("gbk").decode(buffer);
+    }
+    // raw保证坐标等数字列按原文本读取，避免精度被格式化
+    return XLSX.read(text.replace(/^\uFEFF/, ""), { type: "string", raw: true });
+  }
+  return XLSX.read(new Uint8Array(buffer), { type: "array" });
+};
+
+/**
+ * 读取工作表数据
+ * @param {Object} workbook - XLSX工作簿
+ * @param {string} sheetName - 工作表名称
+ * @returns {{headers: Array<string>, rows: Array<Object>}} 表头与行对象（行对象带不可枚举的__rowNum__）
+ */
+export const getSheetData = (workbook, sheetName) => {
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet) return { headers: [], rows: [] };
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: "" });
+  return { headers: rows.length ? Object.keys(rows[0]) : [], rows };
+};
+
+/**
+ * 规范化表头用于匹配
+ * @param {string} header - 表头
+ * @returns {string} 小写并去除空白与单位括号
+ */
+const normalizeHeader = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[（(].*?[)）]/g, "")
+    .replace(/\s+/g, "");
+
+/**
+ * 按别名查找列
+ * @param {Array<string>} headers - 表头
+ * @param {Array<string>} aliases - 别名
+ * @returns {string|undefined} 匹配到的表头
+ */
+const findColumn = (headers, aliases) =>
+  headers.find((h) => aliases.includes(normalizeHeader(h))) ||
+  // 中文表头允许包含匹配，如“中心点经度”
+  headers.find((h) =>
+    aliases.some((alias) => /[\u4e00-\u9fa5]/.test(alias) && normalizeHeader(h).includes(alias))
+  );
+
+/**
+ * 严格解析数值
+ * @param {*} value - 单元格值
+ * @returns {number} 数值，无法解析时为NaN
+ */
+export const toNumber = (value) => {
+  if (typeof value === "number") return value;
+  const text = String(value ?? "").trim();
+  return text === "" ? NaN : Number(text);
+};
+
+/**
+ * 根据坐标样本推测坐标系
+ * @description 经纬度范围内判定为WGS84；带带号的高斯-克吕格坐标按带号推算；
+ * Web墨卡托按数值范围判定；无带号的高斯坐标无法确定中央经线，返回null
+ * @param {Array<Array<number>>} samples - [x, y]样本
+ * @returns {string|null} 坐标系代码
+ */
+export const guessCrs = (samples) => {
+  if (!samples.length) return null;
+  // 允许少量异常值，多数样本满足条件即认为成立
+  const mostly = (predicate) =>
+    samples.filter(predicate).length >= samples.length * 0.8;
+
+  if (mostly(isLngLat)) return WGS84;
+
+  const zoneCounts = {};
+  samples.forEach(([x]) => {
+    const zone = Math.floor(x / 1e6);
+    zoneCounts[zone] = (zoneCounts[zone] || 0) + 1;
+  });
+  const [zone] = Object.entries(zoneCounts).sort((a, b) => b[1] - a[1])[0];
+  if (
+    zone >= 25 &&
+    zone <= 45 &&
+    mostly(([x, y]) => Math.floor(x / 1e6) === Number(zone) && y > 0 && y < 1e7)
+  ) {
+    return `EPSG:${4513 + Number(zone) - 25}`;
+  }
+  if (mostly(([x, y]) => Math.abs(x) <= 20037509 && Math.abs(y) <= 20048967)) {
+    return "EPSG:3857";
+  }
+  return null;
+};
+
+/**
+ * 自动识别坐标列映射
+ * @description 优先按表头别名识别经纬度/XY列，否则按单元格内容识别WKT列；
+ * 测绘数据中X常为北坐标，若按表头顺序无法推测坐标系而交换后可以，则自动交换
+ * @param {Array<string>} headers - 表头
+ * @param {Array<Object>} rows - 行数据
+ * @returns {Object} 映射 { mode, xField, yField, wktField, crs }
+ */
+export const detectMapping = (headers, rows) => {
+  const sample = rows.slice(0, 20);
+  const mapping = { mode: "xy", xField: "", yField: "", wktField: "", crs: WGS84 };
+
+  const wktField =
+    findColumn(headers, WKT_ALIASES) ||
+    headers.find((h) => sample.some((row) => looksLikeWKT(row[h])));
+  mapping.wktField = wktField || "";
+
+  const xField = findColumn(headers, X_ALIASES);
+  const yField = findColumn(headers, Y_ALIASES);
+  if (!xField || !yField) {
+    if (wktField) mapping.mode = "wkt";
+    return mapping;
+  }
+
+  const positions = (a, b) =>
+    sample
+      .map((row) => [toNumber(row[a]), toNumber(row[b])])
+      .filter((p) => p.every(Number.isFinite));
+
+  // 表头明确为经纬度时，只要有样本落在经纬度范围内即按WGS84处理
+  const geographic = [xField, yField].every(
+    (field) => !/^(x|y|x坐标|y坐标|横坐标|纵坐标|point_x|point_y|easting|northing)$/.test(normalizeHeader(field))
+  );
+  if (geographic && positions(xField, yField).some(isLngLat)) {
+    return { ...mapping, xField, yField, crs: WGS84 };
+  }
+
+  const direct = guessCrs(positions(xField, yField));
+  const swapped = direct ? null : guessCrs(positions(yField, xField));
+  if (swapped) {
+    Object.assign(mapping, { xField: yField, yField: xField, crs: swapped });
+  } else {
+    Object.assign(mapping, { xField, yField, crs: direct || WGS84 });
+  }
+  return mapping;
+};
+
+/**
+ * 表格行转换为要素
+ * @description 要素与跳过记录上的record为数据行序号（1基），line为Excel中看到的行号
+ * @param {Array<Object>} rows - 行数据
+ * @param {Object} mapping - 列映射 { mode, xField, yField, wktField, crs }
+ * @param {number} [startIndex=0] - rows中第一行在整个工作表数据中的序号，分块转换时使用
+ * @returns {{features: Array<Object>, skipped: Array<{record: number, line: number, code: string, reason: string}>}}
+ */
+export const rowsToFeatures = (rows, mapping, startIndex = 0) => {
+  const transform = createTransformer(mapping.crs || WGS84, WGS84);
+  const features = [];
+  const skipped = [];
+
+  rows.forEach((row, index) => {
+    // __rowNum__为工作表中的0基行号，+1即Excel中看到的行号
+    const record = startIndex + index + 1;
+    const source = { record, line: (row.__rowNum__ ?? record) + 1 };
+    const skip = (code, reason) =>
+      skipped.push({ ...source, code, reason, properties: { ...row } });
+    let geometry;
+
+    if (mapping.mode === "wkt") {
+      const text = row[mapping.wktField];
+      if (!String(text ?? "").trim()) {
+        skip(SKIP_CODES.MISSING_GEOMETRY, "WKT为空");
+        return;
+      }
+      try {
+        geometry = parseWKT(text);
+      } catch (error) {
+        skip(error.code || SKIP_CODES.INVALID_GEOMETRY, error.message);
+        return;
+      }
+    } else {
+      const x = toNumber(row[mapping.xField]);
+      const y = toNumber(row[mapping.yField]);
+      if (!Number.isFinite(x) || !Number.isFinite(y)) {
+        skip(SKIP_CODES.INVALID_COORDINATE, "坐标不是数值");
+        return;
+      }
+      geometry = { type: "Point", coordinates: [x, y] };
+    }
+
+    try {
+      geometry = mapPositions(geometry, transform);
+    } catch (error) {
+      skip(SKIP_CODES.TRANSFORM_FAILED, `坐标转换失败: ${error.message}`);
+      return;
+    }
+
+    let outOfRange = false;
+    eachPosition(geometry, (position) => {
+      if (!isLngLat(position)) outOfRange = true;
+    });
+    if (outOfRange) {
+      skip(SKIP_CODES.OUT_OF_RANGE, "经纬度超出范围");
+      return;
+    }
+
+    const properties = { ...row };
+    if (mapping.mode === "wkt") delete properties[mapping.wktField];
+    features.push({ type: "Feature", geometry, properties, ...source });
+  });
+
+  return { features, skipped };
+};
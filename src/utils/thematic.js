@@ -0,0 +1,492 @@
+/**
+ * @file thematic.js
+ * @description 专题图：热力图、分级符号、比例符号、分类色彩与分级设色（分级方法为分位数、
+ * 等间距、自然断点），专题定义编译为要素仓库的样式规则与图例，二维与三维地图共用
+ * @module utils/thematic
+ */
+
+import { markRaw } from "vue";
+import featureStore from "./featureStore";
+import { getBounds } from "./geojson";
+
+/**
+ * 专题图类型
+ * @type {Array<{value: string, label: string}>}
+ */
+export const THEMATIC_TYPES = [
+  { value: "heatmap", label: "热力图" },
+  { value: "graduated", label: "分级符号" },
+  { value: "proportional", label: "比例符号" },
+  { value: "categorical", label: "分类色彩" },
+  { value: "choropleth", label: "分级设色" },
+];
+
+/**
+ * 分级方法
+ * @type {Array<{value: string, label: string}>}
+ */
+export const CLASSIFICATION_METHODS = [
+  { value: "quantile", label: "分位数" },
+  { value: "equal", label: "等间距" },
+  { value: "jenks", label: "自然断点" },
+];
+
+/**
+ * 色带
+ * @description 分级类型按色带插值取色
+ * @type {Array<{value: string, label: string, colors: Array<string>}>}
+ */
+export const COLOR_RAMPS = [
+  { value: "YlOrRd", label: "黄-红", colors: ["#ffffb2", "#fd8d3c", "#bd0026"] },
+  { value: "Blues", label: "蓝", colors: ["#eff3ff", "#6baed6", "#08519c"] },
+  { value: "Greens", label: "绿", colors: ["#edf8e9", "#74c476", "#006d2c"] },
+  { value: "Purples", label: "紫", colors: ["#f2f0f7", "#9e9ac8", "#54278f"] },
+  { value: "RdYlGn", label: "红-黄-绿", colors: ["#d7191c", "#ffffbf", "#1a9641"] },
+];
+
+/** 分类色彩的配色，超出的取值归入"其他" */
+export const CATEGORY_COLORS = [
+  "#4e79a7",
+  "#f28e2b",
+  "#e15759",
+  "#76b7b2",
+  "#59a14f",
+  "#edc948",
+  "#b07aa1",
+  "#ff9da7",
+  "#9c755f",
+  "#bab0ac",
+];
+
+/** 缺少数值或不在分类中的要素颜色 */
+export const NO_DATA_COLOR = "#cccccc";
+
+/**
+ * 热力图默认色带
+ * @description 键为0~1的热度，值为颜色
+ * @type {Object<number, string>}
+ */
+export const HEATMAP_GRADIENT = {
+  0.4: "#0000ff",
+  0.6: "#00ffff",
+  0.7: "#00ff00",
+  0.8: "#ffff00",
+  1: "#ff0000",
+};
+
+/** 自然断点计算使用的最大样本数，超出时按排序均匀抽样 */
+const MAX_JENKS_SAMPLES = 1000;
+
+/**
+ * 专题定义
+ * @typedef {Object} ThematicDefinition
+ * @property {string} type - 专题图类型，见 THEMATIC_TYPES
+ * @property {string} [field] - 专题字段，热力图中为可选的权重字段
+ * @property {string} [method="quantile"] - 分级方法，见 CLASSIFICATION_METHODS
+ * @property {number} [classes=5] - 分级数
+ * @property {string} [ramp="YlOrRd"] - 色带，见 COLOR_RAMPS
+ * @property {number} [minRadius=4] - 分级与比例符号的最小半径（像素）
+ * @property {number} [maxRadius=24] - 分级与比例符号的最大半径（像素）
+ * @property {number} [radius=25] - 热力图点半径（像素）
+ * @property {number} [blur=15] - 热力图模糊半径（像素）
+ * @property {string} [extrudeField] - 三维中取该字段作为面要素的拉伸高度
+ * @property {number} [extrudeScale=1] - 拉伸高度倍数
+ */
+
+/**
+ * 将属性值转换为数值
+ * @param {*} value - 属性值
+ * @returns {number|null} 数值，无法转换时返回null
+ */
+export const toNumber = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string" || !value.trim()) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * 解析CSS十六进制颜色
+ * @param {string} color - #rrggbb
+ * @returns {Array<number>} [r, g, b]
+ */
+const parseHex = (color) => [1, 3, 5].map((i) => parseInt(color.slice(i, i + 2), 16));
+
+/**
+ * 按色带插值取色
+ * @param {Array<string>} colors - 色带关键颜色（#rrggbb）
+ * @param {number} t - 0~1
+ * @returns {string} #rrggbb
+ */
+export const interpolateColors = (colors, t) => {
+  const position = Math.min(Math.max(t, 0), 1) * (colors.length - 1);
+  const index = Math.min(Math.floor(position), colors.length - 2);
+  const from = parseHex(colors[index]);
+  const to = parseHex(colors[index + 1]);
+  const ratio = position - index;
+  return `#${from
+    .map((c, i) => Math.round(c + (to[i] - c) * ratio).toString(16).padStart(2, "0"))
+    .join("")}`;
+};
+
+/**
+ * 从色带取分级颜色
+ * @param {string} ramp - 色带，见 COLOR_RAMPS
+ * @param {number} count - 分级数
+ * @returns {Array<string>} 颜色数组
+ */
+export const getRampColors = (ramp, count) => {
+  const { colors } = COLOR_RAMPS.find((item) => item.value === ramp) || COLOR_RAMPS[0];
+  return Array.from({ length: count }, (_, i) =>
+    interpolateColors(colors, count > 1 ? i / (count - 1) : 1)
+  );
+};
+
+/**
+ * 自然断点（Fisher-Jenks）
+ * @param {Array<number>} sorted - 升序数值
+ * @param {number} classes - 分级数
+ * @returns {Array<number>} 断点（含最小与最大值）
+ */
+const jenksBreaks = (sorted, classes) => {
+  const n = sorted.length;
+  // lower[i][j]：前i个值分为j级时最后一级的起始位置；variance[i][j]：对应的最小组内方差和
+  const lower = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(0));
+  const variance = Array.from({ length: n + 1 }, () => new Array(classes + 1).fill(Infinity));
+  for (let j = 1; j <= classes; j++) {
+    lower[1][j] = 1;
+    variance[1][j] = 0;
+  }
+
+  for (let i = 2; i <= n; i++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let w = 0;
+    let v = 0;
+    for (let m = 1; m <= i; m++) {
+      const start = i - m + 1;
+      const value = sorted[start - 1];
+      w++;
+      sum += value;
+      sumSquares += value * value;
+      v = sumSquares - (sum * sum) / w;
+      if (start === 1) continue;
+      for (let j = 2; j <= classes; j++) {
+        if (variance[i][j] >= v + variance[start - 1][j - 1]) {
+          lower[i][j] = start;
+          variance[i][j] = v + variance[start - 1][j - 1];
+        }
+      }
+    }
+    lower[i][1] = 1;
+    variance[i][1] = v;
+  }
+
+  const breaks = new Array(classes + 1);
+  breaks[classes] = sorted[n - 1];
+  breaks[0] = sorted[0];
+  let k = n;
+  for (let j = classes; j >= 2; j--) {
+    // 断点取上一级的最大值，与getClassIndex的上限包含一致
+    const start = lower[k][j] - 1;
+    breaks[j - 1] = sorted[start - 1];
+    k = start;
+  }
+  return breaks;
+};
+
+/**
+ * 计算分级断点
+ * @description 相同的断点合并，实际分级数可能少于指定值
+ * @param {Array<number>} values - 数值
+ * @param {string} [method="quantile"] - 分级方法，见 CLASSIFICATION_METHODS
+ * @param {number} [classes=5] - 分级数
+ * @returns {Array<number>} 升序断点，第一个为最小值、最后一个为最大值；没有数值时为空数组
+ */
+export const classify = (values, method = "quantile", classes = 5) => {
+  if (!values.length) return [];
+  const sorted = [...values].sort((a, b) => a - b);
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const count = Math.max(1, Math.min(classes, sorted.length));
+  let breaks;
+
+  if (method === "equal") {
+    breaks = Array.from({ length: count + 1 }, (_, i) => min + ((max - min) * i) / count);
+  } else if (method === "jenks") {
+    const sample =
+      sorted.length > MAX_JENKS_SAMPLES
+        ? Array.from(
+            { length: MAX_JENKS_SAMPLES },
+            (_, i) => sorted[Math.round((i * (sorted.length - 1)) / (MAX_JENKS_SAMPLES - 1))]
+          )
+        : sorted;
+    breaks = jenksBreaks(sample, count);
+  } else {
+    breaks = Array.from(
+      { length: count + 1 },
+      (_, i) => sorted[Math.round((i * (sorted.length - 1)) / count)]
+    );
+  }
+  breaks[0] = min;
+  breaks[breaks.length - 1] = max;
+  return breaks.filter((value, i) => i === 0 || value > breaks[i - 1]);
+};
+
+/**
+ * 查找数值所在的分级
+ * @description 各级包含上限，即第i级为 (breaks[i], breaks[i + 1]]，第一级包含最小值
+ * @param {number} value - 数值
+ * @param {Array<number>} breaks - 断点，见 classify
+ * @returns {number} 分级序号（从0开始）
+ */
+export const getClassIndex = (value, breaks) => {
+  for (let i = 1; i < breaks.length - 1; i++) {
+    if (value <= breaks[i]) return i - 1;
+  }
+  return Math.max(breaks.length - 2, 0);
+};
+
+/**
+ * 计算数值的最小值与最大值
+ * @description 逐个比较，避免展开大数组作为参数时超出调用栈限制
+ * @param {Array<number>} values - 数值
+ * @returns {{min: number, max: number}} 最小值与最大值，数组为空时为Infinity与-Infinity
+ */
+const getRange = (values) => {
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach((value) => {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  });
+  return { min, max };
+};
+
+/**
+ * 格式化图例数值
+ * @param {number} value - 数值
+ * @returns {string} 最多保留两位小数的数值文本
+ */
+const formatValue = (value) => value.toLocaleString("zh-CN", { maximumFractionDigits: 2 });
+
+/**
+ * 生成分级图例标签
+ * @param {Array<number>} breaks - 断点
+ * @returns {Array<string>} 各级的区间文本
+ */
+const getClassLabels = (breaks) =>
+  breaks.length === 1
+    ? [formatValue(breaks[0])]
+    : breaks.slice(1).map((value, i) => `${formatValue(breaks[i])} - ${formatValue(value)}`);
+
+/**
+ * 计算面要素的拉伸样式
+ * @param {Object} properties - 要素属性
+ * @param {ThematicDefinition} definition - 专题定义
+ * @returns {Object} 含extrudedHeight的样式，未配置拉伸字段或缺少数值时为空对象
+ */
+const getExtrudeStyle = (properties, { extrudeField, extrudeScale = 1 }) => {
+  if (!extrudeField) return {};
+  const value = toNumber(properties[extrudeField]);
+  return value === null ? {} : { extrudedHeight: value * extrudeScale };
+};
+
+/**
+ * 编译专题定义
+ * @description 分级断点与分类取值按当前要素计算；之后新增的要素沿用已计算的断点与分类。
+ * 点要素统一以圆点符号显示（symbol为circle）
+ * @param {ThematicDefinition} definition - 专题定义
+ * @param {Array<Object>} features - 图层内的仓库要素
+ * @returns {{definition: Object, rules: Array<Object>, legend: Object}} 样式规则（见 featureStore 的 getFeatureStyle）
+ * 与图例 { title, type, items: [{ label, color, radius? }], gradient? }
+ */
+export const compileThematic = (definition, features) => {
+  const {
+    type,
+    field,
+    method = "quantile",
+    classes = 5,
+    ramp = "YlOrRd",
+    minRadius = 4,
+    maxRadius = 24,
+  } = definition;
+  const valueOf = (properties) => toNumber(properties?.[field]);
+  const title = field || "";
+  const withExtrude = (style, properties) => ({ ...style, ...getExtrudeStyle(properties, definition) });
+
+  if (type === "heatmap") {
+    return {
+      definition,
+      rules: [],
+      legend: {
+        title: field ? `${field}（热力）` : "要素密度",
+        type,
+        gradient: HEATMAP_GRADIENT,
+        items: [
+          { label: "低", color: HEATMAP_GRADIENT[0.4] },
+          { label: "高", color: HEATMAP_GRADIENT[1] },
+        ],
+      },
+    };
+  }
+
+  if (type === "categorical") {
+    const counts = new Map();
+    features.forEach((feature) => {
+      const value = feature.properties?.[field];
+      if (value === null || value === undefined || value === "") return;
+      counts.set(String(value), (counts.get(String(value)) || 0) + 1);
+    });
+    const colors = new Map(
+      [...counts]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, CATEGORY_COLORS.length)
+        .map(([value], i) => [value, CATEGORY_COLORS[i]])
+    );
+    const hasOthers = counts.size > colors.size;
+    return {
+      definition,
+      rules: [
+        {
+          style: (properties) => {
+            const color = colors.get(String(properties[field])) || NO_DATA_COLOR;
+            return withExtrude(
+              { symbol: "circle", color, fillColor: color, fillOpacity: 0.7 },
+              properties
+            );
+          },
+        },
+      ],
+      legend: {
+        title,
+        type,
+        items: [
+          ...[...colors].map(([label, color]) => ({ label, color })),
+          ...(hasOthers ? [{ label: "其他", color: NO_DATA_COLOR }] : []),
+        ],
+      },
+    };
+  }
+
+  const values = features.map((feature) => valueOf(feature.properties)).filter((v) => v !== null);
+  const { min, max } = getRange(values);
+
+  if (type === "proportional") {
+    const color = getRampColors(ramp, 1)[0];
+    const radiusOf = (value) =>
+      max > min
+        ? minRadius + (maxRadius - minRadius) * Math.sqrt((value - min) / (max - min))
+        : maxRadius;
+    return {
+      definition,
+      rules: [
+        {
+          style: (properties) => {
+            const value = valueOf(properties);
+            return withExtrude(
+              value === null
+                ? { symbol: "circle", radius: minRadius, fillColor: NO_DATA_COLOR, fillOpacity: 0.7 }
+                : { symbol: "circle", radius: radiusOf(value), fillColor: color, fillOpacity: 0.7 },
+              properties
+            );
+          },
+        },
+      ],
+      legend: {
+        title,
+        type,
+        items: values.length
+          ? [min, (min + max) / 2, max].map((value) => ({
+              label: formatValue(value),
+              color,
+              radius: radiusOf(value),
+            }))
+          : [],
+      },
+    };
+  }
+
+  // 分级符号与分级设色：按断点分级取色，分级符号同时按级别放大半径
+  const breaks = classify(values, method, classes);
+  const colors = getRampColors(ramp, Math.max(breaks.length - 1, 1));
+  const radii = colors.map((_, i) =>
+    colors.length > 1 ? minRadius + ((maxRadius - minRadius) * i) / (colors.length - 1) : maxRadius
+  );
+  const graduated = type === "graduated";
+  return {
+    definition,
+    rules: [
+      {
+        style: (properties) => {
+          const value = valueOf(properties);
+          if (value === null || !breaks.length) {
+            return withExtrude({ symbol: "circle", fillColor: NO_DATA_COLOR, fillOpacity: 0.7 }, properties);
+          }
+          const index = getClassIndex(value, breaks);
+          return withExtrude(
+            {
+              symbol: "circle",
+              fillColor: colors[index],
+              fillOpacity: graduated ? 0.8 : 0.7,
+              ...(graduated ? { radius: radii[index] } : { color: "#ffffff", weight: 1 }),
+            },
+            properties
+          );
+        },
+      },
+    ],
+    legend: {
+      title,
+      type,
+      items: getClassLabels(breaks).map((label, i) => ({
+        label,
+        color: colors[i],
+        radius: graduated ? radii[i] : undefined,
+      })),
+    },
+  };
+};
+
+/**
+ * 为图层设置专题图
+ * @description 编译结果保存在图层的thematic字段，要素样式在图层样式规则之后叠加专题规则
+ * @param {string} layerId - 仓库图层ID
+ * @param {ThematicDefinition} definition - 专题定义
+ * @param {Object} [store=featureStore] - 要素仓库
+ * @returns {Object|undefined} 更新后的图层
+ */
+export const applyThematic = (layerId, definition, store = featureStore) =>
+  store.updateLayer(layerId, {
+    thematic: markRaw(compileThematic(definition, store.getFeatures(layerId))),
+  });
+
+/**
+ * 清除图层的专题图
+ * @param {string} layerId - 仓库图层ID
+ * @param {Object} [store=featureStore] - 要素仓库
+ * @returns {Object|undefined} 更新后的图层
+ */
+export const clearThematic = (layerId, store = featureStore) =>
+  store.updateLayer(layerId, { thematic: null });
+
+/**
+ * 获取热力图的点与权重
+ * @description 点取自身位置，面与线取外包矩形中心；有权重字段时按字段值（负值与缺失按0）相对最大值归一化
+ * @param {Array<Object>} features - 仓库要素
+ * @param {string} [weightField] - 权重字段
+ * @returns {Array<Array<number>>} [经度, 纬度, 权重(0~1)]
+ */
+export const getHeatmapPoints = (features, weightField) => {
+  const points = features
+    .map((feature) => {
+      const bounds = getBounds(feature.geometry);
+      const position = bounds && [(bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2];
+      if (!position) return null;
+      const weight = weightField ? Math.max(toNumber(feature.properties?.[weightField]) ?? 0, 0) : 1;
+      return [position[0], position[1], weight];
+    })
+    .filter(Boolean);
+  const maxWeight = points.reduce((max, point) => Math.max(max, point[2]), 0);
+  return points.map(([x, y, w]) => [x, y, maxWeight > 0 ? w / maxWeight : 0]);
+};
@@ -0,0 +1,522 @@
+/**
+ * @file tileCatalog.js
+ * @description 瓦片图层目录：管理底图与叠加瓦片图层（XYZ/TMS/WMS/WMTS/MBTiles/矢量瓦片），记录当前底图、
+ * 叠加顺序、可见性、透明度与服务密钥，并保存在localStorage中；
+ * 二维与三维地图组件监听同一份响应式状态
+ * @module utils/tileCatalog
+ */
+
+import { reactive } from "vue";
+import { createId } from "./featureStore";
+
+const STORAGE_KEY = "leaflet-cesium:tile-catalog";
+
+/**
+ * 瓦片图层源
+ * @typedef {Object} TileSource
+ * @property {string} id - 唯一ID
+ * @property {string} name - 显示名称
+ * @property {string} kind - base（底图，同时只显示一个）或 overlay（叠加图层）
+ * @property {string} [type="xyz"] - xyz、tms（TMS行号自下而上）、wms、wmts、mbtiles（本地文件），
+ * 或矢量瓦片 mvt（地址模板）、pmtiles（单文件归档，远程或本地），矢量瓦片仅二维支持
+ * @property {string} url - xyz/tms为地址模板，支持 {z} {x} {y} {s}；wms/wmts为服务地址
+ * （WMTS也可以是含 {TileMatrix} {TileRow} {TileCol} 的RESTful模板）；需要密钥时用 {key} 占位；
+ * mbtiles为 mbtiles://图层源ID，文件保存在IndexedDB中，见 utils/mbtiles；
+ * pmtiles为文件地址，或本地文件的 pmtiles://图层源ID，见 utils/vectorTiles
+ * @property {string|Array<string>} [subdomains] - {s} 的取值
+ * @property {string} [keyName] - 密钥名称，同一服务商的多个图层共用一个密钥，缺省为ID
+ * @property {string} [attribution] - 版权信息（HTML）
+ * @property {number} [minZoom=0] - 最小级别
+ * @property {number} [maxZoom=18] - 最大级别
+ * @property {boolean} [visible=true] - 叠加图层是否可见
+ * @property {number} [opacity=1] - 透明度 0~1
+ * @property {string} [origin] - 来源：builtin（内置）、catalogue（目录文件）、custom（用户添加）
+ * @property {string} [layers] - WMS图层名，多个以逗号分隔
+ * @property {string} [styles] - WMS样式名
+ * @property {string} [version="1.3.0"] - WMS版本
+ * @property {boolean} [transparent=true] - WMS是否请求透明背景
+ * @property {boolean} [queryable] - WMS图层是否支持GetFeatureInfo
+ * @property {string} [infoFormat="application/json"] - GetFeatureInfo返回格式
+ * @property {string} [layer] - WMTS图层标识
+ * @property {string} [style] - WMTS样式标识
+ * @property {string} [tileMatrixSet] - WMTS瓦片矩阵集标识
+ * @property {Array<string>} [matrixIds] - WMTS按级别索引的瓦片矩阵标识
+ * @property {string} [crs] - WMTS瓦片矩阵集坐标系，EPSG:3857或EPSG:4326（仅三维支持）
+ * @property {string} [format] - WMS/WMTS图片格式，默认image/png
+ * @property {Array<number>} [bounds] - 数据范围 [west, south, east, north]（MBTiles/PMTiles）
+ * @property {{rules: Array<Object>}} [vectorStyle] - 矢量瓦片样式规则，见 utils/vectorTiles 的 VectorStyleRule
+ */
+
+/**
+ * 内置瓦片图层源
+ * @type {Array<TileSource>}
+ */
+export const BUILTIN_SOURCES = [
+  {
+    id: "standard",
+    name: "标准地图",
+    kind: "base",
+    url: "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+    attribution:
+      '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>',
+    maxZoom: 19,
+  },
+  {
+    id: "satellite",
+    name: "卫星影像",
+    kind: "base",
+    url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+    attribution: '&copy; <a href="https://www.esri.com">Esri</a>',
+    maxZoom: 19,
+  },
+  {
+    id: "terrain",
+    name: "地形图",
+    kind: "base",
+    url: "https://stamen-tiles.a.ssl.fastly.net/terrain/{z}/{x}/{y}.jpg",
+    attribution: '&copy; <a href="https://stamen.com">Stamen</a>',
+    maxZoom: 18,
+  },
+  {
+    id: "traffic",
+    name: "交通地图",
+    kind: "base",
+    url: "https://tile.thunderforest.com/transport/{z}/{x}/{y}.png?apikey={key}",
+    keyName: "thunderforest",
+    attribution:
+      '&copy; <a href="https://www.thunderforest.com">Thunderforest</a>',
+    maxZoom: 19,
+  },
+];
+
+/**
+ * 可持久化的图层源字段
+ * @type {Array<string>}
+ */
+const SOURCE_FIELDS = [
+  "id",
+  "name",
+  "kind",
+  "type",
+  "url",
+  "subdomains",
+  "keyName",
+  "attribution",
+  "minZoom",
+  "maxZoom",
+  "visible",
+  "opacity",
+  "layers",
+  "styles",
+  "version",
+  "transparent",
+  "queryable",
+  "infoFormat",
+  "layer",
+  "style",
+  "tileMatrixSet",
+  "matrixIds",
+  "crs",
+  "format",
+  "bounds",
+  "vectorStyle",
+];
+
+/** 矢量瓦片图层源类型 */
+const VECTOR_TYPES = ["mvt", "pmtiles"];
+
+/**
+ * 是否矢量瓦片图层源
+ * @param {TileSource} source - 图层源
+ * @returns {boolean}
+ */
+export const isVectorSource = (source) => VECTOR_TYPES.includes(source?.type);
+
+/**
+ * 是否本地文件图层源（MBTiles或本地PMTiles），文件只保存在当前浏览器中
+ * @param {TileSource} source - 图层源
+ * @returns {boolean}
+ */
+export const isLocalSource = (source) => /^(mbtiles|pmtiles):\/\//.test(source?.url || "");
+
+/**
+ * 校验地址模板
+ * @param {string} url - 地址模板
+ * @returns {string|null} 错误信息，有效时返回null
+ */
+export const validateTemplate = (url) => {
+  if (!/^(https?:)?\/\//.test(url || "")) return "地址需以 http:// 或 https:// 开头";
+  const missing = ["{z}", "{x}"].filter((token) => !url.includes(token));
+  if (!/\{-?y\}/.test(url)) missing.push("{y}");
+  return missing.length ? `地址模板缺少 ${missing.join("、")}` : null;
+};
+
+/**
+ * 校验图层源配置
+ * @param {Object} source - 图层源配置
+ * @returns {string|null} 错误信息，有效时返回null
+ */
+export const validateSource = (source) => {
+  if (source.type === "mbtiles") {
+    return /^mbtiles:\/\//.test(source.url || "") ? null : "缺少MBTiles文件";
+  }
+  if (source.type === "pmtiles") {
+    return /^(pmtiles:|https?:)?\/\//.test(source.url || "") ? null : "地址需以 http:// 或 https:// 开头";
+  }
+  if (source.type === "wms" || source.type === "wmts") {
+    if (!/^(https?:)?\/\//.test(source.url || "")) return "地址需以 http:// 或 https:// 开头";
+    if (source.type === "wms" && !source.layers) return "请选择WMS图层";
+    if (source.type === "wmts" && !(source.layer && source.tileMatrixSet)) {
+      return "请选择WMTS图层与瓦片矩阵集";
+    }
+    return null;
+  }
+  return validateTemplate(source.url);
+};
+
+/**
+ * 提取可持久化的图层源字段
+ * @param {Object} input - 图层源配置
+ * @returns {Object} 仅含 SOURCE_FIELDS 的对象
+ */
+const pickFields = (input) =>
+  Object.fromEntries(
+    SOURCE_FIELDS.filter((field) => input[field] !== undefined).map((field) => [field, input[field]])
+  );
+
+/**
+ * 规范化图层源
+ * @param {Object} input - 图层源配置
+ * @param {string} origin - 来源
+ * @returns {TileSource} 图层源
+ */
+const normalizeSource = (input, origin) => {
+  const source = pickFields(input);
+  return {
+    kind: "overlay",
+    type: "xyz",
+    visible: true,
+    opacity: 1,
+    ...source,
+    id: source.id || createId("tile"),
+    name: source.name || source.id || "瓦片图层",
+    origin,
+  };
+};
+
+/**
+ * 创建瓦片图层目录
+ * @param {Object} [options] - 选项
+ * @param {Array<TileSource>} [options.sources=BUILTIN_SOURCES] - 内置图层源
+ * @param {string} [options.catalogueUrl] - 目录文件地址，见 loadCatalogue
+ * @param {string} [options.storageKey] - localStorage键名，为空时不持久化
+ * @returns {Object} 瓦片图层目录
+ */
+export const createTileCatalog = ({
+  sources = BUILTIN_SOURCES,
+  catalogueUrl,
+  storageKey = STORAGE_KEY,
+} = {}) => {
+  /**
+   * 响应式状态
+   * @description sources中叠加图层的先后即显示顺序，靠前的显示在上层
+   */
+  const state = reactive({
+    sources: sources.map((source) => normalizeSource(source, "builtin")),
+    baseMapId: sources.find((source) => source.kind === "base")?.id || null,
+    keys: {},
+  });
+
+  /**
+   * 读取已保存的配置
+   * @returns {Object} 配置
+   */
+  const readSaved = () => {
+    if (!storageKey || typeof localStorage === "undefined") return {};
+    try {
+      return JSON.parse(localStorage.getItem(storageKey) || "{}");
+    } catch (error) {
+      console.warn("读取瓦片图层配置失败:", error);
+      return {};
+    }
+  };
+
+  /**
+   * 导出当前配置
+   * @description 包含用户添加的图层源、各图层的可见性与透明度、叠加顺序与当前底图
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.withKeys=false] - 是否包含密钥
+   * @param {boolean} [options.withLocal=false] - 是否包含本地文件图层源（MBTiles、本地PMTiles），
+   * 文件只保存在本机，导出给他人时不包含
+   * @returns {Object} 配置
+   */
+  const exportConfig = ({ withKeys = false, withLocal = false } = {}) => {
+    const config = {
+      baseMapId: state.baseMapId,
+      sources: state.sources
+        .filter((source) => source.origin === "custom" && (withLocal || !isLocalSource(source)))
+        .map(pickFields),
+      layers: Object.fromEntries(
+        state.sources.map((source) => [
+          source.id,
+          { visible: source.visible, opacity: source.opacity },
+        ])
+      ),
+      order: state.sources.filter((source) => source.kind === "overlay").map((source) => source.id),
+    };
+    if (withKeys) config.keys = { ...state.keys };
+    return config;
+  };
+
+  /**
+   * 保存配置到localStorage
+   * @returns {void}
+   */
+  const persist = () => {
+    if (!storageKey || typeof localStorage === "undefined") return;
+    const config = exportConfig({ withKeys: true, withLocal: true });
+    localStorage.setItem(storageKey, JSON.stringify(config));
+  };
+
+  /**
+   * 按配置恢复图层状态与叠加顺序
+   * @param {Object} config - 配置，见 exportConfig
+   * @returns {void}
+   */
+  const applyState = (config) => {
+    state.sources.forEach((source) => {
+      const layer = config.layers?.[source.id];
+      if (layer) Object.assign(source, layer);
+    });
+    if (config.order?.length) {
+      const rank = new Map(config.order.map((id, index) => [id, index]));
+      // 配置中没有的叠加图层排在最后，保持原有相对顺序
+      const position = (source, index) => rank.get(source.id) ?? config.order.length + index;
+      const overlays = state.sources
+        .filter((source) => source.kind === "overlay")
+        .map((source, index) => ({ source, index }))
+        .sort((a, b) => position(a.source, a.index) - position(b.source, b.index))
+        .map(({ source }) => source);
+      state.sources = [...state.sources.filter((source) => source.kind !== "overlay"), ...overlays];
+    }
+    if (config.baseMapId) state.baseMapId = config.baseMapId;
+  };
+
+  /**
+   * 合并图层源，同ID的替换，新的追加
+   * @param {Array<Object>} inputs - 图层源配置
+   * @param {string} origin - 来源
+   * @returns {void}
+   */
+  const mergeSources = (inputs, origin) => {
+    inputs.forEach((input) => {
+      const source = normalizeSource(input, origin);
+      const index = state.sources.findIndex((s) => s.id === source.id);
+      if (index === -1) state.sources.push(source);
+      else state.sources.splice(index, 1, source);
+    });
+  };
+
+  /**
+   * 导入配置
+   * @param {Object} config - 配置，见 exportConfig
+   * @returns {void}
+   */
+  const importConfig = (config) => {
+    mergeSources(config.sources || [], "custom");
+    Object.assign(state.keys, config.keys || {});
+    applyState(config);
+    persist();
+  };
+
+  /**
+   * 加载目录文件
+   * @description 团队可在部署目录放置目录文件（格式同 exportConfig，通常只含sources），
+   * 其中的图层源作为预置项加入；文件不存在时忽略
+   * @param {string} url - 目录文件地址
+   * @returns {Promise<void>}
+   */
+  const loadCatalogue = async (url) => {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) return;
+      const catalogue = await response.json();
+      mergeSources(catalogue.sources || [], "catalogue");
+      // 目录文件中的默认状态先生效，再由用户保存的配置覆盖
+      applyState(catalogue);
+      applyState(readSaved());
+    } catch (error) {
+      console.warn("加载瓦片图层目录失败:", error);
+    }
+  };
+
+  /**
+   * 获取图层源
+   * @param {string} id - 图层源ID
+   * @returns {TileSource|undefined} 图层源
+   */
+  const getSource = (id) => state.sources.find((source) => source.id === id);
+
+  /**
+   * 获取全部底图
+   * @returns {Array<TileSource>} 底图
+   */
+  const getBaseMaps = () => state.sources.filter((source) => source.kind === "base");
+
+  /**
+   * 获取全部叠加图层（靠前的在上层）
+   * @returns {Array<TileSource>} 叠加图层
+   */
+  const getOverlays = () => state.sources.filter((source) => source.kind === "overlay");
+
+  /**
+   * 获取当前底图
+   * @description 保存的底图尚未加载（如来自目录文件）时退回第一个底图
+   * @returns {TileSource|undefined} 底图
+   */
+  const getBaseMap = () => getSource(state.baseMapId) || getBaseMaps()[0];
+
+  /**
+   * 获取图层源的密钥名称
+   * @param {TileSource} source - 图层源
+   * @returns {string|null} 密钥名称，不需要密钥时返回null
+   */
+  const getKeyName = (source) =>
+    source.url.includes("{key}") ? source.keyName || source.id : null;
+
+  /**
+   * 解析图层源的地址
+   * @description 替换 {key} 占位符；需要密钥但尚未设置时返回null
+   * @param {TileSource} source - 图层源
+   * @returns {string|null} 地址模板
+   */
+  const resolveUrl = (source) => {
+    const keyName = getKeyName(source);
+    if (!keyName) return source.url;
+    const key = state.keys[keyName];
+    return key ? source.url.replaceAll("{key}", encodeURIComponent(key)) : null;
+  };
+
+  /**
+   * 添加图层源
+   * @param {Object} input - 图层源配置，见 TileSource
+   * @returns {TileSource} 图层源
+   */
+  const addSource = (input) => {
+    const error = validateSource(input);
+    if (error) throw new Error(error);
+    const source = normalizeSource(input, "custom");
+    if (getSource(source.id)) throw new Error(`图层ID已存在: ${source.id}`);
+    // 新的叠加图层显示在最上层
+    if (source.kind === "overlay") {
+      const index = state.sources.findIndex((s) => s.kind === "overlay");
+      state.sources.splice(index === -1 ? state.sources.length : index, 0, source);
+    } else {
+      state.sources.push(source);
+    }
+    persist();
+    return getSource(source.id);
+  };
+
+  /**
+   * 更新图层源（可见性、透明度、名称等）
+   * @param {string} id - 图层源ID
+   * @param {Object} patch - 要更新的字段
+   * @returns {TileSource|undefined} 图层源
+   */
+  const updateSource = (id, patch) => {
+    const source = getSource(id);
+    if (!source) return undefined;
+    Object.assign(source, patch);
+    persist();
+    return source;
+  };
+
+  /**
+   * 移除用户添加的图层源
+   * @param {string} id - 图层源ID
+   * @returns {boolean} 是否移除成功（内置与目录文件中的图层源不可移除）
+   */
+  const removeSource = (id) => {
+    const index = state.sources.findIndex((source) => source.id === id);
+    if (index === -1 || state.sources[index].origin !== "custom") return false;
+    state.sources.splice(index, 1);
+    persist();
+    return true;
+  };
+
+  /**
+   * 调整叠加图层顺序
+   * @param {string} id - 图层源ID
+   * @param {number} toIndex - 目标位置（叠加图层中的序号，0为最上层）
+   * @returns {void}
+   */
+  const moveOverlay = (id, toIndex) => {
+    const overlays = getOverlays();
+    const from = overlays.findIndex((source) => source.id === id);
+    if (from === -1) return;
+    const [source] = overlays.splice(from, 1);
+    overlays.splice(Math.max(0, Math.min(toIndex, overlays.length)), 0, source);
+    state.sources = [...getBaseMaps(), ...overlays];
+    persist();
+  };
+
+  /**
+   * 切换底图
+   * @param {string} id - 底图ID
+   * @returns {boolean} 是否切换成功
+   */
+  const setBaseMap = (id) => {
+    if (getSource(id)?.kind !== "base") return false;
+    state.baseMapId = id;
+    persist();
+    return true;
+  };
+
+  /**
+   * 设置服务密钥
+   * @param {string} keyName - 密钥名称
+   * @param {string} value - 密钥，为空时删除
+   * @returns {void}
+   */
+  const setKey = (keyName, value) => {
+    if (value) state.keys[keyName] = value;
+    else delete state.keys[keyName];
+    persist();
+  };
+
+  const saved = readSaved();
+  mergeSources(saved.sources || [], "custom");
+  Object.assign(state.keys, saved.keys || {});
+  applyState(saved);
+  if (catalogueUrl && typeof fetch !== "undefined") loadCatalogue(catalogueUrl);
+
+  return {
+    state,
+    getSource,
+    getBaseMaps,
+    getOverlays,
+    getBaseMap,
+    getKeyName,
+    resolveUrl,
+    addSource,
+    updateSource,
+    removeSource,
+    moveOverlay,
+    setBaseMap,
+    setKey,
+    exportConfig,
+    importConfig,
+    loadCatalogue,
+  };
+};
+
+/**
+ * 全局共享的瓦片图层目录
+ * @description 启动时加载部署目录下的 tile-catalog.json（如天地图等团队预置底图）
+ */
+export const tileCatalog = createTileCatalog({
+  catalogueUrl: `${import.meta.env.BASE_URL}tile-catalog.json`,
+});
+
+export default tileCatalog;
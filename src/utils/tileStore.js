@@ -0,0 +1,457 @@
+/**
+ * @file tileStore.js
+ * @description 离线瓦片存储：按区域与级别范围把瓦片预先下载到IndexedDB（估算大小、进度、可取消），
+ * 地图在离线或网络请求失败时从中读取；同时保存本地加载的MBTiles文件
+ * @module utils/tileStore
+ */
+
+import { reactive } from "vue";
+import { getCoveringTiles, toTile } from "./viewportLoader";
+import { getWMTSTemplate, getMapUrl } from "./ogc";
+
+const DB_NAME = "leaflet-cesium-offline";
+const DB_VERSION = 1;
+const TILE_STORE = "tiles";
+const FILE_STORE = "files";
+
+/** Web墨卡托坐标范围（米） */
+const MERCATOR_EXTENT = 20037508.342789244;
+
+/** 单次下载的瓦片数上限，避免误选过大的范围（公共瓦片服务通常也禁止批量下载） */
+export const MAX_DOWNLOAD_TILES = 20000;
+
+/** 无法采样时按此估算单个瓦片大小（字节） */
+const DEFAULT_TILE_BYTES = 20 * 1024;
+
+/** 批量写入IndexedDB的瓦片数 */
+const WRITE_BATCH = 50;
+
+/**
+ * 将IDBRequest转换为Promise
+ * @param {IDBRequest} request - 请求
+ * @returns {Promise<*>} 请求结果
+ */
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * 等待事务完成
+ * @param {IDBTransaction} transaction - 事务
+ * @returns {Promise<void>}
+ */
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = transaction.onabort = () => reject(transaction.error);
+  });
+
+/**
+ * 打开离线数据库
+ * @param {string} name - 数据库名称
+ * @returns {Promise<IDBDatabase>} 数据库
+ */
+const openDatabase = (name) =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore(TILE_STORE, { keyPath: "key" }).createIndex("sourceId", "sourceId");
+      db.createObjectStore(FILE_STORE, { keyPath: "id" });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * 格式化字节数
+ * @param {number} bytes - 字节数
+ * @returns {string} 如 "12.3 MB"
+ */
+export const formatBytes = (bytes) => {
+  const units = ["B", "KB", "MB", "GB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+};
+
+/**
+ * 瓦片存储键
+ * @description 行列号统一按XYZ（自上而下）方式，与TMS等服务的请求方式无关
+ * @param {string} sourceId - 瓦片图层源ID
+ * @param {{z: number, x: number, y: number}} coords - 瓦片坐标
+ * @returns {string} 存储键
+ */
+export const getTileKey = (sourceId, { z, x, y }) => `${sourceId}/${z}/${x}/${y}`;
+
+/**
+ * 统计范围内各级别的瓦片数
+ * @param {Array<number>} bounds - [west, south, east, north]
+ * @param {number} minZoom - 最小级别
+ * @param {number} maxZoom - 最大级别
+ * @returns {number} 瓦片数
+ */
+export const countTiles = ([west, south, east, north], minZoom, maxZoom) => {
+  // 跨越180°经线时拆成两段，与 getCoveringTiles 一致
+  const spans = west > east ? [[west, 180], [-180, east]] : [[west, east]];
+  let count = 0;
+  for (let z = minZoom; z <= maxZoom; z++) {
+    spans.forEach(([w, e]) => {
+      const min = toTile(Math.max(-180, w), north, z);
+      const max = toTile(Math.min(180, e), south, z);
+      count += (max.x - min.x + 1) * (max.y - min.y + 1);
+    });
+  }
+  return count;
+};
+
+/**
+ * 生成瓦片请求地址
+ * @description XYZ/TMS替换地址模板，WMTS按级别查矩阵ID，WMS按瓦片范围请求GetMap
+ * @param {Object} source - 瓦片图层源，见 utils/tileCatalog
+ * @param {string} url - 已替换密钥的地址
+ * @param {{z: number, x: number, y: number}} coords - XYZ瓦片坐标
+ * @returns {string} 请求地址
+ */
+export const getTileUrl = (source, url, { z, x, y }) => {
+  const reversedY = 2 ** z - 1 - y;
+  if (source.type === "wms") {
+    const size = (MERCATOR_EXTENT * 2) / 2 ** z;
+    const minX = -MERCATOR_EXTENT + x * size;
+    const maxY = MERCATOR_EXTENT - y * size;
+    return getMapUrl(source, url, [minX, maxY - size, minX + size, maxY]);
+  }
+  const template = source.type === "wmts" ? getWMTSTemplate(source, url) : url;
+  // 子域名的取法与Leaflet相同
+  const subdomains = source.subdomains || "abc";
+  const values = {
+    s: subdomains[Math.abs(x + y) % subdomains.length],
+    z,
+    x,
+    y: source.type === "tms" ? reversedY : y,
+    "-y": reversedY,
+    tileMatrix: source.matrixIds?.[z] ?? z,
+  };
+  return template.replace(/\{ *([\w-]+) *\}/g, (match, name) => values[name] ?? match);
+};
+
+/**
+ * 计算范围中心在某一级别所在的瓦片
+ * @param {Array<number>} bounds - [west, south, east, north]
+ * @param {number} z - 级别
+ * @returns {{z: number, x: number, y: number}} 瓦片坐标
+ */
+const getCenterTile = ([west, south, east, north], z) => ({
+  z,
+  ...toTile((west + east) / 2, (south + north) / 2, z),
+});
+
+/**
+ * 下载范围
+ * @typedef {Object} DownloadArea
+ * @property {Array<number>} bounds - [west, south, east, north]
+ * @property {number} minZoom - 最小级别
+ * @property {number} maxZoom - 最大级别
+ */
+
+/**
+ * 创建离线瓦片存储
+ * @param {Object} [options] - 选项
+ * @param {string} [options.dbName] - IndexedDB数据库名称
+ * @returns {Object} 离线瓦片存储
+ */
+export const createTileStore = ({ dbName = DB_NAME } = {}) => {
+  /**
+   * 响应式状态
+   * @description online为浏览器网络状态；usage为各图层源的缓存瓦片数与字节数，由 refreshUsage 更新
+   */
+  const state = reactive({
+    online: typeof navigator === "undefined" || navigator.onLine,
+    usage: {},
+  });
+
+  let dbPromise = null;
+
+  /**
+   * 获取数据库连接（首次使用时打开）
+   * @returns {Promise<IDBDatabase>} 数据库
+   */
+  const getDB = () => {
+    dbPromise ||= openDatabase(dbName).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+    return dbPromise;
+  };
+
+  /**
+   * 读取缓存的瓦片
+   * @param {string} sourceId - 瓦片图层源ID
+   * @param {{z: number, x: number, y: number}} coords - XYZ瓦片坐标
+   * @returns {Promise<Blob|null>} 瓦片图片，未缓存时返回null
+   */
+  const getTile = async (sourceId, coords) => {
+    const db = await getDB();
+    const store = db.transaction(TILE_STORE).objectStore(TILE_STORE);
+    const record = await requestToPromise(store.get(getTileKey(sourceId, coords)));
+    return record?.blob || null;
+  };
+
+  /**
+   * 判断瓦片是否已缓存
+   * @param {string} sourceId - 瓦片图层源ID
+   * @param {{z: number, x: number, y: number}} coords - XYZ瓦片坐标
+   * @returns {Promise<boolean>} 是否已缓存
+   */
+  const hasTile = async (sourceId, coords) => {
+    const db = await getDB();
+    const store = db.transaction(TILE_STORE).objectStore(TILE_STORE);
+    return (await requestToPromise(store.count(getTileKey(sourceId, coords)))) > 0;
+  };
+
+  /**
+   * 批量写入瓦片
+   * @param {Array<Object>} records - 瓦片记录 { key, sourceId, z, x, y, blob, size, time }
+   * @returns {Promise<void>}
+   */
+  const putTiles = async (records) => {
+    if (!records.length) return;
+    const db = await getDB();
+    const transaction = db.transaction(TILE_STORE, "readwrite");
+    const store = transaction.objectStore(TILE_STORE);
+    records.forEach((record) => store.put(record));
+    await transactionDone(transaction);
+  };
+
+  /**
+   * 统计各图层源的缓存用量
+   * @returns {Promise<Object<string, {count: number, bytes: number}>>} 图层源ID -> 用量
+   */
+  const refreshUsage = async () => {
+    const db = await getDB();
+    const usage = {};
+    await new Promise((resolve, reject) => {
+      const request = db.transaction(TILE_STORE).objectStore(TILE_STORE).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return resolve();
+        const { sourceId, size } = cursor.value;
+        usage[sourceId] ||= { count: 0, bytes: 0 };
+        usage[sourceId].count += 1;
+        usage[sourceId].bytes += size || 0;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    state.usage = usage;
+    return usage;
+  };
+
+  /**
+   * 清除图层源的全部缓存瓦片
+   * @param {string} sourceId - 瓦片图层源ID
+   * @returns {Promise<void>}
+   */
+  const clearSource = async (sourceId) => {
+    const db = await getDB();
+    const transaction = db.transaction(TILE_STORE, "readwrite");
+    const request = transaction
+      .objectStore(TILE_STORE)
+      .index("sourceId")
+      .openKeyCursor(IDBKeyRange.only(sourceId));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      transaction.objectStore(TILE_STORE).delete(cursor.primaryKey);
+      cursor.continue();
+    };
+    await transactionDone(transaction);
+    await refreshUsage();
+  };
+
+  /**
+   * 请求单个瓦片
+   * @param {Object} source - 瓦片图层源
+   * @param {string} url - 已替换密钥的地址
+   * @param {{z: number, x: number, y: number}} coords - XYZ瓦片坐标
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<Blob>} 瓦片图片
+   */
+  const fetchTile = async (source, url, coords, signal) => {
+    const response = await fetch(getTileUrl(source, url, coords), { signal });
+    if (!response.ok) throw new Error(`瓦片请求失败: ${response.status}`);
+    const blob = await response.blob();
+    // WMS等服务出错时可能返回200的XML异常
+    if (!blob.type.startsWith("image/")) throw new Error(`瓦片格式无效: ${blob.type}`);
+    return blob;
+  };
+
+  /**
+   * 估算下载量
+   * @description 瓦片数按范围精确计算；大小按最小、中间、最大级别各采样一个范围中心的瓦片估算，
+   * 采样失败时按平均20KB估算
+   * @param {Object} source - 瓦片图层源
+   * @param {string} url - 已替换密钥的地址
+   * @param {DownloadArea} area - 下载范围
+   * @param {Object} [options] - 选项
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @returns {Promise<{count: number, bytes: number, sampled: boolean}>} 瓦片数与估算字节数
+   */
+  const estimate = async (source, url, { bounds, minZoom, maxZoom }, { signal } = {}) => {
+    const count = countTiles(bounds, minZoom, maxZoom);
+    const zooms = [...new Set([minZoom, Math.round((minZoom + maxZoom) / 2), maxZoom])];
+    const sizes = await Promise.all(
+      zooms.map((z) =>
+        fetchTile(source, url, getCenterTile(bounds, z), signal).then(
+          (blob) => blob.size,
+          () => null
+        )
+      )
+    );
+    signal?.throwIfAborted();
+    const sampled = sizes.filter((size) => size !== null);
+    const average = sampled.length
+      ? sampled.reduce((sum, size) => sum + size, 0) / sampled.length
+      : DEFAULT_TILE_BYTES;
+    return { count, bytes: Math.round(count * average), sampled: sampled.length > 0 };
+  };
+
+  /**
+   * 下载范围内的瓦片到离线缓存
+   * @description 已缓存的瓦片跳过；单个瓦片失败不中断下载，计入failed；取消后已下载的瓦片保留
+   * @param {Object} source - 瓦片图层源
+   * @param {string} url - 已替换密钥的地址
+   * @param {DownloadArea} area - 下载范围
+   * @param {Object} [options] - 选项
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @param {Function} [options.onProgress] - 进度回调，参数同返回值
+   * @param {number} [options.concurrency=4] - 并发请求数
+   * @returns {Promise<{total: number, done: number, skipped: number, failed: number, bytes: number, aborted: boolean}>}
+   * 下载结果，done包含跳过与失败的瓦片
+   */
+  const download = async (
+    source,
+    url,
+    { bounds, minZoom, maxZoom },
+    { signal, onProgress, concurrency = 4 } = {}
+  ) => {
+    const total = countTiles(bounds, minZoom, maxZoom);
+    if (total > MAX_DOWNLOAD_TILES) {
+      throw new Error(`瓦片数 ${total} 超过单次下载上限 ${MAX_DOWNLOAD_TILES}，请缩小范围或级别`);
+    }
+    const progress = { total, done: 0, skipped: 0, failed: 0, bytes: 0, aborted: false };
+    const pending = [];
+
+    // 逐级生成瓦片，避免一次性展开全部级别
+    const tiles = (function* () {
+      for (let z = minZoom; z <= maxZoom; z++) yield* getCoveringTiles(bounds, z);
+    })();
+
+    const flush = async () => putTiles(pending.splice(0, pending.length));
+
+    const worker = async () => {
+      for (let next = tiles.next(); !next.done && !signal?.aborted; next = tiles.next()) {
+        const coords = next.value;
+        try {
+          if (await hasTile(source.id, coords)) {
+            progress.skipped += 1;
+          } else {
+            const blob = await fetchTile(source, url, coords, signal);
+            pending.push({
+              key: getTileKey(source.id, coords),
+              sourceId: source.id,
+              ...coords,
+              blob,
+              size: blob.size,
+              time: Date.now(),
+            });
+            progress.bytes += blob.size;
+            if (pending.length >= WRITE_BATCH) await flush();
+          }
+        } catch (error) {
+          if (signal?.aborted) break;
+          progress.failed += 1;
+        }
+        progress.done += 1;
+        onProgress?.({ ...progress });
+      }
+    };
+
+    try {
+      await Promise.all(Array.from({ length: concurrency }, worker));
+    } finally {
+      await flush();
+      await refreshUsage();
+    }
+    progress.aborted = Boolean(signal?.aborted);
+    return progress;
+  };
+
+  /**
+   * 保存本地文件（如MBTiles）
+   * @param {string} id - 文件ID
+   * @param {File|Blob} file - 文件
+   * @returns {Promise<void>}
+   */
+  const putFile = async (id, file) => {
+    const db = await getDB();
+    const transaction = db.transaction(FILE_STORE, "readwrite");
+    transaction
+      .objectStore(FILE_STORE)
+      .put({ id, name: file.name, blob: file, size: file.size, time: Date.now() });
+    await transactionDone(transaction);
+  };
+
+  /**
+   * 读取保存的本地文件
+   * @param {string} id - 文件ID
+   * @returns {Promise<{id: string, name: string, blob: Blob, size: number}|undefined>} 文件记录
+   */
+  const getFile = async (id) => {
+    const db = await getDB();
+    return requestToPromise(db.transaction(FILE_STORE).objectStore(FILE_STORE).get(id));
+  };
+
+  /**
+   * 删除保存的本地文件
+   * @param {string} id - 文件ID
+   * @returns {Promise<void>}
+   */
+  const removeFile = async (id) => {
+    const db = await getDB();
+    const transaction = db.transaction(FILE_STORE, "readwrite");
+    transaction.objectStore(FILE_STORE).delete(id);
+    await transactionDone(transaction);
+  };
+
+  if (typeof window !== "undefined") {
+    window.addEventListener("online", () => (state.online = true));
+    window.addEventListener("offline", () => (state.online = false));
+  }
+
+  return {
+    state,
+    getTile,
+    hasTile,
+    refreshUsage,
+    clearSource,
+    estimate,
+    download,
+    putFile,
+    getFile,
+    removeFile,
+  };
+};
+
+/**
+ * 全局共享的离线瓦片存储
+ */
+export const tileStore = createTileStore();
+
+export default tileStore;
@@ -0,0 +1,280 @@
+/**
+ * @file topology.js
+ * @description 捕捉与拓扑检查：在屏幕像素容差内查找可捕捉的节点或边，
+ * 检查面的自相交以及与相邻面的重叠（共边、共点不算重叠），直接在经纬度坐标上计算
+ * @module utils/topology
+ */
+
+import { flattenGeometry, getBounds } from "./geojson";
+import { pointInPolygon, segmentsIntersect, boundsIntersect } from "./spatial";
+
+/** 共线与点在边界上的判断容差（相对坐标量级） */
+const EPSILON = 1e-12;
+
+/**
+ * 拓扑规则
+ * @description noOverlap：面不得与相邻面重叠；sharedEdges：编辑时移动共用节点的相邻面一起移动；
+ * noSelfIntersection：面不得自相交
+ * @type {Array<{value: string, label: string}>}
+ */
+export const TOPOLOGY_RULES = [
+  { value: "noOverlap", label: "不与相邻面重叠" },
+  { value: "sharedEdges", label: "共边联动编辑" },
+  { value: "noSelfIntersection", label: "禁止自相交" },
+];
+
+/** @type {WeakMap<Object, Array<number>|null>} 几何 -> 外包矩形；仓库更新要素时整体替换几何，缓存随之失效 */
+const boundsCache = new WeakMap();
+
+/**
+ * 获取几何的外包矩形（带缓存）
+ * @param {Object} geometry - GeoJSON几何
+ * @returns {Array<number>|null} [west, south, east, north]
+ */
+const getCachedBounds = (geometry) => {
+  if (!boundsCache.has(geometry)) boundsCache.set(geometry, getBounds(geometry));
+  return boundsCache.get(geometry);
+};
+
+/**
+ * 获取几何的全部折线（线与面的各环）及独立的点
+ * @param {Object} geometry - GeoJSON几何
+ * @returns {{lines: Array<Array<Array<number>>>, points: Array<Array<number>>}}
+ */
+const getParts = (geometry) => {
+  const lines = [];
+  const points = [];
+  flattenGeometry(geometry).forEach(({ type, coordinates }) => {
+    if (type === "Point") points.push(coordinates);
+    else if (type === "LineString") lines.push(coordinates);
+    else if (type === "Polygon") lines.push(...coordinates);
+  });
+  return { lines, points };
+};
+
+/**
+ * 查找捕捉目标
+ * @description 优先捕捉容差内最近的节点，其次最近的边；边上的捕捉点按像素位置在经纬度线段上插值，
+ * 保证捕捉后的节点精确落在相邻要素的边上
+ * @param {Array<number>} point - 鼠标位置的屏幕像素坐标 [x, y]
+ * @param {Array<{id: string, geometry: Object}>} candidates - 候选要素
+ * @param {Object} options - 选项
+ * @param {Function} options.project - 经纬度 [经度, 纬度] 转屏幕像素 [x, y]
+ * @param {Array<number>} options.bounds - 容差范围对应的经纬度外包矩形，用于快速排除候选要素
+ * @param {number} [options.tolerance=10] - 捕捉容差（像素）
+ * @param {boolean} [options.vertices=true] - 是否捕捉节点
+ * @param {boolean} [options.edges=true] - 是否捕捉边
+ * @returns {{coordinate: Array<number>, type: string, id: string}|null} 捕捉到的经纬度坐标、
+ * 类型（vertex或edge）与要素ID，没有目标时返回null
+ */
+export const findSnapTarget = (
+  [x, y],
+  candidates,
+  { project, bounds, tolerance = 10, vertices = true, edges = true }
+) => {
+  let vertex = null;
+  let edge = null;
+  candidates.forEach(({ id, geometry }) => {
+    const featureBounds = getCachedBounds(geometry);
+    if (!featureBounds || !boundsIntersect(featureBounds, bounds)) return;
+    const { lines, points } = getParts(geometry);
+
+    if (vertices) {
+      [...points, ...lines.flat()].forEach((coordinate) => {
+        const [px, py] = project(coordinate);
+        const distance = Math.hypot(px - x, py - y);
+        if (distance <= tolerance && (!vertex || distance < vertex.distance)) {
+          vertex = { coordinate: [coordinate[0], coordinate[1]], type: "vertex", id, distance };
+        }
+      });
+    }
+    if (edges && !vertex) {
+      lines.forEach((line) => {
+        for (let i = 1; i < line.length; i++) {
+          const [ax, ay] = project(line[i - 1]);
+          const [bx, by] = project(line[i]);
+          const dx = bx - ax;
+          const dy = by - ay;
+          const lengthSquared = dx * dx + dy * dy;
+          if (!lengthSquared) continue;
+          const t = Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / lengthSquared));
+          const distance = Math.hypot(ax + t * dx - x, ay + t * dy - y);
+          if (distance <= tolerance && (!edge || distance < edge.distance)) {
+            const [lng1, lat1] = line[i - 1];
+            const [lng2, lat2] = line[i];
+            edge = {
+              coordinate: [lng1 + t * (lng2 - lng1), lat1 + t * (lat2 - lat1)],
+              type: "edge",
+              id,
+              distance,
+            };
+          }
+        }
+      });
+    }
+  });
+  const target = vertex || edge;
+  if (!target) return null;
+  const { coordinate, type, id } = target;
+  return { coordinate, type, id };
+};
+
+/**
+ * 获取折线的线段
+ * @param {Array<Array<number>>} line - 折线或闭合环坐标
+ * @returns {Array<Array<Array<number>>>} 线段 [起点, 终点]，跳过长度为0的线段
+ */
+const getSegments = (line) => {
+  const segments = [];
+  for (let i = 1; i < line.length; i++) {
+    const [a, b] = [line[i - 1], line[i]];
+    if (a[0] !== b[0] || a[1] !== b[1]) segments.push([a, b]);
+  }
+  return segments;
+};
+
+/**
+ * 判断几何是否自相交
+ * @description 检查线与面各环中不相邻的线段是否相交（含接触），以及面的不同环之间是否相交
+ * @param {Object} geometry - GeoJSON几何
+ * @returns {boolean} 是否自相交
+ */
+export const isSelfIntersecting = (geometry) =>
+  flattenGeometry(geometry).some(({ type, coordinates }) => {
+    if (type === "Point") return false;
+    const rings = type === "LineString" ? [coordinates] : coordinates;
+    const closed = type === "Polygon";
+    const segmentsByRing = rings.map(getSegments);
+
+    return segmentsByRing.some((segments, r) => {
+      for (let i = 0; i < segments.length; i++) {
+        for (let j = i + 2; j < segments.length; j++) {
+          // 闭合环的首末线段相邻
+          if (closed && i === 0 && j === segments.length - 1) continue;
+          if (segmentsIntersect(...segments[i], ...segments[j])) return true;
+        }
+        for (let s = r + 1; s < segmentsByRing.length; s++) {
+          if (segmentsByRing[s].some((other) => segmentsIntersect(...segments[i], ...other))) {
+            return true;
+          }
+        }
+      }
+      return false;
+    });
+  });
+
+/**
+ * 计算点到线段距离的平方（经纬度坐标）
+ * @returns {number} 距离平方
+ */
+const distanceToSegmentSquared = ([x, y], [ax, ay], [bx, by]) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / lengthSquared)) : 0;
+  return (ax + t * dx - x) ** 2 + (ay + t * dy - y) ** 2;
+};
+
+/**
+ * 判断点是否严格在多边形内部（不在边界上）
+ * @param {Array<number>} point - [经度, 纬度]
+ * @param {Array<Array<Array<number>>>} polygon - Polygon坐标
+ * @param {number} tolerance - 边界容差（与坐标同单位）
+ * @returns {boolean}
+ */
+const strictlyInside = (point, polygon, tolerance) =>
+  pointInPolygon(point, polygon) &&
+  !polygon.some((ring) =>
+    getSegments(ring).some(([a, b]) => distanceToSegmentSquared(point, a, b) <= tolerance ** 2)
+  );
+
+/**
+ * 判断两条线段是否在内部交叉（端点接触与共线重叠不算）
+ * @returns {boolean}
+ */
+const segmentsCross = (a, b, c, d, tolerance) => {
+  const side = (p, q, r) => {
+    const cross = (q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]);
+    const length = Math.hypot(q[0] - p[0], q[1] - p[1]);
+    return Math.abs(cross) <= tolerance * length ? 0 : Math.sign(cross);
+  };
+  const o1 = side(a, b, c);
+  const o2 = side(a, b, d);
+  const o3 = side(c, d, a);
+  const o4 = side(c, d, b);
+  return o1 * o2 < 0 && o3 * o4 < 0;
+};
+
+/**
+ * 获取多边形内部的一个点
+ * @description 依次取外环相邻三个节点构成的三角形重心，取第一个落在多边形内部的
+ * @param {Array<Array<Array<number>>>} polygon - Polygon坐标
+ * @returns {Array<number>|null} 内部点
+ */
+const getInteriorPoint = (polygon) => {
+  const ring = polygon[0];
+  for (let i = 2; i < ring.length; i++) {
+    const [a, b, c] = [ring[i - 2], ring[i - 1], ring[i]];
+    const point = [(a[0] + b[0] + c[0]) / 3, (a[1] + b[1] + c[1]) / 3];
+    if (pointInPolygon(point, polygon)) return point;
+  }
+  return null;
+};
+
+/**
+ * 判断两个多边形的内部是否重叠
+ * @description 共用边或节点（如捕捉绘制的相邻地块）不算重叠；
+ * 边在内部交叉、一方的节点或边中点严格落在另一方内部、或两者重合时为重叠
+ * @param {Array<Array<Array<number>>>} a - Polygon坐标
+ * @param {Array<Array<Array<number>>>} b - Polygon坐标
+ * @returns {boolean} 是否重叠
+ */
+export const polygonsOverlap = (a, b) => {
+  const boundsA = getBounds({ type: "Polygon", coordinates: a });
+  const boundsB = getBounds({ type: "Polygon", coordinates: b });
+  if (!boundsA || !boundsB || !boundsIntersect(boundsA, boundsB)) return false;
+  const scale = Math.max(...boundsA.map(Math.abs), ...boundsB.map(Math.abs), 1);
+  const tolerance = scale * EPSILON * 1000;
+
+  const segmentsA = a.flatMap(getSegments);
+  const segmentsB = b.flatMap(getSegments);
+  if (segmentsA.some(([p, q]) => segmentsB.some(([r, s]) => segmentsCross(p, q, r, s, tolerance)))) {
+    return true;
+  }
+
+  const samples = (segments) =>
+    segments.flatMap(([p, q]) => [p, [(p[0] + q[0]) / 2, (p[1] + q[1]) / 2]]);
+  if (samples(segmentsA).some((point) => strictlyInside(point, b, tolerance))) return true;
+  if (samples(segmentsB).some((point) => strictlyInside(point, a, tolerance))) return true;
+
+  // 边界完全重合（如复制的图形）时以内部点判断
+  const interiorA = getInteriorPoint(a);
+  const interiorB = getInteriorPoint(b);
+  return Boolean(
+    (interiorA && pointInPolygon(interiorA, b)) || (interiorB && pointInPolygon(interiorB, a))
+  );
+};
+
+/**
+ * 查找与几何重叠的面要素
+ * @param {Object} geometry - GeoJSON几何，只检查其中的面
+ * @param {Array<{id: string, geometry: Object}>} candidates - 候选要素
+ * @returns {Array<string>} 重叠的要素ID
+ */
+export const findOverlaps = (geometry, candidates) => {
+  const polygons = flattenGeometry(geometry)
+    .filter((part) => part.type === "Polygon")
+    .map((part) => part.coordinates);
+  if (!polygons.length) return [];
+  const bounds = getBounds(geometry);
+
+  return candidates
+    .filter(({ geometry: other }) => {
+      const otherBounds = getCachedBounds(other);
+      if (!otherBounds || !boundsIntersect(bounds, otherBounds)) return false;
+      return flattenGeometry(other)
+        .filter((part) => part.type === "Polygon")
+        .some((part) => polygons.some((polygon) => polygonsOverlap(polygon, part.coordinates)));
+    })
+    .map(({ id }) => id);
+};
@@ -0,0 +1,373 @@
+/**
+ * @file vectorTiles.js
+ * @description 矢量瓦片：读取地址模板（MVT）或PMTiles单文件归档中的矢量瓦片，
+ * 按样式规则（填充、描边、标注字段，按级别与属性过滤）绘制到Canvas，并支持按像素位置拾取要素
+ * @module utils/vectorTiles
+ */
+
+import { VectorTile, VectorTileFeature } from "@mapbox/vector-tile";
+import { PbfReader } from "pbf";
+import { PMTiles, FileSource, TileType } from "pmtiles";
+import { createId, matchesRule } from "./featureStore";
+import tileStore, { getTileUrl } from "./tileStore";
+import { pointInRing } from "./spatial";
+
+/** 本地PMTiles图层源地址前缀，后接图层源ID；远程PMTiles直接使用文件地址 */
+export const PMTILES_PROTOCOL = "pmtiles://";
+
+/**
+ * 矢量瓦片默认样式
+ * @description 按几何类型给出填充、描边与点符号，点要素以name字段标注
+ * @type {{rules: Array<Object>}}
+ */
+export const DEFAULT_VECTOR_STYLE = {
+  rules: [
+    { geometry: "Polygon", style: { fillColor: "#88aadd", fillOpacity: 0.4, color: "#5577aa", weight: 1 } },
+    { geometry: "LineString", style: { color: "#666666", weight: 1.5 } },
+    {
+      geometry: "Point",
+      style: { radius: 3, fillColor: "#ff7800", fillOpacity: 1, color: "#ffffff", weight: 1, label: "name" },
+    },
+  ],
+};
+
+/**
+ * 矢量样式规则
+ * @typedef {Object} VectorStyleRule
+ * @property {string|Array<string>} [layer] - 矢量瓦片图层名（source layer），缺省匹配全部图层
+ * @property {string} [geometry] - Point、LineString或Polygon，缺省匹配全部几何类型
+ * @property {number} [minZoom] - 最小显示级别（含）
+ * @property {number} [maxZoom] - 最大显示级别（含）
+ * @property {string} [field] - 属性过滤，与value、values、min、max配合，见 featureStore 的样式规则
+ * @property {Object} style - 样式：color、weight、opacity、dashArray（描边），fillColor、fillOpacity（填充），
+ * radius（点半径），label（标注字段）、labelColor、labelSize，visible为false时不绘制
+ */
+
+/** 标注默认字号（像素） */
+const LABEL_SIZE = 12;
+
+/** 几何类型的绘制顺序：面在下，线居中，点在上 */
+const GEOMETRY_ORDER = { Polygon: 0, LineString: 1, Point: 2 };
+
+/**
+ * 判断要素是否满足矢量样式规则
+ * @param {VectorStyleRule} rule - 样式规则
+ * @param {Object} feature - 解码后的要素 { layer, type, properties }
+ * @param {number} zoom - 级别
+ * @returns {boolean} 是否匹配
+ */
+const matchesVectorRule = (rule, feature, zoom) => {
+  if (rule.layer && ![].concat(rule.layer).includes(feature.layer)) return false;
+  if (rule.geometry && rule.geometry !== feature.type) return false;
+  if (rule.minZoom !== undefined && zoom < rule.minZoom) return false;
+  if (rule.maxZoom !== undefined && zoom > rule.maxZoom) return false;
+  return matchesRule(rule, feature);
+};
+
+/**
+ * 计算矢量要素的样式
+ * @description 按顺序合并全部匹配规则的style，没有匹配规则或visible为false时不绘制
+ * @param {{rules: Array<VectorStyleRule>}} vectorStyle - 矢量样式
+ * @param {Object} feature - 解码后的要素
+ * @param {number} zoom - 级别
+ * @returns {Object|null} 样式，不绘制时返回null
+ */
+export const getVectorFeatureStyle = (vectorStyle, feature, zoom) => {
+  const matched = (vectorStyle?.rules || DEFAULT_VECTOR_STYLE.rules).filter((rule) =>
+    matchesVectorRule(rule, feature, zoom)
+  );
+  if (!matched.length) return null;
+  const style = Object.assign({}, ...matched.map((rule) => rule.style));
+  return style.visible === false ? null : style;
+};
+
+/**
+ * 校验矢量样式
+ * @param {*} vectorStyle - 矢量样式（已解析的JSON）
+ * @returns {string|null} 错误信息，有效时返回null
+ */
+export const validateVectorStyle = (vectorStyle) => {
+  if (!vectorStyle || !Array.isArray(vectorStyle.rules)) return "样式需包含rules数组";
+  const index = vectorStyle.rules.findIndex(
+    (rule) => !rule || typeof rule !== "object" || typeof rule.style !== "object"
+  );
+  return index === -1 ? null : `第${index + 1}条规则缺少style`;
+};
+
+/**
+ * 解压gzip压缩的瓦片
+ * @description 部分服务直接返回gzip文件而不设置Content-Encoding
+ * @param {ArrayBuffer} buffer - 瓦片数据
+ * @returns {Promise<ArrayBuffer>} 解压后的数据
+ */
+const gunzipIfNeeded = async (buffer) => {
+  const bytes = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+  if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) return buffer;
+  const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream("gzip"));
+  return new Response(stream).arrayBuffer();
+};
+
+/**
+ * 解码矢量瓦片
+ * @param {ArrayBuffer} buffer - MVT数据
+ * @returns {Array<Object>} 要素 { layer, type, id, properties, geometry, extent }，
+ * geometry为瓦片坐标（0~extent）下的环或线数组，每个点为 {x, y}
+ */
+export const decodeVectorTile = (buffer) => {
+  const tile = new VectorTile(new PbfReader(new Uint8Array(buffer)));
+  return Object.entries(tile.layers).flatMap(([name, layer]) =>
+    Array.from({ length: layer.length }, (_, i) => {
+      const feature = layer.feature(i);
+      return {
+        layer: name,
+        type: VectorTileFeature.types[feature.type],
+        id: feature.id,
+        properties: feature.properties,
+        geometry: feature.loadGeometry(),
+        extent: feature.extent,
+      };
+    }).filter((feature) => feature.type !== "Unknown")
+  );
+};
+
+/** @type {Map<string, Promise<PMTiles>>} 图层源ID -> PMTiles归档 */
+const archives = new Map();
+
+/**
+ * 获取图层源的PMTiles归档
+ * @description 本地文件从IndexedDB读取，远程文件按HTTP范围请求读取；打开后复用
+ * @param {Object} source - 瓦片图层源（type为pmtiles）
+ * @param {string} url - 已替换密钥的地址
+ * @returns {Promise<PMTiles>} 归档
+ */
+const getArchive = (source, url) => {
+  const key = `${source.id}|${url}`;
+  if (!archives.has(key)) {
+    const archive = url.startsWith(PMTILES_PROTOCOL)
+      ? tileStore.getFile(source.id).then((record) => {
+          if (!record) throw new Error("PMTiles文件已不存在，请重新加载");
+          const file = new File([record.blob], record.name || `${source.id}.pmtiles`);
+          return new PMTiles(new FileSource(file));
+        })
+      : Promise.resolve(new PMTiles(url));
+    archive.catch(() => archives.delete(key));
+    archives.set(key, archive);
+  }
+  return archives.get(key);
+};
+
+/**
+ * 读取矢量瓦片
+ * @param {Object} source - 瓦片图层源，type为mvt（地址模板）或pmtiles
+ * @param {string} url - 已替换密钥的地址
+ * @param {{z: number, x: number, y: number}} coords - XYZ瓦片坐标
+ * @param {Object} [options] - 选项
+ * @param {AbortSignal} [options.signal] - 取消信号
+ * @returns {Promise<Array<Object>>} 解码后的要素，见 decodeVectorTile；瓦片不存在时为空数组
+ */
+export const loadVectorTile = async (source, url, coords, { signal } = {}) => {
+  let buffer;
+  if (source.type === "pmtiles") {
+    const archive = await getArchive(source, url);
+    buffer = (await archive.getZxy(coords.z, coords.x, coords.y, signal))?.data;
+  } else {
+    const response = await fetch(getTileUrl(source, url, coords), { signal });
+    if (response.status === 204 || response.status === 404) return [];
+    if (!response.ok) throw new Error(`瓦片请求失败: HTTP ${response.status}`);
+    buffer = await response.arrayBuffer();
+  }
+  if (!buffer?.byteLength) return [];
+  return decodeVectorTile(await gunzipIfNeeded(buffer));
+};
+
+/**
+ * 按样式绘制矢量瓦片
+ * @param {CanvasRenderingContext2D} context - 画布上下文（已按瓦片像素缩放）
+ * @param {Array<Object>} features - 解码后的要素
+ * @param {{rules: Array<VectorStyleRule>}} vectorStyle - 矢量样式
+ * @param {Object} options - 选项
+ * @param {number} options.zoom - 级别
+ * @param {number} [options.tileSize=256] - 瓦片像素大小
+ * @returns {Array<Object>} 已绘制的要素（附带style），按绘制顺序排列，用于拾取
+ */
+export const drawVectorTile = (context, features, vectorStyle, { zoom, tileSize = 256 }) => {
+  const drawn = features
+    .map((feature) => ({ ...feature, style: getVectorFeatureStyle(vectorStyle, feature, zoom) }))
+    .filter((feature) => feature.style)
+    .sort((a, b) => GEOMETRY_ORDER[a.type] - GEOMETRY_ORDER[b.type]);
+  const labels = [];
+
+  drawn.forEach((feature) => {
+    const { style, geometry, type } = feature;
+    const scale = tileSize / feature.extent;
+    context.beginPath();
+    if (type === "Point") {
+      const radius = style.radius ?? 3;
+      geometry.flat().forEach(({ x, y }) => {
+        context.moveTo(x * scale + radius, y * scale);
+        context.arc(x * scale, y * scale, radius, 0, Math.PI * 2);
+      });
+    } else {
+      geometry.forEach((ring) => {
+        ring.forEach(({ x, y }, i) => {
+          if (i === 0) context.moveTo(x * scale, y * scale);
+          else context.lineTo(x * scale, y * scale);
+        });
+        if (type === "Polygon") context.closePath();
+      });
+    }
+
+    if (type !== "LineString" && style.fillColor) {
+      context.globalAlpha = style.fillOpacity ?? 1;
+      context.fillStyle = style.fillColor;
+      context.fill("evenodd");
+    }
+    if (style.color && (style.weight ?? 1) > 0) {
+      context.globalAlpha = style.opacity ?? 1;
+      context.strokeStyle = style.color;
+      context.lineWidth = style.weight ?? 1;
+      context.setLineDash(style.dashArray ? String(style.dashArray).split(/[ ,]+/).map(Number) : []);
+      context.stroke();
+    }
+    context.globalAlpha = 1;
+
+    const text = style.label && feature.properties[style.label];
+    if (text !== undefined && text !== null && text !== "") {
+      labels.push({ text: String(text), position: getLabelPosition(feature, scale), style });
+    }
+  });
+
+  // 标注绘制在全部几何之上，白色描边提高可读性
+  context.setLineDash([]);
+  context.textAlign = "center";
+  context.textBaseline = "middle";
+  labels.forEach(({ text, position, style }) => {
+    context.font = `${style.labelSize ?? LABEL_SIZE}px sans-serif`;
+    context.lineWidth = 3;
+    context.strokeStyle = "#ffffff";
+    context.strokeText(text, position.x, position.y);
+    context.fillStyle = style.labelColor || "#333333";
+    context.fillText(text, position.x, position.y);
+  });
+  return drawn;
+};
+
+/**
+ * 计算标注位置（瓦片像素坐标）
+ * @description 点在符号上方，线取中间节点，面取外包矩形中心
+ * @param {Object} feature - 解码后的要素
+ * @param {number} scale - 瓦片坐标到像素的比例
+ * @returns {{x: number, y: number}} 位置
+ */
+const getLabelPosition = ({ type, geometry, style }, scale) => {
+  if (type === "Point") {
+    const { x, y } = geometry[0][0];
+    return { x: x * scale, y: y * scale - (style.radius ?? 3) - (style.labelSize ?? LABEL_SIZE) / 2 - 2 };
+  }
+  if (type === "LineString") {
+    const line = geometry[0];
+    const { x, y } = line[Math.floor(line.length / 2)];
+    return { x: x * scale, y: y * scale };
+  }
+  const xs = geometry[0].map((point) => point.x);
+  const ys = geometry[0].map((point) => point.y);
+  return {
+    x: ((Math.min(...xs) + Math.max(...xs)) / 2) * scale,
+    y: ((Math.min(...ys) + Math.max(...ys)) / 2) * scale,
+  };
+};
+
+/**
+ * 点到线段的距离
+ * @returns {number} 距离
+ */
+const distanceToSegment = (p, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared)) : 0;
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+};
+
+/**
+ * 拾取瓦片中的要素
+ * @param {Array<Object>} drawn - 已绘制的要素，见 drawVectorTile
+ * @param {{x: number, y: number}} point - 瓦片像素坐标
+ * @param {Object} [options] - 选项
+ * @param {number} [options.tileSize=256] - 瓦片像素大小
+ * @param {number} [options.tolerance=4] - 线与点的拾取容差（像素）
+ * @returns {Array<Object>} 命中的要素，上层在前
+ */
+export const pickVectorFeatures = (drawn, point, { tileSize = 256, tolerance = 4 } = {}) =>
+  drawn
+    .filter(({ type, geometry, extent, style }) => {
+      const scale = tileSize / extent;
+      const p = { x: point.x / scale, y: point.y / scale };
+      if (type === "Polygon") {
+        // 奇偶规则：落在奇数个环内即在面内（洞为偶数）
+        const inside = geometry.filter((ring) =>
+          pointInRing([p.x, p.y], ring.map(({ x, y }) => [x, y]))
+        ).length;
+        return inside % 2 === 1;
+      }
+      if (type === "LineString") {
+        const limit = (tolerance + (style.weight ?? 1) / 2) / scale;
+        return geometry.some((line) =>
+          line.some((vertex, i) => i > 0 && distanceToSegment(p, line[i - 1], vertex) <= limit)
+        );
+      }
+      const limit = (tolerance + (style.radius ?? 3)) / scale;
+      return geometry.flat().some(({ x, y }) => Math.hypot(p.x - x, p.y - y) <= limit);
+    })
+    .reverse();
+
+/**
+ * 加载本地PMTiles文件
+ * @description 校验为矢量瓦片归档后保存文件，返回可加入瓦片图层目录的图层源（type为pmtiles）
+ * @param {File} file - .pmtiles文件
+ * @returns {Promise<Object>} 图层源，见 utils/tileCatalog 的 TileSource
+ */
+export const loadPMTilesFile = async (file) => {
+  const archive = new PMTiles(new FileSource(file));
+  let header;
+  let metadata;
+  try {
+    header = await archive.getHeader();
+    metadata = (await archive.getMetadata()) || {};
+  } catch (error) {
+    throw new Error("不是有效的PMTiles文件");
+  }
+  if (header.tileType !== TileType.Mvt) throw new Error("暂只支持矢量瓦片（MVT）的PMTiles文件");
+
+  const id = createId("pmtiles");
+  try {
+    await tileStore.putFile(id, file);
+  } catch (error) {
+    throw new Error(`保存PMTiles文件失败: ${error.message}`);
+  }
+  const source = {
+    id,
+    name: metadata.name || file.name.replace(/\.pmtiles$/i, ""),
+    kind: "overlay",
+    type: "pmtiles",
+    url: `${PMTILES_PROTOCOL}${id}`,
+    attribution: metadata.attribution || undefined,
+    minZoom: header.minZoom,
+    maxZoom: header.maxZoom,
+    bounds: [header.minLon, header.minLat, header.maxLon, header.maxLat],
+  };
+  archives.set(`${id}|${source.url}`, Promise.resolve(archive));
+  return source;
+};
+
+/**
+ * 关闭并删除本地PMTiles文件
+ * @param {string} sourceId - 图层源ID
+ * @returns {Promise<void>}
+ */
+export const removePMTiles = async (sourceId) => {
+  [...archives.keys()]
+    .filter((key) => key.startsWith(`${sourceId}|`))
+    .forEach((key) => archives.delete(key));
+  await tileStore.removeFile(sourceId);
+};
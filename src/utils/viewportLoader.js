@@ -0,0 +1,418 @@
+/**
+ * @file viewportLoader.js
+ * @description 视野数据加载：按当前视野范围与级别调度数据源适配器，
+ * 防抖、取消过时请求、按瓦片缓存，并将结果增量同步到要素仓库；
+ * 每个地图分别报告视野，加载全部视野的并集
+ * @module utils/viewportLoader
+ */
+
+import featureStore from "./featureStore";
+
+/** Web墨卡托的纬度范围 */
+const MAX_LATITUDE = 85.05112878;
+
+/**
+ * 计算经纬度所在的XYZ瓦片
+ * @param {number} lng - 经度
+ * @param {number} lat - 纬度
+ * @param {number} z - 级别
+ * @returns {{x: number, y: number}} 瓦片行列号
+ */
+export const toTile = (lng, lat, z) => {
+  const n = 2 ** z;
+  const clampedLat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const rad = (clampedLat * Math.PI) / 180;
+  const x = Math.floor(((lng + 180) / 360) * n);
+  const y = Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n);
+  return { x: Math.max(0, Math.min(n - 1, x)), y: Math.max(0, Math.min(n - 1, y)) };
+};
+
+/**
+ * 计算瓦片的经纬度范围
+ * @param {{x: number, y: number, z: number}} tile - 瓦片
+ * @returns {Array<number>} [west, south, east, north]
+ */
+export const tileToBBox = ({ x, y, z }) => {
+  const n = 2 ** z;
+  const lat = (row) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * row) / n))) * 180) / Math.PI;
+  return [(x / n) * 360 - 180, lat(y + 1), ((x + 1) / n) * 360 - 180, lat(y)];
+};
+
+/**
+ * 计算覆盖范围的瓦片
+ * @description 跨越180°经线（west > east）时拆成两段
+ * @param {Array<number>} bbox - [west, south, east, north]
+ * @param {number} z - 级别
+ * @returns {Array<{x: number, y: number, z: number}>} 瓦片
+ */
+export const getCoveringTiles = ([west, south, east, north], z) => {
+  if (west > east) {
+    return [
+      ...getCoveringTiles([west, south, 180, north], z),
+      ...getCoveringTiles([-180, south, east, north], z),
+    ];
+  }
+  const min = toTile(Math.max(-180, west), north, z);
+  const max = toTile(Math.min(180, east), south, z);
+  const tiles = [];
+  for (let x = min.x; x <= max.x; x++) {
+    for (let y = min.y; y <= max.y; y++) tiles.push({ x, y, z });
+  }
+  return tiles;
+};
+
+/**
+ * 由视野范围估算地图级别
+ * @description 用于没有级别概念的三维相机，与Leaflet的级别定义一致（256像素瓦片）
+ * @param {Array<number>} bbox - [west, south, east, north]
+ * @param {number} widthPx - 视野宽度（像素）
+ * @returns {number} 级别
+ */
+export const getZoomForBounds = ([west, , east], widthPx) => {
+  const span = west > east ? east + 360 - west : east - west;
+  if (span <= 0) return 0;
+  return Math.max(0, Math.log2(((360 / span) * widthPx) / 256));
+};
+
+/**
+ * 读取级别对应的要素数量限制
+ * @param {number|Object<number, number>} [maxFeatures] - 限制，见 DataSourceAdapter
+ * @param {number} zoom - 级别
+ * @returns {number} 限制，未配置时为Infinity
+ */
+const getLimit = (maxFeatures, zoom) => {
+  if (maxFeatures === undefined || maxFeatures === null) return Infinity;
+  if (typeof maxFeatures === "number") return maxFeatures;
+  const level = Object.keys(maxFeatures)
+    .map(Number)
+    .filter((key) => key <= zoom)
+    .sort((a, b) => b - a)[0];
+  return level === undefined ? Infinity : maxFeatures[level];
+};
+
+/** 数据源图层ID前缀 */
+const SOURCE_LAYER_PREFIX = "source:";
+
+/**
+ * 数据源在要素仓库中的图层ID
+ * @param {string} sourceId - 数据源ID
+ * @returns {string} 图层ID
+ */
+export const getSourceLayerId = (sourceId) => `${SOURCE_LAYER_PREFIX}${sourceId}`;
+
+/**
+ * 判断仓库图层是否为数据源图层
+ * @description 数据源图层的要素随视野加载，不需要保存
+ * @param {string} layerId - 图层ID
+ * @returns {boolean}
+ */
+export const isSourceLayerId = (layerId) => layerId.startsWith(SOURCE_LAYER_PREFIX);
+
+/**
+ * 创建视野数据加载器
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.store=featureStore] - 要素仓库
+ * @param {number} [options.debounce=300] - 防抖时间（毫秒）
+ * @param {number} [options.cacheSize=256] - 每个数据源缓存的瓦片数
+ * @param {number} [options.maxTiles=64] - 单次视野最多请求的瓦片数，超出时不加载
+ * @param {number} [options.tileZoomOffset=2] - 请求瓦片比地图级别低的级数，
+ * 值越大单个瓦片越大、请求越少
+ * @param {number} [options.maxTileZoom=16] - 请求瓦片的最大级别，更高级别复用该级别的缓存
+ * @returns {Object} 加载器 { addSource, removeSource, update, removeView, refresh, clearCache, destroy }
+ */
+export const createViewportLoader = ({
+  store = featureStore,
+  debounce = 300,
+  cacheSize = 256,
+  maxTiles = 64,
+  tileZoomOffset = 2,
+  maxTileZoom = 16,
+} = {}) => {
+  /**
+   * @type {Map<string, {source: Object, cache: Map<string, Array<Object>>, shown: Map<string, string>}>}
+   * 数据源ID -> { 适配器, 瓦片缓存（瓦片键 -> 要素）, 已显示要素（去重键 -> 仓库要素ID） }
+   */
+  const entries = new Map();
+  /** @type {Map<string, {bbox: Array<number>, zoom: number}>} 地图ID -> 视野 */
+  const viewports = new Map();
+  let timer = null;
+  let controller = null;
+  // 加载器自身写入仓库时忽略仓库事件
+  let writing = false;
+
+  /**
+   * 要素去重键
+   * @description 优先使用要素ID或idField属性，否则以几何内容区分
+   * @param {Object} feature - GeoJSON Feature
+   * @param {string} idField - ID属性名
+   * @returns {string} 去重键
+   */
+  const getFeatureKey = (feature, idField) => {
+    const id = feature.id ?? feature.properties?.[idField];
+    return id !== undefined && id !== null
+      ? `id:${id}`
+      : `geom:${JSON.stringify(feature.geometry)}`;
+  };
+
+  /**
+   * 写入缓存（LRU，超出容量时淘汰最久未使用的瓦片）
+   * @param {Map<string, Array<Object>>} cache - 瓦片缓存
+   * @param {string} key - 瓦片键
+   * @param {Array<Object>} features - 要素
+   * @returns {void}
+   */
+  const cachePut = (cache, key, features) => {
+    cache.delete(key);
+    cache.set(key, features);
+    while (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+  };
+
+  /**
+   * 将要素增量同步到仓库图层
+   * @description 只移除离开视野的要素、添加新进入的要素，避免整层重绘
+   * @param {Object} entry - 数据源条目
+   * @param {Array<Object>} features - 当前视野的要素
+   * @returns {void}
+   */
+  const syncLayer = (entry, features) => {
+    const { source, shown } = entry;
+    const idField = source.idField || "id";
+    const next = new Map();
+    features.forEach((feature) => {
+      const key = getFeatureKey(feature, idField);
+      if (!next.has(key)) next.set(key, feature);
+    });
+
+    const removed = [...shown.keys()].filter((key) => !next.has(key));
+    const added = [...next.keys()].filter((key) => !shown.has(key));
+    if (!removed.length && !added.length) return;
+
+    writing = true;
+    try {
+      if (removed.length) {
+        store.removeFeatures(removed.map((key) => shown.get(key)));
+        removed.forEach((key) => shown.delete(key));
+      }
+      if (added.length) {
+        const layerId = getSourceLayerId(source.id);
+        const stored = store.addFeatures(
+          layerId,
+          added.map((key) => {
+            const { id, ...feature } = next.get(key);
+            return { ...feature, meta: { source: source.id, key } };
+          })
+        );
+        stored.forEach((feature, index) => shown.set(added[index], feature.id));
+      }
+    } finally {
+      writing = false;
+    }
+  };
+
+  /**
+   * 加载单个数据源的视野数据
+   * @description 各视野的瓦片合并去重后请求，仓库中保留全部视野内的要素；
+   * 低于最小级别的视野不加载，任一视野瓦片过多时本次不更新
+   * @param {Object} entry - 数据源条目
+   * @param {Array<{bbox: Array<number>, zoom: number}>} views - 视野
+   * @param {AbortSignal} signal - 取消信号
+   * @returns {Promise<void>}
+   */
+  const loadSource = async (entry, views, signal) => {
+    const { source, cache } = entry;
+    const layer = store.getLayer(getSourceLayerId(source.id));
+    // 图层隐藏时不请求，保留已加载的要素
+    if (!layer || !layer.visible) return;
+
+    const { minZoom = 0, maxZoom = Infinity } = source;
+    /** @type {Map<string, {tile: Object, zoom: number, limit: number}>} 瓦片键 -> 请求 */
+    const requests = new Map();
+    for (const { bbox, zoom } of views) {
+      if (zoom < minZoom) continue;
+      const dataZoom = Math.min(zoom, maxZoom);
+      const tileZoom = Math.max(
+        0,
+        Math.min(Math.floor(dataZoom) - (source.tileZoomOffset ?? tileZoomOffset), maxTileZoom)
+      );
+      const tiles = getCoveringTiles(bbox, tileZoom);
+      if (tiles.length > maxTiles) {
+        console.warn(`数据源"${source.name}"视野内瓦片过多（${tiles.length}），请放大后加载`);
+        return;
+      }
+      const limit = getLimit(source.maxFeatures, Math.floor(dataZoom));
+      tiles.forEach((tile) => {
+        const key = `${tile.z}/${tile.x}/${tile.y}/${limit}`;
+        if (!requests.has(key)) requests.set(key, { tile, zoom: dataZoom, limit });
+      });
+    }
+
+    const results = await Promise.all(
+      [...requests].map(async ([key, { tile, zoom, limit }]) => {
+        if (cache.has(key)) {
+          const features = cache.get(key);
+          cachePut(cache, key, features);
+          return features;
+        }
+        const features = await source.fetchTile({
+          bbox: tileToBBox(tile),
+          zoom,
+          tile,
+          limit,
+          signal,
+        });
+        if (!signal.aborted) cachePut(cache, key, features);
+        return features;
+      })
+    );
+    if (!signal.aborted && entries.get(source.id) === entry) syncLayer(entry, results.flat());
+  };
+
+  /**
+   * 按当前各地图的视野加载全部数据源
+   * @returns {Promise<void>}
+   */
+  const load = async () => {
+    if (!viewports.size) return;
+    controller?.abort();
+    controller = new AbortController();
+    const { signal } = controller;
+    const views = [...viewports.values()];
+
+    await Promise.all(
+      [...entries.values()].map((entry) =>
+        loadSource(entry, views, signal).catch((error) => {
+          if (error?.name !== "AbortError") {
+            console.error(`数据源"${entry.source.name}"加载失败:`, error);
+          }
+        })
+      )
+    );
+  };
+
+  /**
+   * 按防抖时间安排加载
+   * @returns {void}
+   */
+  const scheduleLoad = () => {
+    clearTimeout(timer);
+    timer = setTimeout(load, debounce);
+  };
+
+  // 用户在图层列表中移除数据源图层时注销数据源；重新显示隐藏的图层时补充加载
+  const unsubscribe = store.subscribe((event) => {
+    if (writing) return;
+    const id = event.layer?.id;
+    if (!id?.startsWith("source:")) return;
+    const sourceId = id.slice("source:".length);
+    if (event.type === "layer:remove") {
+      entries.delete(sourceId);
+    } else if (event.type === "layer:update" && event.layer.visible) {
+      scheduleLoad();
+    }
+  });
+
+  /**
+   * 移除数据源及其图层
+   * @param {string} id - 数据源ID
+   * @returns {void}
+   */
+  const removeSource = (id) => {
+    if (!entries.has(id)) return;
+    entries.delete(id);
+    writing = true;
+    try {
+      store.removeLayer(getSourceLayerId(id));
+    } finally {
+      writing = false;
+    }
+  };
+
+  return {
+    /**
+     * 注册数据源
+     * @description 同ID的数据源已存在时保留原有缓存；为数据源创建对应的仓库图层
+     * @param {Object} source - 数据源适配器，见 utils/dataSources
+     * @returns {void}
+     */
+    addSource: (source) => {
+      if (entries.get(source.id)?.source === source) return;
+      removeSource(source.id);
+      entries.set(source.id, { source, cache: new Map(), shown: new Map() });
+      writing = true;
+      try {
+        store.addLayer({
+          id: getSourceLayerId(source.id),
+          name: source.name,
+          style: source.style,
+        });
+      } finally {
+        writing = false;
+      }
+      scheduleLoad();
+    },
+
+    removeSource,
+
+    /**
+     * 更新地图的视野
+     * @description 地图移动结束时调用，防抖后加载全部地图视野的并集；新视野会取消上一次未完成的请求
+     * @param {Object} view - 视野
+     * @param {Array<number>} view.bbox - WGS84范围 [west, south, east, north]
+     * @param {number} view.zoom - 地图级别（三维相机可用 getZoomForBounds 估算）
+     * @param {string} [mapId="default"] - 地图ID，二维与三维地图各报告各自的视野
+     * @returns {void}
+     */
+    update: (view, mapId = "default") => {
+      viewports.set(mapId, view);
+      scheduleLoad();
+    },
+
+    /**
+     * 移除地图的视野
+     * @description 地图销毁时调用，之后只加载其余地图的视野
+     * @param {string} [mapId="default"] - 地图ID
+     * @returns {void}
+     */
+    removeView: (mapId = "default") => {
+      if (viewports.delete(mapId)) scheduleLoad();
+    },
+
+    /**
+     * 清空缓存并重新加载当前视野
+     * @param {string} [id] - 数据源ID，缺省时刷新全部
+     * @returns {void}
+     */
+    refresh: (id) => {
+      entries.forEach((entry, sourceId) => {
+        if (!id || id === sourceId) entry.cache.clear();
+      });
+      scheduleLoad();
+    },
+
+    /**
+     * 清空瓦片缓存
+     * @returns {void}
+     */
+    clearCache: () => entries.forEach((entry) => entry.cache.clear()),
+
+    /**
+     * 销毁加载器
+     * @returns {void}
+     */
+    destroy: () => {
+      clearTimeout(timer);
+      viewports.clear();
+      controller?.abort();
+      unsubscribe();
+      [...entries.keys()].forEach(removeSource);
+    },
+  };
+};
+
+/**
+ * 全局共享的视野数据加载器
+ * @description 二维与三维地图移动结束时均向其报告视野
+ */
+export const viewportLoader = createViewportLoader();
+
+export default viewportLoader;
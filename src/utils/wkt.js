@@ -0,0 +1,202 @@
+/**
+ * @file wkt.js
+ * @description WKT（Well-Known Text）几何解析与生成
+ * @module utils/wkt
+ */
+
+import { SKIP_CODES } from "./importReport";
+
+/** WKT几何关键字 */
+const GEOMETRY_KEYWORDS = [
+  "POINT",
+  "LINESTRING",
+  "POLYGON",
+  "MULTIPOINT",
+  "MULTILINESTRING",
+  "MULTIPOLYGON",
+  "GEOMETRYCOLLECTION",
+];
+
+/**
+ * 解析WKT文本为GeoJSON几何
+ * @description 支持POINT、LINESTRING、POLYGON、MULTI*、GEOMETRYCOLLECTION，
+ * 兼容Z/M/ZM修饰符与EWKT的SRID前缀（M值丢弃）
+ * @param {string} text - WKT文本
+ * @returns {Object} GeoJSON几何
+ * @throws {Error} 格式无效时抛出，error.code为导入报告中的跳过原因代码
+ */
+export const parseWKT = (text) => {
+  const source = String(text ?? "").trim().replace(/^SRID=\d+;/i, "");
+  let pos = 0;
+
+  const fail = (message, code = SKIP_CODES.INVALID_GEOMETRY) => {
+    const error = new Error(`WKT格式错误(${pos}): ${message}`);
+    error.code = code;
+    throw error;
+  };
+  const skipSpace = () => {
+    while (/\s/.test(source[pos] || "")) pos++;
+  };
+  const peek = () => {
+    skipSpace();
+    return source[pos];
+  };
+  const expect = (char) => {
+    if (peek() !== char) fail(`应为"${char}"`);
+    pos++;
+  };
+  const readWord = () => {
+    skipSpace();
+    const match = /^[A-Za-z]+/.exec(source.slice(pos));
+    if (!match) fail("缺少几何类型");
+    pos += match[0].length;
+    return match[0].toUpperCase();
+  };
+  const readEmpty = () => {
+    skipSpace();
+    if (/^EMPTY/i.test(source.slice(pos))) {
+      pos += 5;
+      return true;
+    }
+    return false;
+  };
+
+  // 坐标维度：带M时第三/四个值为M，需要丢弃
+  let hasM = false;
+  let hasZ = false;
+
+  const readPosition = () => {
+    skipSpace();
+    const match = /^[-+0-9.eE\s]+/.exec(source.slice(pos));
+    if (!match) fail("缺少坐标");
+    pos += match[0].length;
+    const values = match[0].trim().split(/\s+/).map(Number);
+    if (values.length < 2 || values.some((v) => !Number.isFinite(v))) {
+      fail("坐标不是数值", SKIP_CODES.INVALID_COORDINATE);
+    }
+    if (hasM && !hasZ) return values.slice(0, 2);
+    return values.slice(0, 3);
+  };
+  const readList = (readItem) => {
+    expect("(");
+    const items = [readItem()];
+    while (peek() === ",") {
+      pos++;
+      items.push(readItem());
+    }
+    expect(")");
+    return items;
+  };
+  // MULTIPOINT允许 (1 2, 3 4) 与 ((1 2), (3 4)) 两种写法
+  const readMultiPointItem = () => {
+    if (peek() === "(") {
+      pos++;
+      const position = readPosition();
+      expect(")");
+      return position;
+    }
+    return readPosition();
+  };
+
+  const readGeometry = () => {
+    let type = readWord();
+    let dimensions = "";
+    // 兼容 POINTZ 这类维度紧跟类型名的写法
+    const suffix = /^(.+?)(ZM|Z|M)$/.exec(type);
+    if (suffix && GEOMETRY_KEYWORDS.includes(suffix[1])) {
+      type = suffix[1];
+      dimensions = suffix[2];
+    }
+    skipSpace();
+    const modifier = /^(ZM|Z|M)\b/i.exec(source.slice(pos));
+    if (modifier) {
+      pos += modifier[0].length;
+      dimensions = modifier[0].toUpperCase();
+    }
+    hasZ = dimensions.includes("Z");
+    hasM = dimensions.includes("M");
+    if (readEmpty()) fail("不支持空几何", SKIP_CODES.MISSING_GEOMETRY);
+
+    switch (type) {
+      case "POINT":
+        return { type: "Point", coordinates: readList(readPosition)[0] };
+      case "LINESTRING":
+        return { type: "LineString", coordinates: readList(readPosition) };
+      case "POLYGON":
+        return {
+          type: "Polygon",
+          coordinates: readList(() => readList(readPosition)),
+        };
+      case "MULTIPOINT":
+        return { type: "MultiPoint", coordinates: readList(readMultiPointItem) };
+      case "MULTILINESTRING":
+        return {
+          type: "MultiLineString",
+          coordinates: readList(() => readList(readPosition)),
+        };
+      case "MULTIPOLYGON":
+        return {
+          type: "MultiPolygon",
+          coordinates: readList(() => readList(() => readList(readPosition))),
+        };
+      case "GEOMETRYCOLLECTION":
+        return { type: "GeometryCollection", geometries: readList(readGeometry) };
+      default:
+        return fail(`不支持的几何类型: ${type}`, SKIP_CODES.UNSUPPORTED_GEOMETRY);
+    }
+  };
+
+  const geometry = readGeometry();
+  skipSpace();
+  if (pos < source.length) fail("存在多余内容");
+  return geometry;
+};
+
+/**
+ * 判断文本是否像WKT几何
+ * @param {*} value - 单元格值
+ * @returns {boolean} 是否以WKT几何关键字开头
+ */
+export const looksLikeWKT = (value) =>
+  typeof value === "string" &&
+  new RegExp(`^\\s*(SRID=\\d+;\\s*)?(${GEOMETRY_KEYWORDS.join("|")})`, "i").test(value);
+
+/**
+ * 将GeoJSON几何转换为WKT文本
+ * @description 任一坐标带高程时输出Z维度，缺少高程的坐标补0
+ * @param {Object} geometry - GeoJSON几何
+ * @returns {string} WKT文本
+ * @throws {Error} 几何类型不受支持时抛出
+ */
+export const toWKT = (geometry) => {
+  const withZ = (function check(value) {
+    if (!Array.isArray(value)) return false;
+    if (typeof value[0] === "number") return value.length > 2;
+    return value.some(check);
+  })(geometry.coordinates ?? []);
+  const z = withZ ? " Z" : "";
+
+  const position = (p) => (withZ ? [p[0], p[1], p[2] ?? 0] : [p[0], p[1]]).join(" ");
+  const list = (items, format) => `(${items.map(format).join(", ")})`;
+  const line = (positions) => list(positions, position);
+  const polygon = (rings) => list(rings, line);
+
+  switch (geometry.type) {
+    case "Point":
+      return `POINT${z} (${position(geometry.coordinates)})`;
+    case "MultiPoint":
+      return `MULTIPOINT${z} ${list(geometry.coordinates, (p) => `(${position(p)})`)}`;
+    case "LineString":
+      return `LINESTRING${z} ${line(geometry.coordinates)}`;
+    case "MultiLineString":
+      return `MULTILINESTRING${z} ${list(geometry.coordinates, line)}`;
+    case "Polygon":
+      return `POLYGON${z} ${polygon(geometry.coordinates)}`;
+    case "MultiPolygon":
+      return `MULTIPOLYGON${z} ${list(geometry.coordinates, polygon)}`;
+    case "GeometryCollection":
+      return `GEOMETRYCOLLECTION ${list(geometry.geometries, toWKT)}`;
+    default:
+      throw new Error(`不支持的几何类型: ${geometry.type}`);
+  }
+};
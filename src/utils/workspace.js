@@ -0,0 +1,347 @@
+/**
+ * @file workspace.js
+ * @description 工作区持久化：把数据图层、要素与视图保存为工程（自动保存到IndexedDB，或另存为JSON文件），
+ * 打开工程时恢复；视图状态（模式、二维中心与级别、三维相机、底图、可见图层）可编码到URL hash中分享
+ * @module utils/workspace
+ */
+
+import featureStore from "./featureStore";
+import tileCatalog from "./tileCatalog";
+import defaultHistory from "./history";
+import { applyThematic } from "./thematic";
+import { isSourceLayerId } from "./viewportLoader";
+
+const DB_NAME = "leaflet-cesium-workspace";
+const DB_VERSION = 1;
+const WORKSPACE_STORE = "workspace";
+/** 自动保存的工作区在对象仓库中的键 */
+const CURRENT_KEY = "current";
+
+/** 工程文件格式标识 */
+export const PROJECT_FORMAT = "leaflet-cesium-project";
+
+/** 工程文件格式版本 */
+export const PROJECT_VERSION = 1;
+
+/** 不写入工程的图层字段：要素数随要素恢复，专题图只保存定义 */
+const TRANSIENT_LAYER_FIELDS = ["featureCount", "thematic"];
+
+/**
+ * 视图状态
+ * @typedef {Object} ViewState
+ * @property {string} [mode] - 地图模式，2D或3D
+ * @property {Array<number>} [center] - 二维地图中心 [纬度, 经度]
+ * @property {number} [zoom] - 二维地图级别
+ * @property {Object} [camera] - 三维相机 { longitude, latitude, height, heading, pitch }，角度单位为度
+ * @property {string} [baseMapId] - 底图ID
+ * @property {Array<string>} [visibleLayers] - 可见的数据图层与叠加瓦片图层ID
+ */
+
+/**
+ * 将IDBRequest转换为Promise
+ * @param {IDBRequest} request - 请求
+ * @returns {Promise<*>} 请求结果
+ */
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * 打开工作区数据库
+ * @param {string} name - 数据库名称
+ * @returns {Promise<IDBDatabase>} 数据库
+ */
+const openDatabase = (name) =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(WORKSPACE_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * 按位数取整
+ * @param {number} value - 数值
+ * @param {number} digits - 小数位数
+ * @returns {number}
+ */
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * 解析逗号分隔的数值
+ * @param {string} text - 文本
+ * @param {number} count - 期望的个数
+ * @returns {Array<number>|null} 数值，个数不符或含非数值时返回null
+ */
+const parseNumbers = (text, count) => {
+  const values = (text || "").split(",").map(Number);
+  return values.length === count && values.every(Number.isFinite) ? values : null;
+};
+
+/**
+ * 将视图状态编码为URL hash
+ * @description 如 mode=2d&center=30.355764,120.024029&zoom=12&base=standard&layers=drawn,layer_x；
+ * 三维相机为 camera=经度,纬度,高度,方位角,俯仰角
+ * @param {ViewState} view - 视图状态
+ * @returns {string} 不含#的hash
+ */
+export const encodeViewHash = ({ mode, center, zoom, camera, baseMapId, visibleLayers } = {}) => {
+  const params = [];
+  const add = (key, values) =>
+    params.push(`${key}=${[].concat(values).map((value) => encodeURIComponent(value)).join(",")}`);
+  if (mode) add("mode", mode.toLowerCase());
+  if (center) add("center", center.map((value) => round(value, 6)));
+  if (Number.isFinite(zoom)) add("zoom", round(zoom, 2));
+  if (camera) {
+    const { longitude, latitude, height, heading, pitch } = camera;
+    add("camera", [
+      round(longitude, 6),
+      round(latitude, 6),
+      round(height, 1),
+      round(heading, 1),
+      round(pitch, 1),
+    ]);
+  }
+  if (baseMapId) add("base", baseMapId);
+  if (visibleLayers) add("layers", visibleLayers);
+  return params.join("&");
+};
+
+/**
+ * 解析URL hash中的视图状态
+ * @description 忽略无法识别或超出范围的参数
+ * @param {string} hash - location.hash，可带#
+ * @returns {ViewState|null} 视图状态，没有可识别的参数时返回null
+ */
+export const parseViewHash = (hash) => {
+  const params = {};
+  (hash || "")
+    .replace(/^#/, "")
+    .split("&")
+    .forEach((pair) => {
+      const index = pair.indexOf("=");
+      if (index > 0) params[pair.slice(0, index)] = pair.slice(index + 1);
+    });
+  const decodeList = (text) => text.split(",").filter(Boolean).map(decodeURIComponent);
+
+  const view = {};
+  const mode = params.mode?.toUpperCase();
+  if (mode === "2D" || mode === "3D") view.mode = mode;
+  const center = parseNumbers(params.center, 2);
+  if (center && Math.abs(center[0]) <= 90 && Math.abs(center[1]) <= 180) view.center = center;
+  const zoom = Number(params.zoom);
+  if (params.zoom && Number.isFinite(zoom) && zoom >= 0 && zoom <= 24) view.zoom = zoom;
+  const camera = parseNumbers(params.camera, 5);
+  if (camera && Math.abs(camera[0]) <= 180 && Math.abs(camera[1]) <= 90 && camera[2] > 0) {
+    const [longitude, latitude, height, heading, pitch] = camera;
+    view.camera = { longitude, latitude, height, heading, pitch };
+  }
+  if (params.base) view.baseMapId = decodeURIComponent(params.base);
+  if (params.layers !== undefined) view.visibleLayers = decodeList(params.layers);
+  return Object.keys(view).length ? view : null;
+};
+
+/**
+ * 创建工作区
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.store=featureStore] - 要素仓库
+ * @param {Object} [options.catalog=tileCatalog] - 瓦片图层目录
+ * @param {Object} [options.history] - 编辑历史，打开工程后清空，默认为全局共享的编辑历史
+ * @param {string} [options.dbName] - IndexedDB数据库名称
+ * @returns {Object} 工作区实例
+ */
+export const createWorkspace = ({
+  store = featureStore,
+  catalog = tileCatalog,
+  history = defaultHistory,
+  dbName = DB_NAME,
+} = {}) => {
+  let dbPromise = null;
+  // 最近一次保存或读取的工作区内容，内容未变化时不重复写入
+  let lastSaved = null;
+
+  /**
+   * 获取数据库连接（首次使用时打开）
+   * @returns {Promise<IDBDatabase>} 数据库
+   */
+  const getDB = () => {
+    dbPromise ||= openDatabase(dbName).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+    return dbPromise;
+  };
+
+  /**
+   * 序列化图层
+   * @description 经JSON转换去掉响应式代理与函数（如函数形式的样式规则与弹出框模板）
+   * @param {Object} layer - 仓库图层
+   * @returns {Object} 图层配置与要素
+   */
+  const serializeLayer = (layer) => {
+    const config = Object.fromEntries(
+      Object.entries(layer).filter(([key]) => !TRANSIENT_LAYER_FIELDS.includes(key))
+    );
+    return {
+      ...JSON.parse(JSON.stringify(config)),
+      thematic: layer.thematic?.definition ? JSON.parse(JSON.stringify(layer.thematic.definition)) : null,
+      features: store.getFeatures(layer.id).map(({ id, geometry, properties, style, meta }) => ({
+        id,
+        geometry,
+        properties,
+        style,
+        meta,
+      })),
+    };
+  };
+
+  /**
+   * 获取可见图层
+   * @returns {Array<string>} 可见的数据图层与叠加瓦片图层ID
+   */
+  const getVisibleLayers = () => [
+    ...store.state.layers.filter((layer) => layer.visible).map((layer) => layer.id),
+    ...catalog.getOverlays().filter((source) => source.visible).map((source) => source.id),
+  ];
+
+  /**
+   * 按ID设置可见图层
+   * @description 未列出的数据图层与叠加瓦片图层隐藏
+   * @param {Array<string>} ids - 可见图层ID
+   * @returns {void}
+   */
+  const setVisibleLayers = (ids) => {
+    const visible = new Set(ids);
+    store.state.layers.forEach((layer) => {
+      if (layer.visible !== visible.has(layer.id)) {
+        store.updateLayer(layer.id, { visible: visible.has(layer.id) });
+      }
+    });
+    catalog.getOverlays().forEach((source) => {
+      if (source.visible !== visible.has(source.id)) {
+        catalog.updateSource(source.id, { visible: visible.has(source.id) });
+      }
+    });
+  };
+
+  /**
+   * 生成工程
+   * @description 包含数据图层（数据源图层随视野加载，不保存）与视图；
+   * withTiles为true时包含瓦片图层配置（不含密钥与本机文件图层源）
+   * @param {ViewState} [view={}] - 视图状态
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.withTiles=true] - 是否包含瓦片图层配置
+   * @returns {Object} 工程
+   */
+  const createProject = (view = {}, { withTiles = true } = {}) => ({
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    view: JSON.parse(JSON.stringify({ ...view, baseMapId: catalog.state.baseMapId })),
+    tiles: withTiles ? catalog.exportConfig() : undefined,
+    layers: store.state.layers.filter((layer) => !isSourceLayerId(layer.id)).map(serializeLayer),
+  });
+
+  /**
+   * 打开工程
+   * @description 替换当前的数据图层：工程中没有的图层移除，已有的图层按ID增量更新要素；
+   * 恢复专题图与瓦片图层配置，并清空编辑历史
+   * @param {Object} project - 工程，见 createProject
+   * @returns {ViewState} 工程中的视图状态
+   */
+  const openProject = (project) => {
+    if (project?.format !== PROJECT_FORMAT || !Array.isArray(project.layers)) {
+      throw new Error("不是有效的工程文件");
+    }
+    if (project.version > PROJECT_VERSION) throw new Error("工程文件版本过新，请升级后再打开");
+
+    const ids = new Set(project.layers.map((layer) => layer.id));
+    store.state.layers
+      .filter((layer) => !isSourceLayerId(layer.id) && !ids.has(layer.id))
+      .forEach((layer) => store.removeLayer(layer.id));
+    project.layers.forEach(({ features = [], thematic, ...config }) => {
+      if (store.getLayer(config.id)) {
+        store.updateLayer(config.id, { ...config, thematic: null });
+        store.setFeatures(config.id, features);
+      } else {
+        store.addLayer({ ...config, features });
+      }
+      if (thematic) applyThematic(config.id, thematic, store);
+    });
+    if (project.tiles) catalog.importConfig(project.tiles);
+    if (project.view?.baseMapId) catalog.setBaseMap(project.view.baseMapId);
+    history?.clear();
+    return project.view || {};
+  };
+
+  /**
+   * 工作区内容的比较文本
+   * @param {Object} project - 工程
+   * @returns {string} 视图与图层的JSON文本（不含保存时间）
+   */
+  const getSnapshot = ({ view, layers }) => JSON.stringify({ view, layers });
+
+  /**
+   * 保存工作区到IndexedDB
+   * @description 视图与图层和上次保存（或读取）的相同时不写入；写入失败（如存储空间不足）时抛出错误
+   * @param {ViewState} view - 视图状态
+   * @returns {Promise<boolean>} 是否写入
+   */
+  const save = async (view) => {
+    // 瓦片图层配置由目录自行保存在localStorage中
+    const project = createProject(view, { withTiles: false });
+    const snapshot = getSnapshot(project);
+    if (snapshot === lastSaved) return false;
+    const db = await getDB();
+    await requestToPromise(
+      db.transaction(WORKSPACE_STORE, "readwrite").objectStore(WORKSPACE_STORE).put(project, CURRENT_KEY)
+    );
+    lastSaved = snapshot;
+    return true;
+  };
+
+  /**
+   * 读取IndexedDB中的工作区
+   * @returns {Promise<Object|null>} 工程，没有保存过时返回null
+   */
+  const load = async () => {
+    const db = await getDB();
+    const project = await requestToPromise(
+      db.transaction(WORKSPACE_STORE).objectStore(WORKSPACE_STORE).get(CURRENT_KEY)
+    );
+    lastSaved = project ? getSnapshot(project) : null;
+    return project || null;
+  };
+
+  /**
+   * 清除IndexedDB中的工作区
+   * @returns {Promise<void>}
+   */
+  const clear = async () => {
+    const db = await getDB();
+    await requestToPromise(
+      db.transaction(WORKSPACE_STORE, "readwrite").objectStore(WORKSPACE_STORE).delete(CURRENT_KEY)
+    );
+    lastSaved = null;
+  };
+
+  return {
+    getVisibleLayers,
+    setVisibleLayers,
+    createProject,
+    openProject,
+    save,
+    load,
+    clear,
+  };
+};
+
+/**
+ * 全局共享的工作区
+ * @description 保存与恢复全局要素仓库和瓦片图层目录
+ */
+export const workspace = createWorkspace();
+
+export default workspace;
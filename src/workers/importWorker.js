@@ -0,0 +1,142 @@
+/**
+ * @file importWorker.js
+ * @description 导入Worker：在后台线程解析GeoJSON与表格文件、转换坐标并校验，分块回传要素
+ * @module workers/importWorker
+ *
+ * 消息协议（主线程 -> Worker）：
+ * - { type: "geojson", buffer, name, crs }：解析GeoJSON文件
+ * - { type: "workbook:open", buffer, fileName }：读取工作簿，返回各工作表的表头与预览行
+ * - { type: "workbook:convert", sheetName, name, mapping }：按列映射转换已打开的工作表
+ *
+ * Worker -> 主线程：
+ * - { type: "progress", phase, processed, total }
+ * - { type: "chunk", features, skipped, processed, total }
+ * - { type: "done", ...结果 }
+ * - { type: "error", message }
+ */
+
+import { normalizeGeoJSON, getFeatureLines } from "@utils/geojson";
+import { readWorkbook, getSheetData, rowsToFeatures } from "@utils/tabular";
+import { WGS84 } from "@utils/projection";
+import { getGeoJSONCrs, prepareFeatures } from "@utils/importPipeline";
+
+/** 每块回传的记录数 */
+const CHUNK_SIZE = 2000;
+/** 工作表预览行数，用于列映射识别与预览 */
+const SAMPLE_ROWS = 200;
+
+/** 已打开的工作簿，列映射确认前保留在Worker中 */
+let workbook = null;
+
+/**
+ * 分块处理记录并回传
+ * @param {number} total - 记录总数
+ * @param {Function} processChunk - (start, end) => { features, skipped }
+ * @returns {void}
+ */
+const streamChunks = (total, processChunk) => {
+  for (let start = 0; start < total; start += CHUNK_SIZE) {
+    const end = Math.min(start + CHUNK_SIZE, total);
+    const { features, skipped } = processChunk(start, end);
+    self.postMessage({ type: "chunk", features, skipped, processed: end, total });
+  }
+};
+
+/**
+ * 解析GeoJSON
+ * @param {Object} message - { buffer, name, crs }
+ * @returns {void}
+ */
+const parseGeoJSON = ({ buffer, name, crs }) => {
+  self.postMessage({ type: "progress", phase: "parse", processed: 0, total: 0 });
+  const text = new TextDecoder("utf-8").decode(buffer);
+  let geojson;
+  try {
+    geojson = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`无效的GeoJSON文件（${error.message}）`);
+  }
+
+  // 支持FeatureCollection、单个Feature及裸几何对象，保留全部几何类型与Z值
+  const { features, skipped } = normalizeGeoJSON(geojson, { lines: getFeatureLines(text) });
+  self.postMessage({
+    type: "chunk",
+    features: [],
+    skipped: skipped.map((entry) => ({ ...entry, layer: name })),
+    processed: 0,
+    total: features.length,
+  });
+
+  // 文件自身声明了坐标系（旧版crs成员）且用户未指定时，以文件声明为准
+  const sourceCrs = crs === WGS84 ? getGeoJSONCrs(geojson) || WGS84 : crs;
+  const seenIds = new Set();
+  streamChunks(features.length, (start, end) =>
+    prepareFeatures(features.slice(start, end), { layer: name, crs: sourceCrs, seenIds })
+  );
+  self.postMessage({ type: "done", crs: sourceCrs });
+};
+
+/**
+ * 读取工作簿
+ * @param {Object} message - { buffer, fileName }
+ * @returns {void}
+ */
+const openWorkbook = ({ buffer, fileName }) => {
+  self.postMessage({ type: "progress", phase: "parse", processed: 0, total: 0 });
+  workbook = readWorkbook(buffer, fileName);
+  const sheets = workbook.SheetNames.map((sheetName) => {
+    const { headers, rows } = getSheetData(workbook, sheetName);
+    return {
+      name: sheetName,
+      headers,
+      rows: rows.slice(0, SAMPLE_ROWS),
+      rowCount: rows.length,
+    };
+  });
+  self.postMessage({ type: "done", sheets });
+};
+
+/**
+ * 按列映射转换工作表
+ * @param {Object} message - { sheetName, name, mapping }
+ * @returns {void}
+ */
+const convertSheet = ({ sheetName, name, mapping }) => {
+  if (!workbook) throw new Error("工作簿未打开");
+  const { rows } = getSheetData(workbook, sheetName);
+  const seenIds = new Set();
+  // 列映射中已按所选坐标系转换到WGS84，这里只做通用校验
+  streamChunks(rows.length, (start, end) => {
+    const result = rowsToFeatures(rows.slice(start, end), mapping, start);
+    const prepared = prepareFeatures(result.features, {
+      layer: name,
+      transformed: true,
+      seenIds,
+    });
+    return {
+      features: prepared.features,
+      skipped: [...result.skipped.map((entry) => ({ ...entry, layer: name })), ...prepared.skipped],
+    };
+  });
+  self.postMessage({ type: "done" });
+};
+
+self.onmessage = ({ data }) => {
+  try {
+    switch (data.type) {
+      case "geojson":
+        parseGeoJSON(data);
+        break;
+      case "workbook:open":
+        openWorkbook(data);
+        break;
+      case "workbook:convert":
+        convertSheet(data);
+        break;
+      default:
+        throw new Error(`未知的导入任务: ${data.type}`);
+    }
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+};
@@ -7,6 +7,10 @@ import path from "path";
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [vue(), jsx(), cesium()],
+  // 导入Worker以module类型创建
+  worker: {
+    format: "es",
+  },
   resolve: {
     alias: {
       "@": path.resolve(__dirname, "./src"),